@@ -5,6 +5,8 @@ import cors from "cors";
 import helmet from "helmet";
 import rateLimit from "express-rate-limit";
 
+import { optionalAuthMiddleware } from "./middlewares/auth.js";
+
 import webhookRoutes from "./routes/webhookRoutes.js";
 import healthRoutes from "./routes/healthRoutes.js";
 import publicRoutes from "./routes/publicRoutes.js";
@@ -17,6 +19,11 @@ import reviewRoutes from "./routes/reviewRoutes.js";
 import adminRoutes from "./routes/adminRoutes.js";
 import chestRoutes from "./routes/chestRoutes.js";
 import passRoutes from "./routes/passRoutes.js";
+import waitlistRoutes from "./routes/waitlistRoutes.js";
+import deviceRoutes from "./routes/deviceRoutes.js";
+import groupBookingRoutes from "./routes/groupBookingRoutes.js";
+import giftCardRoutes from "./routes/giftCardRoutes.js";
+import participantRoutes from "./routes/participantRoutes.js";
 
 const app = express();
 
@@ -311,6 +318,24 @@ const adminLimiter = buildLimiter({
   message: "Trop de requêtes admin. Réessaie plus tard.",
 });
 
+// Blocages de créneaux posés sans compte : limités pour qu'un anonyme ne
+// puisse pas bloquer le planning à la chaîne
+const anonymousHoldLimiter = buildLimiter({
+  name: "anonymous_hold",
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: "Trop de paniers vérifiés sans compte. Connecte-toi ou réessaie plus tard.",
+  skip: (req) => Boolean(req.userId),
+});
+
+// Contrôleurs de porte : heartbeat régulier, souvent derrière la même IP
+const deviceLimiter = buildLimiter({
+  name: "device",
+  windowMs: 15 * 60 * 1000,
+  max: 900,
+  message: "Trop de requêtes contrôleur. Réessaie plus tard.",
+});
+
 app.use(globalLimiter);
 
 /* =========================================================
@@ -357,10 +382,16 @@ app.use(userRoutes);
 app.use(accountRoutes);
 
 app.use(paymentLimiter, paymentRoutes);
+app.post("/api/verify-cart", optionalAuthMiddleware, anonymousHoldLimiter);
 app.use(paymentLimiter, reservationRoutes);
 app.use(paymentLimiter, passRoutes);
+app.use(paymentLimiter, groupBookingRoutes);
+app.use(paymentLimiter, giftCardRoutes);
 app.use(chestLimiter, chestRoutes);
 app.use(guestLimiter, reviewRoutes);
+app.use(guestLimiter, waitlistRoutes);
+app.use(guestLimiter, participantRoutes);
+app.use(deviceLimiter, deviceRoutes);
 app.use(adminLimiter, adminRoutes);
 
 /* =========================================================
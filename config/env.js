@@ -1,7 +1,10 @@
 // backend/config/env.js
 
+import crypto from "crypto";
 import dotenv from "dotenv";
 
+import { MAX_ALLOWED_PERSONS } from "../constants/booking.js";
+
 dotenv.config();
 
 function readEnv(name, fallback = "") {
@@ -40,6 +43,24 @@ function readNumberEnv(name, fallback) {
   return Number.isFinite(value) ? value : fallback;
 }
 
+// Clés PEM sur une ligne : les "\n" littéraux sont remis en retours à la ligne
+function readPemEnv(name) {
+  return readEnv(name).replace(/\\n/g, "\n");
+}
+
+function readNumberListEnv(name, fallback = []) {
+  const raw = readEnv(name, "");
+
+  if (!raw) return fallback;
+
+  const values = raw
+    .split(",")
+    .map((part) => Number(part.trim()))
+    .filter((value) => Number.isFinite(value));
+
+  return values.length > 0 ? values : fallback;
+}
+
 export const STRIPE_SECRET_KEY = readEnv("STRIPE_SECRET_KEY");
 export const STRIPE_WEBHOOK_SECRET = readEnv("STRIPE_WEBHOOK_SECRET");
 
@@ -68,8 +89,64 @@ export const REVIEW_REQUEST_EXPIRY_DAYS = Math.max(
 );
 
 export const JWT_SECRET = readEnv("JWT_SECRET");
+
+// Sessions utilisateur : access token court + refresh token rotatif
+export const ACCESS_TOKEN_TTL_MINUTES = Math.max(
+  1,
+  readNumberEnv("ACCESS_TOKEN_TTL_MINUTES", 15)
+);
+
+export const REFRESH_TOKEN_TTL_DAYS = Math.max(
+  1,
+  readNumberEnv("REFRESH_TOKEN_TTL_DAYS", 30)
+);
+
+// Réinitialisation du mot de passe / vérification email
+export const PASSWORD_RESET_TOKEN_TTL_MINUTES = Math.max(
+  5,
+  readNumberEnv("PASSWORD_RESET_TOKEN_TTL_MINUTES", 60)
+);
+
+export const EMAIL_VERIFICATION_TOKEN_TTL_HOURS = Math.max(
+  1,
+  readNumberEnv("EMAIL_VERIFICATION_TOKEN_TTL_HOURS", 48)
+);
+
+export const REQUIRE_EMAIL_VERIFICATION = readBooleanEnv(
+  "REQUIRE_EMAIL_VERIFICATION",
+  false
+);
+
 export const PORT = Math.max(1, readNumberEnv("PORT", 3000));
 
+// Blocage temporaire des créneaux pendant le paiement
+export const SLOT_HOLD_TTL_MINUTES = Math.min(
+  Math.max(readNumberEnv("SLOT_HOLD_TTL_MINUTES", 10), 1),
+  60
+);
+
+// Tarification dynamique (règles tarifaires avec plancher / plafond)
+export const DYNAMIC_PRICING_ENABLED = readBooleanEnv("DYNAMIC_PRICING_ENABLED", false);
+
+// Historique de remplissage pris en compte (semaines)
+export const DYNAMIC_PRICING_HISTORY_WEEKS = Math.min(
+  Math.max(readNumberEnv("DYNAMIC_PRICING_HISTORY_WEEKS", 8), 1),
+  52
+);
+
+// Au-delà de cet horizon, seul l'historique compte ; en deçà, le
+// remplissage réel du jour prend progressivement le relais
+export const DYNAMIC_PRICING_LEAD_HORIZON_DAYS = Math.min(
+  Math.max(readNumberEnv("DYNAMIC_PRICING_LEAD_HORIZON_DAYS", 14), 1),
+  90
+);
+
+// Fenêtre de priorité accordée à une personne en liste d'attente
+export const WAITLIST_PRIORITY_WINDOW_MINUTES = Math.min(
+  Math.max(readNumberEnv("WAITLIST_PRIORITY_WINDOW_MINUTES", 30), 5),
+  24 * 60
+);
+
 // Scheduler auto des demandes d'avis
 export const ENABLE_REVIEW_REQUEST_SCHEDULER = readBooleanEnv(
   "ENABLE_REVIEW_REQUEST_SCHEDULER",
@@ -91,6 +168,231 @@ export const REVIEW_REQUEST_BATCH_LIMIT = Math.min(
   100
 );
 
+// Scheduler de tâches interne (jobs nommés, verrou partagé via Supabase)
+export const ENABLE_JOB_SCHEDULER = readBooleanEnv("ENABLE_JOB_SCHEDULER", true);
+
+export const JOB_LOCK_TTL_MS = Math.max(
+  60_000,
+  readNumberEnv("JOB_LOCK_TTL_MS", 15 * 60 * 1000)
+);
+
+export const POST_SESSION_JOB_INTERVAL_MS = Math.max(
+  60_000,
+  readNumberEnv("POST_SESSION_JOB_INTERVAL_MS", 15 * 60 * 1000)
+);
+
+export const POST_SESSION_JOB_BATCH_LIMIT = Math.min(
+  Math.max(readNumberEnv("POST_SESSION_JOB_BATCH_LIMIT", 50), 1),
+  100
+);
+
+export const PASS_EXPIRY_JOB_INTERVAL_MS = Math.max(
+  60_000,
+  readNumberEnv("PASS_EXPIRY_JOB_INTERVAL_MS", 6 * 60 * 60 * 1000)
+);
+
+export const WAITLIST_JOB_INTERVAL_MS = Math.max(
+  60_000,
+  readNumberEnv("WAITLIST_JOB_INTERVAL_MS", 5 * 60 * 1000)
+);
+
+// Rappels avant séance et file de notifications
+export const ENABLE_SESSION_REMINDERS = readBooleanEnv(
+  "ENABLE_SESSION_REMINDERS",
+  true
+);
+
+export const SESSION_REMINDER_OFFSETS_HOURS = [
+  ...new Set(
+    readNumberListEnv("SESSION_REMINDER_OFFSETS_HOURS", [24, 2]).filter(
+      (hours) => hours > 0 && hours <= 7 * 24
+    )
+  ),
+].sort((a, b) => b - a);
+
+export const SESSION_REMINDER_JOB_INTERVAL_MS = Math.max(
+  60_000,
+  readNumberEnv("SESSION_REMINDER_JOB_INTERVAL_MS", 10 * 60 * 1000)
+);
+
+export const NOTIFICATION_QUEUE_JOB_INTERVAL_MS = Math.max(
+  30_000,
+  readNumberEnv("NOTIFICATION_QUEUE_JOB_INTERVAL_MS", 2 * 60 * 1000)
+);
+
+export const NOTIFICATION_MAX_ATTEMPTS = Math.min(
+  Math.max(readNumberEnv("NOTIFICATION_MAX_ATTEMPTS", 5), 1),
+  20
+);
+
+// Check-in porte et absences (no-show)
+// Les réservations terminées avant cette date ne sont jamais passées en no_show
+// (aucun check-in n'était enregistré avant). Vide = détection désactivée.
+export const NO_SHOW_TRACKING_START_AT = readEnv("NO_SHOW_TRACKING_START_AT");
+
+export const NO_SHOW_GRACE_MINUTES = Math.min(
+  Math.max(readNumberEnv("NO_SHOW_GRACE_MINUTES", 15), 0),
+  24 * 60
+);
+
+export const NO_SHOW_JOB_INTERVAL_MS = Math.max(
+  60_000,
+  readNumberEnv("NO_SHOW_JOB_INTERVAL_MS", 15 * 60 * 1000)
+);
+
+// QR d'accès signés en RS256 : le serveur garde la clé privée, les lecteurs
+// de porte ne reçoivent que la clé publique (vérification hors ligne sans
+// pouvoir fabriquer de QR). Sans clé valide, le serveur refuse de démarrer :
+// les emails de confirmation et de rappel ne pourraient pas contenir de QR.
+export const QR_TOKEN_ALGORITHM = "RS256";
+
+function loadQrTokenKeys() {
+  const privatePem = readPemEnv("QR_TOKEN_PRIVATE_KEY");
+
+  if (!privatePem) {
+    throw new Error(
+      "QR_TOKEN_PRIVATE_KEY manquante dans .env : clé RSA privée (PEM) requise pour signer les QR d'accès"
+    );
+  }
+
+  let privateKey;
+  try {
+    privateKey = crypto.createPrivateKey(privatePem);
+  } catch {
+    throw new Error("QR_TOKEN_PRIVATE_KEY invalide : clé RSA privée au format PEM attendue");
+  }
+
+  if (privateKey.asymmetricKeyType !== "rsa") {
+    throw new Error("QR_TOKEN_PRIVATE_KEY doit être une clé RSA (signature RS256)");
+  }
+
+  return {
+    privateKey: privatePem,
+    publicKey: crypto
+      .createPublicKey(privateKey)
+      .export({ type: "spki", format: "pem" })
+      .toString(),
+  };
+}
+
+const QR_TOKEN_KEYS = loadQrTokenKeys();
+
+export const QR_TOKEN_PRIVATE_KEY = QR_TOKEN_KEYS.privateKey;
+export const QR_TOKEN_PUBLIC_KEY = QR_TOKEN_KEYS.publicKey;
+
+export const QR_ACCESS_MARGIN_BEFORE_MINUTES = Math.min(
+  Math.max(readNumberEnv("QR_ACCESS_MARGIN_BEFORE_MINUTES", 5), 0),
+  60
+);
+
+// Anciens QR (?id=...) déjà envoyés pour des réservations à venir : acceptés
+// par défaut, à passer à false une fois ces réservations écoulées
+export const ALLOW_LEGACY_QR_ID_CHECK = readBooleanEnv(
+  "ALLOW_LEGACY_QR_ID_CHECK",
+  true
+);
+
+// Contrôleurs de porte : durée de validité d'une commande d'ouverture à distance
+export const DOOR_COMMAND_TTL_SECONDS = Math.min(
+  Math.max(readNumberEnv("DOOR_COMMAND_TTL_SECONDS", 60), 10),
+  600
+);
+
+// Réservations de groupe à paiement partagé
+// Délai laissé aux participants pour régler leur part (borné par le début de séance)
+export const GROUP_BOOKING_FUNDING_WINDOW_HOURS = Math.min(
+  Math.max(readNumberEnv("GROUP_BOOKING_FUNDING_WINDOW_HOURS", 24), 1),
+  24 * 7
+);
+
+export const GROUP_BOOKING_DEADLINE_BEFORE_START_HOURS = Math.min(
+  Math.max(readNumberEnv("GROUP_BOOKING_DEADLINE_BEFORE_START_HOURS", 2), 0),
+  72
+);
+
+// Participants hors organisateur : une part par personne, box limitée à MAX_ALLOWED_PERSONS
+export const GROUP_BOOKING_MAX_PARTICIPANTS = Math.min(
+  Math.max(readNumberEnv("GROUP_BOOKING_MAX_PARTICIPANTS", MAX_ALLOWED_PERSONS - 1), 1),
+  MAX_ALLOWED_PERSONS - 1
+);
+
+export const GROUP_BOOKING_JOB_INTERVAL_MS = Math.max(
+  60_000,
+  readNumberEnv("GROUP_BOOKING_JOB_INTERVAL_MS", 5 * 60 * 1000)
+);
+
+// Attribution rétroactive des badges créés ou modifiés par l'admin
+export const BADGE_BACKFILL_JOB_INTERVAL_MS = Math.max(
+  60_000,
+  readNumberEnv("BADGE_BACKFILL_JOB_INTERVAL_MS", 5 * 60 * 1000)
+);
+
+export const BADGE_BACKFILL_BATCH_SIZE = Math.min(
+  Math.max(readNumberEnv("BADGE_BACKFILL_BATCH_SIZE", 100), 1),
+  500
+);
+
+// Gamification incrémentale : reconstructions demandées et événements en attente
+export const GAMIFICATION_SYNC_JOB_INTERVAL_MS = Math.max(
+  60_000,
+  readNumberEnv("GAMIFICATION_SYNC_JOB_INTERVAL_MS", 5 * 60 * 1000)
+);
+
+export const GAMIFICATION_SYNC_BATCH_SIZE = Math.min(
+  Math.max(readNumberEnv("GAMIFICATION_SYNC_BATCH_SIZE", 50), 1),
+  500
+);
+
+// Pass : partage avec des amis et prolongation payante de la validité
+export const PASS_SHARE_MAX_MEMBERS = Math.min(
+  Math.max(readNumberEnv("PASS_SHARE_MAX_MEMBERS", 4), 1),
+  20
+);
+
+// Places qu'un ami peut utiliser sur un pass partagé, si le titulaire
+// n'a pas fixé d'autre limite
+export const PASS_SHARE_MEMBER_MAX_PLACES = Math.min(
+  Math.max(readNumberEnv("PASS_SHARE_MEMBER_MAX_PLACES", 2), 1),
+  50
+);
+
+export const PASS_EXTENSION_MONTHS = Math.min(
+  Math.max(readNumberEnv("PASS_EXTENSION_MONTHS", 1), 1),
+  12
+);
+
+export const PASS_EXTENSION_PRICE_EUR = Math.max(
+  readNumberEnv("PASS_EXTENSION_PRICE_EUR", 15),
+  1
+);
+
+export const PASS_EXTENSION_MAX_COUNT = Math.min(
+  Math.max(readNumberEnv("PASS_EXTENSION_MAX_COUNT", 2), 0),
+  12
+);
+
+// Délai pendant lequel un pass expiré peut encore être prolongé
+export const PASS_EXTENSION_GRACE_DAYS = Math.min(
+  Math.max(readNumberEnv("PASS_EXTENSION_GRACE_DAYS", 30), 0),
+  365
+);
+
+// Cartes cadeaux (montant libre entre min et max, validité en mois)
+export const GIFT_CARD_MIN_AMOUNT_EUR = Math.max(
+  readNumberEnv("GIFT_CARD_MIN_AMOUNT_EUR", 10),
+  1
+);
+
+export const GIFT_CARD_MAX_AMOUNT_EUR = Math.max(
+  readNumberEnv("GIFT_CARD_MAX_AMOUNT_EUR", 500),
+  GIFT_CARD_MIN_AMOUNT_EUR
+);
+
+export const GIFT_CARD_VALIDITY_MONTHS = Math.min(
+  Math.max(readNumberEnv("GIFT_CARD_VALIDITY_MONTHS", 12), 1),
+  60
+);
+
 // Logs utiles mais non bloquants pour éviter de casser le déploiement
 if (!STRIPE_SECRET_KEY) {
   console.error("❌ STRIPE_SECRET_KEY manquante dans .env");
@@ -122,6 +424,10 @@ if (!CRON_SECRET) {
   console.warn("⚠️ CRON_SECRET manquant : la route cron sécurisée ne fonctionnera pas");
 }
 
+if (!NO_SHOW_TRACKING_START_AT) {
+  console.warn("⚠️ NO_SHOW_TRACKING_START_AT vide : détection des no-show désactivée");
+}
+
 if (!FRONTEND_BASE_URL) {
   console.warn("⚠️ FRONTEND_BASE_URL vide");
 }
@@ -134,8 +440,26 @@ console.log("✅ Config env chargée", {
   port: PORT,
   frontendBaseUrl: FRONTEND_BASE_URL,
   backendBaseUrl: BACKEND_BASE_URL,
+  jobSchedulerEnabled: ENABLE_JOB_SCHEDULER,
+  sessionRemindersEnabled: ENABLE_SESSION_REMINDERS,
+  sessionReminderOffsetsHours: SESSION_REMINDER_OFFSETS_HOURS,
   reviewSchedulerEnabled: ENABLE_REVIEW_REQUEST_SCHEDULER,
   reviewSchedulerIntervalMs: REVIEW_REQUEST_SCHEDULER_INTERVAL_MS,
   reviewSchedulerInitialDelayMs: REVIEW_REQUEST_SCHEDULER_INITIAL_DELAY_MS,
   reviewSchedulerBatchLimit: REVIEW_REQUEST_BATCH_LIMIT,
+  requireEmailVerification: REQUIRE_EMAIL_VERIFICATION,
+  slotHoldTtlMinutes: SLOT_HOLD_TTL_MINUTES,
+  dynamicPricingEnabled: DYNAMIC_PRICING_ENABLED,
+  waitlistPriorityWindowMinutes: WAITLIST_PRIORITY_WINDOW_MINUTES,
+  noShowTrackingStartAt: NO_SHOW_TRACKING_START_AT || null,
+  allowLegacyQrIdCheck: ALLOW_LEGACY_QR_ID_CHECK,
+  groupBookingFundingWindowHours: GROUP_BOOKING_FUNDING_WINDOW_HOURS,
+  badgeBackfillBatchSize: BADGE_BACKFILL_BATCH_SIZE,
+  gamificationSyncBatchSize: GAMIFICATION_SYNC_BATCH_SIZE,
+  giftCardAmountRangeEur: [GIFT_CARD_MIN_AMOUNT_EUR, GIFT_CARD_MAX_AMOUNT_EUR],
+  passExtension: {
+    months: PASS_EXTENSION_MONTHS,
+    priceEur: PASS_EXTENSION_PRICE_EUR,
+    maxCount: PASS_EXTENSION_MAX_COUNT,
+  },
 });
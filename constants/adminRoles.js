@@ -0,0 +1,67 @@
+// backend/constants/adminRoles.js
+
+export const ADMIN_PERMISSIONS = {
+  RESERVATIONS_READ: "reservations.read",
+  RESERVATIONS_MANAGE: "reservations.manage",
+  FREE_RESERVATIONS_CREATE: "reservations.create_free",
+  DEPOSITS_MANAGE: "deposits.manage",
+  SINGCOINS_CREDIT: "singcoins.credit",
+  REPORTS_READ: "reports.read",
+  DOORS_READ: "doors.read",
+  DOORS_UNLOCK: "doors.unlock",
+  DOORS_MANAGE: "doors.manage",
+  CATALOG_READ: "catalog.read",
+  CATALOG_MANAGE: "catalog.manage",
+  PRICING_READ: "pricing.read",
+  PRICING_MANAGE: "pricing.manage",
+  JOBS_READ: "jobs.read",
+  JOBS_RUN: "jobs.run",
+  GAMIFICATION_READ: "gamification.read",
+  GAMIFICATION_MANAGE: "gamification.manage",
+  AUDIT_READ: "audit.read",
+  ADMIN_ROLES_MANAGE: "admin_roles.manage",
+};
+
+export const ADMIN_ROLES = {
+  OWNER: "owner",
+  MANAGER: "manager",
+  FRONT_DESK: "front_desk",
+  READ_ONLY: "read_only",
+};
+
+// Rôle appliqué aux lignes admin_users créées avant les rôles (role null)
+export const LEGACY_ADMIN_ROLE = ADMIN_ROLES.OWNER;
+
+const P = ADMIN_PERMISSIONS;
+
+const READ_PERMISSIONS = [
+  P.RESERVATIONS_READ,
+  P.REPORTS_READ,
+  P.DOORS_READ,
+  P.CATALOG_READ,
+  P.PRICING_READ,
+  P.JOBS_READ,
+  P.GAMIFICATION_READ,
+];
+
+export const ADMIN_ROLE_PERMISSIONS = Object.freeze({
+  [ADMIN_ROLES.OWNER]: Object.values(P),
+  [ADMIN_ROLES.MANAGER]: Object.values(P).filter(
+    (permission) =>
+      permission !== P.SINGCOINS_CREDIT && permission !== P.ADMIN_ROLES_MANAGE
+  ),
+  [ADMIN_ROLES.FRONT_DESK]: [
+    ...READ_PERMISSIONS,
+    P.RESERVATIONS_MANAGE,
+    P.DEPOSITS_MANAGE,
+    P.DOORS_UNLOCK,
+  ],
+  [ADMIN_ROLES.READ_ONLY]: READ_PERMISSIONS,
+});
+
+export const ADMIN_ROLE_LABELS = {
+  [ADMIN_ROLES.OWNER]: "Propriétaire",
+  [ADMIN_ROLES.MANAGER]: "Manager",
+  [ADMIN_ROLES.FRONT_DESK]: "Accueil",
+  [ADMIN_ROLES.READ_ONLY]: "Lecture seule",
+};
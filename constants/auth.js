@@ -0,0 +1,8 @@
+// backend/constants/auth.js
+
+export const AUTH_TOKEN_BYTES = 32;
+
+export const AUTH_TOKEN_PURPOSES = {
+  PASSWORD_RESET: "password_reset",
+  EMAIL_VERIFICATION: "email_verification",
+};
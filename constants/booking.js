@@ -11,11 +11,15 @@ export const MIN_ALLOWED_PERSONS = 1;
 export const MAX_ALLOWED_PERSONS = 8;
 export const MIN_BILLABLE_PERSONS = 2;
 
+// Fenêtre maximale (en jours) couverte par une requête de grille de disponibilité
+export const AVAILABILITY_MAX_RANGE_DAYS = 14;
+
 export const SINGCOINS_REWARD_COST = 100;
 export const SINGCOINS_FREE_BILLABLE_PERSONS = 2;
 
 /**
- * Nouvelle grille tarifaire Singbox
+ * Grille tarifaire historique Singbox : reprise par pricingRuleService
+ * comme règles par défaut (quand aucune règle publiée ne s'applique).
  *
  * Règles :
  * - Semaine (lundi à jeudi)
@@ -76,6 +80,7 @@ export const CANCELLED_OR_REFUNDED_STATUSES = [
 ];
 
 export const RESERVATION_COMPLETED_STATUS = "completed";
+export const RESERVATION_NO_SHOW_STATUS = "no_show";
 
 export const FREE_SESSION_SOURCE_TYPES = {
   REFERRAL: "referral",
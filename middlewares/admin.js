@@ -1,9 +1,15 @@
 // backend/middlewares/admin.js
 
-import jwt from "jsonwebtoken";
-
 import { CRON_SECRET, JWT_SECRET } from "../config/env.js";
 import { supabase } from "../config/supabase.js";
+import {
+  verifyAccessToken,
+  isAccessTokenRevoked,
+} from "../services/sessionService.js";
+import {
+  getAdminRolePermissions,
+  normalizeAdminRole,
+} from "../services/adminUserService.js";
 
 function extractBearerToken(req) {
   const authHeader = String(req?.headers?.authorization || "").trim();
@@ -28,11 +34,18 @@ function hasSupabase() {
   return !!supabase;
 }
 
-function buildAuthUser({ id = null, email = null, isAdmin = false, source = null }) {
+function buildAuthUser({
+  id = null,
+  email = null,
+  isAdmin = false,
+  adminRole = null,
+  source = null,
+}) {
   return {
     id,
     email: email || null,
     is_admin: !!isAdmin,
+    admin_role: adminRole || null,
     auth_source: source || null,
   };
 }
@@ -40,6 +53,13 @@ function buildAuthUser({ id = null, email = null, isAdmin = false, source = null
 function applyRequestUser(req, user) {
   req.user = user;
   req.userId = user?.id || null;
+  req.adminRole = user?.admin_role || null;
+  // Permissions du rôle pour un admin ; aucune pour un non-admin ou le cron
+  // (les routes cron passent par allowCron, pas par les permissions)
+  req.adminPermissions =
+    user?.is_admin && user?.auth_source !== "cron"
+      ? getAdminRolePermissions(user.admin_role)
+      : [];
 }
 
 export function isCronAuthorized(req) {
@@ -61,20 +81,17 @@ async function resolveAppJwtUser(token) {
     return null;
   }
 
-  const decoded = jwt.verify(token, JWT_SECRET, {
-    algorithms: ["HS256"],
-  });
-
-  const userId = decoded?.userId || decoded?.id || null;
-
-  if (!userId) {
-    return null;
-  }
+  const decoded = verifyAccessToken(token);
+  const userId = decoded.userId;
 
   if (!hasSupabase()) {
     throw new Error("Supabase non configuré");
   }
 
+  if (await isAccessTokenRevoked(decoded)) {
+    return null;
+  }
+
   const { data: user, error } = await supabase
     .from("users")
     .select("id, email")
@@ -145,7 +162,7 @@ async function findAdminRowForUser(user) {
 
   const { data: adminByUserId, error: adminByUserIdError } = await supabase
     .from("admin_users")
-    .select("user_id, email")
+    .select("user_id, email, role")
     .eq("user_id", user.id)
     .maybeSingle();
 
@@ -165,7 +182,7 @@ async function findAdminRowForUser(user) {
 
   const { data: adminByEmail, error: adminByEmailError } = await supabase
     .from("admin_users")
-    .select("user_id, email")
+    .select("user_id, email, role")
     .ilike("email", normalizedUserEmail)
     .maybeSingle();
 
@@ -194,19 +211,36 @@ async function resolveSupabaseUserAndAdmin(req) {
   }
 
   const adminRow = await findAdminRowForUser(user);
+  const adminRole = adminRow ? normalizeAdminRole(adminRow.role) : null;
 
   const requestUser = buildAuthUser({
     id: user.id,
     email: user.email || null,
-    isAdmin: !!adminRow,
+    isAdmin: !!adminRole,
+    adminRole,
     source: user.source || null,
   });
 
   applyRequestUser(req, requestUser);
 
-  return { ok: true, isAdmin: !!adminRow };
+  return { ok: true, isAdmin: !!adminRole };
 }
 
+function applyCronUser(req) {
+  req.isCron = true;
+
+  applyRequestUser(
+    req,
+    buildAuthUser({
+      id: null,
+      email: null,
+      isAdmin: true,
+      source: "cron",
+    })
+  );
+}
+
+// N'importe quel rôle admin : préférer requireAdminPermission sur les routes
 export async function requireSupabaseAdmin(req, res, next) {
   try {
     const result = await resolveSupabaseUserAndAdmin(req);
@@ -230,18 +264,7 @@ export async function requireSupabaseAdmin(req, res, next) {
 export async function requireAdminOrCron(req, res, next) {
   try {
     if (isCronAuthorized(req)) {
-      req.isCron = true;
-
-      applyRequestUser(
-        req,
-        buildAuthUser({
-          id: null,
-          email: null,
-          isAdmin: true,
-          source: "cron",
-        })
-      );
-
+      applyCronUser(req);
       return next();
     }
 
@@ -262,3 +285,41 @@ export async function requireAdminOrCron(req, res, next) {
     return res.status(500).json({ error: "Erreur serveur auth admin" });
   }
 }
+
+/**
+ * Middleware admin par permission (voir constants/adminRoles.js).
+ * allowCron : la route accepte aussi le secret cron (tâches planifiées).
+ */
+export function requireAdminPermission(permission, { allowCron = false } = {}) {
+  return async function requireAdminPermissionMiddleware(req, res, next) {
+    try {
+      if (allowCron && isCronAuthorized(req)) {
+        applyCronUser(req);
+        return next();
+      }
+
+      const result = await resolveSupabaseUserAndAdmin(req);
+
+      if (!result.ok) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      if (!result.isAdmin) {
+        return res.status(403).json({ error: "Accès admin requis" });
+      }
+
+      if (!req.adminPermissions.includes(permission)) {
+        return res.status(403).json({
+          error: "Permission admin insuffisante",
+          permission,
+        });
+      }
+
+      req.isCron = false;
+      return next();
+    } catch (error) {
+      console.error("❌ requireAdminPermission error:", error);
+      return res.status(500).json({ error: "Erreur serveur auth admin" });
+    }
+  };
+}
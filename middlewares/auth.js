@@ -1,7 +1,9 @@
 // backend/middlewares/auth.js
 
-import jwt from "jsonwebtoken";
-import { JWT_SECRET } from "../config/env.js";
+import {
+  verifyAccessToken,
+  isAccessTokenRevoked,
+} from "../services/sessionService.js";
 
 function extractBearerToken(req) {
   const authHeader = req.headers.authorization || "";
@@ -14,47 +16,25 @@ function extractBearerToken(req) {
   return token || null;
 }
 
-function normalizeDecodedToken(decoded) {
-  if (!decoded || typeof decoded !== "object") {
-    throw new Error("Payload token invalide");
-  }
-
-  const userId = decoded.userId || decoded.id || null;
-
-  if (!userId) {
-    throw new Error("Payload token invalide");
-  }
-
-  return {
-    ...decoded,
-    userId,
-  };
-}
+async function verifyUserToken(token) {
+  const decoded = verifyAccessToken(token);
 
-function verifyUserToken(token) {
-  if (!JWT_SECRET) {
-    throw new Error("JWT_SECRET manquant");
+  if (await isAccessTokenRevoked(decoded)) {
+    throw new Error("Session révoquée");
   }
 
-  if (!token) {
-    throw new Error("Token manquant");
-  }
-
-  const decoded = jwt.verify(token, JWT_SECRET, {
-    algorithms: ["HS256"],
-  });
-
-  return normalizeDecodedToken(decoded);
+  return decoded;
 }
 
 function buildAuthUser(decoded) {
   return {
     ...decoded,
     userId: decoded.userId,
+    sessionId: decoded.sid || null,
   };
 }
 
-export function authMiddleware(req, res, next) {
+export async function authMiddleware(req, res, next) {
   try {
     const token = extractBearerToken(req);
 
@@ -62,7 +42,7 @@ export function authMiddleware(req, res, next) {
       return res.status(401).json({ error: "Token manquant" });
     }
 
-    const decoded = verifyUserToken(token);
+    const decoded = await verifyUserToken(token);
 
     req.user = buildAuthUser(decoded);
     req.userId = decoded.userId;
@@ -71,16 +51,29 @@ export function authMiddleware(req, res, next) {
   } catch (error) {
     console.error("❌ Auth error:", error.message);
 
-    return res.status(401).json({
-      error:
-        error.message === "JWT_SECRET manquant"
-          ? "Authentification indisponible"
-          : "Token invalide",
-    });
+    if (error.message === "JWT_SECRET manquant") {
+      return res.status(401).json({ error: "Authentification indisponible" });
+    }
+
+    if (error.message === "Session révoquée") {
+      return res.status(401).json({
+        error: "Session expirée, reconnecte-toi",
+        code: "SESSION_REVOKED",
+      });
+    }
+
+    if (error.name === "TokenExpiredError") {
+      return res.status(401).json({
+        error: "Token expiré",
+        code: "TOKEN_EXPIRED",
+      });
+    }
+
+    return res.status(401).json({ error: "Token invalide" });
   }
 }
 
-export function optionalAuthMiddleware(req, res, next) {
+export async function optionalAuthMiddleware(req, res, next) {
   try {
     const token = extractBearerToken(req);
 
@@ -90,7 +83,7 @@ export function optionalAuthMiddleware(req, res, next) {
       return next();
     }
 
-    const decoded = verifyUserToken(token);
+    const decoded = await verifyUserToken(token);
 
     req.user = buildAuthUser(decoded);
     req.userId = decoded.userId;
@@ -0,0 +1,40 @@
+// backend/middlewares/device.js
+
+import { supabase } from "../config/supabase.js";
+import { authenticateDoorDevice } from "../services/doorDeviceService.js";
+
+function extractDeviceKey(req) {
+  const headerKey = String(req?.headers?.["x-device-key"] || "").trim();
+  if (headerKey) return headerKey;
+
+  const authHeader = String(req?.headers?.authorization || "").trim();
+  if (authHeader.startsWith("Device ")) {
+    return authHeader.slice("Device ".length).trim() || null;
+  }
+
+  return null;
+}
+
+export async function requireDoorDevice(req, res, next) {
+  try {
+    if (!supabase) {
+      return res.status(500).json({ error: "Supabase non configuré" });
+    }
+
+    const apiKey = extractDeviceKey(req);
+    if (!apiKey) {
+      return res.status(401).json({ error: "Clé contrôleur manquante" });
+    }
+
+    const device = await authenticateDoorDevice(apiKey);
+    if (!device) {
+      return res.status(401).json({ error: "Clé contrôleur invalide" });
+    }
+
+    req.device = device;
+    return next();
+  } catch (error) {
+    console.error("❌ requireDoorDevice error:", error);
+    return res.status(500).json({ error: "Erreur serveur auth contrôleur" });
+  }
+}
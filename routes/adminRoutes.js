@@ -2,9 +2,10 @@ import express from "express";
 
 import { supabase } from "../config/supabase.js";
 import {
+  requireAdminPermission,
   requireSupabaseAdmin,
-  requireAdminOrCron,
 } from "../middlewares/admin.js";
+import { ADMIN_PERMISSIONS } from "../constants/adminRoles.js";
 
 import {
   getNumericBoxId,
@@ -18,8 +19,22 @@ import {
 } from "../services/pricingService.js";
 
 import {
-  hasReservationConflict,
+  getSlotAvailability,
+  searchReservations,
+  RESERVATION_SEARCH_MAX_PAGE_SIZE,
 } from "../services/reservationService.js";
+import { toCsv } from "../utils/formatters.js";
+import { addDaysToDateString, parseDateOrNull } from "../utils/dates.js";
+import {
+  REPORT_GROUP_BY,
+  buildReservationReport,
+  validateReportRange,
+} from "../services/reportService.js";
+
+import {
+  BOX_UNAVAILABILITY_REASONS,
+  getBoxUnavailabilityLabel,
+} from "../services/boxService.js";
 
 import {
   getReservationById,
@@ -30,9 +45,79 @@ import {
 import { sendReservationEmail } from "../services/emailService.js";
 import {
   processReservationGamification,
+  processReservationGamificationReversal,
   getUserGamificationSnapshot,
+  rebuildUserGamification,
+  requestGlobalGamificationRebuild,
 } from "../services/gamificationService.js";
 
+import { processExpiredWaitlistPriorities } from "../services/waitlistService.js";
+import {
+  createDoorDevice,
+  getDoorDeviceById,
+  listDoorAccessLogs,
+  listDoorDevices,
+  requestDoorUnlock,
+  rotateDoorDeviceApiKey,
+  setDoorDeviceActive,
+  toPublicDoorDevice,
+} from "../services/doorDeviceService.js";
+import {
+  getRegisteredJob,
+  listJobs,
+  runJob,
+} from "../services/jobSchedulerService.js";
+import { registerDefaultJobs } from "../services/scheduledJobs.js";
+import {
+  createPassProduct,
+  getPassProductById,
+  listPassProductVersions,
+  listPassProducts,
+  readPassProductPayload,
+  setPassProductActive,
+  updatePassProduct,
+} from "../services/passCatalogService.js";
+import {
+  PRICING_RULE_STATUSES,
+  createPricingRule,
+  listPricingRules,
+  loadPricingRules,
+  previewPricingForDate,
+  readPricingRulePayload,
+  setPricingRuleStatus,
+  toPublicPricingRule,
+  updatePricingRule,
+} from "../services/pricingRuleService.js";
+
+import {
+  createMission,
+  listMissions,
+  readMissionPayload,
+  setMissionActive,
+  toPublicMission,
+  updateMission,
+} from "../services/missionService.js";
+import {
+  createBadgeDefinition,
+  listBadgeDefinitions,
+  listBadgeRuleMetrics,
+  readBadgePayload,
+  setBadgeDefinitionActive,
+  toPublicBadgeDefinition,
+  updateBadgeDefinition,
+} from "../services/badgeRuleService.js";
+import {
+  searchAdminAuditLogs,
+  writeAdminAuditLog,
+} from "../services/adminAuditService.js";
+import {
+  addAdminUser,
+  listAdminRoles,
+  listAdminUsers,
+  removeAdminUser,
+  setAdminUserRole,
+} from "../services/adminUserService.js";
+
 import {
   processReservationPostSession,
   processFinishedReservationsPostSessionBatch,
@@ -44,34 +129,6 @@ import {
 
 const router = express.Router();
 
-async function writeAdminAuditLog(req, payload) {
-  try {
-    if (!supabase) return;
-
-    const actorUserId = req?.user?.id || null;
-    const actorEmail = req?.user?.email || null;
-    const actorType = req?.isCron ? "cron" : "admin";
-
-    const row = {
-      actor_user_id: actorUserId,
-      actor_email: actorEmail,
-      actor_type: actorType,
-      action: payload?.action || "unknown_action",
-      target_table: payload?.target_table || null,
-      target_id: payload?.target_id != null ? String(payload.target_id) : null,
-      metadata: payload?.metadata || {},
-    };
-
-    const { error } = await supabase.from("admin_audit_logs").insert(row);
-
-    if (error) {
-      console.error("Erreur admin_audit_logs insert :", error);
-    }
-  } catch (e) {
-    console.error("Erreur writeAdminAuditLog :", e);
-  }
-}
-
 function normalizeEmail(email) {
   return String(email || "").trim().toLowerCase();
 }
@@ -143,7 +200,28 @@ async function ensureReservationHasUserId(reservation) {
   }
 }
 
-router.post("/api/admin/create-free-reservation", requireSupabaseAdmin, async (req, res) => {
+/**
+ * Audite ligne par ligne (avant / après) les modifications d'un traitement
+ * par lot, puis retourne le résultat sans les instantanés.
+ */
+async function auditBatchChanges(req, result, { action, target_table, metadata }) {
+  const { changes = [], ...summary } = result || {};
+
+  for (const change of changes) {
+    await writeAdminAuditLog(req, {
+      action,
+      target_table: change.table || target_table,
+      target_id: change.id ?? null,
+      before: change.before ?? null,
+      after: change.after ?? null,
+      metadata: change.outcome ? { ...metadata, outcome: change.outcome } : metadata,
+    });
+  }
+
+  return summary;
+}
+
+router.post("/api/admin/create-free-reservation", requireAdminPermission(ADMIN_PERMISSIONS.FREE_RESERVATIONS_CREATE), async (req, res) => {
   try {
     if (!supabase) {
       return res.status(500).json({ error: "Supabase non configuré" });
@@ -198,16 +276,21 @@ router.post("/api/admin/create-free-reservation", requireSupabaseAdmin, async (r
 
     const { startIso, endIso } = buildSlotIsoRange(safeDate, hourFloat);
 
-    const hasConflict = await hasReservationConflict({
+    const availability = await getSlotAvailability({
       boxId: safeBoxId,
       startTime: startIso,
       endTime: endIso,
       localDate: safeDate,
+      persons: safePersons,
     });
 
-    if (hasConflict) {
+    if (!availability.available) {
       return res.status(409).json({
-        error: "Ce créneau est déjà réservé pour cette box",
+        error:
+          availability.reason === BOX_UNAVAILABILITY_REASONS.RESERVED
+            ? "Ce créneau est déjà réservé pour cette box"
+            : getBoxUnavailabilityLabel(availability.reason),
+        reason: availability.reason,
       });
     }
 
@@ -275,6 +358,7 @@ router.post("/api/admin/create-free-reservation", requireSupabaseAdmin, async (r
       action: "create_free_reservation",
       target_table: "reservations",
       target_id: insertedReservation.id,
+      after: insertedReservation,
       metadata: {
         email: insertedReservation.email || null,
         user_id: insertedReservation.user_id || null,
@@ -298,7 +382,7 @@ router.post("/api/admin/create-free-reservation", requireSupabaseAdmin, async (r
   }
 });
 
-router.post("/api/admin/mark-reservation-completed", requireSupabaseAdmin, async (req, res) => {
+router.post("/api/admin/mark-reservation-completed", requireAdminPermission(ADMIN_PERMISSIONS.RESERVATIONS_MANAGE), async (req, res) => {
   try {
     if (!supabase) {
       return res.status(500).json({ error: "Supabase non configuré" });
@@ -387,6 +471,8 @@ router.post("/api/admin/mark-reservation-completed", requireSupabaseAdmin, async
       action: "mark_reservation_completed",
       target_table: "reservations",
       target_id: finalReservation.id,
+      before: originalReservation,
+      after: finalReservation,
       metadata: {
         email: finalReservation.email || null,
         user_id: finalReservation.user_id || null,
@@ -415,7 +501,100 @@ router.post("/api/admin/mark-reservation-completed", requireSupabaseAdmin, async
   }
 });
 
-router.post("/api/admin/send-review-request", requireSupabaseAdmin, async (req, res) => {
+// Correction d'une validation à tort : la séance est retirée de la
+// gamification (événement reservation_uncompleted)
+router.post("/api/admin/revert-reservation-completed", requireAdminPermission(ADMIN_PERMISSIONS.RESERVATIONS_MANAGE), async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(500).json({ error: "Supabase non configuré" });
+    }
+
+    const body = req.body || {};
+    const reservationId = safeText(body.reservationId, 120);
+    const nextStatus = safeText(body.status, 20).toLowerCase() || "confirmed";
+    const reason = safeText(body.reason, 300);
+
+    if (!reservationId) {
+      return res.status(400).json({ error: "reservationId manquant" });
+    }
+
+    if (!["confirmed", "no_show"].includes(nextStatus)) {
+      return res.status(400).json({ error: "status invalide (confirmed ou no_show)" });
+    }
+
+    if (!reason) {
+      return res.status(400).json({ error: "Motif de la correction requis" });
+    }
+
+    const originalReservation = await getReservationById(reservationId);
+    if (!originalReservation) {
+      return res.status(404).json({ error: "Réservation introuvable" });
+    }
+
+    if (originalReservation.status !== "completed") {
+      return res.status(409).json({ error: "La réservation n'est pas complétée" });
+    }
+
+    const nowIso = new Date().toISOString();
+
+    const { data: updatedReservation, error: updateError } = await supabase
+      .from("reservations")
+      .update({
+        status: nextStatus,
+        completed_at: null,
+        no_show_at: nextStatus === "no_show" ? nowIso : null,
+        updated_at: nowIso,
+      })
+      .eq("id", reservationId)
+      .eq("status", "completed")
+      .select()
+      .maybeSingle();
+
+    if (updateError || !updatedReservation) {
+      console.error("Erreur revert reservation completed :", updateError);
+      return res.status(500).json({
+        error: "Impossible d'annuler la validation de la réservation",
+      });
+    }
+
+    let gamification = null;
+    let gamificationErrorMessage = null;
+
+    try {
+      gamification = await processReservationGamificationReversal(updatedReservation.id);
+    } catch (gErr) {
+      console.error("Erreur processReservationGamificationReversal :", gErr);
+      gamificationErrorMessage = gErr?.message || "Erreur gamification";
+    }
+
+    await writeAdminAuditLog(req, {
+      action: "revert_reservation_completed",
+      target_table: "reservations",
+      target_id: updatedReservation.id,
+      before: originalReservation,
+      after: updatedReservation,
+      metadata: {
+        reason,
+        previous_status: originalReservation.status || null,
+        new_status: updatedReservation.status || null,
+        gamification_error: gamificationErrorMessage,
+      },
+    });
+
+    return res.json({
+      success: true,
+      reservation: updatedReservation,
+      gamification,
+    });
+  } catch (e) {
+    console.error("Erreur /api/admin/revert-reservation-completed :", e);
+    return res.status(500).json({
+      error: "Erreur serveur lors de l'annulation de la validation",
+    });
+  }
+});
+
+router.post("/api/admin/send-review-request", requireAdminPermission(ADMIN_PERMISSIONS.RESERVATIONS_MANAGE), async (req, res) => {
   try {
     if (!supabase) {
       return res.status(500).json({ error: "Supabase non configuré" });
@@ -462,7 +641,7 @@ router.post("/api/admin/send-review-request", requireSupabaseAdmin, async (req,
   }
 });
 
-router.all("/api/admin/send-completed-review-requests", requireAdminOrCron, async (req, res) => {
+router.all("/api/admin/send-completed-review-requests", requireAdminPermission(ADMIN_PERMISSIONS.RESERVATIONS_MANAGE, { allowCron: true }), async (req, res) => {
   try {
     if (!supabase) {
       return res.status(500).json({ error: "Supabase non configuré" });
@@ -564,7 +743,7 @@ router.all("/api/admin/send-completed-review-requests", requireAdminOrCron, asyn
   }
 });
 
-router.post("/api/admin/process-post-session", requireSupabaseAdmin, async (req, res) => {
+router.post("/api/admin/process-post-session", requireAdminPermission(ADMIN_PERMISSIONS.RESERVATIONS_MANAGE), async (req, res) => {
   try {
     const { reservationId } = req.body || {};
 
@@ -598,32 +777,1179 @@ router.post("/api/admin/process-post-session", requireSupabaseAdmin, async (req,
   }
 });
 
-router.post("/api/admin/process-post-session-batch", requireAdminOrCron, async (req, res) => {
+router.post("/api/admin/process-post-session-batch", requireAdminPermission(ADMIN_PERMISSIONS.RESERVATIONS_MANAGE, { allowCron: true }), async (req, res) => {
   try {
     const incomingLimit =
       req.method === "GET" ? req.query?.limit : req.body?.limit;
 
     const limit = Math.min(Math.max(Number(incomingLimit || 20), 1), 100);
 
-    const result = await processFinishedReservationsPostSessionBatch(limit);
+    const result = await auditBatchChanges(
+      req,
+      await processFinishedReservationsPostSessionBatch(limit),
+      {
+        action: "process_post_session",
+        target_table: "reservations",
+        metadata: { mode: req.isCron ? "cron" : "admin", limit },
+      }
+    );
+
+    return res.json(result);
+  } catch (e) {
+    console.error("Erreur /api/admin/process-post-session-batch :", e);
+    return res.status(500).json({
+      error: "Erreur serveur lors du batch post-session",
+    });
+  }
+});
+
+router.post("/api/admin/process-waitlist", requireAdminPermission(ADMIN_PERMISSIONS.RESERVATIONS_MANAGE, { allowCron: true }), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.body?.limit || 50), 1), 200);
+
+    const result = await auditBatchChanges(
+      req,
+      await processExpiredWaitlistPriorities({ limit }),
+      {
+        action: "process_waitlist_entry",
+        target_table: "waitlist_entries",
+        metadata: { mode: req.isCron ? "cron" : "admin", limit },
+      }
+    );
+
+    return res.json({ success: true, ...result });
+  } catch (e) {
+    console.error("Erreur /api/admin/process-waitlist :", e);
+    return res.status(500).json({
+      error: "Erreur serveur lors du traitement de la liste d'attente",
+    });
+  }
+});
+
+/* =========================================================
+   RECHERCHE RÉSERVATIONS
+========================================================= */
+
+const RESERVATION_EXPORT_MAX_ROWS = 5000;
+
+const RESERVATION_CSV_COLUMNS = [
+  { key: "id", label: "id" },
+  { key: "date", label: "date", value: (r) => r.derived?.date || r.date },
+  { key: "start_time", label: "start_time" },
+  { key: "end_time", label: "end_time" },
+  { key: "box_id", label: "box_id" },
+  { key: "status", label: "status" },
+  { key: "name", label: "name" },
+  { key: "email", label: "email" },
+  { key: "persons", label: "persons", value: (r) => r.derived?.persons },
+  { key: "billable_persons", label: "billable_persons", value: (r) => r.derived?.billable_persons },
+  { key: "montant", label: "montant", value: (r) => r.derived?.montant },
+  { key: "free_session", label: "free_session", value: (r) => r.derived?.free_session },
+  { key: "promo_code", label: "promo_code" },
+  { key: "promo_discount_amount", label: "promo_discount_amount" },
+  { key: "singcoins_spent", label: "singcoins_spent", value: (r) => r.derived?.singcoins_spent },
+  { key: "paid_with_pass", label: "paid_with_pass" },
+  { key: "user_pass_id", label: "user_pass_id" },
+  { key: "pass_places_used", label: "pass_places_used" },
+  { key: "refunded_amount", label: "refunded_amount", value: (r) => r.derived?.refunded_amount },
+  { key: "payment_intent_id", label: "payment_intent_id" },
+  { key: "latest_payment_intent_id", label: "latest_payment_intent_id", value: (r) => r.derived?.latest_payment_intent_id },
+  { key: "session_minutes", label: "session_minutes", value: (r) => r.derived?.session_minutes },
+  { key: "created_at", label: "created_at" },
+];
+
+function isValidDateOnly(dateStr) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(dateStr || "").trim());
+}
+
+function readBooleanQuery(value) {
+  const raw = String(value ?? "").trim().toLowerCase();
+  if (["1", "true", "yes", "oui"].includes(raw)) return true;
+  if (["0", "false", "no", "non"].includes(raw)) return false;
+  return null;
+}
+
+function readReservationSearchFilters(query = {}) {
+  const from = safeText(query.from, 10);
+  const to = safeText(query.to, 10);
+
+  if ((from && !isValidDateOnly(from)) || (to && !isValidDateOnly(to))) {
+    return { error: "Dates invalides (format attendu YYYY-MM-DD)" };
+  }
+
+  if (from && to && from > to) {
+    return { error: "La date de début doit précéder la date de fin" };
+  }
+
+  const rawBoxId = safeText(query.box_id ?? query.boxId, 20);
+
+  return {
+    filters: {
+      from,
+      to,
+      boxId: rawBoxId ? getNumericBoxId(rawBoxId) : null,
+      status: safeText(query.status, 40),
+      email: safeText(query.email, 255),
+      paymentIntentId: safeText(query.payment_intent_id ?? query.paymentIntentId, 120),
+      promoCode: safeText(query.promo_code ?? query.promoCode, 80),
+      usesPass: readBooleanQuery(query.uses_pass ?? query.usesPass),
+    },
+  };
+}
+
+router.get("/api/admin/reservations", requireAdminPermission(ADMIN_PERMISSIONS.RESERVATIONS_READ), async (req, res) => {
+  try {
+    const { filters, error } = readReservationSearchFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await searchReservations({
+      filters,
+      page: req.query.page,
+      pageSize: req.query.page_size ?? req.query.pageSize,
+      sort: safeText(req.query.sort, 40),
+      order: req.query.order === "asc" ? "asc" : "desc",
+    });
+
+    return res.json({ success: true, filters, ...result });
+  } catch (e) {
+    console.error("Erreur /api/admin/reservations :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.get("/api/admin/reservations/export.csv", requireAdminPermission(ADMIN_PERMISSIONS.RESERVATIONS_READ), async (req, res) => {
+  try {
+    const { filters, error } = readReservationSearchFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const rows = [];
+    let page = 1;
+    let totalPages = 1;
+
+    do {
+      const result = await searchReservations({
+        filters,
+        page,
+        pageSize: RESERVATION_SEARCH_MAX_PAGE_SIZE,
+        sort: safeText(req.query.sort, 40),
+        order: req.query.order === "asc" ? "asc" : "desc",
+      });
+
+      rows.push(...result.reservations);
+      totalPages = result.pagination.totalPages;
+      page += 1;
+    } while (page <= totalPages && rows.length < RESERVATION_EXPORT_MAX_ROWS);
+
+    const csv = toCsv(rows.slice(0, RESERVATION_EXPORT_MAX_ROWS), RESERVATION_CSV_COLUMNS);
 
     await writeAdminAuditLog(req, {
-      action: "process_post_session_batch",
+      action: "export_reservations_csv",
       target_table: "reservations",
       target_id: null,
+      metadata: { filters, rowCount: Math.min(rows.length, RESERVATION_EXPORT_MAX_ROWS) },
+    });
+
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="reservations-${stamp}.csv"`
+    );
+
+    // BOM pour qu'Excel détecte l'UTF-8 (accents dans les noms)
+    return res.send(`\uFEFF${csv}`);
+  } catch (e) {
+    console.error("Erreur /api/admin/reservations/export.csv :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/* =========================================================
+   REPORTING
+========================================================= */
+
+router.get("/api/admin/reports/reservations", requireAdminPermission(ADMIN_PERMISSIONS.REPORTS_READ), async (req, res) => {
+  try {
+    const fromDate = safeText(req.query.from, 10);
+    const toDate = safeText(req.query.to, 10);
+    const groupBy = safeText(req.query.group_by ?? req.query.groupBy, 10) || "day";
+    const rawBoxId = safeText(req.query.box_id ?? req.query.boxId, 20);
+
+    const rangeError = validateReportRange(fromDate, toDate);
+    if (rangeError) {
+      return res.status(400).json({ error: rangeError });
+    }
+
+    if (!REPORT_GROUP_BY.includes(groupBy)) {
+      return res.status(400).json({
+        error: `group_by invalide (valeurs possibles : ${REPORT_GROUP_BY.join(", ")})`,
+      });
+    }
+
+    const report = await buildReservationReport({
+      fromDate,
+      toDate,
+      groupBy,
+      boxId: rawBoxId ? getNumericBoxId(rawBoxId) : null,
+    });
+
+    return res.json({ success: true, ...report });
+  } catch (e) {
+    console.error("Erreur /api/admin/reports/reservations :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/* =========================================================
+   CONTRÔLEURS DE PORTE
+========================================================= */
+
+router.get("/api/admin/door-devices", requireAdminPermission(ADMIN_PERMISSIONS.DOORS_READ), async (req, res) => {
+  try {
+    const rawBoxId = safeText(req.query.box_id ?? req.query.boxId, 20);
+    const devices = await listDoorDevices({
+      boxId: rawBoxId ? getNumericBoxId(rawBoxId) : null,
+    });
+
+    return res.json({ success: true, devices: devices.map(toPublicDoorDevice) });
+  } catch (e) {
+    console.error("Erreur /api/admin/door-devices :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.post("/api/admin/door-devices", requireAdminPermission(ADMIN_PERMISSIONS.DOORS_MANAGE), async (req, res) => {
+  try {
+    const rawBoxId = req.body?.boxId ?? req.body?.box_id;
+
+    if (rawBoxId == null || rawBoxId === "") {
+      return res.status(400).json({ error: "boxId manquant" });
+    }
+
+    const { device, apiKey } = await createDoorDevice({
+      name: req.body?.name,
+      boxId: getNumericBoxId(rawBoxId),
+    });
+
+    await writeAdminAuditLog(req, {
+      action: "create_door_device",
+      target_table: "door_devices",
+      target_id: device.id,
+      after: toPublicDoorDevice(device),
+      metadata: { box_id: device.box_id, name: device.name },
+    });
+
+    return res.status(201).json({
+      success: true,
+      device: toPublicDoorDevice(device),
+      // Affichée une seule fois : à saisir dans la configuration du contrôleur
+      apiKey,
+    });
+  } catch (e) {
+    console.error("Erreur POST /api/admin/door-devices :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.post("/api/admin/door-devices/:id/rotate-key", requireAdminPermission(ADMIN_PERMISSIONS.DOORS_MANAGE), async (req, res) => {
+  try {
+    const deviceId = safeText(req.params.id, 120);
+    const previous = await getDoorDeviceById(deviceId);
+    const result = await rotateDoorDeviceApiKey(deviceId);
+
+    if (!result) {
+      return res.status(404).json({ error: "Contrôleur introuvable" });
+    }
+
+    await writeAdminAuditLog(req, {
+      action: "rotate_door_device_key",
+      target_table: "door_devices",
+      target_id: deviceId,
+      before: toPublicDoorDevice(previous),
+      after: toPublicDoorDevice(result.device),
+      metadata: { box_id: result.device.box_id },
+    });
+
+    return res.json({
+      success: true,
+      device: toPublicDoorDevice(result.device),
+      apiKey: result.apiKey,
+    });
+  } catch (e) {
+    console.error("Erreur /api/admin/door-devices/:id/rotate-key :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.post("/api/admin/door-devices/:id/status", requireAdminPermission(ADMIN_PERMISSIONS.DOORS_MANAGE), async (req, res) => {
+  try {
+    const deviceId = safeText(req.params.id, 120);
+    const isActive = req.body?.isActive !== false;
+    const previous = await getDoorDeviceById(deviceId);
+    const device = await setDoorDeviceActive(deviceId, isActive);
+
+    if (!device) {
+      return res.status(404).json({ error: "Contrôleur introuvable" });
+    }
+
+    await writeAdminAuditLog(req, {
+      action: isActive ? "activate_door_device" : "deactivate_door_device",
+      target_table: "door_devices",
+      target_id: deviceId,
+      before: toPublicDoorDevice(previous),
+      after: toPublicDoorDevice(device),
+      metadata: { box_id: device.box_id },
+    });
+
+    return res.json({ success: true, device: toPublicDoorDevice(device) });
+  } catch (e) {
+    console.error("Erreur /api/admin/door-devices/:id/status :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.post("/api/admin/boxes/:boxId/unlock", requireAdminPermission(ADMIN_PERMISSIONS.DOORS_UNLOCK), async (req, res) => {
+  try {
+    const boxId = getNumericBoxId(req.params.boxId);
+    const reservationId = safeText(req.body?.reservationId, 120);
+    const reason = safeText(req.body?.reason, 300);
+
+    if (!reason) {
+      return res.status(400).json({ error: "Motif d'ouverture requis" });
+    }
+
+    if (reservationId) {
+      const reservation = await getReservationById(reservationId);
+
+      if (!reservation) {
+        return res.status(404).json({ error: "Réservation introuvable" });
+      }
+
+      if (Number(reservation.box_id) !== boxId) {
+        return res.status(400).json({
+          error: `Cette réservation concerne la box ${reservation.box_id}`,
+        });
+      }
+    }
+
+    const requestedBy = req.user?.email || req.user?.id || "admin";
+    const { commands, devices } = await requestDoorUnlock({
+      boxId,
+      reservationId: reservationId || null,
+      requestedBy,
+      reason,
+    });
+
+    if (devices.length === 0) {
+      return res.status(409).json({ error: "Aucun contrôleur actif pour cette box" });
+    }
+
+    await writeAdminAuditLog(req, {
+      action: "remote_unlock_box",
+      target_table: "reservations",
+      target_id: reservationId || null,
+      after: { commands },
       metadata: {
-        mode: req.isCron ? "cron" : "admin",
-        limit,
-        totalProcessed: result?.totalProcessed || 0,
+        box_id: boxId,
+        reason,
+        command_ids: commands.map((command) => command.id),
       },
     });
 
-    return res.json(result);
+    return res.json({
+      success: true,
+      commands,
+      devices: devices.map(toPublicDoorDevice),
+    });
   } catch (e) {
-    console.error("Erreur /api/admin/process-post-session-batch :", e);
-    return res.status(500).json({
-      error: "Erreur serveur lors du batch post-session",
+    console.error("Erreur /api/admin/boxes/:boxId/unlock :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.get("/api/admin/door-access-logs", requireAdminPermission(ADMIN_PERMISSIONS.DOORS_READ), async (req, res) => {
+  try {
+    const rawBoxId = safeText(req.query.box_id ?? req.query.boxId, 20);
+
+    const logs = await listDoorAccessLogs({
+      boxId: rawBoxId ? getNumericBoxId(rawBoxId) : null,
+      deviceId: safeText(req.query.device_id, 120),
+      reservationId: safeText(req.query.reservation_id, 120),
+      limit: req.query.limit,
     });
+
+    return res.json({ success: true, logs });
+  } catch (e) {
+    console.error("Erreur /api/admin/door-access-logs :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/* =========================================================
+   CATALOGUE DES PASS
+========================================================= */
+
+router.get("/api/admin/pass-products", requireAdminPermission(ADMIN_PERMISSIONS.CATALOG_READ), async (_req, res) => {
+  try {
+    const products = await listPassProducts({ includeInactive: true });
+    return res.json({ success: true, products });
+  } catch (e) {
+    console.error("Erreur /api/admin/pass-products :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.post("/api/admin/pass-products", requireAdminPermission(ADMIN_PERMISSIONS.CATALOG_MANAGE), async (req, res) => {
+  try {
+    const { value: rules, error: payloadError } = readPassProductPayload(req.body || {});
+
+    if (payloadError) {
+      return res.status(400).json({ error: payloadError });
+    }
+
+    const result = await createPassProduct({
+      type: req.body?.type,
+      rules,
+      sortOrder: req.body?.sortOrder ?? req.body?.sort_order,
+      createdBy: req.user?.email || req.user?.id || "admin",
+    });
+
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await writeAdminAuditLog(req, {
+      action: "create_pass_product",
+      target_table: "pass_products",
+      target_id: result.product?.id,
+      after: result.product,
+      metadata: { type: result.product?.type, rules },
+    });
+
+    return res.status(201).json({ success: true, product: result.product });
+  } catch (e) {
+    console.error("Erreur POST /api/admin/pass-products :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+// Nouvelle version des règles (les pass déjà vendus gardent la leur)
+router.post("/api/admin/pass-products/:id/versions", requireAdminPermission(ADMIN_PERMISSIONS.CATALOG_MANAGE), async (req, res) => {
+  try {
+    const productId = safeText(req.params.id, 120);
+    const { value: rules, error: payloadError } = readPassProductPayload(req.body || {});
+
+    if (payloadError) {
+      return res.status(400).json({ error: payloadError });
+    }
+
+    const result = await updatePassProduct(productId, {
+      rules,
+      createdBy: req.user?.email || req.user?.id || "admin",
+    });
+
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await writeAdminAuditLog(req, {
+      action: "update_pass_product",
+      target_table: "pass_products",
+      target_id: productId,
+      before: result.previous,
+      after: result.product,
+      metadata: { version: result.product?.rules?.version, rules },
+    });
+
+    return res.json({ success: true, product: result.product });
+  } catch (e) {
+    console.error("Erreur POST /api/admin/pass-products/:id/versions :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.post("/api/admin/pass-products/:id/status", requireAdminPermission(ADMIN_PERMISSIONS.CATALOG_MANAGE), async (req, res) => {
+  try {
+    const productId = safeText(req.params.id, 120);
+    const isActive = req.body?.isActive !== false;
+    const previous = await getPassProductById(productId);
+    const product = await setPassProductActive(productId, isActive);
+
+    if (!product) {
+      return res.status(404).json({ error: "Pass introuvable" });
+    }
+
+    await writeAdminAuditLog(req, {
+      action: isActive ? "activate_pass_product" : "deactivate_pass_product",
+      target_table: "pass_products",
+      target_id: productId,
+      before: previous,
+      after: product,
+      metadata: { type: product.type },
+    });
+
+    return res.json({ success: true, product });
+  } catch (e) {
+    console.error("Erreur /api/admin/pass-products/:id/status :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.get("/api/admin/pass-products/:id/versions", requireAdminPermission(ADMIN_PERMISSIONS.CATALOG_READ), async (req, res) => {
+  try {
+    const versions = await listPassProductVersions(safeText(req.params.id, 120));
+
+    if (!versions) {
+      return res.status(404).json({ error: "Pass introuvable" });
+    }
+
+    return res.json({ success: true, versions });
+  } catch (e) {
+    console.error("Erreur /api/admin/pass-products/:id/versions :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/* =========================================================
+   GRILLE TARIFAIRE
+========================================================= */
+
+router.get("/api/admin/pricing-rules", requireAdminPermission(ADMIN_PERMISSIONS.PRICING_READ), async (req, res) => {
+  try {
+    const [rules, activeRules] = await Promise.all([
+      listPricingRules({
+        includeArchived: readBooleanQuery(req.query?.includeArchived) === true,
+      }),
+      loadPricingRules({ force: true }),
+    ]);
+
+    return res.json({
+      success: true,
+      rules: rules.map(toPublicPricingRule),
+      defaultRules: activeRules.filter((rule) => rule.is_default).map(toPublicPricingRule),
+    });
+  } catch (e) {
+    console.error("Erreur /api/admin/pricing-rules :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+// Les prix d'une date avant / après publication des brouillons
+router.get("/api/admin/pricing-rules/preview", requireAdminPermission(ADMIN_PERMISSIONS.PRICING_READ), async (req, res) => {
+  try {
+    const date = safeText(req.query?.date, 10);
+
+    if (!isValidDateOnly(date)) {
+      return res.status(400).json({ error: "date requise (YYYY-MM-DD)" });
+    }
+
+    const rawRuleIds = safeText(req.query?.ruleIds, 2000);
+    const rawBoxId = req.query?.boxId ?? req.query?.box_id;
+
+    const preview = await previewPricingForDate({
+      date,
+      persons: clampPersons(req.query?.persons || 2),
+      boxId: rawBoxId ? getNumericBoxId(rawBoxId) : null,
+      draftRuleIds: rawRuleIds ? rawRuleIds.split(",") : null,
+    });
+
+    return res.json({ success: true, ...preview });
+  } catch (e) {
+    console.error("Erreur /api/admin/pricing-rules/preview :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.post("/api/admin/pricing-rules", requireAdminPermission(ADMIN_PERMISSIONS.PRICING_MANAGE), async (req, res) => {
+  try {
+    const { value: rule, error: payloadError } = readPricingRulePayload(req.body || {});
+
+    if (payloadError) {
+      return res.status(400).json({ error: payloadError });
+    }
+
+    const created = await createPricingRule({
+      rule,
+      createdBy: req.user?.email || req.user?.id || "admin",
+    });
+
+    await writeAdminAuditLog(req, {
+      action: "create_pricing_rule",
+      target_table: "pricing_rules",
+      target_id: created.id,
+      after: toPublicPricingRule(created),
+      metadata: { rule },
+    });
+
+    return res.status(201).json({ success: true, rule: toPublicPricingRule(created) });
+  } catch (e) {
+    console.error("Erreur POST /api/admin/pricing-rules :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.post("/api/admin/pricing-rules/:id/update", requireAdminPermission(ADMIN_PERMISSIONS.PRICING_MANAGE), async (req, res) => {
+  try {
+    const ruleId = safeText(req.params.id, 120);
+    const { value: rule, error: payloadError } = readPricingRulePayload(req.body || {});
+
+    if (payloadError) {
+      return res.status(400).json({ error: payloadError });
+    }
+
+    const result = await updatePricingRule(ruleId, { rule });
+
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await writeAdminAuditLog(req, {
+      action: "update_pricing_rule",
+      target_table: "pricing_rules",
+      target_id: ruleId,
+      before: toPublicPricingRule(result.previous),
+      after: toPublicPricingRule(result.rule),
+      metadata: { rule },
+    });
+
+    return res.json({ success: true, rule: toPublicPricingRule(result.rule) });
+  } catch (e) {
+    console.error("Erreur /api/admin/pricing-rules/:id/update :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.post("/api/admin/pricing-rules/:id/publish", requireAdminPermission(ADMIN_PERMISSIONS.PRICING_MANAGE), async (req, res) => {
+  try {
+    const ruleId = safeText(req.params.id, 120);
+    const result = await setPricingRuleStatus(ruleId, PRICING_RULE_STATUSES.PUBLISHED);
+
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await writeAdminAuditLog(req, {
+      action: "publish_pricing_rule",
+      target_table: "pricing_rules",
+      target_id: ruleId,
+      before: toPublicPricingRule(result.previous),
+      after: toPublicPricingRule(result.rule),
+      metadata: {
+        code: result.rule.code,
+        per_person_rate: result.rule.per_person_rate,
+      },
+    });
+
+    return res.json({ success: true, rule: toPublicPricingRule(result.rule) });
+  } catch (e) {
+    console.error("Erreur /api/admin/pricing-rules/:id/publish :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.post("/api/admin/pricing-rules/:id/archive", requireAdminPermission(ADMIN_PERMISSIONS.PRICING_MANAGE), async (req, res) => {
+  try {
+    const ruleId = safeText(req.params.id, 120);
+    const result = await setPricingRuleStatus(ruleId, PRICING_RULE_STATUSES.ARCHIVED);
+
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await writeAdminAuditLog(req, {
+      action: "archive_pricing_rule",
+      target_table: "pricing_rules",
+      target_id: ruleId,
+      before: toPublicPricingRule(result.previous),
+      after: toPublicPricingRule(result.rule),
+      metadata: { code: result.rule.code },
+    });
+
+    return res.json({ success: true, rule: toPublicPricingRule(result.rule) });
+  } catch (e) {
+    console.error("Erreur /api/admin/pricing-rules/:id/archive :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/* =========================================================
+   MISSIONS
+========================================================= */
+
+router.get("/api/admin/missions", requireAdminPermission(ADMIN_PERMISSIONS.GAMIFICATION_READ), async (_req, res) => {
+  try {
+    const missions = await listMissions({ includeInactive: true });
+    return res.json({ success: true, missions: missions.map(toPublicMission) });
+  } catch (e) {
+    console.error("Erreur /api/admin/missions :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.post("/api/admin/missions", requireAdminPermission(ADMIN_PERMISSIONS.GAMIFICATION_MANAGE), async (req, res) => {
+  try {
+    const { value: mission, error: payloadError } = readMissionPayload(req.body || {}, {
+      requireCode: true,
+    });
+
+    if (payloadError) {
+      return res.status(400).json({ error: payloadError });
+    }
+
+    const result = await createMission({ mission });
+
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await writeAdminAuditLog(req, {
+      action: "create_mission",
+      target_table: "weekly_missions",
+      target_id: mission.code,
+      after: toPublicMission(result.mission),
+    });
+
+    return res.status(201).json({ success: true, mission: toPublicMission(result.mission) });
+  } catch (e) {
+    console.error("Erreur POST /api/admin/missions :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.post("/api/admin/missions/:code/update", requireAdminPermission(ADMIN_PERMISSIONS.GAMIFICATION_MANAGE), async (req, res) => {
+  try {
+    const code = safeText(req.params.code, 80);
+    const result = await updateMission(code, { body: req.body || {} });
+
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await writeAdminAuditLog(req, {
+      action: "update_mission",
+      target_table: "weekly_missions",
+      target_id: code,
+      before: toPublicMission(result.previous),
+      after: toPublicMission(result.mission),
+    });
+
+    return res.json({ success: true, mission: toPublicMission(result.mission) });
+  } catch (e) {
+    console.error("Erreur /api/admin/missions/:code/update :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.post("/api/admin/missions/:code/status", requireAdminPermission(ADMIN_PERMISSIONS.GAMIFICATION_MANAGE), async (req, res) => {
+  try {
+    const code = safeText(req.params.code, 80);
+    const isActive = req.body?.isActive !== false;
+    const result = await setMissionActive(code, isActive);
+
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await writeAdminAuditLog(req, {
+      action: isActive ? "activate_mission" : "deactivate_mission",
+      target_table: "weekly_missions",
+      target_id: code,
+      before: toPublicMission(result.previous),
+      after: toPublicMission(result.mission),
+    });
+
+    return res.json({ success: true, mission: toPublicMission(result.mission) });
+  } catch (e) {
+    console.error("Erreur /api/admin/missions/:code/status :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/* =========================================================
+   BADGES
+========================================================= */
+
+router.get("/api/admin/badges", requireAdminPermission(ADMIN_PERMISSIONS.GAMIFICATION_READ), async (_req, res) => {
+  try {
+    const badges = await listBadgeDefinitions({ includeInactive: true });
+    return res.json({
+      success: true,
+      badges: badges.map(toPublicBadgeDefinition),
+      metrics: listBadgeRuleMetrics(),
+    });
+  } catch (e) {
+    console.error("Erreur /api/admin/badges :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.post("/api/admin/badges", requireAdminPermission(ADMIN_PERMISSIONS.GAMIFICATION_MANAGE), async (req, res) => {
+  try {
+    const { value: badge, error: payloadError } = readBadgePayload(req.body || {}, {
+      requireCode: true,
+    });
+
+    if (payloadError) {
+      return res.status(400).json({ error: payloadError });
+    }
+
+    const result = await createBadgeDefinition({ badge });
+
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await writeAdminAuditLog(req, {
+      action: "create_badge",
+      target_table: "badge_definitions",
+      target_id: badge.code,
+      after: toPublicBadgeDefinition(result.badge),
+    });
+
+    return res.status(201).json({ success: true, badge: toPublicBadgeDefinition(result.badge) });
+  } catch (e) {
+    console.error("Erreur POST /api/admin/badges :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.post("/api/admin/badges/:code/update", requireAdminPermission(ADMIN_PERMISSIONS.GAMIFICATION_MANAGE), async (req, res) => {
+  try {
+    const code = safeText(req.params.code, 80);
+    const result = await updateBadgeDefinition(code, { body: req.body || {} });
+
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await writeAdminAuditLog(req, {
+      action: "update_badge",
+      target_table: "badge_definitions",
+      target_id: code,
+      before: toPublicBadgeDefinition(result.previous),
+      after: toPublicBadgeDefinition(result.badge),
+      metadata: { rule_changed: result.ruleChanged },
+    });
+
+    return res.json({ success: true, badge: toPublicBadgeDefinition(result.badge) });
+  } catch (e) {
+    console.error("Erreur /api/admin/badges/:code/update :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.post("/api/admin/badges/:code/status", requireAdminPermission(ADMIN_PERMISSIONS.GAMIFICATION_MANAGE), async (req, res) => {
+  try {
+    const code = safeText(req.params.code, 80);
+    const isActive = req.body?.isActive !== false;
+    const result = await setBadgeDefinitionActive(code, isActive);
+
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await writeAdminAuditLog(req, {
+      action: isActive ? "activate_badge" : "deactivate_badge",
+      target_table: "badge_definitions",
+      target_id: code,
+      before: toPublicBadgeDefinition(result.previous),
+      after: toPublicBadgeDefinition(result.badge),
+    });
+
+    return res.json({ success: true, badge: toPublicBadgeDefinition(result.badge) });
+  } catch (e) {
+    console.error("Erreur /api/admin/badges/:code/status :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/* =========================================================
+   RECONSTRUCTION GAMIFICATION
+========================================================= */
+
+// Réparation : recalcule tout depuis l'historique des réservations
+router.post("/api/admin/gamification/rebuild", requireAdminPermission(ADMIN_PERMISSIONS.GAMIFICATION_MANAGE), async (req, res) => {
+  try {
+    const userId = safeText(req.body?.user_id ?? req.body?.userId, 120);
+
+    if (!userId) {
+      return res.status(400).json({ error: "user_id requis" });
+    }
+
+    const { data: user, error: userError } = await supabase
+      .from("users")
+      .select("id")
+      .eq("id", userId)
+      .maybeSingle();
+
+    if (userError) throw userError;
+
+    if (!user) {
+      return res.status(404).json({ error: "Utilisateur introuvable" });
+    }
+
+    const gamification = await rebuildUserGamification(userId);
+
+    await writeAdminAuditLog(req, {
+      action: "rebuild_gamification",
+      target_table: "user_gamification",
+      target_id: userId,
+      target_user_id: userId,
+      after: {
+        singcoins: gamification?.singcoins || null,
+        level: gamification?.level || null,
+        streak: gamification?.streak || null,
+      },
+    });
+
+    return res.json({ success: true, gamification });
+  } catch (e) {
+    console.error("Erreur /api/admin/gamification/rebuild :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+// Tous les utilisateurs : reconstruits par lots par le job gamification_sync
+router.post("/api/admin/gamification/rebuild-all", requireAdminPermission(ADMIN_PERMISSIONS.GAMIFICATION_MANAGE), async (req, res) => {
+  try {
+    const result = await requestGlobalGamificationRebuild();
+
+    await writeAdminAuditLog(req, {
+      action: "rebuild_all_gamification",
+      target_table: "user_gamification",
+      metadata: result,
+    });
+
+    return res.json({ success: true, ...result });
+  } catch (e) {
+    console.error("Erreur /api/admin/gamification/rebuild-all :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/* =========================================================
+   JOBS PLANIFIÉS
+========================================================= */
+
+router.get("/api/admin/jobs", requireAdminPermission(ADMIN_PERMISSIONS.JOBS_READ), async (_req, res) => {
+  try {
+    registerDefaultJobs();
+    const jobs = await listJobs();
+    return res.json({ success: true, jobs });
+  } catch (e) {
+    console.error("Erreur /api/admin/jobs :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.post("/api/admin/jobs/:name/run", requireAdminPermission(ADMIN_PERMISSIONS.JOBS_RUN, { allowCron: true }), async (req, res) => {
+  try {
+    registerDefaultJobs();
+
+    const jobName = safeText(req.params.name, 80);
+    if (!getRegisteredJob(jobName)) {
+      return res.status(404).json({ error: "Job introuvable" });
+    }
+
+    const actor = req.isCron
+      ? "cron"
+      : req.user?.email || req.user?.id || "admin";
+    const result = await runJob(jobName, { trigger: "manual", actor });
+
+    await writeAdminAuditLog(req, {
+      action: "run_scheduled_job",
+      target_table: "scheduled_jobs",
+      target_id: jobName,
+      metadata: {
+        mode: req.isCron ? "cron" : "admin",
+        ran: result.ran,
+        status: result.status || null,
+        reason: result.reason || null,
+      },
+    });
+
+    if (!result.ran) {
+      return res.status(409).json({
+        error:
+          result.reason === "locked"
+            ? "Ce job est déjà en cours d'exécution"
+            : "Job non exécuté",
+        reason: result.reason,
+      });
+    }
+
+    return res.json({ success: result.status === "success", ...result });
+  } catch (e) {
+    console.error("Erreur /api/admin/jobs/:name/run :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/* =========================================================
+   JOURNAL D'AUDIT
+========================================================= */
+
+// Date seule (YYYY-MM-DD) = journée de Paris ; sinon instant ISO
+function readAuditDateBound(value, { endOfDay = false } = {}) {
+  const raw = safeText(value, 40);
+  if (!raw) return { value: null };
+
+  if (isValidDateOnly(raw)) {
+    const day = endOfDay ? addDaysToDateString(raw, 1) : raw;
+    return { value: buildSlotIsoRange(day, 0).startIso };
+  }
+
+  const date = parseDateOrNull(raw);
+  return date ? { value: date.toISOString() } : { error: `Date invalide : ${raw}` };
+}
+
+router.get("/api/admin/audit-logs", requireAdminPermission(ADMIN_PERMISSIONS.AUDIT_READ), async (req, res) => {
+  try {
+    const from = readAuditDateBound(req.query.from);
+    const to = readAuditDateBound(req.query.to, { endOfDay: true });
+
+    if (from.error || to.error) {
+      return res.status(400).json({ error: from.error || to.error });
+    }
+
+    if (from.value && to.value && from.value >= to.value) {
+      return res.status(400).json({ error: "La date de début doit précéder la date de fin" });
+    }
+
+    const filters = {
+      actor: safeText(req.query.actor, 255),
+      actorType: safeText(req.query.actor_type ?? req.query.actorType, 20),
+      action: safeText(req.query.action, 80),
+      targetTable: safeText(req.query.target_table ?? req.query.targetTable, 80),
+      targetId: safeText(req.query.target_id ?? req.query.targetId, 120),
+      reservationId: safeText(req.query.reservation_id ?? req.query.reservationId, 120),
+      userId: safeText(req.query.user_id ?? req.query.userId, 120),
+      from: from.value,
+      to: to.value,
+    };
+
+    const result = await searchAdminAuditLogs({
+      filters,
+      page: req.query.page,
+      pageSize: req.query.page_size ?? req.query.pageSize,
+      order: req.query.order === "asc" ? "asc" : "desc",
+    });
+
+    return res.json({ success: true, filters, ...result });
+  } catch (e) {
+    console.error("Erreur /api/admin/audit-logs :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/* =========================================================
+   RÔLES ADMIN
+========================================================= */
+
+// Rôle et permissions du compte connecté (pour adapter l'interface admin)
+router.get("/api/admin/me", requireSupabaseAdmin, async (req, res) => {
+  return res.json({
+    success: true,
+    admin: {
+      user_id: req.user?.id || null,
+      email: req.user?.email || null,
+      role: req.adminRole,
+      permissions: req.adminPermissions,
+    },
+  });
+});
+
+router.get("/api/admin/roles", requireAdminPermission(ADMIN_PERMISSIONS.ADMIN_ROLES_MANAGE), async (_req, res) => {
+  return res.json({ success: true, roles: listAdminRoles() });
+});
+
+router.get("/api/admin/admin-users", requireAdminPermission(ADMIN_PERMISSIONS.ADMIN_ROLES_MANAGE), async (_req, res) => {
+  try {
+    const adminUsers = await listAdminUsers();
+    return res.json({ success: true, adminUsers });
+  } catch (e) {
+    console.error("Erreur /api/admin/admin-users :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.post("/api/admin/admin-users", requireAdminPermission(ADMIN_PERMISSIONS.ADMIN_ROLES_MANAGE), async (req, res) => {
+  try {
+    const result = await addAdminUser({
+      email: req.body?.email,
+      role: safeText(req.body?.role, 40),
+    });
+
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await writeAdminAuditLog(req, {
+      action: "add_admin_user",
+      target_table: "admin_users",
+      target_id: result.adminUser?.id,
+      after: result.adminUser,
+      metadata: { email: result.adminUser?.email, role: result.adminUser?.role },
+    });
+
+    return res.status(201).json({ success: true, adminUser: result.adminUser });
+  } catch (e) {
+    console.error("Erreur POST /api/admin/admin-users :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.post("/api/admin/admin-users/:id/role", requireAdminPermission(ADMIN_PERMISSIONS.ADMIN_ROLES_MANAGE), async (req, res) => {
+  try {
+    const adminUserId = safeText(req.params.id, 120);
+    const result = await setAdminUserRole(adminUserId, safeText(req.body?.role, 40));
+
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await writeAdminAuditLog(req, {
+      action: "set_admin_user_role",
+      target_table: "admin_users",
+      target_id: adminUserId,
+      before: result.previous,
+      after: result.adminUser,
+      metadata: { email: result.adminUser?.email },
+    });
+
+    return res.json({ success: true, adminUser: result.adminUser });
+  } catch (e) {
+    console.error("Erreur /api/admin/admin-users/:id/role :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.post("/api/admin/admin-users/:id/remove", requireAdminPermission(ADMIN_PERMISSIONS.ADMIN_ROLES_MANAGE), async (req, res) => {
+  try {
+    const adminUserId = safeText(req.params.id, 120);
+    const result = await removeAdminUser(adminUserId);
+
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await writeAdminAuditLog(req, {
+      action: "remove_admin_user",
+      target_table: "admin_users",
+      target_id: adminUserId,
+      before: result.adminUser,
+      metadata: { email: result.adminUser?.email, role: result.adminUser?.role },
+    });
+
+    return res.json({ success: true });
+  } catch (e) {
+    console.error("Erreur /api/admin/admin-users/:id/remove :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
   }
 });
 
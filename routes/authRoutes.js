@@ -2,10 +2,31 @@
 
 import express from "express";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
 
 import { supabase } from "../config/supabase.js";
-import { JWT_SECRET } from "../config/env.js";
+import {
+  JWT_SECRET,
+  PASSWORD_RESET_TOKEN_TTL_MINUTES,
+  EMAIL_VERIFICATION_TOKEN_TTL_HOURS,
+  REQUIRE_EMAIL_VERIFICATION,
+} from "../config/env.js";
+import { AUTH_TOKEN_PURPOSES } from "../constants/auth.js";
+import {
+  issueUserAuthToken,
+  consumeUserAuthToken,
+} from "../services/authTokenService.js";
+import {
+  sendPasswordResetEmail,
+  sendEmailVerificationEmail,
+} from "../services/emailService.js";
+import {
+  createUserSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllUserSessions,
+  findSessionByRefreshToken,
+} from "../services/sessionService.js";
+import { authMiddleware } from "../middlewares/auth.js";
 
 const router = express.Router();
 
@@ -63,25 +84,33 @@ function ensureAuthDependencies(res) {
   return true;
 }
 
-function buildUserToken(user) {
-  return jwt.sign(
-    {
-      userId: user.id,
-      email: user.email,
-      type: "user",
-    },
-    JWT_SECRET,
-    {
-      expiresIn: "7d",
-      algorithm: "HS256",
-    }
-  );
+function readSessionContext(req) {
+  return {
+    userAgent: safeText(req.headers?.["user-agent"], 255) || null,
+    ip: safeText(req.ip, 80) || null,
+  };
+}
+
+async function openUserSession(req, user) {
+  const session = await createUserSession({
+    user,
+    ...readSessionContext(req),
+  });
+
+  return {
+    // `token` reste exposé pour les clients existants
+    token: session.accessToken,
+    accessToken: session.accessToken,
+    refreshToken: session.refreshToken,
+    expiresIn: session.expiresIn,
+    refreshExpiresAt: session.refreshExpiresAt,
+  };
 }
 
 async function findUserByEmail(email) {
   const { data, error } = await supabase
     .from("users")
-    .select("id, email, password_hash")
+    .select("id, email, password_hash, email_verified_at")
     .eq("email", email)
     .limit(1);
 
@@ -92,6 +121,60 @@ async function findUserByEmail(email) {
   return Array.isArray(data) && data.length > 0 ? data[0] : null;
 }
 
+async function findUserById(userId) {
+  const { data, error } = await supabase
+    .from("users")
+    .select("id, email, email_verified_at")
+    .eq("id", userId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return data || null;
+}
+
+function isEmailVerified(user) {
+  return !!user?.email_verified_at;
+}
+
+function buildPublicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    emailVerified: isEmailVerified(user),
+  };
+}
+
+function getTokenErrorMessage(reason) {
+  if (reason === "expired") return "Ce lien a expiré";
+  if (reason === "used") return "Ce lien a déjà été utilisé";
+  return "Lien invalide";
+}
+
+async function sendVerificationEmailSafe(user) {
+  try {
+    const { token, expiresAt } = await issueUserAuthToken({
+      userId: user.id,
+      email: user.email,
+      purpose: AUTH_TOKEN_PURPOSES.EMAIL_VERIFICATION,
+      ttlMs: EMAIL_VERIFICATION_TOKEN_TTL_HOURS * 60 * 60 * 1000,
+    });
+
+    const result = await sendEmailVerificationEmail({
+      email: user.email,
+      token,
+      expiresAt,
+    });
+
+    return !!result?.sent;
+  } catch (err) {
+    console.error("Erreur envoi email de vérification :", err);
+    return false;
+  }
+}
+
 /* =========================================================
    REGISTER
 ========================================================= */
@@ -152,7 +235,7 @@ router.post("/api/register", async (req, res) => {
     const { data: insertedUser, error } = await supabase
       .from("users")
       .insert(insertPayload)
-      .select("id, email")
+      .select("id, email, email_verified_at")
       .single();
 
     if (error || !insertedUser) {
@@ -162,15 +245,26 @@ router.post("/api/register", async (req, res) => {
       });
     }
 
-    const token = buildUserToken(insertedUser);
+    const verificationEmailSent = await sendVerificationEmailSafe(insertedUser);
+
+    if (REQUIRE_EMAIL_VERIFICATION) {
+      return res.status(201).json({
+        message: "Compte créé. Confirme ton adresse email pour te connecter.",
+        token: null,
+        verificationRequired: true,
+        verificationEmailSent,
+        user: buildPublicUser(insertedUser),
+      });
+    }
+
+    const session = await openUserSession(req, insertedUser);
 
     return res.status(201).json({
       message: "Compte créé",
-      token,
-      user: {
-        id: insertedUser.id,
-        email: insertedUser.email,
-      },
+      ...session,
+      verificationRequired: false,
+      verificationEmailSent,
+      user: buildPublicUser(insertedUser),
     });
   } catch (err) {
     console.error("Erreur register :", err);
@@ -227,14 +321,18 @@ router.post("/api/login", async (req, res) => {
       });
     }
 
-    const token = buildUserToken(user);
+    if (!isEmailVerified(user) && REQUIRE_EMAIL_VERIFICATION) {
+      return res.status(403).json({
+        error: "Adresse email non vérifiée",
+        code: "EMAIL_NOT_VERIFIED",
+      });
+    }
+
+    const session = await openUserSession(req, user);
 
     return res.json({
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-      },
+      ...session,
+      user: buildPublicUser(user),
     });
   } catch (err) {
     console.error("Erreur login :", err);
@@ -242,4 +340,308 @@ router.post("/api/login", async (req, res) => {
   }
 });
 
+/* =========================================================
+   REFRESH TOKEN
+========================================================= */
+
+router.post("/api/token/refresh", async (req, res) => {
+  try {
+    if (!ensureAuthDependencies(res)) return;
+
+    const refreshToken = safeText(req.body?.refreshToken, 400);
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: "refreshToken manquant" });
+    }
+
+    const result = await rotateRefreshToken(
+      refreshToken,
+      readSessionContext(req)
+    );
+
+    if (!result.ok) {
+      return res.status(401).json({
+        error: "Session expirée, reconnecte-toi",
+        code: "REFRESH_INVALID",
+        reason: result.reason,
+      });
+    }
+
+    return res.json({
+      token: result.tokens.accessToken,
+      accessToken: result.tokens.accessToken,
+      refreshToken: result.tokens.refreshToken,
+      expiresIn: result.tokens.expiresIn,
+      refreshExpiresAt: result.tokens.refreshExpiresAt,
+    });
+  } catch (err) {
+    console.error("Erreur token/refresh :", err);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/* =========================================================
+   LOGOUT
+========================================================= */
+
+router.post("/api/logout", authMiddleware, async (req, res) => {
+  try {
+    if (!ensureAuthDependencies(res)) return;
+
+    const refreshToken = safeText(req.body?.refreshToken, 400);
+    let sessionId = req.user?.sessionId || null;
+
+    if (!sessionId && refreshToken) {
+      const session = await findSessionByRefreshToken(refreshToken);
+
+      if (session && String(session.user_id) === String(req.userId)) {
+        sessionId = session.id;
+      }
+    }
+
+    if (sessionId) {
+      await revokeSession(sessionId, "logout");
+    }
+
+    return res.json({
+      success: true,
+      sessionRevoked: !!sessionId,
+    });
+  } catch (err) {
+    console.error("Erreur logout :", err);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.post("/api/logout-all", authMiddleware, async (req, res) => {
+  try {
+    if (!ensureAuthDependencies(res)) return;
+
+    await revokeAllUserSessions(req.userId, "logout_all");
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("Erreur logout-all :", err);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/* =========================================================
+   PASSWORD RESET
+========================================================= */
+
+router.post("/api/password-reset/request", async (req, res) => {
+  try {
+    if (!ensureAuthDependencies(res)) return;
+
+    const email = normalizeEmail(req.body?.email);
+
+    if (!email || !isValidEmail(email)) {
+      return res.status(400).json({ error: "Email invalide" });
+    }
+
+    // Réponse identique que le compte existe ou non, pour ne pas révéler
+    // quelles adresses sont inscrites.
+    const genericResponse = {
+      success: true,
+      message:
+        "Si un compte existe pour cette adresse, un email de réinitialisation vient d'être envoyé.",
+    };
+
+    const user = await findUserByEmail(email);
+
+    if (!user) {
+      return res.json(genericResponse);
+    }
+
+    const { token, expiresAt } = await issueUserAuthToken({
+      userId: user.id,
+      email: user.email,
+      purpose: AUTH_TOKEN_PURPOSES.PASSWORD_RESET,
+      ttlMs: PASSWORD_RESET_TOKEN_TTL_MINUTES * 60 * 1000,
+    });
+
+    await sendPasswordResetEmail({
+      email: user.email,
+      token,
+      expiresAt,
+    });
+
+    return res.json(genericResponse);
+  } catch (err) {
+    console.error("Erreur password-reset/request :", err);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.post("/api/password-reset/confirm", async (req, res) => {
+  try {
+    if (!ensureAuthDependencies(res)) return;
+
+    const token = safeText(req.body?.token, 200);
+    const rawPassword = req.body?.password;
+    const password = typeof rawPassword === "string" ? rawPassword : "";
+
+    if (!token) {
+      return res.status(400).json({ error: "Token manquant" });
+    }
+
+    const passwordError = getPasswordValidationError(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    const result = await consumeUserAuthToken(
+      token,
+      AUTH_TOKEN_PURPOSES.PASSWORD_RESET
+    );
+
+    if (!result.ok) {
+      return res.status(400).json({
+        error: getTokenErrorMessage(result.reason),
+        code: `TOKEN_${String(result.reason).toUpperCase()}`,
+      });
+    }
+
+    const user = await findUserById(result.row.user_id);
+
+    if (!user) {
+      return res.status(400).json({ error: getTokenErrorMessage("invalid") });
+    }
+
+    const hash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    const nowIso = new Date().toISOString();
+
+    const updatePayload = {
+      password_hash: hash,
+      updated_at: nowIso,
+    };
+
+    // Le lien a été reçu sur l'adresse du compte : elle est donc valide.
+    if (
+      !isEmailVerified(user) &&
+      normalizeEmail(result.row.email) === normalizeEmail(user.email)
+    ) {
+      updatePayload.email_verified_at = nowIso;
+    }
+
+    const { error } = await supabase
+      .from("users")
+      .update(updatePayload)
+      .eq("id", user.id);
+
+    if (error) {
+      throw error;
+    }
+
+    try {
+      await revokeAllUserSessions(user.id, "password_reset");
+    } catch (revokeErr) {
+      console.error("Erreur révocation sessions après reset :", revokeErr);
+    }
+
+    return res.json({
+      success: true,
+      message: "Mot de passe mis à jour",
+    });
+  } catch (err) {
+    console.error("Erreur password-reset/confirm :", err);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/* =========================================================
+   EMAIL VERIFICATION
+========================================================= */
+
+router.post("/api/email-verification/request", async (req, res) => {
+  try {
+    if (!ensureAuthDependencies(res)) return;
+
+    const email = normalizeEmail(req.body?.email);
+
+    if (!email || !isValidEmail(email)) {
+      return res.status(400).json({ error: "Email invalide" });
+    }
+
+    const genericResponse = {
+      success: true,
+      message:
+        "Si un compte non vérifié existe pour cette adresse, un nouvel email de confirmation vient d'être envoyé.",
+    };
+
+    const user = await findUserByEmail(email);
+
+    if (!user || isEmailVerified(user)) {
+      return res.json(genericResponse);
+    }
+
+    await sendVerificationEmailSafe(user);
+
+    return res.json(genericResponse);
+  } catch (err) {
+    console.error("Erreur email-verification/request :", err);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.post("/api/email-verification/confirm", async (req, res) => {
+  try {
+    if (!ensureAuthDependencies(res)) return;
+
+    const token = safeText(req.body?.token, 200);
+
+    if (!token) {
+      return res.status(400).json({ error: "Token manquant" });
+    }
+
+    const result = await consumeUserAuthToken(
+      token,
+      AUTH_TOKEN_PURPOSES.EMAIL_VERIFICATION
+    );
+
+    if (!result.ok) {
+      return res.status(400).json({
+        error: getTokenErrorMessage(result.reason),
+        code: `TOKEN_${String(result.reason).toUpperCase()}`,
+      });
+    }
+
+    const user = await findUserById(result.row.user_id);
+
+    // L'adresse a pu changer depuis l'envoi du lien : on ne valide que
+    // l'adresse à laquelle le lien a réellement été envoyé.
+    if (
+      !user ||
+      normalizeEmail(result.row.email) !== normalizeEmail(user.email)
+    ) {
+      return res.status(400).json({ error: getTokenErrorMessage("invalid") });
+    }
+
+    if (!isEmailVerified(user)) {
+      const nowIso = new Date().toISOString();
+
+      const { error } = await supabase
+        .from("users")
+        .update({
+          email_verified_at: nowIso,
+          updated_at: nowIso,
+        })
+        .eq("id", user.id);
+
+      if (error) {
+        throw error;
+      }
+    }
+
+    return res.json({
+      success: true,
+      message: "Adresse email confirmée",
+    });
+  } catch (err) {
+    console.error("Erreur email-verification/confirm :", err);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
 export default router;
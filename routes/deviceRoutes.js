@@ -0,0 +1,92 @@
+// backend/routes/deviceRoutes.js
+
+import express from "express";
+
+import { QR_TOKEN_ALGORITHM, QR_TOKEN_PUBLIC_KEY } from "../config/env.js";
+import { requireDoorDevice } from "../middlewares/device.js";
+import {
+  acknowledgeDoorCommand,
+  recordDoorDeviceHeartbeat,
+  toPublicDoorDevice,
+} from "../services/doorDeviceService.js";
+import { checkReservationAccess } from "../services/doorAccessService.js";
+
+/**
+ * Endpoints appelés par les contrôleurs de porte (clé API par appareil,
+ * header x-device-key). Un outil de simulation est disponible :
+ * node scripts/mockDoorController.js --help
+ */
+
+const router = express.Router();
+
+function safeText(value, maxLen = 255) {
+  return String(value ?? "").trim().slice(0, maxLen);
+}
+
+router.post("/api/device/heartbeat", requireDoorDevice, async (req, res) => {
+  try {
+    const body = req.body || {};
+
+    const { serverTime, commands } = await recordDoorDeviceHeartbeat(req.device, {
+      ip: req.ip || null,
+      firmwareVersion: body.firmwareVersion || body.firmware_version || null,
+      status: body.status || null,
+    });
+
+    return res.json({
+      success: true,
+      serverTime,
+      device: toPublicDoorDevice(req.device),
+      commands,
+      // Clé publique seule : de quoi vérifier les QR hors ligne, pas d'en signer
+      qrVerification: {
+        algorithm: QR_TOKEN_ALGORITHM,
+        publicKey: QR_TOKEN_PUBLIC_KEY,
+      },
+    });
+  } catch (e) {
+    console.error("Erreur /api/device/heartbeat :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.post("/api/device/check", requireDoorDevice, async (req, res) => {
+  try {
+    const body = req.body || {};
+
+    const { status, body: result } = await checkReservationAccess({
+      token: safeText(body.token, 2000),
+      reservationId: safeText(body.id ?? body.reservationId, 120),
+      device: req.device,
+    });
+
+    return res.status(status).json(result);
+  } catch (e) {
+    console.error("Erreur /api/device/check :", e);
+    return res.status(500).json({ valid: false, error: "Erreur serveur" });
+  }
+});
+
+router.post("/api/device/commands/:id/ack", requireDoorDevice, async (req, res) => {
+  try {
+    const command = await acknowledgeDoorCommand(
+      req.device,
+      safeText(req.params.id, 120),
+      {
+        success: req.body?.success !== false,
+        message: req.body?.message || null,
+      }
+    );
+
+    if (!command) {
+      return res.status(404).json({ error: "Commande introuvable ou déjà traitée" });
+    }
+
+    return res.json({ success: true, command });
+  } catch (e) {
+    console.error("Erreur /api/device/commands/:id/ack :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+export default router;
@@ -0,0 +1,250 @@
+// backend/routes/giftCardRoutes.js
+
+import express from "express";
+
+import { stripe } from "../config/stripe.js";
+import { supabase } from "../config/supabase.js";
+import {
+  GIFT_CARD_MAX_AMOUNT_EUR,
+  GIFT_CARD_MIN_AMOUNT_EUR,
+} from "../config/env.js";
+import { optionalAuthMiddleware } from "../middlewares/auth.js";
+import {
+  GIFT_CARD_PAYMENT_INTENT_TYPE,
+  activateGiftCardFromIntent,
+  attachGiftCardPaymentIntent,
+  createPendingGiftCard,
+  getGiftCardById,
+  getGiftCardByCode,
+  getGiftCardUnusableReason,
+  normalizeGiftCardCode,
+  toPublicGiftCard,
+} from "../services/giftCardService.js";
+import { parseDateOrNull } from "../utils/dates.js";
+
+const router = express.Router();
+
+// Envoi programmé au plus tard un an après l'achat
+const MAX_SEND_DELAY_MS = 365 * 24 * 60 * 60 * 1000;
+
+function safeText(value, maxLen = 255) {
+  return String(value ?? "").trim().slice(0, maxLen);
+}
+
+function normalizeEmail(email) {
+  return safeText(email, 255).toLowerCase();
+}
+
+function isValidEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+function buildFullName(customer = {}) {
+  const prenom = safeText(customer.prenom, 120);
+  const nom = safeText(customer.nom, 120);
+  return `${prenom}${prenom && nom ? " " : ""}${nom}`.trim();
+}
+
+function ensureStripeConfigured(res) {
+  if (!stripe) {
+    res.status(500).json({ error: "Stripe non configuré" });
+    return false;
+  }
+  return true;
+}
+
+function ensureSupabaseConfigured(res) {
+  if (!supabase) {
+    res.status(500).json({ error: "Supabase non configuré" });
+    return false;
+  }
+  return true;
+}
+
+function readSendAt(rawSendAt) {
+  if (!rawSendAt) return { sendAt: new Date().toISOString() };
+
+  const sendAt = parseDateOrNull(rawSendAt);
+  if (!sendAt) return { error: "Date d'envoi invalide" };
+
+  if (sendAt.getTime() > Date.now() + MAX_SEND_DELAY_MS) {
+    return { error: "La date d'envoi doit être dans les 12 prochains mois" };
+  }
+
+  // Une date passée vaut envoi immédiat
+  return { sendAt: new Date(Math.max(sendAt.getTime(), Date.now())).toISOString() };
+}
+
+/* =========================================================
+   ACHAT
+========================================================= */
+
+router.post(
+  "/api/gift-cards/create-payment-intent",
+  optionalAuthMiddleware,
+  async (req, res) => {
+    if (!ensureStripeConfigured(res)) return;
+    if (!ensureSupabaseConfigured(res)) return;
+
+    try {
+      const body = req.body || {};
+      const amount = Number(Number(body.amount || 0).toFixed(2));
+      const purchaser = body.purchaser || body.customer || {};
+      const recipient = body.recipient || {};
+      const purchaserEmail = normalizeEmail(purchaser.email);
+      const recipientEmail = normalizeEmail(recipient.email);
+
+      if (
+        !Number.isFinite(amount) ||
+        amount < GIFT_CARD_MIN_AMOUNT_EUR ||
+        amount > GIFT_CARD_MAX_AMOUNT_EUR
+      ) {
+        return res.status(400).json({
+          error: `Le montant doit être compris entre ${GIFT_CARD_MIN_AMOUNT_EUR} € et ${GIFT_CARD_MAX_AMOUNT_EUR} €`,
+        });
+      }
+
+      if (!isValidEmail(purchaserEmail)) {
+        return res.status(400).json({ error: "Email de l'acheteur invalide" });
+      }
+
+      if (!isValidEmail(recipientEmail)) {
+        return res.status(400).json({ error: "Email du destinataire invalide" });
+      }
+
+      const { sendAt, error: sendAtError } = readSendAt(body.sendAt ?? body.send_at);
+      if (sendAtError) {
+        return res.status(400).json({ error: sendAtError });
+      }
+
+      const giftCard = await createPendingGiftCard({
+        amount,
+        purchaser: {
+          userId: req.userId || null,
+          email: purchaserEmail,
+          name: buildFullName(purchaser) || safeText(purchaser.name, 160),
+        },
+        recipient: {
+          email: recipientEmail,
+          name: buildFullName(recipient) || safeText(recipient.name, 160),
+        },
+        message: safeText(body.message, 500),
+        sendAt,
+      });
+
+      const paymentIntent = await stripe.paymentIntents.create(
+        {
+          amount: Math.round(amount * 100),
+          currency: "eur",
+          payment_method_types: ["card"],
+          receipt_email: purchaserEmail,
+          metadata: {
+            type: GIFT_CARD_PAYMENT_INTENT_TYPE,
+            gift_card_id: String(giftCard.id),
+            customer_email: purchaserEmail,
+            recipient_email: recipientEmail,
+          },
+        },
+        { idempotencyKey: `gift-card:${giftCard.id}` }
+      );
+
+      await attachGiftCardPaymentIntent(giftCard.id, paymentIntent.id);
+
+      return res.json({
+        success: true,
+        clientSecret: paymentIntent.client_secret,
+        paymentIntentId: paymentIntent.id,
+        amount,
+        sendAt,
+      });
+    } catch (e) {
+      const msg = e?.raw?.message || e?.message || "Erreur serveur Stripe";
+      console.error("Erreur /api/gift-cards/create-payment-intent :", msg);
+      return res.status(500).json({ error: msg });
+    }
+  }
+);
+
+// Confirmation côté client (le webhook fait la même chose en parallèle)
+router.post("/api/gift-cards/confirm-purchase", async (req, res) => {
+  if (!ensureStripeConfigured(res)) return;
+  if (!ensureSupabaseConfigured(res)) return;
+
+  try {
+    const paymentIntentId = safeText(req.body?.paymentIntentId, 200);
+
+    if (!paymentIntentId) {
+      return res.status(400).json({ error: "paymentIntentId requis" });
+    }
+
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+
+    if (paymentIntent?.metadata?.type !== GIFT_CARD_PAYMENT_INTENT_TYPE) {
+      return res.status(400).json({
+        error: "Ce paiement ne correspond pas à un achat de carte cadeau.",
+      });
+    }
+
+    if (paymentIntent.status !== "succeeded") {
+      return res.status(409).json({
+        error: "Le paiement n'est pas encore confirmé.",
+        status: paymentIntent.status,
+      });
+    }
+
+    const result = await activateGiftCardFromIntent(paymentIntent);
+    const giftCard =
+      result.giftCard || (await getGiftCardById(paymentIntent.metadata.gift_card_id));
+
+    if (!giftCard) {
+      return res.status(404).json({ error: "Carte cadeau introuvable" });
+    }
+
+    if (result.reason === "amount_mismatch") {
+      return res.status(400).json({ error: "Montant du paiement incohérent" });
+    }
+
+    return res.json({
+      success: true,
+      alreadyActivated: !result.activated,
+      giftCard: toPublicGiftCard(giftCard),
+    });
+  } catch (e) {
+    console.error("Erreur /api/gift-cards/confirm-purchase :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/* =========================================================
+   CONSULTATION DU SOLDE
+========================================================= */
+
+router.post("/api/gift-cards/check", async (req, res) => {
+  if (!ensureSupabaseConfigured(res)) return;
+
+  try {
+    const code = normalizeGiftCardCode(req.body?.code);
+
+    if (!code) {
+      return res.status(400).json({ error: "Code de carte cadeau invalide" });
+    }
+
+    const giftCard = await getGiftCardByCode(code);
+
+    if (!giftCard) {
+      return res.status(404).json({ error: "Carte cadeau introuvable" });
+    }
+
+    return res.json({
+      success: true,
+      usable: !getGiftCardUnusableReason(giftCard),
+      reason: getGiftCardUnusableReason(giftCard),
+      giftCard: toPublicGiftCard(giftCard),
+    });
+  } catch (e) {
+    console.error("Erreur /api/gift-cards/check :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+export default router;
@@ -0,0 +1,335 @@
+// backend/routes/groupBookingRoutes.js
+
+import express from "express";
+
+import { supabase } from "../config/supabase.js";
+import { GROUP_BOOKING_MAX_PARTICIPANTS } from "../config/env.js";
+import { authMiddleware } from "../middlewares/auth.js";
+import { SLOT_DURATION_MINUTES } from "../constants/booking.js";
+import { buildSlotIsoRange, formatDateOnlyInParis } from "../services/pricingService.js";
+import { getBoxUnavailabilityLabel } from "../services/boxService.js";
+import { getUserLightProfileById } from "../services/userService.js";
+import {
+  GROUP_UNPAID_SHARES_POLICIES,
+  cancelGroupBooking,
+  createGroupBooking,
+  createGroupSharePaymentIntent,
+  getGroupBookingById,
+  getGroupShareByToken,
+  listGroupBookingShares,
+  syncGroupSharePayment,
+  toPublicGroupBooking,
+} from "../services/groupBookingService.js";
+import { clampPersons } from "../utils/validators.js";
+import { parseDateOrNull } from "../utils/dates.js";
+
+const router = express.Router();
+
+function safeText(value, maxLen = 255) {
+  return String(value ?? "").trim().slice(0, maxLen);
+}
+
+function normalizeEmail(email) {
+  return safeText(email, 255).toLowerCase();
+}
+
+function isValidEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+function isValidDateOnly(dateStr) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(dateStr || "").trim());
+}
+
+function buildFullName(customer = {}) {
+  const prenom = safeText(customer.prenom, 120);
+  const nom = safeText(customer.nom, 120);
+  return `${prenom}${prenom && nom ? " " : ""}${nom}`.trim();
+}
+
+function ensureSupabaseConfigured(res) {
+  if (!supabase) {
+    res.status(500).json({ error: "Supabase non configuré" });
+    return false;
+  }
+  return true;
+}
+
+function readRequestedRange(body) {
+  if (body?.start_time) {
+    const start = parseDateOrNull(body.start_time);
+    if (!start) return null;
+
+    return {
+      startIso: start.toISOString(),
+      endIso: new Date(
+        start.getTime() + SLOT_DURATION_MINUTES * 60 * 1000
+      ).toISOString(),
+    };
+  }
+
+  const date = safeText(body?.date, 20);
+  const hour = Number(body?.hour);
+
+  if (!isValidDateOnly(date) || !Number.isFinite(hour)) return null;
+
+  return buildSlotIsoRange(date, hour);
+}
+
+// Une part par personne : organisateur + participants ne dépassent pas `persons`
+function readParticipants(rawParticipants, organiserEmail, persons) {
+  if (!Array.isArray(rawParticipants)) return { error: "Liste des participants requise" };
+
+  const seen = new Set([organiserEmail]);
+  const participants = [];
+
+  for (const raw of rawParticipants) {
+    const email = normalizeEmail(raw?.email);
+
+    if (!isValidEmail(email)) {
+      return { error: `Email participant invalide : ${safeText(raw?.email, 80)}` };
+    }
+
+    if (seen.has(email)) continue;
+    seen.add(email);
+
+    participants.push({
+      email,
+      name: buildFullName(raw) || safeText(raw?.name, 120) || null,
+    });
+  }
+
+  if (participants.length === 0) {
+    return { error: "Au moins un participant (hors organisateur) est requis" };
+  }
+
+  if (participants.length > GROUP_BOOKING_MAX_PARTICIPANTS) {
+    return {
+      error: `Maximum ${GROUP_BOOKING_MAX_PARTICIPANTS} participants par réservation de groupe`,
+    };
+  }
+
+  if (participants.length + 1 > persons) {
+    return {
+      error: `Trop de participants pour ${persons} personne(s) : une part par personne, organisateur compris`,
+    };
+  }
+
+  return { participants };
+}
+
+/* =========================================================
+   ORGANISATEUR
+========================================================= */
+
+router.post("/api/group-bookings", authMiddleware, async (req, res) => {
+  if (!ensureSupabaseConfigured(res)) return;
+
+  try {
+    const body = req.body || {};
+    const user = await getUserLightProfileById(req.userId);
+    const organiserEmail = normalizeEmail(user?.email || req.user?.email);
+    const range = readRequestedRange(body);
+    const boxId = Number.parseInt(body.boxId ?? body.box_id, 10);
+    const persons = clampPersons(body.persons || 2);
+
+    if (!organiserEmail) {
+      return res.status(400).json({ error: "Email du compte introuvable" });
+    }
+
+    if (!range) {
+      return res.status(400).json({ error: "Créneau invalide" });
+    }
+
+    if (!Number.isFinite(boxId) || boxId <= 0) {
+      return res.status(400).json({ error: "Box invalide" });
+    }
+
+    const { participants, error: participantsError } = readParticipants(
+      body.participants,
+      organiserEmail,
+      persons
+    );
+
+    if (participantsError) {
+      return res.status(400).json({ error: participantsError });
+    }
+
+    const rawPolicy = safeText(body.unpaidSharesPolicy ?? body.unpaid_shares_policy, 40);
+    const unpaidSharesPolicy = rawPolicy || GROUP_UNPAID_SHARES_POLICIES.RELEASE;
+
+    if (!Object.values(GROUP_UNPAID_SHARES_POLICIES).includes(unpaidSharesPolicy)) {
+      return res.status(400).json({ error: "Politique des parts impayées invalide" });
+    }
+
+    const result = await createGroupBooking({
+      organiser: {
+        userId: req.userId,
+        email: organiserEmail,
+        name: buildFullName(user || {}) || organiserEmail,
+      },
+      boxId,
+      startTime: range.startIso,
+      endTime: range.endIso,
+      date: formatDateOnlyInParis(new Date(range.startIso)),
+      persons,
+      participants,
+      unpaidSharesPolicy,
+    });
+
+    if (!result.ok) {
+      return res.status(result.code === "too_late" ? 400 : 409).json({
+        error: result.error,
+        code: result.code,
+        reason: result.reason || null,
+        reasonLabel: result.reason ? getBoxUnavailabilityLabel(result.reason) : null,
+      });
+    }
+
+    const organiserShare = result.shares.find((share) => share.is_organiser);
+
+    return res.status(201).json({
+      success: true,
+      groupBooking: toPublicGroupBooking(result.booking, result.shares, {
+        viewerShareId: organiserShare?.id || null,
+        viewerIsOrganiser: true,
+      }),
+    });
+  } catch (e) {
+    console.error("Erreur /api/group-bookings :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.get("/api/group-bookings/:id", authMiddleware, async (req, res) => {
+  if (!ensureSupabaseConfigured(res)) return;
+
+  try {
+    const booking = await getGroupBookingById(safeText(req.params.id, 120));
+
+    if (!booking || String(booking.organiser_user_id) !== String(req.userId)) {
+      return res.status(404).json({ error: "Réservation de groupe introuvable" });
+    }
+
+    const shares = await listGroupBookingShares(booking.id);
+    const organiserShare = shares.find((share) => share.is_organiser);
+
+    return res.json({
+      success: true,
+      groupBooking: toPublicGroupBooking(booking, shares, {
+        viewerShareId: organiserShare?.id || null,
+        viewerIsOrganiser: true,
+      }),
+    });
+  } catch (e) {
+    console.error("Erreur /api/group-bookings/:id :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.post("/api/group-bookings/:id/cancel", authMiddleware, async (req, res) => {
+  if (!ensureSupabaseConfigured(res)) return;
+
+  try {
+    const result = await cancelGroupBooking({
+      groupBookingId: safeText(req.params.id, 120),
+      userId: req.userId,
+    });
+
+    if (!result.ok) {
+      return result.code === "not_found"
+        ? res.status(404).json({ error: "Réservation de groupe introuvable" })
+        : res.status(409).json({
+            error: "Seule une réservation de groupe en attente de paiement peut être annulée",
+          });
+    }
+
+    return res.json({
+      success: true,
+      groupBooking: toPublicGroupBooking(result.booking, [], { viewerIsOrganiser: true }),
+    });
+  } catch (e) {
+    console.error("Erreur /api/group-bookings/:id/cancel :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/* =========================================================
+   PARTICIPANTS (lien de paiement)
+========================================================= */
+
+router.get("/api/group-bookings/shares/:token", async (req, res) => {
+  if (!ensureSupabaseConfigured(res)) return;
+
+  try {
+    const found = await getGroupShareByToken(req.params.token);
+
+    if (!found) {
+      return res.status(404).json({ error: "Lien de paiement invalide" });
+    }
+
+    const shares = await listGroupBookingShares(found.booking.id);
+
+    return res.json({
+      success: true,
+      shareId: found.share.id,
+      groupBooking: toPublicGroupBooking(found.booking, shares, {
+        viewerShareId: found.share.id,
+      }),
+    });
+  } catch (e) {
+    console.error("Erreur /api/group-bookings/shares/:token :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.post("/api/group-bookings/shares/:token/payment-intent", async (req, res) => {
+  if (!ensureSupabaseConfigured(res)) return;
+
+  try {
+    const result = await createGroupSharePaymentIntent(req.params.token);
+
+    if (!result.ok) {
+      return res
+        .status(result.code === "not_found" ? 404 : 409)
+        .json({ error: result.error, code: result.code });
+    }
+
+    return res.json({
+      clientSecret: result.clientSecret,
+      paymentIntentId: result.paymentIntentId,
+      amount: result.amount,
+    });
+  } catch (e) {
+    const msg = e?.raw?.message || e?.message || "Erreur serveur Stripe";
+    console.error("Erreur /api/group-bookings/shares/:token/payment-intent :", msg);
+    return res.status(500).json({ error: msg });
+  }
+});
+
+router.post("/api/group-bookings/shares/:token/confirm", async (req, res) => {
+  if (!ensureSupabaseConfigured(res)) return;
+
+  try {
+    const found = await syncGroupSharePayment(req.params.token);
+
+    if (!found) {
+      return res.status(404).json({ error: "Lien de paiement invalide" });
+    }
+
+    const shares = await listGroupBookingShares(found.booking.id);
+
+    return res.json({
+      success: true,
+      shareStatus: found.share.status,
+      groupBooking: toPublicGroupBooking(found.booking, shares, {
+        viewerShareId: found.share.id,
+      }),
+    });
+  } catch (e) {
+    console.error("Erreur /api/group-bookings/shares/:token/confirm :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+export default router;
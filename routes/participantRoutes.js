@@ -0,0 +1,169 @@
+// backend/routes/participantRoutes.js
+
+import express from "express";
+
+import { supabase } from "../config/supabase.js";
+import { authMiddleware } from "../middlewares/auth.js";
+import { getReservationByGuestToken } from "../services/reservationService.js";
+import { getReservationOwnedByUser } from "../services/userService.js";
+import {
+  addReservationParticipant,
+  listReservationParticipants,
+  removeReservationParticipant,
+  resendParticipantInvitation,
+  toPublicParticipant,
+} from "../services/participantService.js";
+
+/**
+ * Participants d'une réservation, gérés par le réservant : compte connecté
+ * (/api/reservations/:id/...) ou lien invité (/api/guest-reservation/:token/...).
+ */
+
+const router = express.Router();
+
+function safeText(value, maxLen = 255) {
+  return String(value ?? "").trim().slice(0, maxLen);
+}
+
+function ensureSupabaseConfigured(res) {
+  if (!supabase) {
+    res.status(500).json({ error: "Supabase non configuré" });
+    return false;
+  }
+  return true;
+}
+
+async function resolveOwnedReservation(req) {
+  return getReservationOwnedByUser(safeText(req.params.id, 120), req.userId, null);
+}
+
+async function resolveGuestReservation(req) {
+  const token = safeText(req.params.token, 400);
+  return token ? getReservationByGuestToken(token) : null;
+}
+
+function registerParticipantRoutes(basePath, middlewares, resolveReservation) {
+  router.get(`${basePath}/participants`, ...middlewares, async (req, res) => {
+    if (!ensureSupabaseConfigured(res)) return;
+
+    try {
+      const reservation = await resolveReservation(req);
+
+      if (!reservation) {
+        return res.status(404).json({ error: "Réservation introuvable" });
+      }
+
+      const participants = await listReservationParticipants(reservation.id);
+
+      return res.json({
+        success: true,
+        persons: Number(reservation.persons || 0),
+        participants: participants.map(toPublicParticipant),
+      });
+    } catch (e) {
+      console.error(`Erreur GET ${basePath}/participants :`, e);
+      return res.status(500).json({ error: "Erreur serveur" });
+    }
+  });
+
+  router.post(`${basePath}/participants`, ...middlewares, async (req, res) => {
+    if (!ensureSupabaseConfigured(res)) return;
+
+    try {
+      const reservation = await resolveReservation(req);
+
+      if (!reservation) {
+        return res.status(404).json({ error: "Réservation introuvable" });
+      }
+
+      const body = req.body || {};
+
+      const result = await addReservationParticipant({
+        reservation,
+        email: safeText(body.email, 255),
+        referralCode: safeText(body.referralCode ?? body.referral_code, 40),
+        name: safeText(body.name, 160),
+      });
+
+      if (!result.ok) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      return res.status(201).json({
+        success: true,
+        participant: toPublicParticipant(result.participant),
+      });
+    } catch (e) {
+      console.error(`Erreur POST ${basePath}/participants :`, e);
+      return res.status(500).json({ error: "Erreur serveur" });
+    }
+  });
+
+  router.post(
+    `${basePath}/participants/:participantId/remove`,
+    ...middlewares,
+    async (req, res) => {
+      if (!ensureSupabaseConfigured(res)) return;
+
+      try {
+        const reservation = await resolveReservation(req);
+
+        if (!reservation) {
+          return res.status(404).json({ error: "Réservation introuvable" });
+        }
+
+        const participant = await removeReservationParticipant({
+          reservation,
+          participantId: safeText(req.params.participantId, 120),
+        });
+
+        if (!participant) {
+          return res.status(404).json({ error: "Participant introuvable" });
+        }
+
+        return res.json({ success: true, participant: toPublicParticipant(participant) });
+      } catch (e) {
+        console.error(`Erreur ${basePath}/participants/:participantId/remove :`, e);
+        return res.status(500).json({ error: "Erreur serveur" });
+      }
+    }
+  );
+
+  router.post(
+    `${basePath}/participants/:participantId/resend`,
+    ...middlewares,
+    async (req, res) => {
+      if (!ensureSupabaseConfigured(res)) return;
+
+      try {
+        const reservation = await resolveReservation(req);
+
+        if (!reservation) {
+          return res.status(404).json({ error: "Réservation introuvable" });
+        }
+
+        const result = await resendParticipantInvitation({
+          reservation,
+          participantId: safeText(req.params.participantId, 120),
+        });
+
+        if (!result.ok) {
+          return res.status(result.status).json({ error: result.error });
+        }
+
+        return res.json({
+          success: true,
+          participant: toPublicParticipant(result.participant),
+        });
+      } catch (e) {
+        console.error(`Erreur ${basePath}/participants/:participantId/resend :`, e);
+        return res.status(500).json({ error: "Erreur serveur" });
+      }
+    }
+  );
+}
+
+registerParticipantRoutes("/api/reservations/:id", [authMiddleware], resolveOwnedReservation);
+registerParticipantRoutes("/api/guest-reservation/:token", [], resolveGuestReservation);
+
+export default router;
@@ -4,23 +4,42 @@ import express from "express";
 
 import { stripe } from "../config/stripe.js";
 import { supabase } from "../config/supabase.js";
+import { PASS_SHARE_MAX_MEMBERS } from "../config/env.js";
 import { authMiddleware } from "../middlewares/auth.js";
 import { hasReservationConflict } from "../services/reservationService.js";
 import {
+  PASS_EXTENSION_PAYMENT_KIND,
+  addPassMember,
   analyzeCartForPass,
+  buildPassExtensionOffer,
   buildPassPricingSummary,
   buildPassReservationRows,
+  buildPassVersionPricingSummary,
+  claimPassMemberPlaces,
   consumeUserPassPlaces,
   createPassTransaction,
   createPurchasedPass,
   getPassByPaymentIntentId,
+  getAccessibleUserPass,
   getPassCatalog,
+  getPassExtensionSettings,
+  getUsablePassPlaces,
   getUserPassById,
+  listPassMembers,
+  listPassesSharedWithUser,
   listUserPasses,
-  restoreUserPassPlaces,
+  releasePassMemberPlaces,
+  removePassMember,
+  restoreConsumedPassPlaces,
+  settlePassExtensionPayment,
+  transferUserPass,
 } from "../services/passService.js";
+import { resolveUserPassRules } from "../services/passCatalogService.js";
+import { convertSlotHolds } from "../services/slotHoldService.js";
+import { markWaitlistEntryBookedByHoldToken } from "../services/waitlistService.js";
 
-import { sendReservationEmail } from "../services/emailService.js";
+import { getUserByEmail, getUserLightProfileById } from "../services/userService.js";
+import { sendPassSharedEmail, sendReservationEmail } from "../services/emailService.js";
 
 const router = express.Router();
 
@@ -75,10 +94,17 @@ async function persistPassReservations(rows) {
 }
 
 router.get("/api/passes/catalog", async (_req, res) => {
-  return res.json({
-    success: true,
-    passes: getPassCatalog(),
-  });
+  try {
+    if (!ensureSupabaseConfigured(res)) return;
+
+    return res.json({
+      success: true,
+      passes: await getPassCatalog(),
+    });
+  } catch (error) {
+    console.error("Erreur /api/passes/catalog :", error);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
 });
 
 router.get("/api/passes/me", authMiddleware, async (req, res) => {
@@ -86,10 +112,12 @@ router.get("/api/passes/me", authMiddleware, async (req, res) => {
     if (!ensureSupabaseConfigured(res)) return;
 
     const passes = await listUserPasses(req.userId);
+    const sharedPasses = await listPassesSharedWithUser(req.userId);
 
     return res.json({
       success: true,
       passes,
+      sharedPasses,
     });
   } catch (error) {
     console.error("Erreur /api/passes/me :", error);
@@ -101,8 +129,10 @@ router.post("/api/passes/create-payment-intent", authMiddleware, async (req, res
   try {
     if (!ensureStripeConfigured(res)) return;
 
+    if (!ensureSupabaseConfigured(res)) return;
+
     const passType = safeText(req.body?.passType, 80);
-    const passDef = buildPassPricingSummary(passType);
+    const passDef = await buildPassPricingSummary(passType);
 
     if (!passDef) {
       return res.status(400).json({ error: "Type de pass invalide" });
@@ -115,10 +145,11 @@ router.post("/api/passes/create-payment-intent", authMiddleware, async (req, res
       metadata: {
         kind: "pass_purchase",
         pass_type: passDef.type,
+        pass_version_id: passDef.versionId ? String(passDef.versionId) : "",
         user_id: String(req.userId),
         places: String(passDef.places),
         unit_price: String(passDef.price),
-        validity_months: String(passDef.validityMonths || 3),
+        validity_months: String(passDef.validityMonths),
       },
     });
 
@@ -157,11 +188,6 @@ router.post("/api/passes/confirm-purchase", authMiddleware, async (req, res) =>
       });
     }
 
-    const passDef = buildPassPricingSummary(passType);
-    if (!passDef) {
-      return res.status(400).json({ error: "Type de pass invalide" });
-    }
-
     const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
 
     if (!paymentIntent) {
@@ -187,15 +213,34 @@ router.post("/api/passes/confirm-purchase", authMiddleware, async (req, res) =>
       });
     }
 
-    if (String(paymentIntent.metadata?.pass_type || "") !== passDef.type) {
+    // Le pass reprend la version payée, même si le catalogue a changé depuis
+    const passVersionId = safeText(paymentIntent.metadata?.pass_version_id, 120);
+    const passDef = passVersionId
+      ? await buildPassVersionPricingSummary(passVersionId)
+      : await buildPassPricingSummary(passType);
+
+    if (!passDef) {
+      return res.status(400).json({ error: "Type de pass invalide" });
+    }
+
+    if (
+      String(paymentIntent.metadata?.pass_type || "") !== passDef.type ||
+      passDef.type !== passType
+    ) {
       return res.status(400).json({
         error: "Le type de pass ne correspond pas au paiement.",
       });
     }
 
+    if (Number(paymentIntent.amount || 0) !== passDef.amountInCents) {
+      return res.status(400).json({
+        error: "Le montant payé ne correspond pas au prix du pass.",
+      });
+    }
+
     const createdPass = await createPurchasedPass({
       userId: req.userId,
-      passType: passDef.type,
+      passDef,
       paymentIntentId: paymentIntent.id,
       purchasePrice: passDef.price,
       metadata: {
@@ -212,6 +257,7 @@ router.post("/api/passes/confirm-purchase", authMiddleware, async (req, res) =>
       metadata: {
         paymentIntentId: paymentIntent.id,
         passType: passDef.type,
+        passVersion: passDef.version,
       },
     });
 
@@ -254,7 +300,7 @@ router.post("/api/passes/preview-usage", authMiddleware, async (req, res) => {
       });
     }
 
-    const userPass = await getUserPassById(userPassId, req.userId);
+    const userPass = await getAccessibleUserPass(userPassId, req.userId);
     if (!userPass) {
       return res.status(404).json({ error: "Pass introuvable" });
     }
@@ -263,7 +309,7 @@ router.post("/api/passes/preview-usage", authMiddleware, async (req, res) => {
       return res.status(409).json({ error: "Ce pass n'est plus actif ou a expiré." });
     }
 
-    const analysis = analyzeCartForPass(cart, userPass.pass_type);
+    const analysis = await analyzeCartForPass(cart, await resolveUserPassRules(userPass));
 
     if (!analysis.ok) {
       return res.status(400).json({
@@ -272,11 +318,11 @@ router.post("/api/passes/preview-usage", authMiddleware, async (req, res) => {
       });
     }
 
-    if (Number(userPass.remaining_places || 0) < Number(analysis.requiredPlaces || 0)) {
+    if (getUsablePassPlaces(userPass) < Number(analysis.requiredPlaces || 0)) {
       return res.status(409).json({
         error: "Pas assez de places restantes sur ce pass.",
         requiredPlaces: analysis.requiredPlaces,
-        remainingPlaces: userPass.remaining_places,
+        remainingPlaces: getUsablePassPlaces(userPass),
       });
     }
 
@@ -285,7 +331,7 @@ router.post("/api/passes/preview-usage", authMiddleware, async (req, res) => {
       pass: userPass,
       requiredPlaces: analysis.requiredPlaces,
       remainingPlacesAfterUse:
-        Number(userPass.remaining_places || 0) - Number(analysis.requiredPlaces || 0),
+        getUsablePassPlaces(userPass) - Number(analysis.requiredPlaces || 0),
       theoreticalCartAmount: Number(analysis.pricing?.totalBeforeDiscount || 0),
       items: analysis.items,
     });
@@ -306,6 +352,7 @@ router.post("/api/passes/confirm-reservation", authMiddleware, async (req, res)
     const promoCode = safeText(body.promoCode, 80);
     const singcoinsUsed = body.singcoinsUsed === true;
     const paymentIntentId = safeText(body.paymentIntentId, 200);
+    const holdToken = safeText(body.holdToken, 120) || null;
 
     if (!cart.length) {
       return res.status(400).json({ error: "Panier vide" });
@@ -342,7 +389,7 @@ router.post("/api/passes/confirm-reservation", authMiddleware, async (req, res)
       return res.status(400).json({ error: "Nom du client requis" });
     }
 
-    const userPass = await getUserPassById(userPassId, req.userId);
+    const userPass = await getAccessibleUserPass(userPassId, req.userId);
     if (!userPass) {
       return res.status(404).json({ error: "Pass introuvable" });
     }
@@ -351,7 +398,7 @@ router.post("/api/passes/confirm-reservation", authMiddleware, async (req, res)
       return res.status(409).json({ error: "Ce pass n'est plus actif ou a expiré." });
     }
 
-    const analysis = analyzeCartForPass(cart, userPass.pass_type);
+    const analysis = await analyzeCartForPass(cart, await resolveUserPassRules(userPass));
 
     if (!analysis.ok) {
       return res.status(400).json({
@@ -360,11 +407,11 @@ router.post("/api/passes/confirm-reservation", authMiddleware, async (req, res)
       });
     }
 
-    if (Number(userPass.remaining_places || 0) < Number(analysis.requiredPlaces || 0)) {
+    if (getUsablePassPlaces(userPass) < Number(analysis.requiredPlaces || 0)) {
       return res.status(409).json({
         error: "Pas assez de places restantes sur ce pass.",
         requiredPlaces: analysis.requiredPlaces,
-        remainingPlaces: userPass.remaining_places,
+        remainingPlaces: getUsablePassPlaces(userPass),
       });
     }
 
@@ -374,6 +421,8 @@ router.post("/api/passes/confirm-reservation", authMiddleware, async (req, res)
         startTime: item.start_time,
         endTime: item.end_time,
         localDate: item.date,
+        persons: item.persons,
+        excludeHoldToken: holdToken,
       });
 
       if (conflict) {
@@ -384,13 +433,22 @@ router.post("/api/passes/confirm-reservation", authMiddleware, async (req, res)
       }
     }
 
+    // Un ami consomme d'abord son quota, puis les places du pass du titulaire
+    const claim = await claimPassMemberPlaces(userPass, analysis.requiredPlaces);
+
+    if (!claim.ok) {
+      return res.status(claim.status).json({ error: claim.error });
+    }
+
     const consumeResult = await consumeUserPassPlaces({
       userPassId: userPass.id,
-      userId: req.userId,
+      userId: userPass.user_id,
       places: analysis.requiredPlaces,
     });
 
     if (!consumeResult?.success) {
+      await releasePassMemberPlaces(userPass, analysis.requiredPlaces);
+
       return res.status(409).json({
         error: "Impossible de consommer les places du pass.",
         reason: consumeResult?.pass_status || "unknown",
@@ -422,6 +480,8 @@ router.post("/api/passes/confirm-reservation", authMiddleware, async (req, res)
           notes: `Utilisation du pass pour la réservation ${reservation.id}`,
           metadata: {
             passType: userPass.pass_type,
+            ownerUserId: userPass.user_id,
+            accessRole: userPass.access_role,
           },
         });
       }
@@ -438,20 +498,14 @@ router.post("/api/passes/confirm-reservation", authMiddleware, async (req, res)
       console.error("Erreur création réservations via pass :", reservationError);
 
       try {
-        await restoreUserPassPlaces({
+        await restoreConsumedPassPlaces({
           userPassId: userPass.id,
-          userId: req.userId,
           places: analysis.requiredPlaces,
-        });
-
-        await createPassTransaction({
-          userPassId: userPass.id,
-          userId: req.userId,
-          transactionType: "restore",
-          deltaPlaces: analysis.requiredPlaces,
+          actorUserId: req.userId,
           notes: "Rollback automatique après échec de création de réservation",
-          metadata: {},
         });
+
+        await releasePassMemberPlaces(userPass, analysis.requiredPlaces);
       } catch (rollbackError) {
         console.error("Erreur rollback pass :", rollbackError);
       }
@@ -462,7 +516,16 @@ router.post("/api/passes/confirm-reservation", authMiddleware, async (req, res)
       });
     }
 
-    const updatedPass = await getUserPassById(userPass.id, req.userId);
+    if (holdToken) {
+      try {
+        await convertSlotHolds(holdToken);
+        await markWaitlistEntryBookedByHoldToken(holdToken);
+      } catch (holdError) {
+        console.error("Erreur convertSlotHolds :", holdError);
+      }
+    }
+
+    const updatedPass = await getAccessibleUserPass(userPass.id, req.userId);
 
     return res.json({
       success: true,
@@ -480,4 +543,275 @@ router.post("/api/passes/confirm-reservation", authMiddleware, async (req, res)
   }
 });
 
+/* =========================================================
+   PARTAGE, TRANSFERT ET PROLONGATION (titulaire uniquement)
+========================================================= */
+
+async function loadOwnedPass(req, res) {
+  const userPass = await getUserPassById(safeText(req.params.id, 120), req.userId);
+
+  if (!userPass) {
+    res.status(404).json({ error: "Pass introuvable" });
+    return null;
+  }
+
+  return userPass;
+}
+
+async function getPassLabel(userPass) {
+  const rules = await resolveUserPassRules(userPass);
+  return rules?.label || userPass.pass_type;
+}
+
+async function getOwnerDisplayName(userId) {
+  const owner = await getUserLightProfileById(userId);
+  return buildFullName(owner || {}) || owner?.email || null;
+}
+
+router.get("/api/passes/:id/members", authMiddleware, async (req, res) => {
+  try {
+    if (!ensureSupabaseConfigured(res)) return;
+
+    const userPass = await loadOwnedPass(req, res);
+    if (!userPass) return;
+
+    return res.json({
+      success: true,
+      maxMembers: PASS_SHARE_MAX_MEMBERS,
+      members: await listPassMembers(userPass.id),
+    });
+  } catch (error) {
+    console.error("Erreur /api/passes/:id/members :", error);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.post("/api/passes/:id/members", authMiddleware, async (req, res) => {
+  try {
+    if (!ensureSupabaseConfigured(res)) return;
+
+    const userPass = await loadOwnedPass(req, res);
+    if (!userPass) return;
+
+    const email = normalizeEmail(req.body?.email);
+    const friend = email ? await getUserByEmail(email) : null;
+
+    if (!friend) {
+      return res.status(404).json({
+        error: "Aucun compte Singbox avec cet email : votre ami doit d'abord créer un compte.",
+      });
+    }
+
+    const result = await addPassMember({
+      userPass,
+      member: {
+        id: friend.id,
+        email: friend.email,
+        name: safeText(req.body?.name, 160),
+      },
+      maxMembers: PASS_SHARE_MAX_MEMBERS,
+      placesLimit: req.body?.placesLimit ?? null,
+    });
+
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    try {
+      await sendPassSharedEmail({
+        email: result.member.email,
+        name: result.member.name,
+        ownerName: await getOwnerDisplayName(req.userId),
+        passLabel: await getPassLabel(userPass),
+        places: userPass.remaining_places,
+        expiresAt: userPass.expires_at,
+      });
+    } catch (mailError) {
+      console.error("Erreur email partage de pass :", mailError);
+    }
+
+    return res.status(201).json({ success: true, member: result.member });
+  } catch (error) {
+    console.error("Erreur POST /api/passes/:id/members :", error);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.post(
+  "/api/passes/:id/members/:memberId/remove",
+  authMiddleware,
+  async (req, res) => {
+    try {
+      if (!ensureSupabaseConfigured(res)) return;
+
+      const userPass = await loadOwnedPass(req, res);
+      if (!userPass) return;
+
+      const member = await removePassMember({
+        userPass,
+        memberId: safeText(req.params.memberId, 120),
+      });
+
+      if (!member) {
+        return res.status(404).json({ error: "Partage introuvable" });
+      }
+
+      return res.json({ success: true, member });
+    } catch (error) {
+      console.error("Erreur /api/passes/:id/members/:memberId/remove :", error);
+      return res.status(500).json({ error: "Erreur serveur" });
+    }
+  }
+);
+
+router.post("/api/passes/:id/transfer", authMiddleware, async (req, res) => {
+  try {
+    if (!ensureSupabaseConfigured(res)) return;
+
+    const userPass = await loadOwnedPass(req, res);
+    if (!userPass) return;
+
+    const email = normalizeEmail(req.body?.email);
+    const recipient = email ? await getUserByEmail(email) : null;
+
+    if (!recipient) {
+      return res.status(404).json({
+        error: "Aucun compte Singbox avec cet email : le destinataire doit d'abord créer un compte.",
+      });
+    }
+
+    const result = await transferUserPass({ userPass, toUserId: recipient.id });
+
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    try {
+      await sendPassSharedEmail({
+        email: recipient.email,
+        name: null,
+        ownerName: await getOwnerDisplayName(req.userId),
+        passLabel: await getPassLabel(userPass),
+        places: result.places,
+        expiresAt: result.pass.expires_at,
+        transferred: true,
+      });
+    } catch (mailError) {
+      console.error("Erreur email transfert de pass :", mailError);
+    }
+
+    return res.json({
+      success: true,
+      transferredPlaces: result.places,
+      pass: await getUserPassById(userPass.id, req.userId),
+    });
+  } catch (error) {
+    console.error("Erreur /api/passes/:id/transfer :", error);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.get("/api/passes/:id/extension", authMiddleware, async (req, res) => {
+  try {
+    if (!ensureSupabaseConfigured(res)) return;
+
+    const userPass = await loadOwnedPass(req, res);
+    if (!userPass) return;
+
+    const offer = buildPassExtensionOffer(userPass, getPassExtensionSettings());
+
+    return res.json({ success: true, extension: offer });
+  } catch (error) {
+    console.error("Erreur /api/passes/:id/extension :", error);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.post(
+  "/api/passes/:id/extension/payment-intent",
+  authMiddleware,
+  async (req, res) => {
+    try {
+      if (!ensureStripeConfigured(res)) return;
+      if (!ensureSupabaseConfigured(res)) return;
+
+      const userPass = await loadOwnedPass(req, res);
+      if (!userPass) return;
+
+      const offer = buildPassExtensionOffer(userPass, getPassExtensionSettings());
+
+      if (!offer.ok) {
+        return res.status(409).json({ error: offer.error });
+      }
+
+      const paymentIntent = await stripe.paymentIntents.create(
+        {
+          amount: offer.amountInCents,
+          currency: "eur",
+          payment_method_types: ["card"],
+          metadata: {
+            kind: PASS_EXTENSION_PAYMENT_KIND,
+            type: PASS_EXTENSION_PAYMENT_KIND,
+            user_pass_id: String(userPass.id),
+            user_id: String(req.userId),
+            months: String(offer.months),
+            extension_count: String(offer.extensionCount),
+          },
+        },
+        { idempotencyKey: `pass-extension:${userPass.id}:${offer.extensionCount}` }
+      );
+
+      return res.json({
+        success: true,
+        clientSecret: paymentIntent.client_secret,
+        paymentIntentId: paymentIntent.id,
+        extension: offer,
+      });
+    } catch (error) {
+      console.error("Erreur /api/passes/:id/extension/payment-intent :", error);
+      return res.status(500).json({ error: "Erreur serveur" });
+    }
+  }
+);
+
+router.post("/api/passes/:id/extension/confirm", authMiddleware, async (req, res) => {
+  try {
+    if (!ensureStripeConfigured(res)) return;
+    if (!ensureSupabaseConfigured(res)) return;
+
+    const userPass = await loadOwnedPass(req, res);
+    if (!userPass) return;
+
+    const paymentIntentId = safeText(req.body?.paymentIntentId, 200);
+    if (!paymentIntentId) {
+      return res.status(400).json({ error: "paymentIntentId requis" });
+    }
+
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+
+    // Le webhook payment_intent.succeeded applique aussi la prolongation
+    const result = await settlePassExtensionPayment(paymentIntent, {
+      userPassId: userPass.id,
+      userId: req.userId,
+    });
+
+    if (!result.ok) {
+      return res.status(result.status).json({
+        error: result.error,
+        ...(result.paymentStatus ? { status: result.paymentStatus } : {}),
+        ...(result.refunded !== undefined ? { refunded: result.refunded } : {}),
+      });
+    }
+
+    return res.json({
+      success: true,
+      alreadyApplied: result.alreadyApplied,
+      pass: await getUserPassById(userPass.id, req.userId),
+    });
+  } catch (error) {
+    console.error("Erreur /api/passes/:id/extension/confirm :", error);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
 export default router;
@@ -7,7 +7,8 @@ import {
   authMiddleware,
   optionalAuthMiddleware,
 } from "../middlewares/auth.js";
-import { requireSupabaseAdmin } from "../middlewares/admin.js";
+import { requireAdminPermission } from "../middlewares/admin.js";
+import { ADMIN_PERMISSIONS } from "../constants/adminRoles.js";
 import {
   ensureStripeCustomer,
   saveDefaultCardToUsersTable,
@@ -18,8 +19,21 @@ import {
   validatePromoCode,
   sanitizePromoForClient,
 } from "../services/promoService.js";
-import { updateReservationById } from "../services/reservationService.js";
+import {
+  getReservationById,
+  updateReservationById,
+} from "../services/reservationService.js";
+import { writeAdminAuditLog } from "../services/adminAuditService.js";
+import {
+  evaluateGiftCardForAmount,
+  maskGiftCardCode,
+} from "../services/giftCardService.js";
 import { getAvailableSingcoins } from "../services/singcoinService.js";
+import {
+  attachPaymentIntentToSlotHolds,
+  getActiveSlotHoldsByToken,
+  getSlotHoldQuotedRates,
+} from "../services/slotHoldService.js";
 import {
   DEPOSIT_AMOUNT_EUR,
   SINGCOINS_REWARD_COST,
@@ -143,12 +157,15 @@ function buildPaymentIntentIdempotencyKey({
   customerEmail,
   pricing,
   promoCode,
+  giftCardCode = null,
+  giftCardAmount = 0,
   singcoinsUsed,
   useSavedPaymentMethod,
   paymentMethodId,
   chestReward,
   rewardType,
   rewardValue,
+  holdToken = null,
 }) {
   const payload = stableStringify({
     scope,
@@ -157,12 +174,15 @@ function buildPaymentIntentIdempotencyKey({
     totalBeforeDiscount: round2(pricing?.totalBeforeDiscount || 0),
     totalCashDue: round2(pricing?.totalCashDue || 0),
     promoCode: safeText(promoCode, 120) || null,
+    giftCardCode: safeText(giftCardCode, 60) || null,
+    giftCardAmount: round2(giftCardAmount),
     singcoinsUsed: !!singcoinsUsed,
     useSavedPaymentMethod: !!useSavedPaymentMethod,
     paymentMethodId: safeText(paymentMethodId, 200) || null,
     chestReward: safeText(chestReward, 120) || null,
     rewardType: safeText(rewardType, 120) || null,
     rewardValue: rewardValue ?? null,
+    holdToken: safeText(holdToken, 120) || null,
   });
 
   return `${scope}:${hashPayload(payload)}`;
@@ -212,6 +232,16 @@ async function retrieveOwnedPaymentMethodOrNull(paymentMethodId, customerId) {
   return paymentMethod;
 }
 
+async function attachSlotHoldsSafe(holdToken, paymentIntentId) {
+  if (!holdToken || !paymentIntentId) return;
+
+  try {
+    await attachPaymentIntentToSlotHolds(holdToken, paymentIntentId);
+  } catch (e) {
+    console.error("Erreur attachPaymentIntentToSlotHolds :", e);
+  }
+}
+
 function buildSharedPaymentIntentMetadata({
   pricing,
   customerEmail,
@@ -219,9 +249,12 @@ function buildSharedPaymentIntentMetadata({
   promoCode,
   singcoinsUsed,
   promoDiscountAmount,
+  giftCardCode = null,
+  giftCardAmount = 0,
   chestReward,
   rewardType,
   rewardValue,
+  holdToken = null,
 }) {
   return sanitizeMetadata({
     type: "booking",
@@ -234,10 +267,13 @@ function buildSharedPaymentIntentMetadata({
       toSafeNumber(pricing.singcoinsDiscount, 0)
     ),
     promo_discount_amount: String(toSafeNumber(promoDiscountAmount, 0)),
+    gift_card_code: giftCardCode ? maskGiftCardCode(giftCardCode) : "",
+    gift_card_amount: String(toSafeNumber(giftCardAmount, 0)),
     singcoins_used: singcoinsUsed ? "true" : "false",
     chest_reward: chestReward || "",
     reward_type: rewardType || "",
     reward_value: rewardValue != null ? String(rewardValue) : "",
+    slot_hold_token: holdToken || "",
   });
 }
 
@@ -370,6 +406,7 @@ router.post("/api/validate-promo", async (req, res) => {
     const panier = readCartFromBody(req.body || {});
     const singcoinsUsed = toSafeBoolean(req.body?.singcoinsUsed);
     const customer = req.body?.customer || null;
+    const holdToken = safeText(req.body?.holdToken, 120) || null;
 
     if (!code) {
       return res.status(400).json({
@@ -386,10 +423,15 @@ router.post("/api/validate-promo", async (req, res) => {
     }
 
     let totalAmountEur = 0;
+    let pricedPanier = panier;
 
     if (panier.length > 0) {
-      const pricing = computeCartPricing(panier, { singcoinsUsed: false });
+      const pricing = await computeCartPricing(panier, {
+        singcoinsUsed: false,
+        quotedRates: holdToken ? await getSlotHoldQuotedRates({ holdToken }) : null,
+      });
       totalAmountEur = toSafeNumber(pricing.totalCashDue, 0);
+      pricedPanier = pricing.normalizedItems;
     }
 
     const customerEmail = normalizeEmail(customer?.email);
@@ -399,7 +441,7 @@ router.post("/api/validate-promo", async (req, res) => {
       totalAmountEur,
       buildPromoValidationContext({
         customerEmail,
-        panier,
+        panier: pricedPanier,
       })
     );
 
@@ -437,12 +479,14 @@ router.post("/api/create-payment-intent", optionalAuthMiddleware, async (req, re
     const panier = readCartFromBody(req.body || {});
     const customer = req.body?.customer || {};
     const promoCode = safeText(req.body?.promoCode, 120) || null;
+    const giftCardCode = safeText(req.body?.giftCardCode, 60) || null;
     const singcoinsUsed = toSafeBoolean(req.body?.singcoinsUsed);
     const useSavedPaymentMethod = toSafeBoolean(req.body?.useSavedPaymentMethod);
     const paymentMethodId = safeText(req.body?.paymentMethodId, 200) || null;
     const chestReward = safeText(req.body?.chestReward, 120) || "";
     const rewardType = safeText(req.body?.rewardType, 120) || "";
     const rewardValue = req.body?.rewardValue;
+    const holdToken = safeText(req.body?.holdToken, 120) || null;
 
     if (!panier.length) {
       return res.status(400).json({ error: "Panier vide" });
@@ -453,6 +497,17 @@ router.post("/api/create-payment-intent", optionalAuthMiddleware, async (req, re
       return res.status(400).json({ error: "Email client requis" });
     }
 
+    if (holdToken) {
+      const activeHolds = await getActiveSlotHoldsByToken(holdToken);
+      if (activeHolds.length === 0) {
+        return res.status(409).json({
+          error:
+            "Le délai de réservation temporaire a expiré, merci de revalider votre panier.",
+          code: "SLOT_HOLD_EXPIRED",
+        });
+      }
+    }
+
     if (singcoinsUsed && !req.userId) {
       return res.status(401).json({
         error: "Connexion requise pour utiliser les Singcoins",
@@ -470,8 +525,10 @@ router.post("/api/create-payment-intent", optionalAuthMiddleware, async (req, re
       }
     }
 
-    const pricing = computeCartPricing(panier, {
+    // Tarifs figés par /api/verify-cart (cf. slotHoldService)
+    const pricing = await computeCartPricing(panier, {
       singcoinsUsed: !!singcoinsUsed,
+      quotedRates: holdToken ? await getSlotHoldQuotedRates({ holdToken }) : null,
     });
 
     const totalBeforeDiscount = round2(pricing.totalBeforeDiscount || 0);
@@ -486,7 +543,7 @@ router.post("/api/create-payment-intent", optionalAuthMiddleware, async (req, re
         totalAmountEur,
         buildPromoValidationContext({
           customerEmail,
-          panier,
+          panier: pricing.normalizedItems,
         })
       );
 
@@ -499,14 +556,35 @@ router.post("/api/create-payment-intent", optionalAuthMiddleware, async (req, re
       }
     }
 
+    let giftCardAmount = 0;
+    let giftCard = null;
+
+    if (giftCardCode && totalAmountEur > 0) {
+      const result = await evaluateGiftCardForAmount(giftCardCode, totalAmountEur);
+
+      if (!result.ok) {
+        return res.status(400).json({ error: result.reason });
+      }
+
+      giftCardAmount = round2(result.appliedAmount);
+      totalAmountEur = round2(totalAmountEur - giftCardAmount);
+      giftCard = {
+        code: maskGiftCardCode(result.giftCard.code),
+        appliedAmount: giftCardAmount,
+        balanceAfter: result.balanceAfter,
+      };
+    }
+
     if (totalAmountEur <= 0) {
       return res.json({
         isFree: true,
         totalBeforeDiscount,
         singcoinsDiscount,
         promoDiscountAmount,
+        giftCardAmount,
         totalAfterDiscount: 0,
         promo: buildPromoPayload(promo),
+        giftCard,
       });
     }
 
@@ -525,9 +603,12 @@ router.post("/api/create-payment-intent", optionalAuthMiddleware, async (req, re
       promoCode,
       singcoinsUsed,
       promoDiscountAmount,
+      giftCardCode,
+      giftCardAmount,
       chestReward,
       rewardType,
       rewardValue,
+      holdToken,
     });
 
     const idempotencyKey = buildPaymentIntentIdempotencyKey({
@@ -535,12 +616,15 @@ router.post("/api/create-payment-intent", optionalAuthMiddleware, async (req, re
       customerEmail,
       pricing,
       promoCode,
+      giftCardCode,
+      giftCardAmount,
       singcoinsUsed,
       useSavedPaymentMethod,
       paymentMethodId,
       chestReward,
       rewardType,
       rewardValue,
+      holdToken,
     });
 
     if (useSavedPaymentMethod) {
@@ -595,6 +679,8 @@ router.post("/api/create-payment-intent", optionalAuthMiddleware, async (req, re
           }
         );
 
+        await attachSlotHoldsSafe(holdToken, paymentIntent.id);
+
         return res.json({
           clientSecret: paymentIntent.client_secret,
           paymentIntentId: paymentIntent.id,
@@ -602,8 +688,10 @@ router.post("/api/create-payment-intent", optionalAuthMiddleware, async (req, re
           totalBeforeDiscount,
           singcoinsDiscount,
           promoDiscountAmount,
+          giftCardAmount,
           totalAfterDiscount: totalAmountEur,
           promo: buildPromoPayload(promo),
+          giftCard,
         });
       } catch (e) {
         const stripeMsg =
@@ -628,6 +716,8 @@ router.post("/api/create-payment-intent", optionalAuthMiddleware, async (req, re
       }
     );
 
+    await attachSlotHoldsSafe(holdToken, paymentIntent.id);
+
     return res.json({
       clientSecret: paymentIntent.client_secret,
       paymentIntentId: paymentIntent.id,
@@ -635,8 +725,10 @@ router.post("/api/create-payment-intent", optionalAuthMiddleware, async (req, re
       totalBeforeDiscount,
       singcoinsDiscount,
       promoDiscountAmount,
+      giftCardAmount,
       totalAfterDiscount: totalAmountEur,
       promo: buildPromoPayload(promo),
+      giftCard,
     });
   } catch (err) {
     const msg = err?.raw?.message || err?.message || "Erreur serveur Stripe";
@@ -793,7 +885,20 @@ router.post("/api/create-deposit-intent", optionalAuthMiddleware, async (req, re
    CAPTURE DEPOSIT
 ========================================================= */
 
-router.post("/api/capture-deposit", requireSupabaseAdmin, async (req, res) => {
+function pickDepositAuditFields(reservation) {
+  if (!reservation) return null;
+
+  return {
+    id: reservation.id,
+    user_id: reservation.user_id || null,
+    deposit_payment_intent_id: reservation.deposit_payment_intent_id || null,
+    deposit_status: reservation.deposit_status || null,
+    deposit_amount_cents: reservation.deposit_amount_cents ?? null,
+    deposit_captured_amount_cents: reservation.deposit_captured_amount_cents ?? null,
+  };
+}
+
+router.post("/api/capture-deposit", requireAdminPermission(ADMIN_PERMISSIONS.DEPOSITS_MANAGE), async (req, res) => {
   try {
     if (!ensureStripeConfigured(res)) return;
 
@@ -821,18 +926,38 @@ router.post("/api/capture-deposit", requireSupabaseAdmin, async (req, res) => {
       params.amount_to_capture = Math.round(amount * 100);
     }
 
+    const previousReservation =
+      supabase && reservationId ? await getReservationById(reservationId) : null;
+
     const paymentIntent = await stripe.paymentIntents.capture(
       paymentIntentId,
       params
     );
 
+    let updatedReservation = null;
+
     if (supabase && reservationId) {
-      await updateReservationById(reservationId, {
+      updatedReservation = await updateReservationById(reservationId, {
         deposit_status: "captured",
+        deposit_captured_amount_cents: Number(paymentIntent?.amount_received || 0),
         updated_at: new Date().toISOString(),
       });
     }
 
+    await writeAdminAuditLog(req, {
+      action: "capture_deposit",
+      target_table: "reservations",
+      target_id: reservationId,
+      before: pickDepositAuditFields(previousReservation),
+      after: pickDepositAuditFields(updatedReservation),
+      metadata: {
+        payment_intent_id: paymentIntentId,
+        amount_to_capture_cents: params.amount_to_capture ?? null,
+        amount_received_cents: Number(paymentIntent?.amount_received || 0),
+        payment_intent_status: paymentIntent?.status || null,
+      },
+    });
+
     return res.json({ status: "captured", paymentIntent });
   } catch (err) {
     console.error("Erreur capture-deposit :", err);
@@ -846,7 +971,7 @@ router.post("/api/capture-deposit", requireSupabaseAdmin, async (req, res) => {
    CANCEL DEPOSIT
 ========================================================= */
 
-router.post("/api/cancel-deposit", requireSupabaseAdmin, async (req, res) => {
+router.post("/api/cancel-deposit", requireAdminPermission(ADMIN_PERMISSIONS.DEPOSITS_MANAGE), async (req, res) => {
   try {
     if (!ensureStripeConfigured(res)) return;
 
@@ -859,15 +984,32 @@ router.post("/api/cancel-deposit", requireSupabaseAdmin, async (req, res) => {
       });
     }
 
+    const previousReservation =
+      supabase && reservationId ? await getReservationById(reservationId) : null;
+
     const canceled = await stripe.paymentIntents.cancel(paymentIntentId);
 
+    let updatedReservation = null;
+
     if (supabase && reservationId) {
-      await updateReservationById(reservationId, {
+      updatedReservation = await updateReservationById(reservationId, {
         deposit_status: "canceled",
         updated_at: new Date().toISOString(),
       });
     }
 
+    await writeAdminAuditLog(req, {
+      action: "cancel_deposit",
+      target_table: "reservations",
+      target_id: reservationId,
+      before: pickDepositAuditFields(previousReservation),
+      after: pickDepositAuditFields(updatedReservation),
+      metadata: {
+        payment_intent_id: paymentIntentId,
+        payment_intent_status: canceled?.status || null,
+      },
+    });
+
     return res.json({ status: "canceled", paymentIntent: canceled });
   } catch (err) {
     console.error("Erreur cancel-deposit :", err);
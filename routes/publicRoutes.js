@@ -4,6 +4,10 @@ import express from "express";
 
 import { supabase } from "../config/supabase.js";
 import { VACANCES_ZONE_C } from "../constants/holidays.js";
+import {
+  MIN_ALLOWED_PERSONS,
+  MAX_ALLOWED_PERSONS,
+} from "../constants/booking.js";
 import { getHomeLeaderboards } from "../services/leaderboardService.js";
 import {
   isDateInRange,
@@ -12,12 +16,23 @@ import {
 } from "../utils/dates.js";
 import {
   isReservationStatusConfirmed,
-  isReservationStatusCancelledOrRefunded,
 } from "../services/reservationService.js";
 import {
   STANDARD_SLOT_STARTS,
   buildSlotIsoRange,
 } from "../services/pricingService.js";
+import {
+  evaluateBoxSlot,
+  listBoxClosures,
+  listBoxes,
+  toPublicBox,
+} from "../services/boxService.js";
+import { listActiveSlotHolds } from "../services/slotHoldService.js";
+import { checkReservationAccess } from "../services/doorAccessService.js";
+import {
+  buildAvailabilityGrid,
+  validateAvailabilityRange,
+} from "../services/availabilityService.js";
 
 const router = express.Router();
 
@@ -77,6 +92,14 @@ router.get("/api/slots", async (req, res) => {
       .json({ error: "Paramètre 'date' invalide (YYYY-MM-DD attendu)" });
   }
 
+  const rawPersons = safeText(req.query.persons, 5);
+  const persons = rawPersons ? Number.parseInt(rawPersons, 10) : null;
+  const holdToken = safeText(req.query.holdToken, 120) || null;
+
+  if (rawPersons && (!Number.isFinite(persons) || persons <= 0)) {
+    return res.status(400).json({ error: "Paramètre 'persons' invalide" });
+  }
+
   try {
     const previousDate = addDaysToDateString(date, -1);
     const nextDate = addDaysToDateString(date, 1);
@@ -121,9 +144,57 @@ router.get("/api/slots", async (req, res) => {
       );
     });
 
+    const boxes = await listBoxes();
+    const boxIds = boxes.map((box) => box.id);
+
+    const slotRanges = STANDARD_SLOT_STARTS.map((hour) => ({
+      hour,
+      ...buildSlotIsoRange(date, hour),
+    }));
+
+    const windowEndIso =
+      slotRanges[slotRanges.length - 1]?.endIso || dayStartIso;
+
+    const [closures, holds] = await Promise.all([
+      listBoxClosures({ boxIds, fromIso: dayStartIso, toIso: windowEndIso }),
+      listActiveSlotHolds({
+        boxIds,
+        fromIso: dayStartIso,
+        toIso: windowEndIso,
+        excludeHoldToken: holdToken,
+      }),
+    ]);
+
+    const availability = boxes.map((box) => ({
+      box_id: box.id,
+      name: box.name,
+      max_persons: box.max_persons,
+      slots: slotRanges.map((range) => {
+        const result = evaluateBoxSlot({
+          box,
+          closures,
+          reservations,
+          holds,
+          startTime: range.startIso,
+          endTime: range.endIso,
+          persons,
+        });
+
+        return {
+          hour: range.hour,
+          start_time: range.startIso,
+          end_time: range.endIso,
+          available: result.available,
+          reason: result.reason,
+        };
+      }),
+    }));
+
     return res.json({
       reservations,
       slotStarts: STANDARD_SLOT_STARTS,
+      boxes: boxes.map(toPublicBox),
+      availability,
     });
   } catch (e) {
     console.error("Erreur /api/slots :", e);
@@ -131,84 +202,73 @@ router.get("/api/slots", async (req, res) => {
   }
 });
 
-router.get("/api/check", async (req, res) => {
+router.get("/api/availability", async (req, res) => {
   if (!supabase) {
-    return res
-      .status(500)
-      .json({ valid: false, error: "Supabase non configuré" });
+    return res.status(500).json({ error: "Supabase non configuré" });
   }
 
-  try {
-    const id = safeText(req.query.id, 120);
+  const fromDate = safeText(req.query.from, 20);
+  const toDate = safeText(req.query.to, 20) || fromDate;
+  const persons = Number.parseInt(safeText(req.query.persons, 5), 10);
+  const rawBoxId = safeText(req.query.box_id, 10);
+  const boxId = rawBoxId ? Number.parseInt(rawBoxId, 10) : null;
 
-    if (!id) {
-      return res.status(400).json({ valid: false, error: "Missing id" });
-    }
+  if (!fromDate) {
+    return res
+      .status(400)
+      .json({ error: "Paramètre 'from' manquant (YYYY-MM-DD)" });
+  }
 
-    const { data, error } = await supabase
-      .from("reservations")
-      .select("id, box_id, start_time, end_time, status")
-      .eq("id", id)
-      .single();
-
-    if (error || !data) {
-      return res
-        .status(404)
-        .json({ valid: false, reason: "Réservation introuvable." });
-    }
+  const rangeError = validateAvailabilityRange(fromDate, toDate);
+  if (rangeError) {
+    return res.status(400).json({ error: rangeError });
+  }
 
-    const now = new Date();
-    const start = parseDateOrNull(data.start_time);
-    const end = parseDateOrNull(data.end_time);
+  if (
+    !Number.isFinite(persons) ||
+    persons < MIN_ALLOWED_PERSONS ||
+    persons > MAX_ALLOWED_PERSONS
+  ) {
+    return res.status(400).json({
+      error: `Paramètre 'persons' invalide (entre ${MIN_ALLOWED_PERSONS} et ${MAX_ALLOWED_PERSONS})`,
+    });
+  }
 
-    if (!start || !end) {
-      return res.status(500).json({
-        valid: false,
-        error: "Horaires de réservation invalides",
-      });
-    }
+  if (rawBoxId && (!Number.isFinite(boxId) || boxId <= 0)) {
+    return res.status(400).json({ error: "Paramètre 'box_id' invalide" });
+  }
 
-    const marginBeforeMinutes = 5;
-    const marginBeforeEndMinutes = 5;
+  try {
+    const grid = await buildAvailabilityGrid({
+      fromDate,
+      toDate,
+      persons,
+      boxId,
+      excludeHoldToken: safeText(req.query.holdToken, 120) || null,
+    });
 
-    const startWithMargin = new Date(
-      start.getTime() - marginBeforeMinutes * 60000
-    );
-    const lastEntryTime = new Date(
-      end.getTime() - marginBeforeEndMinutes * 60000
-    );
+    return res.json(grid);
+  } catch (e) {
+    console.error("Erreur /api/availability :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
 
-    let access = false;
-    let reason = "OK";
-
-    if (isReservationStatusCancelledOrRefunded(data.status)) {
-      access = false;
-      reason = "Réservation annulée ou remboursée, accès refusé.";
-    } else if (now < startWithMargin) {
-      access = false;
-      reason = "Trop tôt pour accéder à la box.";
-    } else if (now > lastEntryTime) {
-      access = false;
-      reason = "Créneau terminé, accès refusé.";
-    } else if (!isReservationStatusConfirmed(data.status)) {
-      access = false;
-      reason = `Statut invalide : ${data.status}`;
-    } else {
-      access = true;
-      reason = "Créneau valide, accès autorisé.";
-    }
+router.get("/api/check", async (req, res) => {
+  try {
+    const scannedBoxId = safeText(req.query.box_id, 20);
 
-    return res.json({
-      valid: true,
-      access,
-      reason,
-      box_id: data.box_id,
-      start_time: data.start_time,
-      end_time: data.end_time,
+    const { status, body } = await checkReservationAccess({
+      token: safeText(req.query.token, 2000),
+      reservationId: safeText(req.query.id, 120),
+      // Lecture seule : les check-ins passent par /api/device/check
+      scannedBoxId: scannedBoxId ? Number(scannedBoxId) : null,
     });
+
+    return res.status(status).json(body);
   } catch (e) {
     console.error("Erreur /api/check :", e);
-    return res.status(500).json({ valid: false, error: e.message });
+    return res.status(500).json({ valid: false, error: "Erreur serveur" });
   }
 });
 
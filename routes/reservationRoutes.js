@@ -8,22 +8,23 @@ import {
   authMiddleware,
   optionalAuthMiddleware,
 } from "../middlewares/auth.js";
-import {
-  requireAdminOrCron,
-  requireSupabaseAdmin,
-} from "../middlewares/admin.js";
+import { requireAdminPermission } from "../middlewares/admin.js";
+import { ADMIN_PERMISSIONS } from "../constants/adminRoles.js";
+import { writeAdminAuditLog } from "../services/adminAuditService.js";
 
 import {
   buildTimesFromSlot,
   computeCartPricing,
   computeSessionCashAmount,
   computeModificationDelta,
+  buildReservationPricingFields,
   buildSlotIsoRange,
   STANDARD_SLOT_STARTS,
   getBillablePersons,
 } from "../services/pricingService.js";
 
 import {
+  getSlotAvailability,
   hasReservationConflict,
   isReservationStatusModifiable,
   isWithinModificationWindow,
@@ -34,8 +35,38 @@ import {
   generateGuestManageToken,
   normalizeReservationStatus,
   isPaymentIntentAlreadyUsed,
+  getReservationQrChanges,
 } from "../services/reservationService.js";
 
+import {
+  BOX_UNAVAILABILITY_REASONS,
+  getBoxUnavailabilityLabel,
+  listBoxes,
+} from "../services/boxService.js";
+
+import {
+  createSlotHolds,
+  convertSlotHolds,
+  getSlotHoldQuotedRates,
+} from "../services/slotHoldService.js";
+
+import {
+  markWaitlistEntryBookedByHoldToken,
+  notifyWaitlistForFreedSlot,
+  notifyWaitlistForModifiedReservation,
+  transferWaitlistHoldToken,
+} from "../services/waitlistService.js";
+
+import { resendAllParticipantInvitations } from "../services/participantService.js";
+
+import {
+  evaluateGiftCardForAmount,
+  maskGiftCardCode,
+  redeemGiftCard,
+  restoreGiftCardBalance,
+  rollbackGiftCardRedemption,
+} from "../services/giftCardService.js";
+
 import {
   updateUserProfileInUsersTable,
   getReservationOwnedByUser,
@@ -94,6 +125,7 @@ import {
   sendReservationEmail,
   sendReservationModificationEmail,
 } from "../services/emailService.js";
+import { buildNextQrTokenVersion } from "../services/qrTokenService.js";
 
 import {
   sendReviewRequestEmail,
@@ -416,31 +448,79 @@ async function listExpressRebookAlternatives(reservation, { max = 3 } = {}) {
 
   const uniqueHours = [...new Set(validHours)];
   const alternatives = [];
+  const persons = clampPersons(reservation.persons || 2);
+  const sourceBoxId = Number(reservation.box_id || 1);
+
+  // Même box en priorité, puis les autres box actives pouvant accueillir le groupe.
+  const activeBoxes = await listBoxes();
+  const candidateBoxIds = [
+    sourceBoxId,
+    ...activeBoxes
+      .filter((box) => box.id !== sourceBoxId && box.max_persons >= persons)
+      .map((box) => box.id),
+  ];
 
-  for (const hour of uniqueHours) {
-    if (alternatives.length >= max) break;
-    const range = buildSlotIsoRange(targetDate, hour);
-    const conflict = await hasReservationConflict({
-      boxId: reservation.box_id,
-      startTime: range.startIso,
-      endTime: range.endIso,
-      localDate: targetDate,
-    });
-
-    if (!conflict) {
-      alternatives.push({
-        box_id: reservation.box_id,
-        persons: clampPersons(reservation.persons || 2),
-        start_time: range.startIso,
-        end_time: range.endIso,
-        date: targetDate,
+  for (const boxId of candidateBoxIds) {
+    for (const hour of uniqueHours) {
+      if (alternatives.length >= max) break;
+      const range = buildSlotIsoRange(targetDate, hour);
+      const conflict = await hasReservationConflict({
+        boxId,
+        startTime: range.startIso,
+        endTime: range.endIso,
+        localDate: targetDate,
+        persons,
       });
+
+      if (!conflict) {
+        alternatives.push({
+          box_id: boxId,
+          persons,
+          start_time: range.startIso,
+          end_time: range.endIso,
+          date: targetDate,
+        });
+      }
     }
   }
 
   return alternatives;
 }
 
+// Blocage du panier enregistré sur le paiement : le client peut omettre holdToken
+async function readPaymentIntentHoldToken(paymentIntentId) {
+  if (!stripe || !paymentIntentId) return null;
+
+  try {
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    return safeText(paymentIntent?.metadata?.slot_hold_token, 120) || null;
+  } catch (e) {
+    console.error("Erreur readPaymentIntentHoldToken :", e);
+    return null;
+  }
+}
+
+// Tarif figé à la création du paiement express (tarification dynamique)
+async function readExpressRebookQuotedRates(paymentIntentId) {
+  if (!paymentIntentId) return null;
+
+  const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+  const metadata = paymentIntent?.metadata || {};
+
+  if (metadata.type !== "express_rebook" || metadata.rebook_per_person_rate === "") {
+    return null;
+  }
+
+  return [
+    {
+      box_id: metadata.rebook_box_id,
+      start_time: metadata.rebook_start_time,
+      persons: metadata.rebook_persons,
+      per_person_rate: metadata.rebook_per_person_rate,
+    },
+  ];
+}
+
 async function resolveExpressRebookContext(rawToken) {
   const tokenData = verifyExpressRebookToken(rawToken);
   const fetchedReservation = await getReservationById(tokenData.reservationId);
@@ -598,9 +678,12 @@ async function computeReservationCartPricing({
   promoCode = null,
   customer = null,
   referralFreeSessionApplied = false,
+  giftCardCode = null,
+  quotedRates = null,
 }) {
-  const basePricing = computeCartPricing(Array.isArray(cart) ? cart : [], {
+  const basePricing = await computeCartPricing(Array.isArray(cart) ? cart : [], {
     singcoinsUsed: !!singcoinsUsed,
+    quotedRates,
   });
 
   let items = (basePricing.normalizedItems || []).map((item) => ({
@@ -608,6 +691,7 @@ async function computeReservationCartPricing({
     promoCode: null,
     promoDiscountAmount: 0,
     referralFreeSessionDiscountAmount: 0,
+    giftCardAmount: 0,
   }));
 
   const totalBeforeDiscount = round2(basePricing.totalBeforeDiscount || 0);
@@ -616,6 +700,9 @@ async function computeReservationCartPricing({
   let promoDiscountAmount = 0;
   let referralFreeSessionDiscountAmount = 0;
   let appliedPromo = null;
+  let giftCardAmount = 0;
+  let appliedGiftCard = null;
+  let giftCardError = null;
   let totalCashDue = round2(basePricing.totalCashDue || 0);
 
   if (promoCode) {
@@ -624,7 +711,7 @@ async function computeReservationCartPricing({
       totalCashDue,
       buildPromoValidationContext({
         email: customer?.email,
-        cart,
+        cart: basePricing.normalizedItems,
       })
     );
 
@@ -662,6 +749,34 @@ async function computeReservationCartPricing({
     totalCashDue = 0;
   }
 
+  // La carte cadeau s'applique en dernier, sur le reste à payer
+  if (giftCardCode && totalCashDue > 0) {
+    const giftCardResult = await evaluateGiftCardForAmount(giftCardCode, totalCashDue);
+
+    if (giftCardResult.ok) {
+      giftCardAmount = round2(giftCardResult.appliedAmount);
+      totalCashDue = round2(totalCashDue - giftCardAmount);
+      appliedGiftCard = {
+        code: maskGiftCardCode(giftCardResult.giftCard.code),
+        appliedAmount: giftCardAmount,
+        balanceAfter: giftCardResult.balanceAfter,
+      };
+
+      items = distributeDiscountAcrossItems(
+        items,
+        giftCardAmount,
+        "giftCardAmount"
+      ).map((item) => ({
+        ...item,
+        cashAmountDue: round2(
+          Number(item.cashAmountDue || 0) - Number(item.giftCardAmount || 0)
+        ),
+      }));
+    } else {
+      giftCardError = giftCardResult.reason;
+    }
+  }
+
   items = items.map((item) => ({
     ...item,
     theoreticalFullAmount: round2(item.theoreticalFullAmount || 0),
@@ -670,6 +785,7 @@ async function computeReservationCartPricing({
     referralFreeSessionDiscountAmount: round2(
       item.referralFreeSessionDiscountAmount || 0
     ),
+    giftCardAmount: round2(item.giftCardAmount || 0),
     cashAmountDue: round2(Math.max(0, Number(item.cashAmountDue || 0))),
   }));
 
@@ -686,6 +802,9 @@ async function computeReservationCartPricing({
     totalCashDue: round2(totalCashDue),
     totalAfterDiscount: round2(totalCashDue),
     promo: buildPromoPayload(appliedPromo),
+    giftCardAmount: round2(giftCardAmount),
+    giftCard: appliedGiftCard,
+    giftCardError,
   };
 }
 
@@ -881,6 +1000,7 @@ function buildReservationRow({
   singcoinsUsed,
   paymentIntentId,
   referralFreeSessionApplied = false,
+  giftCardId = null,
 }) {
   const start = new Date(item.start_time);
   const end = new Date(item.end_time);
@@ -914,7 +1034,13 @@ function buildReservationRow({
     billable_persons: getBillablePersons(item.persons),
 
     montant: lineAmount,
-    free_session: referralFreeSessionApplied ? true : lineAmount <= 0,
+    // Réglée par carte cadeau : payée, pas une séance offerte
+    free_session:
+      Number(item.giftCardAmount || 0) > 0
+        ? false
+        : referralFreeSessionApplied
+          ? true
+          : lineAmount <= 0,
 
     payment_intent_id: paymentIntentId || null,
     original_payment_intent_id: paymentIntentId || null,
@@ -926,8 +1052,13 @@ function buildReservationRow({
     promo_code: item.promoCode || null,
     promo_discount_amount: Number(item.promoDiscountAmount || 0),
 
+    gift_card_id: Number(item.giftCardAmount || 0) > 0 ? giftCardId : null,
+    gift_card_amount: Number(item.giftCardAmount || 0),
+
     theoretical_full_amount: lineTheoreticalFullAmount,
     singcoins_discount_amount: lineSingcoinsDiscountAmount,
+    // Tarif appliqué, pour que le reporting ne dépende pas des règles actuelles
+    ...buildReservationPricingFields(item),
 
     is_weekend: day === 0 || day === 6,
     is_daytime: hour >= 12 && hour < 18,
@@ -1083,11 +1214,14 @@ async function createPendingModificationRequest({
   targetEnd,
   safePersons,
   targetBoxId,
+  pricing = null,
   stripePaymentIntentId = null,
   stripeClientSecret = null,
 }) {
   if (!supabase || !reservation?.id) return null;
 
+  const pricingFields = buildReservationPricingFields(pricing || {});
+
   const payload = {
     reservation_id: reservation.id,
     old_start_time: reservation.start_time,
@@ -1099,6 +1233,9 @@ async function createPendingModificationRequest({
     new_end_time: targetEnd.toISOString(),
     new_persons: Number(safePersons || 2),
     new_amount: Number(newAmount || 0),
+    new_pricing_rule_id: pricingFields.pricing_rule_id,
+    new_pricing_rule_code: pricingFields.pricing_rule_code,
+    new_per_person_rate: pricingFields.per_person_rate,
 
     delta_amount: Number(deltaAmount || 0),
     box_id: Number(targetBoxId || reservation.box_id || 1),
@@ -1137,6 +1274,7 @@ async function createReservationsFromCart({
   singcoinsUsed = false,
   paymentIntentId = null,
   referralFreeSessionApplied = false,
+  giftCardId = null,
 }) {
   const normalizedCustomerEmail = normalizeEmail(customer?.email);
   const fullName = buildFullName(customer);
@@ -1154,6 +1292,7 @@ async function createReservationsFromCart({
       singcoinsUsed,
       paymentIntentId,
       referralFreeSessionApplied,
+      giftCardId,
     })
   );
 
@@ -1277,13 +1416,15 @@ function sumCartPersons(cart = []) {
    PUBLIC CHECK CART
 ========================================================= */
 
-router.post("/api/verify-cart", async (req, res) => {
+router.post("/api/verify-cart", optionalAuthMiddleware, async (req, res) => {
   try {
     const body = req.body || {};
     const cart = readCartFromBody(body);
     const promoCode = safeText(body.promoCode, 80) || null;
+    const giftCardCode = safeText(body.giftCardCode, 60) || null;
     const singcoinsUsed = body.singcoinsUsed === true;
     const customer = body.customer || null;
+    const previousHoldToken = safeText(body.holdToken, 120) || null;
 
     if (cart.length === 0) {
       return res.status(400).json({ error: "Panier vide" });
@@ -1295,11 +1436,72 @@ router.post("/api/verify-cart", async (req, res) => {
       promoCode,
       customer,
       referralFreeSessionApplied: false,
+      giftCardCode,
+    });
+
+    if (!pricing?.success) {
+      return res.json({
+        success: true,
+        pricing,
+        hold: null,
+      });
+    }
+
+    // Les créneaux sont bloqués dès la vérification du panier pour éviter
+    // que deux clients paient le même créneau en parallèle.
+    for (const item of pricing.items || []) {
+      const availability = await getSlotAvailability({
+        boxId: item.box_id,
+        startTime: item.start_time,
+        endTime: item.end_time,
+        localDate: item.date,
+        persons: item.persons,
+        excludeHoldToken: previousHoldToken,
+      });
+
+      if (!availability.available) {
+        return res.status(409).json({
+          error: "Un créneau sélectionné n'est plus disponible.",
+          reason: availability.reason,
+          reasonLabel: getBoxUnavailabilityLabel(availability.reason),
+          conflictItem: item,
+        });
+      }
+    }
+
+    const holdResult = await createSlotHolds({
+      items: pricing.items || [],
+      userId: req.userId || null,
+      email: customer?.email || null,
+      previousHoldToken,
     });
 
+    if (holdResult.ok && previousHoldToken) {
+      try {
+        await transferWaitlistHoldToken(previousHoldToken, holdResult.holdToken);
+      } catch (waitlistError) {
+        console.error("Erreur transferWaitlistHoldToken :", waitlistError);
+      }
+    }
+
+    if (!holdResult.ok) {
+      return res.status(409).json({
+        error: "Un créneau sélectionné n'est plus disponible.",
+        reason: BOX_UNAVAILABILITY_REASONS.HELD,
+        reasonLabel: getBoxUnavailabilityLabel(BOX_UNAVAILABILITY_REASONS.HELD),
+        conflictItem: holdResult.conflictItem,
+      });
+    }
+
+    // Le tarif affiché reste celui appliqué tant que le blocage est valide
     return res.json({
       success: true,
       pricing,
+      hold: {
+        token: holdResult.holdToken,
+        expiresAt: holdResult.expiresAt,
+      },
+      priceLockedUntil: holdResult.expiresAt,
     });
   } catch (error) {
     console.error("Erreur /api/verify-cart :", error);
@@ -1334,11 +1536,15 @@ router.post(
       const cart = readCartFromBody(body);
       const customer = body.customer || {};
       const promoCode = safeText(body.promoCode, 80) || null;
+      const giftCardCode = safeText(body.giftCardCode, 60) || null;
       const referralCodeRaw = safeText(body.referralCode, 80) || null;
       const singcoinsUsed = body.singcoinsUsed === true;
       const paymentIntentId = safeText(body.paymentIntentId, 200) || null;
       const depositPaymentIntentId =
         safeText(body.depositPaymentIntentId, 200) || null;
+      const holdToken =
+        safeText(body.holdToken, 120) ||
+        (await readPaymentIntentHoldToken(paymentIntentId));
 
       const authenticatedUserId = req.userId || null;
 
@@ -1415,12 +1621,18 @@ router.post(
         referralRewardResult = { applied: false, reward: null };
       }
 
+      const quotedRates = holdToken
+        ? await getSlotHoldQuotedRates({ holdToken, paymentIntentId })
+        : null;
+
       const pricing = await computeReservationCartPricing({
         cart,
         singcoinsUsed,
         promoCode,
         customer,
         referralFreeSessionApplied: referralRewardResult.applied,
+        giftCardCode,
+        quotedRates,
       });
 
       if (!pricing?.success) {
@@ -1429,12 +1641,18 @@ router.post(
         });
       }
 
+      if (pricing.giftCardError) {
+        return res.status(400).json({ error: pricing.giftCardError });
+      }
+
       for (const item of pricing.items || []) {
         const conflict = await hasReservationConflict({
           boxId: item.box_id,
           startTime: item.start_time,
           endTime: item.end_time,
           localDate: item.date,
+          persons: item.persons,
+          excludeHoldToken: holdToken,
         });
 
         if (conflict) {
@@ -1544,6 +1762,49 @@ router.post(
         }
       }
 
+      let giftCardRedemption = null;
+
+      if (giftCardCode && isPositiveAmount(pricing.giftCardAmount)) {
+        giftCardRedemption = await redeemGiftCard({
+          code: giftCardCode,
+          amount: pricing.giftCardAmount,
+          paymentIntentId,
+        });
+
+        if (!giftCardRedemption.ok) {
+          if (singcoinsUsed && resolvedUserId) {
+            try {
+              await refundSingcoinsToUser(
+                resolvedUserId,
+                SINGCOINS_REWARD_COST
+              );
+            } catch (refundErr) {
+              console.error(
+                "Erreur rollback Singcoins après échec carte cadeau :",
+                refundErr
+              );
+            }
+          }
+
+          // Le solde a changé depuis la création du paiement : on le rembourse
+          if (paymentIntentId) {
+            try {
+              await refundExpressPaymentIntents([paymentIntentId]);
+            } catch (refundErr) {
+              console.error(
+                "Erreur remboursement après échec carte cadeau :",
+                refundErr
+              );
+            }
+          }
+
+          return res.status(409).json({
+            error: `${giftCardRedemption.reason}. Votre paiement a été remboursé, merci de recommencer.`,
+            code: "GIFT_CARD_BALANCE_CHANGED",
+          });
+        }
+      }
+
       const reservations = await createReservationsFromCart({
         cartItems: pricing.items || [],
         customer: {
@@ -1554,9 +1815,21 @@ router.post(
         singcoinsUsed,
         paymentIntentId,
         referralFreeSessionApplied: referralRewardResult.applied,
+        giftCardId: giftCardRedemption?.giftCard?.id || null,
       });
 
       if (!reservations) {
+        if (giftCardRedemption?.ok) {
+          try {
+            await rollbackGiftCardRedemption(giftCardRedemption.transaction);
+          } catch (giftCardErr) {
+            console.error(
+              "Erreur rollback carte cadeau après échec réservation :",
+              giftCardErr
+            );
+          }
+        }
+
         if (singcoinsUsed && resolvedUserId) {
           try {
             await refundSingcoinsToUser(
@@ -1574,6 +1847,15 @@ router.post(
         return res.status(500).json({ error: "Erreur création réservation" });
       }
 
+      if (holdToken) {
+        try {
+          await convertSlotHolds(holdToken);
+          await markWaitlistEntryBookedByHoldToken(holdToken);
+        } catch (holdError) {
+          console.error("Erreur convertSlotHolds :", holdError);
+        }
+      }
+
       try {
         await handleReferralAfterReservationCreation({
           reservations,
@@ -1632,6 +1914,13 @@ router.post(
         reservations,
         accessToken,
         referralFreeSessionApplied: referralRewardResult.applied,
+        giftCard: giftCardRedemption?.ok
+          ? {
+              code: maskGiftCardCode(giftCardRedemption.giftCard.code),
+              appliedAmount: pricing.giftCardAmount,
+              balance: Number(giftCardRedemption.giftCard.balance || 0),
+            }
+          : null,
       });
     } catch (error) {
       console.error("Erreur /api/confirm-reservation :", error);
@@ -1664,6 +1953,7 @@ router.get("/api/rebook/prepare", async (req, res) => {
       startTime: requestedItem.start_time,
       endTime: requestedItem.end_time,
       localDate: requestedItem.date,
+      persons: requestedItem.persons,
     });
 
     const alternatives = conflict
@@ -1752,6 +2042,7 @@ router.post("/api/rebook/create-payment-intent", async (req, res) => {
       startTime: item.start_time,
       endTime: item.end_time,
       localDate: item.date,
+      persons: item.persons,
     });
 
     if (conflict) {
@@ -1807,6 +2098,7 @@ router.post("/api/rebook/create-payment-intent", async (req, res) => {
         rebook_end_time: String(item.end_time),
         rebook_box_id: String(item.box_id),
         rebook_persons: String(item.persons),
+        rebook_per_person_rate: String(item.perPersonRate ?? ""),
         customer_email: normalizeEmail(user.email || reservation.email || ""),
         promo_code: safeText(promoCode, 80) || "",
       },
@@ -1914,6 +2206,9 @@ router.post("/api/rebook/confirm", async (req, res) => {
       singcoinsUsed: false,
       promoCode: promoCode || null,
       customer: { email: user.email || reservation.email || "" },
+      quotedRates: stripe
+        ? await readExpressRebookQuotedRates(safePaymentIntentId)
+        : null,
     });
 
     const item = pricing.items?.[0];
@@ -1951,6 +2246,7 @@ router.post("/api/rebook/confirm", async (req, res) => {
       startTime: item.start_time,
       endTime: item.end_time,
       localDate: item.date,
+      persons: item.persons,
     });
 
     if (conflict) {
@@ -2218,6 +2514,18 @@ async function runReservationModification({
     };
   }
 
+  if (reservation.group_booking_id) {
+    return {
+      ok: false,
+      status: 409,
+      body: {
+        error:
+          "Les réservations de groupe à paiement partagé ne sont pas modifiables en ligne. Contactez-nous.",
+        code: "GROUP_RESERVATION_NOT_MODIFIABLE",
+      },
+    };
+  }
+
   if (!isWithinModificationWindow(reservation.start_time)) {
     return {
       ok: false,
@@ -2230,8 +2538,6 @@ async function runReservationModification({
 
   const previousStartTime = reservation.start_time;
   const previousEndTime = reservation.end_time;
-  const previousBoxId = Number(reservation.box_id || 1);
-  const previousPersons = Number(reservation.persons || 2);
 
   const safePersons = clampPersons(
     newPersons || getReservationPersons(reservation)
@@ -2266,19 +2572,24 @@ async function runReservationModification({
   const targetBoxId = Number(boxId || reservation.box_id || 1);
   const targetLocalDate = formatDateToYYYYMMDD(targetStart);
 
-  const conflict = await hasReservationConflict({
+  const availability = await getSlotAvailability({
     boxId: targetBoxId,
     startTime: targetStart.toISOString(),
     endTime: targetEnd.toISOString(),
     localDate: targetLocalDate,
     excludeReservationId: reservation.id,
+    persons: safePersons,
   });
 
-  if (conflict) {
+  if (!availability.available) {
     return {
       ok: false,
       status: 409,
-      body: { error: "Le nouveau créneau n’est plus disponible" },
+      body: {
+        error: "Le nouveau créneau n’est plus disponible",
+        reason: availability.reason,
+        reasonLabel: getBoxUnavailabilityLabel(availability.reason),
+      },
     };
   }
 
@@ -2295,10 +2606,11 @@ async function runReservationModification({
     };
   }
 
-  const { oldAmount, newAmount, deltaAmount } = computeModificationDelta({
+  const { oldAmount, newAmount, deltaAmount, pricing } = await computeModificationDelta({
     reservation,
     targetStart,
     targetPersons: safePersons,
+    targetBoxId,
   });
 
   if (isPassReservation(reservation) && deltaAmount < 0) {
@@ -2341,6 +2653,7 @@ async function runReservationModification({
         targetEnd,
         safePersons,
         targetBoxId,
+        pricing,
       });
 
       if (!modReq) {
@@ -2401,6 +2714,7 @@ async function runReservationModification({
           targetEnd,
           safePersons,
           targetBoxId,
+          pricing,
           stripePaymentIntentId: autoCharge.paymentIntentId,
           stripeClientSecret: autoCharge.clientSecret,
         });
@@ -2495,6 +2809,16 @@ async function runReservationModification({
     refundDone = true;
   }
 
+  const { scheduleChanged, personsChanged, qrChanged } = getReservationQrChanges(
+    reservation,
+    {
+      start_time: targetStart.toISOString(),
+      end_time: targetEnd.toISOString(),
+      box_id: targetBoxId,
+      persons: safePersons,
+    }
+  );
+
   const updatedReservation = await updateReservationById(reservation.id, {
     start_time: targetStart.toISOString(),
     end_time: targetEnd.toISOString(),
@@ -2504,7 +2828,11 @@ async function runReservationModification({
     persons: safePersons,
     billable_persons: Math.max(safePersons, 2),
     montant: newAmount,
-    free_session: isPassReservation(reservation) ? true : newAmount <= 0,
+    free_session: isPassReservation(reservation)
+      ? true
+      : Number(reservation.gift_card_amount || 0) > 0
+        ? false
+        : newAmount <= 0,
     singcoins_used: singcoinsRewardUsed,
     singcoins_spent: singcoinsRewardUsed ? SINGCOINS_REWARD_COST : 0,
     latest_payment_intent_id:
@@ -2526,18 +2854,13 @@ async function runReservationModification({
     is_daytime: targetStart.getHours() >= 12 && targetStart.getHours() < 18,
     is_group_session: safePersons >= 3,
     session_minutes: Math.floor((targetEnd - targetStart) / 60000),
+    ...buildReservationPricingFields(pricing),
+    // Le QR n'est renouvelé (et renvoyé) que si le créneau ou les personnes changent
+    ...(qrChanged ? { qr_token_version: buildNextQrTokenVersion(reservation) } : {}),
     updated_at: new Date().toISOString(),
   });
 
-  const scheduleChanged =
-    previousStartTime !== updatedReservation.start_time ||
-    previousEndTime !== updatedReservation.end_time ||
-    previousBoxId !== Number(updatedReservation.box_id || 1);
-
-  const personsChanged =
-    previousPersons !== Number(updatedReservation.persons || 2);
-
-  if (updatedReservation?.email && (scheduleChanged || personsChanged)) {
+  if (updatedReservation?.email && qrChanged) {
     try {
       await sendReservationModificationEmail(updatedReservation, {
         scheduleChanged,
@@ -2553,6 +2876,21 @@ async function runReservationModification({
     }
   }
 
+  // Nouvelle version de QR : ceux des participants sont aussi à renvoyer
+  if (qrChanged) {
+    try {
+      await resendAllParticipantInvitations(updatedReservation);
+    } catch (participantErr) {
+      console.error("Erreur renvoi QR participants :", participantErr);
+    }
+  }
+
+  try {
+    await notifyWaitlistForModifiedReservation(reservation, updatedReservation);
+  } catch (waitlistError) {
+    console.error("Erreur notifyWaitlistForModifiedReservation :", waitlistError);
+  }
+
   return {
     ok: true,
     status: 200,
@@ -2611,6 +2949,19 @@ async function runReservationRefund({
     };
   }
 
+  if (reservation.group_booking_id) {
+    // Plusieurs PaymentIntents (une par part) : remboursement traité par l'équipe
+    return {
+      ok: false,
+      status: 409,
+      body: {
+        error:
+          "Les réservations de groupe à paiement partagé ne sont pas remboursables en ligne. Contactez-nous.",
+        code: "GROUP_RESERVATION_NOT_REFUNDABLE",
+      },
+    };
+  }
+
   if (!isWithinRefundWindow(reservation.start_time)) {
     return {
       ok: false,
@@ -2691,18 +3042,47 @@ async function runReservationRefund({
     singcoinsRefundDone = true;
   }
 
+  // La part réglée par carte cadeau retourne sur la carte (pas sur la CB)
+  const giftCardAmountToRestore = Number(reservation.gift_card_amount || 0);
+  let giftCardRestored = false;
+
+  if (reservation.gift_card_id && giftCardAmountToRestore > 0) {
+    try {
+      const restoreResult = await restoreGiftCardBalance({
+        giftCardId: reservation.gift_card_id,
+        amount: giftCardAmountToRestore,
+        reservationId: reservation.id,
+      });
+      giftCardRestored =
+        restoreResult.restored || restoreResult.reason === "already_restored";
+    } catch (giftCardError) {
+      console.error("Erreur restoreGiftCardBalance :", giftCardError);
+    }
+  }
+
   const updatedReservation = await updateReservationById(reservation.id, {
     status: "refunded",
     refunded_at: new Date().toISOString(),
     refunded_amount: roundMoney(
       Number(reservation.refunded_amount || 0) + cashAmountToRefund
     ),
+    qr_revoked_at: new Date().toISOString(),
     updated_at: new Date().toISOString(),
   });
 
   await invalidateGuestManageToken(reservation.id);
   await maybeCancelReferralAfterCancellation(reservation.id);
 
+  try {
+    await notifyWaitlistForFreedSlot({
+      boxId: reservation.box_id,
+      startTime: reservation.start_time,
+      endTime: reservation.end_time,
+    });
+  } catch (waitlistError) {
+    console.error("Erreur notifyWaitlistForFreedSlot :", waitlistError);
+  }
+
   return {
     ok: true,
     status: 200,
@@ -2714,6 +3094,8 @@ async function runReservationRefund({
         singcoinsToRefund,
         stripeRefundDone,
         singcoinsRefundDone,
+        giftCardAmountToRestore,
+        giftCardRestored,
       },
     },
   };
@@ -2867,7 +3249,7 @@ router.post("/api/guest-refund-reservation", async (req, res) => {
 
 router.post(
   "/api/complete-reservation",
-  requireAdminOrCron,
+  requireAdminPermission(ADMIN_PERMISSIONS.RESERVATIONS_MANAGE, { allowCron: true }),
   async (req, res) => {
     try {
       const reservationId = safeText(req.body?.reservationId, 120);
@@ -2932,6 +3314,15 @@ router.post(
         updated_at: new Date().toISOString(),
       });
 
+      await writeAdminAuditLog(req, {
+        action: "complete_reservation",
+        target_table: "reservations",
+        target_id: reservation.id,
+        before: reservation,
+        after: updated,
+        metadata: { mode: req.isCron ? "cron" : "admin" },
+      });
+
       try {
         const existingReview =
           await getExistingReviewRequestByReservationId(reservation.id);
@@ -3092,8 +3483,9 @@ router.post("/api/session-cash-amount", async (req, res) => {
       return res.status(400).json({ error: "startTime invalide" });
     }
 
-    const amount = computeSessionCashAmount(startDate, persons, {
+    const amount = await computeSessionCashAmount(startDate, persons, {
       singcoinsUsed,
+      boxId: req.body?.boxId ?? req.body?.box_id ?? null,
     });
 
     return res.json({
@@ -3112,7 +3504,7 @@ router.post("/api/session-cash-amount", async (req, res) => {
 
 router.post(
   "/api/debug-credit-singcoins",
-  requireSupabaseAdmin,
+  requireAdminPermission(ADMIN_PERMISSIONS.SINGCOINS_CREDIT),
   async (req, res) => {
     try {
       const targetUserId = safeText(req.body?.userId, 120) || req.userId;
@@ -3128,15 +3520,29 @@ router.post(
         return res.status(400).json({ error: "Montant invalide" });
       }
 
+      const balanceBefore = await getAvailableSingcoinsForUser(targetUserId);
+      const referenceId = `debug-${Date.now()}`;
+
       const result = await creditSingcoins({
         userId: targetUserId,
         amount,
         type: "manual_debug",
         referenceType: "debug",
-        referenceId: `debug-${Date.now()}`,
+        referenceId,
         label,
       });
 
+      await writeAdminAuditLog(req, {
+        action: "debug_credit_singcoins",
+        target_table: "users",
+        target_id: targetUserId,
+        before: { singcoins_available: balanceBefore },
+        after: {
+          singcoins_available: await getAvailableSingcoinsForUser(targetUserId),
+        },
+        metadata: { amount, label, reference_id: referenceId },
+      });
+
       return res.json({
         success: true,
         result,
@@ -0,0 +1,204 @@
+// backend/routes/waitlistRoutes.js
+
+import express from "express";
+
+import { supabase } from "../config/supabase.js";
+import {
+  authMiddleware,
+  optionalAuthMiddleware,
+} from "../middlewares/auth.js";
+import { SLOT_DURATION_MINUTES } from "../constants/booking.js";
+import { buildSlotIsoRange } from "../services/pricingService.js";
+import { getSlotAvailability } from "../services/reservationService.js";
+import { listBoxes } from "../services/boxService.js";
+import {
+  cancelWaitlistEntry,
+  createWaitlistEntry,
+  listWaitlistEntriesForUser,
+  resolveWaitlistPriority,
+  toPublicWaitlistEntry,
+} from "../services/waitlistService.js";
+import { clampPersons } from "../utils/validators.js";
+import { parseDateOrNull } from "../utils/dates.js";
+
+const router = express.Router();
+
+function safeText(value, maxLen = 255) {
+  return String(value ?? "").trim().slice(0, maxLen);
+}
+
+function normalizeEmail(email) {
+  return safeText(email, 255).toLowerCase();
+}
+
+function isValidDateOnly(dateStr) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(dateStr || "").trim());
+}
+
+function buildFullName(customer = {}) {
+  const prenom = safeText(customer.prenom, 120);
+  const nom = safeText(customer.nom, 120);
+  return `${prenom}${prenom && nom ? " " : ""}${nom}`.trim();
+}
+
+function ensureSupabaseConfigured(res) {
+  if (!supabase) {
+    res.status(500).json({ error: "Supabase non configuré" });
+    return false;
+  }
+  return true;
+}
+
+function readRequestedRange(body) {
+  if (body?.start_time) {
+    const start = parseDateOrNull(body.start_time);
+    if (!start) return null;
+
+    return {
+      startIso: start.toISOString(),
+      endIso: new Date(
+        start.getTime() + SLOT_DURATION_MINUTES * 60 * 1000
+      ).toISOString(),
+    };
+  }
+
+  const date = safeText(body?.date, 20);
+  const hour = Number(body?.hour);
+
+  if (!isValidDateOnly(date) || !Number.isFinite(hour)) return null;
+
+  return buildSlotIsoRange(date, hour);
+}
+
+/* =========================================================
+   INSCRIPTION / CONSULTATION
+========================================================= */
+
+router.post("/api/waitlist", optionalAuthMiddleware, async (req, res) => {
+  if (!ensureSupabaseConfigured(res)) return;
+
+  try {
+    const body = req.body || {};
+    const customer = body.customer || {};
+    const email = normalizeEmail(customer.email || body.email || req.user?.email);
+    const name = buildFullName(customer) || safeText(body.name, 120) || null;
+    const persons = clampPersons(body.persons || 2);
+    const boxId = body.boxId || body.box_id || null;
+    const range = readRequestedRange(body);
+
+    if (!email) {
+      return res.status(400).json({ error: "Email requis" });
+    }
+
+    if (!range) {
+      return res.status(400).json({ error: "Créneau invalide" });
+    }
+
+    if (new Date(range.startIso).getTime() <= Date.now()) {
+      return res.status(400).json({ error: "Ce créneau est déjà passé" });
+    }
+
+    const candidateBoxIds = boxId
+      ? [Number(boxId)]
+      : (await listBoxes()).map((box) => box.id);
+
+    for (const candidateBoxId of candidateBoxIds) {
+      const availability = await getSlotAvailability({
+        boxId: candidateBoxId,
+        startTime: range.startIso,
+        endTime: range.endIso,
+        persons,
+      });
+
+      if (availability.available) {
+        return res.status(409).json({
+          error: "Ce créneau est disponible, vous pouvez le réserver directement.",
+          code: "SLOT_AVAILABLE",
+          box_id: candidateBoxId,
+        });
+      }
+    }
+
+    const { created, entry } = await createWaitlistEntry({
+      userId: req.userId || null,
+      email,
+      name,
+      boxId,
+      startTime: range.startIso,
+      endTime: range.endIso,
+      persons,
+    });
+
+    return res.status(created ? 201 : 200).json({
+      success: true,
+      created,
+      entry: toPublicWaitlistEntry(entry),
+    });
+  } catch (e) {
+    console.error("Erreur /api/waitlist :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.get("/api/waitlist/me", authMiddleware, async (req, res) => {
+  if (!ensureSupabaseConfigured(res)) return;
+
+  try {
+    const entries = await listWaitlistEntriesForUser(req.userId);
+    return res.json({
+      success: true,
+      entries: entries.map(toPublicWaitlistEntry),
+    });
+  } catch (e) {
+    console.error("Erreur /api/waitlist/me :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+router.post("/api/waitlist/:id/cancel", authMiddleware, async (req, res) => {
+  if (!ensureSupabaseConfigured(res)) return;
+
+  try {
+    const entry = await cancelWaitlistEntry({
+      entryId: safeText(req.params.id, 120),
+      userId: req.userId,
+    });
+
+    if (!entry) {
+      return res.status(404).json({ error: "Inscription introuvable" });
+    }
+
+    return res.json({ success: true, entry: toPublicWaitlistEntry(entry) });
+  } catch (e) {
+    console.error("Erreur /api/waitlist/:id/cancel :", e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/* =========================================================
+   LIEN DE PRIORITÉ
+========================================================= */
+
+router.get("/api/waitlist/priority", async (req, res) => {
+  if (!ensureSupabaseConfigured(res)) return;
+
+  try {
+    const token = safeText(req.query?.token, 2000);
+    const { entry, slot, hold } = await resolveWaitlistPriority(token);
+
+    return res.json({
+      success: true,
+      entry: toPublicWaitlistEntry(entry),
+      email: entry.email,
+      slot,
+      hold,
+    });
+  } catch (e) {
+    console.error("Erreur /api/waitlist/priority :", e);
+    return res.status(400).json({
+      error: e?.message || "Lien de priorité invalide",
+    });
+  }
+});
+
+export default router;
@@ -6,7 +6,33 @@ import bodyParser from "body-parser";
 import { stripe } from "../config/stripe.js";
 import { STRIPE_WEBHOOK_SECRET } from "../config/env.js";
 import { supabase } from "../config/supabase.js";
-import { applyReservationModification } from "../services/reservationService.js";
+import {
+  applyReservationModification,
+  getReservationById,
+  getReservationQrChanges,
+} from "../services/reservationService.js";
+import { sendReservationModificationEmail } from "../services/emailService.js";
+import { resendAllParticipantInvitations } from "../services/participantService.js";
+import {
+  getActiveSlotHoldsByToken,
+  releaseSlotHolds,
+} from "../services/slotHoldService.js";
+import {
+  notifyWaitlistForFreedSlot,
+  notifyWaitlistForModifiedReservation,
+} from "../services/waitlistService.js";
+import {
+  GROUP_SHARE_PAYMENT_INTENT_TYPE,
+  markGroupSharePaidFromIntent,
+} from "../services/groupBookingService.js";
+import {
+  GIFT_CARD_PAYMENT_INTENT_TYPE,
+  activateGiftCardFromIntent,
+} from "../services/giftCardService.js";
+import {
+  isPassExtensionPaymentIntent,
+  settlePassExtensionPayment,
+} from "../services/passService.js";
 
 const router = express.Router();
 
@@ -85,7 +111,8 @@ async function fetchModificationRequest(modificationRequestId) {
 
 async function updateReservationDepositStatusByPaymentIntent(
   paymentIntentId,
-  depositStatus
+  depositStatus,
+  extraFields = {}
 ) {
   if (!supabase || !paymentIntentId || !depositStatus) return false;
 
@@ -93,6 +120,7 @@ async function updateReservationDepositStatusByPaymentIntent(
     const { error } = await supabase
       .from("reservations")
       .update({
+        ...extraFields,
         deposit_status: depositStatus,
         updated_at: new Date().toISOString(),
       })
@@ -179,7 +207,9 @@ async function handleModificationPaymentIntentSucceeded(intent) {
   }
 
   try {
-    await applyReservationModification({
+    const previousReservation = await getReservationById(modReq.reservation_id);
+
+    const updatedReservation = await applyReservationModification({
       ...modReq,
       stripe_payment_intent_id: modReq.stripe_payment_intent_id || intent.id,
     });
@@ -190,6 +220,17 @@ async function handleModificationPaymentIntentSucceeded(intent) {
       paid_at: modReq.paid_at || new Date().toISOString(),
       applied_at: new Date().toISOString(),
     });
+
+    await notifyReservationQrChange(previousReservation, updatedReservation);
+
+    try {
+      await notifyWaitlistForModifiedReservation(
+        previousReservation,
+        updatedReservation
+      );
+    } catch (waitlistError) {
+      console.error("Erreur notifyWaitlistForModifiedReservation (webhook) :", waitlistError);
+    }
   } catch (applyErr) {
     console.error("Erreur application modification :", applyErr);
 
@@ -201,10 +242,43 @@ async function handleModificationPaymentIntentSucceeded(intent) {
   }
 }
 
+// L'ancien QR ne fonctionne plus : le client et ses participants reçoivent le nouveau
+async function notifyReservationQrChange(previousReservation, updatedReservation) {
+  if (!previousReservation || !updatedReservation) return;
+
+  const { scheduleChanged, personsChanged, qrChanged } = getReservationQrChanges(
+    previousReservation,
+    updatedReservation
+  );
+
+  if (!qrChanged) return;
+
+  if (updatedReservation.email) {
+    try {
+      await sendReservationModificationEmail(updatedReservation, {
+        scheduleChanged,
+        personsChanged,
+        previousStartTime: previousReservation.start_time,
+        previousEndTime: previousReservation.end_time,
+      });
+    } catch (mailErr) {
+      console.error("Erreur envoi email modification (webhook) :", mailErr);
+    }
+  }
+
+  try {
+    await resendAllParticipantInvitations(updatedReservation);
+  } catch (participantErr) {
+    console.error("Erreur renvoi QR participants (webhook) :", participantErr);
+  }
+}
+
 async function handleDepositPaymentIntentSucceeded(intent) {
   if (!intent?.id) return;
 
-  await updateReservationDepositStatusByPaymentIntent(intent.id, "captured");
+  await updateReservationDepositStatusByPaymentIntent(intent.id, "captured", {
+    deposit_captured_amount_cents: Number(intent.amount_received || 0),
+  });
 }
 
 async function handleDepositPaymentIntentCapturableUpdated(intent) {
@@ -225,6 +299,41 @@ async function handleDepositPaymentIntentCanceled(intent) {
   await updateReservationDepositStatusByPaymentIntent(intent.id, "canceled");
 }
 
+async function releaseBookingSlotHolds(intent, reason) {
+  if (!supabase) {
+    return;
+  }
+
+  const holdToken = safeText(intent?.metadata?.slot_hold_token, 120);
+  let releasedHolds = [];
+
+  try {
+    releasedHolds = holdToken ? await getActiveSlotHoldsByToken(holdToken) : [];
+
+    await releaseSlotHolds({
+      holdToken: holdToken || null,
+      paymentIntentId: intent.id,
+      reason,
+    });
+  } catch (e) {
+    console.error("Erreur releaseSlotHolds (webhook) :", e);
+    return;
+  }
+
+  // Paiement abandonné : les créneaux bloqués repassent à la liste d'attente
+  for (const hold of releasedHolds) {
+    try {
+      await notifyWaitlistForFreedSlot({
+        boxId: hold.box_id,
+        startTime: hold.start_time,
+        endTime: hold.end_time,
+      });
+    } catch (waitlistError) {
+      console.error("Erreur notifyWaitlistForFreedSlot (webhook) :", waitlistError);
+    }
+  }
+}
+
 async function handlePaymentIntentSucceeded(event) {
   const intent = event?.data?.object;
 
@@ -245,6 +354,26 @@ async function handlePaymentIntentSucceeded(event) {
     return;
   }
 
+  if (intentType === GROUP_SHARE_PAYMENT_INTENT_TYPE) {
+    await markGroupSharePaidFromIntent(intent);
+    return;
+  }
+
+  if (intentType === GIFT_CARD_PAYMENT_INTENT_TYPE) {
+    await activateGiftCardFromIntent(intent);
+    return;
+  }
+
+  // Prolongation payée sans confirmation côté client (onglet fermé, etc.)
+  if (isPassExtensionPaymentIntent(intent)) {
+    const result = await settlePassExtensionPayment(intent);
+
+    if (!result.ok) {
+      console.error("Erreur prolongation de pass (webhook) :", intent.id, result.error);
+    }
+    return;
+  }
+
   if (intentType === "booking") {
     return;
   }
@@ -268,6 +397,11 @@ async function handlePaymentIntentPaymentFailed(event) {
     return;
   }
 
+  if (intentType === "booking") {
+    await releaseBookingSlotHolds(intent, "payment_failed");
+    return;
+  }
+
   if (intentType !== "modification") {
     return;
   }
@@ -322,6 +456,11 @@ async function handlePaymentIntentCanceled(event) {
 
   const intentType = normalizeStatus(intent.metadata?.type);
 
+  if (intentType === "booking") {
+    await releaseBookingSlotHolds(intent, "payment_canceled");
+    return;
+  }
+
   if (intentType !== "deposit") {
     return;
   }
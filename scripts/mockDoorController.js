@@ -0,0 +1,156 @@
+// backend/scripts/mockDoorController.js
+
+/**
+ * Contrôleur de porte simulé, pour tester l'intégration sans matériel.
+ *
+ * Usage :
+ *   DOOR_DEVICE_KEY=dk_xxx node scripts/mockDoorController.js [options]
+ *
+ * Options :
+ *   --url <url>          Backend (défaut : BACKEND_BASE_URL ou http://localhost:3000)
+ *   --key <clé>          Clé API du contrôleur (défaut : DOOR_DEVICE_KEY)
+ *   --scan <qr>          Simule un scan (URL du QR, jeton ou id) puis s'arrête
+ *   --heartbeats <n>     Nombre de heartbeats avant arrêt (défaut : illimité)
+ *   --interval <ms>      Intervalle entre heartbeats (défaut : 15000)
+ *   --fail-ack           Acquitte les commandes en échec (test des erreurs)
+ */
+
+const FIRMWARE_VERSION = "mock-1.0.0";
+
+function readArgs(argv) {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const current = argv[i];
+    if (!current.startsWith("--")) continue;
+
+    const key = current.slice(2);
+    const next = argv[i + 1];
+
+    if (next == null || next.startsWith("--")) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i += 1;
+    }
+  }
+
+  return args;
+}
+
+function parseScanInput(raw) {
+  const value = String(raw || "").trim();
+
+  try {
+    const url = new URL(value);
+    return {
+      token: url.searchParams.get("token") || "",
+      id: url.searchParams.get("id") || "",
+    };
+  } catch {
+    // pas une URL : jeton JWT (3 segments) ou id brut
+  }
+
+  return value.split(".").length === 3 ? { token: value, id: "" } : { token: "", id: value };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function callBackend(baseUrl, apiKey, path, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "x-device-key": apiKey,
+    },
+    body: JSON.stringify(body || {}),
+  });
+
+  const payload = await response.json().catch(() => ({}));
+  return { status: response.status, payload };
+}
+
+async function handleCommands(baseUrl, apiKey, commands, { failAck }) {
+  for (const command of commands || []) {
+    if (command.command === "unlock") {
+      console.log(
+        `🔓 Ouverture à distance (commande ${command.id}) : ${command.reason || "sans motif"}`
+      );
+    } else {
+      console.log(`❔ Commande inconnue ignorée : ${command.command}`);
+    }
+
+    const { status } = await callBackend(
+      baseUrl,
+      apiKey,
+      `/api/device/commands/${encodeURIComponent(command.id)}/ack`,
+      failAck
+        ? { success: false, message: "Échec simulé" }
+        : { success: true, message: "Porte ouverte (simulation)" }
+    );
+
+    console.log(`   ↳ acquittement : HTTP ${status}`);
+  }
+}
+
+async function main() {
+  const args = readArgs(process.argv.slice(2));
+
+  if (args.help) {
+    console.log("Voir l'en-tête de scripts/mockDoorController.js pour l'usage.");
+    return;
+  }
+
+  const baseUrl = String(
+    args.url || process.env.BACKEND_BASE_URL || "http://localhost:3000"
+  ).replace(/\/+$/, "");
+  const apiKey = String(args.key || process.env.DOOR_DEVICE_KEY || "").trim();
+
+  if (!apiKey) {
+    console.error("❌ Clé contrôleur manquante (--key ou DOOR_DEVICE_KEY)");
+    process.exitCode = 1;
+    return;
+  }
+
+  if (args.scan) {
+    const scan = parseScanInput(args.scan);
+    const { status, payload } = await callBackend(baseUrl, apiKey, "/api/device/check", scan);
+
+    console.log(
+      `${payload?.access ? "✅ Accès autorisé" : "⛔ Accès refusé"} (HTTP ${status}) : ${
+        payload?.reason || payload?.error || "?"
+      }`
+    );
+    return;
+  }
+
+  const maxHeartbeats = args.heartbeats ? Math.max(Number(args.heartbeats) || 1, 1) : Infinity;
+  const interval = Math.max(Number(args.interval) || 15000, 1000);
+
+  for (let count = 1; count <= maxHeartbeats; count += 1) {
+    const { status, payload } = await callBackend(baseUrl, apiKey, "/api/device/heartbeat", {
+      firmwareVersion: FIRMWARE_VERSION,
+      status: { door: "closed", uptimeSeconds: Math.round(process.uptime()) },
+    });
+
+    if (status !== 200) {
+      console.error(`❌ Heartbeat refusé (HTTP ${status}) :`, payload?.error || payload);
+    } else {
+      console.log(
+        `💓 Heartbeat ${count} OK — box ${payload.device?.box_id}, ${payload.commands?.length || 0} commande(s)`
+      );
+      await handleCommands(baseUrl, apiKey, payload.commands, { failAck: !!args["fail-ack"] });
+    }
+
+    if (count < maxHeartbeats) {
+      await sleep(interval);
+    }
+  }
+}
+
+main().catch((error) => {
+  console.error("❌ Erreur contrôleur simulé :", error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,210 @@
+// backend/services/adminAuditService.js
+
+import { supabase } from "../config/supabase.js";
+
+/**
+ * Journal d'audit des actions admin et cron.
+ *
+ * Table `admin_audit_logs`
+ * - id, actor_user_id, actor_email, actor_type (admin | cron | system), actor_role,
+ *   action, target_table, target_id, target_reservation_id, target_user_id,
+ *   before (jsonb, état avant l'action), after (jsonb, état après),
+ *   metadata (jsonb), created_at
+ *
+ * target_reservation_id / target_user_id sont renseignés même quand la cible
+ * principale est une autre table, pour retrouver tout ce qui a touché une
+ * réservation ou un client.
+ *
+ * Les jobs internes (scheduledJobs) passent un acteur "system" construit par
+ * buildSystemAuditActor à la place de req.
+ */
+
+export const ADMIN_AUDIT_MAX_PAGE_SIZE = 200;
+
+// Jamais recopiés dans before / after
+const SECRET_KEY_PATTERN = /(api_key|secret|password|token_hash|manage_token)/i;
+
+function safeTrim(value) {
+  return String(value || "").trim();
+}
+
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+function toFiniteNumber(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function escapeIlikeValue(value) {
+  return String(value).replace(/[\\%_]/g, (char) => `\\${char}`);
+}
+
+function toIdOrNull(value) {
+  return value != null && value !== "" ? String(value) : null;
+}
+
+function sanitizeAuditSnapshot(snapshot) {
+  if (snapshot == null) return null;
+  if (Array.isArray(snapshot)) return snapshot.map(sanitizeAuditSnapshot);
+  if (typeof snapshot !== "object") return snapshot;
+
+  const safeSnapshot = {};
+  for (const [key, value] of Object.entries(snapshot)) {
+    if (SECRET_KEY_PATTERN.test(key)) continue;
+    safeSnapshot[key] = sanitizeAuditSnapshot(value);
+  }
+  return safeSnapshot;
+}
+
+function resolveTargetReservationId(payload) {
+  if (payload?.target_reservation_id != null) {
+    return toIdOrNull(payload.target_reservation_id);
+  }
+
+  if (payload?.target_table === "reservations") {
+    return toIdOrNull(payload.target_id);
+  }
+
+  return null;
+}
+
+function resolveTargetUserId(payload) {
+  if (payload?.target_user_id != null) {
+    return toIdOrNull(payload.target_user_id);
+  }
+
+  if (payload?.target_table === "users") {
+    return toIdOrNull(payload.target_id);
+  }
+
+  return toIdOrNull(payload?.after?.user_id ?? payload?.before?.user_id);
+}
+
+export function buildSystemAuditActor(jobName, { trigger = "schedule" } = {}) {
+  return {
+    isSystem: true,
+    jobName: safeTrim(jobName) || null,
+    jobTrigger: safeTrim(trigger) || null,
+  };
+}
+
+/**
+ * N'interrompt jamais l'action auditée : une erreur d'écriture est
+ * seulement journalisée.
+ */
+export async function writeAdminAuditLog(req, payload) {
+  try {
+    if (!supabase) return;
+
+    const row = {
+      actor_user_id: req?.user?.id || null,
+      actor_email: req?.user?.email || null,
+      actor_type: req?.isSystem ? "system" : req?.isCron ? "cron" : "admin",
+      actor_role: req?.isCron || req?.isSystem ? null : req?.adminRole || null,
+      action: payload?.action || "unknown_action",
+      target_table: payload?.target_table || null,
+      target_id: toIdOrNull(payload?.target_id),
+      target_reservation_id: resolveTargetReservationId(payload),
+      target_user_id: resolveTargetUserId(payload),
+      before: sanitizeAuditSnapshot(payload?.before),
+      after: sanitizeAuditSnapshot(payload?.after),
+      metadata: req?.isSystem
+        ? { job: req.jobName, trigger: req.jobTrigger, ...(payload?.metadata || {}) }
+        : payload?.metadata || {},
+    };
+
+    const { error } = await supabase.from("admin_audit_logs").insert(row);
+
+    if (error) {
+      console.error("Erreur admin_audit_logs insert :", error);
+    }
+  } catch (e) {
+    console.error("Erreur writeAdminAuditLog :", e);
+  }
+}
+
+/**
+ * filters : actor (email partiel ou id), actorType, action, targetTable,
+ * targetId, reservationId, userId, from (inclus) / to (exclu) en ISO.
+ */
+export async function searchAdminAuditLogs({
+  filters = {},
+  page = 1,
+  pageSize = 50,
+  order = "desc",
+} = {}) {
+  if (!supabase) {
+    throw new Error("Supabase non configuré");
+  }
+
+  const safePageSize = Math.min(
+    Math.max(Math.trunc(toFiniteNumber(pageSize, 50)), 1),
+    ADMIN_AUDIT_MAX_PAGE_SIZE
+  );
+  const safePage = Math.max(Math.trunc(toFiniteNumber(page, 1)), 1);
+  const offset = (safePage - 1) * safePageSize;
+
+  let query = supabase
+    .from("admin_audit_logs")
+    .select("*", { count: "exact" });
+
+  const actor = safeTrim(filters.actor);
+  if (actor) {
+    query = actor.includes("@")
+      ? query.ilike("actor_email", `%${escapeIlikeValue(normalizeEmail(actor))}%`)
+      : query.eq("actor_user_id", actor);
+  }
+
+  if (safeTrim(filters.actorType)) {
+    query = query.eq("actor_type", safeTrim(filters.actorType));
+  }
+
+  if (safeTrim(filters.action)) {
+    query = query.eq("action", safeTrim(filters.action));
+  }
+
+  if (safeTrim(filters.targetTable)) {
+    query = query.eq("target_table", safeTrim(filters.targetTable));
+  }
+
+  if (safeTrim(filters.targetId)) {
+    query = query.eq("target_id", safeTrim(filters.targetId));
+  }
+
+  if (safeTrim(filters.reservationId)) {
+    query = query.eq("target_reservation_id", safeTrim(filters.reservationId));
+  }
+
+  if (safeTrim(filters.userId)) {
+    query = query.eq("target_user_id", safeTrim(filters.userId));
+  }
+
+  if (filters.from) {
+    query = query.gte("created_at", filters.from);
+  }
+
+  if (filters.to) {
+    query = query.lt("created_at", filters.to);
+  }
+
+  const { data, error, count } = await query
+    .order("created_at", { ascending: order === "asc" })
+    .order("id", { ascending: order === "asc" })
+    .range(offset, offset + safePageSize - 1);
+
+  if (error) throw error;
+
+  const total = Number(count || 0);
+
+  return {
+    logs: data || [],
+    pagination: {
+      page: safePage,
+      pageSize: safePageSize,
+      total,
+      totalPages: Math.max(Math.ceil(total / safePageSize), 1),
+    },
+  };
+}
@@ -0,0 +1,235 @@
+// backend/services/adminUserService.js
+
+import { supabase } from "../config/supabase.js";
+import {
+  ADMIN_ROLES,
+  ADMIN_ROLE_LABELS,
+  ADMIN_ROLE_PERMISSIONS,
+  LEGACY_ADMIN_ROLE,
+} from "../constants/adminRoles.js";
+
+/**
+ * Comptes admin et rôles.
+ *
+ * Table `admin_users`
+ * - id, user_id (nullable), email, role (owner | manager | front_desk |
+ *   read_only, null = compte antérieur aux rôles, traité comme owner),
+ *   created_at, updated_at
+ *
+ * Les permissions de chaque rôle sont déclarées dans constants/adminRoles.js ;
+ * chaque route admin exige une permission via requireAdminPermission.
+ */
+
+const ADMIN_USER_COLUMNS = "id, user_id, email, role, created_at, updated_at";
+
+function ensureSupabase() {
+  if (!supabase) {
+    throw new Error("Supabase non configuré");
+  }
+}
+
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+export function isValidAdminRole(role) {
+  return Object.values(ADMIN_ROLES).includes(role);
+}
+
+export function normalizeAdminRole(role) {
+  const safeRole = String(role || "").trim().toLowerCase().replace(/-/g, "_");
+  if (!safeRole) return LEGACY_ADMIN_ROLE;
+  return isValidAdminRole(safeRole) ? safeRole : null;
+}
+
+export function getAdminRolePermissions(role) {
+  const safeRole = normalizeAdminRole(role);
+  return safeRole ? [...ADMIN_ROLE_PERMISSIONS[safeRole]] : [];
+}
+
+export function hasAdminPermission(role, permission) {
+  return getAdminRolePermissions(role).includes(permission);
+}
+
+export function listAdminRoles() {
+  return Object.values(ADMIN_ROLES).map((role) => ({
+    role,
+    label: ADMIN_ROLE_LABELS[role] || role,
+    permissions: getAdminRolePermissions(role),
+  }));
+}
+
+export function toPublicAdminUser(row) {
+  if (!row) return null;
+
+  const role = normalizeAdminRole(row.role);
+
+  return {
+    id: row.id,
+    user_id: row.user_id || null,
+    email: row.email || null,
+    role,
+    role_label: ADMIN_ROLE_LABELS[role] || row.role || null,
+    created_at: row.created_at || null,
+    updated_at: row.updated_at || null,
+  };
+}
+
+export async function listAdminUsers() {
+  ensureSupabase();
+
+  const { data, error } = await supabase
+    .from("admin_users")
+    .select(ADMIN_USER_COLUMNS)
+    .order("email", { ascending: true });
+
+  if (error) throw error;
+
+  return (data || []).map(toPublicAdminUser);
+}
+
+async function getAdminUserRow(adminUserId) {
+  const { data, error } = await supabase
+    .from("admin_users")
+    .select(ADMIN_USER_COLUMNS)
+    .eq("id", adminUserId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+async function countOwners() {
+  const { data, error } = await supabase.from("admin_users").select("id, role");
+
+  if (error) throw error;
+
+  return (data || []).filter(
+    (row) => normalizeAdminRole(row.role) === ADMIN_ROLES.OWNER
+  ).length;
+}
+
+export async function addAdminUser({ email, role }) {
+  ensureSupabase();
+
+  const safeEmail = normalizeEmail(email);
+  const safeRole = normalizeAdminRole(role);
+
+  if (!safeEmail) {
+    return { ok: false, status: 400, error: "Email requis" };
+  }
+
+  if (!role || !safeRole) {
+    return { ok: false, status: 400, error: "Rôle invalide" };
+  }
+
+  const { data: existing, error: existingError } = await supabase
+    .from("admin_users")
+    .select("id")
+    .ilike("email", safeEmail)
+    .maybeSingle();
+
+  if (existingError) throw existingError;
+
+  if (existing) {
+    return { ok: false, status: 409, error: "Ce compte est déjà admin" };
+  }
+
+  const { data: user, error: userError } = await supabase
+    .from("users")
+    .select("id")
+    .eq("email", safeEmail)
+    .maybeSingle();
+
+  if (userError) throw userError;
+
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from("admin_users")
+    .insert({
+      user_id: user?.id || null,
+      email: safeEmail,
+      role: safeRole,
+      created_at: now,
+      updated_at: now,
+    })
+    .select(ADMIN_USER_COLUMNS)
+    .single();
+
+  if (error) throw error;
+
+  return { ok: true, adminUser: toPublicAdminUser(data) };
+}
+
+export async function setAdminUserRole(adminUserId, role) {
+  ensureSupabase();
+
+  const safeRole = normalizeAdminRole(role);
+
+  if (!role || !safeRole) {
+    return { ok: false, status: 400, error: "Rôle invalide" };
+  }
+
+  const current = await getAdminUserRow(adminUserId);
+
+  if (!current) {
+    return { ok: false, status: 404, error: "Compte admin introuvable" };
+  }
+
+  const currentRole = normalizeAdminRole(current.role);
+
+  if (
+    currentRole === ADMIN_ROLES.OWNER &&
+    safeRole !== ADMIN_ROLES.OWNER &&
+    (await countOwners()) <= 1
+  ) {
+    return {
+      ok: false,
+      status: 409,
+      error: "Impossible de retirer le dernier propriétaire",
+    };
+  }
+
+  const { data, error } = await supabase
+    .from("admin_users")
+    .update({ role: safeRole, updated_at: new Date().toISOString() })
+    .eq("id", adminUserId)
+    .select(ADMIN_USER_COLUMNS)
+    .single();
+
+  if (error) throw error;
+
+  return {
+    ok: true,
+    previous: toPublicAdminUser(current),
+    adminUser: toPublicAdminUser(data),
+  };
+}
+
+export async function removeAdminUser(adminUserId) {
+  ensureSupabase();
+
+  const current = await getAdminUserRow(adminUserId);
+
+  if (!current) {
+    return { ok: false, status: 404, error: "Compte admin introuvable" };
+  }
+
+  if (
+    normalizeAdminRole(current.role) === ADMIN_ROLES.OWNER &&
+    (await countOwners()) <= 1
+  ) {
+    return {
+      ok: false,
+      status: 409,
+      error: "Impossible de retirer le dernier propriétaire",
+    };
+  }
+
+  const { error } = await supabase.from("admin_users").delete().eq("id", adminUserId);
+
+  if (error) throw error;
+
+  return { ok: true, adminUser: toPublicAdminUser(current) };
+}
@@ -0,0 +1,146 @@
+// backend/services/authTokenService.js
+
+import crypto from "crypto";
+
+import { supabase } from "../config/supabase.js";
+import { AUTH_TOKEN_BYTES, AUTH_TOKEN_PURPOSES } from "../constants/auth.js";
+
+const ALLOWED_PURPOSES = Object.values(AUTH_TOKEN_PURPOSES);
+
+function ensureSupabase() {
+  if (!supabase) {
+    throw new Error("Supabase non configuré");
+  }
+}
+
+function safeText(value, maxLen = 255) {
+  return String(value ?? "").trim().slice(0, maxLen);
+}
+
+function normalizeEmail(email) {
+  return safeText(email, 255).toLowerCase();
+}
+
+function assertPurpose(purpose) {
+  if (!ALLOWED_PURPOSES.includes(purpose)) {
+    throw new Error(`Type de jeton inconnu : ${purpose}`);
+  }
+}
+
+function isLikelyAuthToken(token) {
+  const safeToken = safeText(token, 200);
+  if (safeToken.length !== AUTH_TOKEN_BYTES * 2) return false;
+  return /^[a-f0-9]+$/i.test(safeToken);
+}
+
+// On ne stocke que l'empreinte du jeton : une fuite de la table ne permet
+// pas de réutiliser les liens envoyés par email.
+export function hashAuthToken(token) {
+  return crypto
+    .createHash("sha256")
+    .update(safeText(token, 200).toLowerCase())
+    .digest("hex");
+}
+
+async function revokePendingTokens(userId, purpose) {
+  const nowIso = new Date().toISOString();
+
+  const { error } = await supabase
+    .from("user_auth_tokens")
+    .update({ revoked_at: nowIso })
+    .eq("user_id", userId)
+    .eq("purpose", purpose)
+    .is("used_at", null)
+    .is("revoked_at", null);
+
+  if (error) throw error;
+}
+
+export async function issueUserAuthToken({ userId, email, purpose, ttlMs }) {
+  ensureSupabase();
+  assertPurpose(purpose);
+
+  const safeUserId = safeText(userId, 120);
+  if (!safeUserId) {
+    throw new Error("userId manquant");
+  }
+
+  const safeTtlMs = Number(ttlMs);
+  if (!Number.isFinite(safeTtlMs) || safeTtlMs <= 0) {
+    throw new Error("Durée de validité du jeton invalide");
+  }
+
+  await revokePendingTokens(safeUserId, purpose);
+
+  const token = crypto.randomBytes(AUTH_TOKEN_BYTES).toString("hex");
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + safeTtlMs).toISOString();
+
+  const { error } = await supabase.from("user_auth_tokens").insert({
+    user_id: safeUserId,
+    email: normalizeEmail(email) || null,
+    purpose,
+    token_hash: hashAuthToken(token),
+    expires_at: expiresAt,
+    used_at: null,
+    revoked_at: null,
+    created_at: now.toISOString(),
+  });
+
+  if (error) throw error;
+
+  return { token, expiresAt };
+}
+
+/**
+ * Consomme un jeton à usage unique.
+ * Retourne { ok: true, row } ou { ok: false, reason } (invalid / expired / used).
+ */
+export async function consumeUserAuthToken(rawToken, purpose) {
+  ensureSupabase();
+  assertPurpose(purpose);
+
+  if (!isLikelyAuthToken(rawToken)) {
+    return { ok: false, reason: "invalid" };
+  }
+
+  const { data: row, error } = await supabase
+    .from("user_auth_tokens")
+    .select("*")
+    .eq("token_hash", hashAuthToken(rawToken))
+    .eq("purpose", purpose)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!row || row.revoked_at) {
+    return { ok: false, reason: "invalid" };
+  }
+
+  if (row.used_at) {
+    return { ok: false, reason: "used" };
+  }
+
+  const expiresAt = row.expires_at ? new Date(row.expires_at) : null;
+  if (!expiresAt || !Number.isFinite(expiresAt.getTime()) || expiresAt.getTime() < Date.now()) {
+    return { ok: false, reason: "expired" };
+  }
+
+  // Mise à jour conditionnelle : si deux requêtes arrivent en même temps,
+  // une seule verra la ligne passer de used_at = null à une date.
+  const { data: consumed, error: consumeError } = await supabase
+    .from("user_auth_tokens")
+    .update({ used_at: new Date().toISOString() })
+    .eq("id", row.id)
+    .is("used_at", null)
+    .select("*")
+    .maybeSingle();
+
+  if (consumeError) throw consumeError;
+
+  if (!consumed) {
+    return { ok: false, reason: "used" };
+  }
+
+  return { ok: true, row: consumed };
+}
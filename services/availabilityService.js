@@ -0,0 +1,228 @@
+// backend/services/availabilityService.js
+
+import { supabase } from "../config/supabase.js";
+import {
+  AVAILABILITY_MAX_RANGE_DAYS,
+  SLOT_DURATION_MINUTES,
+} from "../constants/booking.js";
+import { addDaysToDateString, parseDateOrNull } from "../utils/dates.js";
+import { clampPersons } from "../utils/validators.js";
+import {
+  STANDARD_SLOT_STARTS,
+  buildSlotIsoRange,
+  computeAmountForRate,
+  getBillablePersons,
+  getSlotPricing,
+} from "./pricingService.js";
+import { loadPricingRules } from "./pricingRuleService.js";
+import {
+  isDynamicPricingActive,
+  loadDemandSnapshot,
+} from "./dynamicPricingService.js";
+import { isReservationStatusConfirmed } from "./reservationService.js";
+import {
+  evaluateBoxSlot,
+  listBoxClosures,
+  listBoxes,
+  toPublicBox,
+} from "./boxService.js";
+import { getEligiblePassTypesForItem } from "./passService.js";
+import { listPassProducts } from "./passCatalogService.js";
+import { listActiveSlotHolds } from "./slotHoldService.js";
+
+const SLOT_PAST_REASON = "past";
+
+function ensureSupabase() {
+  if (!supabase) {
+    throw new Error("Supabase non configuré");
+  }
+}
+
+function isValidDateOnly(dateStr) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(dateStr || "").trim());
+}
+
+function listDatesBetween(fromDate, toDate) {
+  const dates = [];
+  let cursor = fromDate;
+
+  while (cursor <= toDate && dates.length <= AVAILABILITY_MAX_RANGE_DAYS) {
+    dates.push(cursor);
+    cursor = addDaysToDateString(cursor, 1);
+  }
+
+  return dates;
+}
+
+/**
+ * Réservations confirmées de la fenêtre, élargie d'un jour de chaque côté :
+ * un créneau de 22h30 déborde après minuit, et une réservation de la veille
+ * peut encore occuper la box en début de journée (même logique que
+ * getPotentiallyConflictingReservations / hasReservationConflict).
+ */
+async function listConfirmedReservationsAround(fromDate, toDate) {
+  ensureSupabase();
+
+  const { data, error } = await supabase
+    .from("reservations")
+    .select("id, box_id, start_time, end_time, status, date")
+    .gte("date", addDaysToDateString(fromDate, -1))
+    .lte("date", addDaysToDateString(toDate, 1));
+
+  if (error) throw error;
+
+  return (data || []).filter((row) => isReservationStatusConfirmed(row.status));
+}
+
+export function validateAvailabilityRange(fromDate, toDate) {
+  if (!isValidDateOnly(fromDate) || !isValidDateOnly(toDate)) {
+    return "Paramètres 'from' / 'to' invalides (YYYY-MM-DD attendu)";
+  }
+
+  if (toDate < fromDate) {
+    return "'to' doit être postérieur ou égal à 'from'";
+  }
+
+  if (addDaysToDateString(fromDate, AVAILABILITY_MAX_RANGE_DAYS - 1) < toDate) {
+    return `La période demandée ne peut pas dépasser ${AVAILABILITY_MAX_RANGE_DAYS} jours`;
+  }
+
+  return null;
+}
+
+/**
+ * Grille de disponibilité : pour chaque jour, chaque début de créneau standard
+ * et chaque box active, indique si le créneau est libre pour `persons`
+ * personnes, avec le tarif et les pass utilisables.
+ */
+export async function buildAvailabilityGrid({
+  fromDate,
+  toDate,
+  persons,
+  boxId = null,
+  excludeHoldToken = null,
+  now = new Date(),
+}) {
+  const rangeError = validateAvailabilityRange(fromDate, toDate);
+  if (rangeError) {
+    throw new Error(rangeError);
+  }
+
+  const safePersons = clampPersons(persons);
+  const billablePersons = getBillablePersons(safePersons);
+
+  const allBoxes = await listBoxes();
+  const passProducts = await listPassProducts();
+  const pricingRules = await loadPricingRules();
+  const boxes = boxId
+    ? allBoxes.filter((box) => box.id === Number(boxId))
+    : allBoxes;
+
+  const dates = listDatesBetween(fromDate, toDate);
+  const demand = isDynamicPricingActive(pricingRules)
+    ? await loadDemandSnapshot({ dates, now })
+    : null;
+
+  const days = dates.map((date) => ({
+    date,
+    ranges: STANDARD_SLOT_STARTS.map((hour) => ({
+      hour,
+      ...buildSlotIsoRange(date, hour),
+    })),
+  }));
+
+  const lastDay = days[days.length - 1];
+  const firstRange = days[0]?.ranges[0];
+  const lastRange = lastDay?.ranges[lastDay.ranges.length - 1];
+
+  const boxIds = boxes.map((box) => box.id);
+
+  const [reservations, closures, holds] = await Promise.all([
+    listConfirmedReservationsAround(fromDate, toDate),
+    listBoxClosures({
+      boxIds,
+      fromIso: firstRange?.startIso,
+      toIso: lastRange?.endIso,
+    }),
+    listActiveSlotHolds({
+      boxIds,
+      fromIso: firstRange?.startIso,
+      toIso: lastRange?.endIso,
+      excludeHoldToken,
+    }),
+  ]);
+
+  const nowMs = now.getTime();
+
+  return {
+    from: fromDate,
+    to: toDate,
+    persons: safePersons,
+    billablePersons,
+    slotDurationMinutes: SLOT_DURATION_MINUTES,
+    boxes: boxes.map(toPublicBox),
+    days: days.map(({ date, ranges }) => ({
+      date,
+      slots: ranges.map((range) => {
+        const startDate = parseDateOrNull(range.startIso);
+        const isPast = !startDate || startDate.getTime() <= nowMs;
+
+        const slotPricing = startDate
+          ? getSlotPricing(pricingRules, {
+              startDate,
+              boxId: boxId ? Number(boxId) : null,
+              persons: safePersons,
+              demand,
+            })
+          : null;
+
+        const boxesAvailability = boxes.map((box) => {
+          const result = isPast
+            ? { available: false, reason: SLOT_PAST_REASON }
+            : evaluateBoxSlot({
+                box,
+                closures,
+                reservations,
+                holds,
+                startTime: range.startIso,
+                endTime: range.endIso,
+                persons: safePersons,
+              });
+
+          // Une règle tarifaire peut viser une box précise
+          const boxPricing = startDate
+            ? getSlotPricing(pricingRules, {
+                startDate,
+                boxId: box.id,
+                persons: safePersons,
+                demand,
+              })
+            : null;
+
+          return {
+            box_id: box.id,
+            available: result.available,
+            reason: result.reason,
+            per_person_rate: boxPricing ? boxPricing.perPersonRate : null,
+          };
+        });
+
+        return {
+          hour: range.hour,
+          start_time: range.startIso,
+          end_time: range.endIso,
+          per_person_rate: slotPricing ? slotPricing.perPersonRate : null,
+          total_amount: slotPricing
+            ? computeAmountForRate(slotPricing.perPersonRate, safePersons)
+            : null,
+          eligible_passes: getEligiblePassTypesForItem(
+            { date, start_time: range.startIso, persons: safePersons },
+            passProducts
+          ),
+          available_boxes: boxesAvailability.filter((b) => b.available).length,
+          boxes: boxesAvailability,
+        };
+      }),
+    })),
+  };
+}
@@ -0,0 +1,755 @@
+// backend/services/badgeRuleService.js
+
+import { supabase } from "../config/supabase.js";
+
+/**
+ * Badges définis par une règle déclarative.
+ *
+ * Table `badge_definitions`
+ * - code (unique), title, description, rarity, icon, reward_singcoins,
+ *   reward_xp, is_active, sort_order
+ * - rule : texte, une ou plusieurs conditions reliées par "and", par ex.
+ *   "sessions_completed >= 50", "sessions_in_days(7) >= 3",
+ *   "largest_group_size >= 8 and streak_best >= 2"
+ * - backfill_status (pending | done), backfill_cursor (dernier user_id
+ *   traité), backfilled_at : attribution rétroactive par le job
+ *   badge_backfill, relancée à la création et à chaque changement de règle
+ *
+ * Les badges par défaut ne sont insérés que si leur code n'existe pas.
+ */
+
+export const BADGE_RARITIES = ["common", "rare", "epic", "legendary"];
+
+export const BADGE_BACKFILL_STATUSES = {
+  PENDING: "pending",
+  DONE: "done",
+};
+
+// Colonnes de user_stats utilisables telles quelles
+const STAT_METRICS = [
+  "sessions_total",
+  "sessions_completed",
+  "sessions_cancelled",
+  "group_sessions_total",
+  "sessions_daytime_total",
+  "sessions_weekday_total",
+  "sessions_weekend_total",
+  "sessions_last_7_days",
+  "sessions_last_30_days",
+  "minutes_sung_total",
+  "hours_sung_total",
+  "largest_group_size",
+  "longest_session_minutes",
+];
+
+const STREAK_METRICS = {
+  streak_best: "streak_best",
+  streak_current: "streak_current",
+};
+
+// Métriques calculées sur l'historique agrégé (user_stats.session_history,
+// voir readSessionHistory) : argument entier entre parenthèses
+const HISTORY_METRICS = {
+  // Plus grand nombre de séances sur N jours calendaires glissants
+  sessions_in_days: { requiresArg: true },
+  // Plus grand nombre de séances dans une même semaine (lundi-dimanche)
+  sessions_in_week: { requiresArg: false },
+  // Séances à N personnes ou plus
+  sessions_with_persons: { requiresArg: true },
+  // Plus longue suite de semaines consécutives avec au moins N séances
+  weeks_in_a_row: { requiresArg: false, defaultArg: 1 },
+};
+
+const OPERATORS = {
+  ">=": (a, b) => a >= b,
+  ">": (a, b) => a > b,
+  "=": (a, b) => a === b,
+  "==": (a, b) => a === b,
+  "<=": (a, b) => a <= b,
+  "<": (a, b) => a < b,
+};
+
+const CLAUSE_PATTERN =
+  /^([a-z_][a-z0-9_]*)\s*(?:\(\s*(\d+)\s*\))?\s*(>=|<=|==|=|>|<)\s*(\d+(?:\.\d+)?)$/;
+
+const MAX_RULE_LENGTH = 300;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_BADGES = Object.freeze([
+  {
+    code: "first_session",
+    title: "Première session",
+    description: "Faire une première session réalisée",
+    rarity: "common",
+    icon: "sparkles",
+    rule: "sessions_completed >= 1",
+    reward_singcoins: 5,
+    reward_xp: 0,
+    is_active: true,
+    sort_order: 1,
+    backfill_status: BADGE_BACKFILL_STATUSES.DONE,
+  },
+  {
+    code: "group_3_plus",
+    title: "Session en groupe",
+    description: "Faire une session à 3 personnes ou plus",
+    rarity: "common",
+    icon: "users",
+    rule: "largest_group_size >= 3",
+    reward_singcoins: 5,
+    reward_xp: 0,
+    is_active: true,
+    sort_order: 2,
+    backfill_status: BADGE_BACKFILL_STATUSES.DONE,
+  },
+  {
+    code: "two_sessions",
+    title: "2 sessions réalisées",
+    description: "Faire 2 sessions réalisées",
+    rarity: "common",
+    icon: "mic",
+    rule: "sessions_completed >= 2",
+    reward_singcoins: 5,
+    reward_xp: 0,
+    is_active: true,
+    sort_order: 3,
+    backfill_status: BADGE_BACKFILL_STATUSES.DONE,
+  },
+  {
+    code: "three_week_streak",
+    title: "3 semaines d’affilée",
+    description: "Atteindre un streak de 3 semaines",
+    rarity: "rare",
+    icon: "flame",
+    rule: "streak_best >= 3",
+    reward_singcoins: 10,
+    reward_xp: 0,
+    is_active: true,
+    sort_order: 4,
+    backfill_status: BADGE_BACKFILL_STATUSES.DONE,
+  },
+  {
+    code: "group_5_plus",
+    title: "Groupe de 5+",
+    description: "Faire une session à 5 personnes ou plus",
+    rarity: "rare",
+    icon: "users",
+    rule: "largest_group_size >= 5",
+    reward_singcoins: 10,
+    reward_xp: 0,
+    is_active: true,
+    sort_order: 5,
+    backfill_status: BADGE_BACKFILL_STATUSES.DONE,
+  },
+  {
+    code: "five_sessions",
+    title: "5 sessions réalisées",
+    description: "Faire 5 sessions réalisées",
+    rarity: "rare",
+    icon: "calendar",
+    rule: "sessions_completed >= 5",
+    reward_singcoins: 10,
+    reward_xp: 0,
+    is_active: true,
+    sort_order: 6,
+    backfill_status: BADGE_BACKFILL_STATUSES.DONE,
+  },
+  {
+    code: "three_sessions_in_7_days",
+    title: "3 sessions en 7 jours",
+    description: "Faire 3 sessions réalisées sur 7 jours glissants",
+    rarity: "rare",
+    icon: "clock3",
+    rule: "sessions_in_days(7) >= 3",
+    reward_singcoins: 10,
+    reward_xp: 0,
+    is_active: true,
+    sort_order: 7,
+    backfill_status: BADGE_BACKFILL_STATUSES.DONE,
+  },
+  {
+    code: "ten_sessions",
+    title: "10 sessions réalisées",
+    description: "Faire 10 sessions réalisées",
+    rarity: "epic",
+    icon: "rocket",
+    rule: "sessions_completed >= 10",
+    reward_singcoins: 15,
+    reward_xp: 0,
+    is_active: true,
+    sort_order: 8,
+    backfill_status: BADGE_BACKFILL_STATUSES.DONE,
+  },
+  {
+    code: "five_week_streak",
+    title: "Streak de 5 semaines",
+    description: "Atteindre un streak de 5 semaines",
+    rarity: "epic",
+    icon: "fire",
+    rule: "streak_best >= 5",
+    reward_singcoins: 15,
+    reward_xp: 0,
+    is_active: true,
+    sort_order: 9,
+    backfill_status: BADGE_BACKFILL_STATUSES.DONE,
+  },
+  {
+    code: "group_8_plus",
+    title: "Groupe de 8+",
+    description: "Faire une session à 8 personnes ou plus",
+    rarity: "epic",
+    icon: "target",
+    rule: "largest_group_size >= 8",
+    reward_singcoins: 15,
+    reward_xp: 0,
+    is_active: true,
+    sort_order: 10,
+    backfill_status: BADGE_BACKFILL_STATUSES.DONE,
+  },
+  {
+    code: "three_sessions_one_week",
+    title: "3 sessions en 1 semaine",
+    description: "Faire 3 sessions réalisées dans une même semaine",
+    rarity: "epic",
+    icon: "bolt",
+    rule: "sessions_in_week >= 3",
+    reward_singcoins: 15,
+    reward_xp: 0,
+    is_active: true,
+    sort_order: 11,
+    backfill_status: BADGE_BACKFILL_STATUSES.DONE,
+  },
+  {
+    code: "twenty_five_sessions",
+    title: "25 sessions réalisées",
+    description: "Faire 25 sessions réalisées",
+    rarity: "legendary",
+    icon: "crown",
+    rule: "sessions_completed >= 25",
+    reward_singcoins: 20,
+    reward_xp: 0,
+    is_active: true,
+    sort_order: 12,
+    backfill_status: BADGE_BACKFILL_STATUSES.DONE,
+  },
+  {
+    code: "ten_week_streak",
+    title: "Streak de 10 semaines",
+    description: "Atteindre un streak de 10 semaines",
+    rarity: "legendary",
+    icon: "star",
+    rule: "streak_best >= 10",
+    reward_singcoins: 20,
+    reward_xp: 0,
+    is_active: true,
+    sort_order: 13,
+    backfill_status: BADGE_BACKFILL_STATUSES.DONE,
+  },
+  {
+    code: "ten_group_sessions_5_plus",
+    title: "10 sessions en groupe (5+)",
+    description: "Faire 10 sessions à 5 personnes ou plus",
+    rarity: "legendary",
+    icon: "gem",
+    rule: "sessions_with_persons(5) >= 10",
+    reward_singcoins: 20,
+    reward_xp: 0,
+    is_active: true,
+    sort_order: 14,
+    backfill_status: BADGE_BACKFILL_STATUSES.DONE,
+  },
+  {
+    code: "four_weeks_two_sessions_each",
+    title: "4 semaines à 2 sessions",
+    description: "Faire 4 semaines consécutives avec au moins 2 sessions par semaine",
+    rarity: "legendary",
+    icon: "trophy",
+    rule: "weeks_in_a_row(2) >= 4",
+    reward_singcoins: 20,
+    reward_xp: 0,
+    is_active: true,
+    sort_order: 15,
+    backfill_status: BADGE_BACKFILL_STATUSES.DONE,
+  },
+]);
+
+const DEFAULT_BADGE_RULES = new Map(DEFAULT_BADGES.map((badge) => [badge.code, badge.rule]));
+
+function ensureSupabase() {
+  if (!supabase) {
+    throw new Error("Supabase non configuré");
+  }
+}
+
+function safeText(value, maxLen = 255) {
+  return String(value ?? "").trim().slice(0, maxLen);
+}
+
+function toNonNegativeInt(value, fallback) {
+  const n = Number.parseInt(value, 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function getMondayKey(date) {
+  const d = new Date(date);
+  const day = d.getUTCDay();
+  d.setUTCDate(d.getUTCDate() + (day === 0 ? -6 : 1 - day));
+  d.setUTCHours(0, 0, 0, 0);
+  return d.toISOString().slice(0, 10);
+}
+
+function diffDaysUtc(aIso, bIso) {
+  const a = new Date(`${aIso}T00:00:00.000Z`).getTime();
+  const b = new Date(`${bIso}T00:00:00.000Z`).getTime();
+  return Math.round((a - b) / DAY_MS);
+}
+
+/* =========================================================
+   LANGAGE DE RÈGLES
+========================================================= */
+
+function isKnownMetric(metric) {
+  return (
+    STAT_METRICS.includes(metric) ||
+    Object.hasOwn(STREAK_METRICS, metric) ||
+    Object.hasOwn(HISTORY_METRICS, metric)
+  );
+}
+
+/**
+ * Analyse une règle. Retourne { clauses } ou { error } (message en français,
+ * renvoyé tel quel à l'admin).
+ */
+export function parseBadgeRule(rule) {
+  const source = safeText(rule, MAX_RULE_LENGTH + 1);
+
+  if (!source) return { error: "Règle requise" };
+  if (source.length > MAX_RULE_LENGTH) {
+    return { error: `Règle trop longue (${MAX_RULE_LENGTH} caractères max)` };
+  }
+
+  const clauses = [];
+
+  for (const part of source.toLowerCase().split(/\s+(?:and|et)\s+/)) {
+    const match = CLAUSE_PATTERN.exec(part.trim());
+
+    if (!match) {
+      return { error: `Condition invalide : "${part.trim()}"` };
+    }
+
+    const [, metric, rawArg, operator, rawValue] = match;
+
+    if (!isKnownMetric(metric)) {
+      return { error: `Métrique inconnue : ${metric}` };
+    }
+
+    const history = HISTORY_METRICS[metric];
+
+    if (rawArg != null && !history) {
+      return { error: `${metric} ne prend pas d'argument` };
+    }
+
+    if (history?.requiresArg && rawArg == null) {
+      return { error: `${metric} attend un argument, par ex. ${metric}(7)` };
+    }
+
+    const arg = rawArg != null ? Number(rawArg) : history?.defaultArg ?? null;
+
+    if (arg != null && (arg < 1 || arg > 365)) {
+      return { error: `Argument hors limites pour ${metric} (1 à 365)` };
+    }
+
+    clauses.push({ metric, arg, operator, value: Number(rawValue) });
+  }
+
+  return { clauses };
+}
+
+export function listBadgeRuleMetrics() {
+  return {
+    stats: [...STAT_METRICS],
+    streak: Object.keys(STREAK_METRICS),
+    history: Object.keys(HISTORY_METRICS),
+    operators: Object.keys(OPERATORS),
+  };
+}
+
+/**
+ * Historique agrégé d'un client, tenu à jour par la gamification au fil des
+ * événements (séance terminée / annulée) :
+ * { days: { "YYYY-MM-DD": séances }, persons: { "<personnes>": séances },
+ *   minutes: { "<durée>": séances } }. Les entrées à zéro sont ignorées.
+ */
+export function readSessionHistory(stats) {
+  const history = stats?.session_history || {};
+
+  const readCounts = (counts) =>
+    Object.fromEntries(
+      Object.entries(counts && typeof counts === "object" ? counts : {})
+        .map(([key, count]) => [key, Number(count || 0)])
+        .filter(([, count]) => count > 0)
+    );
+
+  return {
+    days: readCounts(history.days),
+    persons: readCounts(history.persons),
+    minutes: readCounts(history.minutes),
+  };
+}
+
+function countSessionsByWeek(days) {
+  const weekCounts = new Map();
+  for (const [day, count] of Object.entries(days)) {
+    const weekKey = getMondayKey(`${day}T00:00:00.000Z`);
+    weekCounts.set(weekKey, (weekCounts.get(weekKey) || 0) + count);
+  }
+  return weekCounts;
+}
+
+function computeHistoryMetric(metric, arg, history) {
+  if (metric === "sessions_in_days") {
+    const days = Object.keys(history.days).sort();
+    let best = 0;
+    let windowCount = 0;
+    let start = 0;
+
+    for (let end = 0; end < days.length; end += 1) {
+      windowCount += history.days[days[end]];
+      while (diffDaysUtc(days[end], days[start]) >= arg) {
+        windowCount -= history.days[days[start]];
+        start += 1;
+      }
+      best = Math.max(best, windowCount);
+    }
+    return best;
+  }
+
+  if (metric === "sessions_in_week") {
+    return Math.max(0, ...countSessionsByWeek(history.days).values());
+  }
+
+  if (metric === "sessions_with_persons") {
+    return Object.entries(history.persons)
+      .filter(([persons]) => Number(persons) >= arg)
+      .reduce((sum, [, count]) => sum + count, 0);
+  }
+
+  if (metric === "weeks_in_a_row") {
+    const weeks = [...countSessionsByWeek(history.days).entries()]
+      .filter(([, count]) => count >= arg)
+      .map(([weekKey]) => weekKey)
+      .sort();
+
+    let best = weeks.length > 0 ? 1 : 0;
+    let run = 1;
+
+    for (let i = 1; i < weeks.length; i += 1) {
+      run = diffDaysUtc(weeks[i], weeks[i - 1]) === 7 ? run + 1 : 1;
+      best = Math.max(best, run);
+    }
+    return best;
+  }
+
+  return 0;
+}
+
+function readMetricValue(clause, context, cache) {
+  const { metric, arg } = clause;
+
+  if (STAT_METRICS.includes(metric)) {
+    return Number(context.stats?.[metric] || 0);
+  }
+
+  if (STREAK_METRICS[metric]) {
+    return Number(context.gamification?.[STREAK_METRICS[metric]] || 0);
+  }
+
+  const key = `${metric}(${arg})`;
+  if (!cache.has(key)) {
+    if (!cache.has("history")) {
+      cache.set("history", readSessionHistory(context.stats));
+    }
+    cache.set(key, computeHistoryMetric(metric, arg, cache.get("history")));
+  }
+  return cache.get(key);
+}
+
+/**
+ * context : { stats (user_stats, dont session_history), gamification
+ * (user_gamification) }. Une règle invalide n'est jamais validée.
+ */
+export function evaluateBadgeRule(rule, context, cache = new Map()) {
+  const { clauses, error } = parseBadgeRule(rule);
+  if (error) return false;
+
+  return clauses.every((clause) =>
+    OPERATORS[clause.operator](readMetricValue(clause, context, cache), clause.value)
+  );
+}
+
+/* =========================================================
+   DÉFINITIONS
+========================================================= */
+
+export function normalizeBadgeDefinition(row) {
+  if (!row) return null;
+
+  return {
+    ...row,
+    // Lignes antérieures aux règles : on retrouve la règle par le code
+    rule: row.rule || DEFAULT_BADGE_RULES.get(row.code) || null,
+    rarity: BADGE_RARITIES.includes(row.rarity) ? row.rarity : "common",
+    reward_singcoins: toNonNegativeInt(row.reward_singcoins, 0),
+    reward_xp: toNonNegativeInt(row.reward_xp, 0),
+    is_active: row.is_active !== false,
+    sort_order: Number(row.sort_order ?? 999),
+  };
+}
+
+export function toPublicBadgeDefinition(badge) {
+  if (!badge) return null;
+
+  return {
+    code: badge.code,
+    title: badge.title,
+    description: badge.description || null,
+    rarity: badge.rarity,
+    icon: badge.icon || null,
+    rule: badge.rule,
+    reward_singcoins: badge.reward_singcoins,
+    reward_xp: badge.reward_xp,
+    is_active: badge.is_active,
+    sort_order: badge.sort_order,
+    backfill_status: badge.backfill_status || BADGE_BACKFILL_STATUSES.DONE,
+    backfilled_at: badge.backfilled_at || null,
+  };
+}
+
+let defaultBadgesEnsured = false;
+
+export async function ensureDefaultBadges() {
+  if (!supabase || defaultBadgesEnsured) return;
+
+  const { error } = await supabase
+    .from("badge_definitions")
+    .upsert(DEFAULT_BADGES, { onConflict: "code", ignoreDuplicates: true });
+
+  if (error) throw error;
+  defaultBadgesEnsured = true;
+}
+
+export async function listBadgeDefinitions({ includeInactive = false } = {}) {
+  ensureSupabase();
+  await ensureDefaultBadges();
+
+  let query = supabase.from("badge_definitions").select("*").order("sort_order");
+  if (!includeInactive) query = query.eq("is_active", true);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  return (data || []).map(normalizeBadgeDefinition);
+}
+
+async function getBadgeRowByCode(code) {
+  const { data, error } = await supabase
+    .from("badge_definitions")
+    .select("*")
+    .eq("code", code)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+/**
+ * Valide le corps d'une requête admin. Retourne { value } ou { error }.
+ * requireCode : création (le code n'est pas modifiable ensuite).
+ */
+export function readBadgePayload(body = {}, { requireCode = false } = {}) {
+  const code = safeText(body.code, 80).toLowerCase();
+  const title = safeText(body.title, 160);
+  const description = safeText(body.description, 500) || null;
+  const rarity = safeText(body.rarity, 20) || "common";
+  const icon = safeText(body.icon, 40) || null;
+  const rule = safeText(body.rule, MAX_RULE_LENGTH + 1);
+  const rewardSingcoins = toNonNegativeInt(
+    body.reward_singcoins ?? body.rewardSingcoins ?? 0,
+    -1
+  );
+  const rewardXp = toNonNegativeInt(body.reward_xp ?? body.rewardXp ?? 0, -1);
+  const sortOrder = Number.parseInt(body.sort_order ?? body.sortOrder ?? 999, 10);
+
+  if (requireCode && !/^[a-z0-9_]{3,80}$/.test(code)) {
+    return { error: "Code invalide (a-z, 0-9, _)" };
+  }
+
+  if (!title) return { error: "Titre requis" };
+
+  if (!BADGE_RARITIES.includes(rarity)) {
+    return { error: `Rareté invalide (${BADGE_RARITIES.join(", ")})` };
+  }
+
+  const { error: ruleError } = parseBadgeRule(rule);
+  if (ruleError) return { error: ruleError };
+
+  if (rewardSingcoins < 0 || rewardSingcoins > 1000 || rewardXp < 0 || rewardXp > 10000) {
+    return { error: "Récompense invalide" };
+  }
+
+  if (!Number.isFinite(sortOrder)) {
+    return { error: "Ordre d'affichage invalide" };
+  }
+
+  const value = {
+    title,
+    description,
+    rarity,
+    icon,
+    rule: rule.replace(/\s+/g, " "),
+    reward_singcoins: rewardSingcoins,
+    reward_xp: rewardXp,
+    sort_order: sortOrder,
+  };
+
+  if (requireCode) value.code = code;
+
+  return { value };
+}
+
+const PENDING_BACKFILL = {
+  backfill_status: BADGE_BACKFILL_STATUSES.PENDING,
+  backfill_cursor: null,
+  backfilled_at: null,
+};
+
+export async function createBadgeDefinition({ badge }) {
+  ensureSupabase();
+  await ensureDefaultBadges();
+
+  if (await getBadgeRowByCode(badge.code)) {
+    return { ok: false, status: 409, error: "Ce code de badge existe déjà" };
+  }
+
+  const { data, error } = await supabase
+    .from("badge_definitions")
+    .insert({ ...badge, is_active: true, ...PENDING_BACKFILL })
+    .select("*")
+    .single();
+
+  if (error) throw error;
+
+  return { ok: true, badge: normalizeBadgeDefinition(data) };
+}
+
+const BADGE_PAYLOAD_ALIASES = {
+  rewardSingcoins: "reward_singcoins",
+  rewardXp: "reward_xp",
+  sortOrder: "sort_order",
+};
+
+/**
+ * Modification partielle : un champ absent garde sa valeur actuelle.
+ */
+function mergeBadgeBody(existing, body = {}) {
+  const merged = {
+    title: existing.title,
+    description: existing.description,
+    rarity: existing.rarity,
+    icon: existing.icon,
+    rule: existing.rule,
+    reward_singcoins: existing.reward_singcoins,
+    reward_xp: existing.reward_xp,
+    sort_order: existing.sort_order,
+  };
+
+  for (const [key, value] of Object.entries(body || {})) {
+    if (value === undefined || key === "code") continue;
+    merged[BADGE_PAYLOAD_ALIASES[key] || key] = value;
+  }
+
+  return merged;
+}
+
+export async function updateBadgeDefinition(code, { body }) {
+  ensureSupabase();
+
+  const existing = await getBadgeRowByCode(code);
+  if (!existing) return { ok: false, status: 404, error: "Badge introuvable" };
+
+  const previous = normalizeBadgeDefinition(existing);
+
+  const { value: badge, error: payloadError } = readBadgePayload(
+    mergeBadgeBody(previous, body)
+  );
+
+  if (payloadError) return { ok: false, status: 400, error: payloadError };
+  const ruleChanged = previous.rule !== badge.rule;
+
+  const { data, error } = await supabase
+    .from("badge_definitions")
+    .update(ruleChanged ? { ...badge, ...PENDING_BACKFILL } : badge)
+    .eq("code", code)
+    .select("*")
+    .single();
+
+  if (error) throw error;
+
+  return { ok: true, previous, badge: normalizeBadgeDefinition(data), ruleChanged };
+}
+
+export async function setBadgeDefinitionActive(code, isActive) {
+  ensureSupabase();
+
+  const existing = await getBadgeRowByCode(code);
+  if (!existing) return { ok: false, status: 404, error: "Badge introuvable" };
+
+  const { data, error } = await supabase
+    .from("badge_definitions")
+    .update({ is_active: !!isActive })
+    .eq("code", code)
+    .select("*")
+    .single();
+
+  if (error) throw error;
+
+  return {
+    ok: true,
+    previous: normalizeBadgeDefinition(existing),
+    badge: normalizeBadgeDefinition(data),
+  };
+}
+
+export async function getNextPendingBadgeBackfill() {
+  ensureSupabase();
+
+  const { data, error } = await supabase
+    .from("badge_definitions")
+    .select("*")
+    .eq("is_active", true)
+    .eq("backfill_status", BADGE_BACKFILL_STATUSES.PENDING)
+    .order("sort_order")
+    .limit(1);
+
+  if (error) throw error;
+  return normalizeBadgeDefinition(data?.[0] || null);
+}
+
+export async function saveBadgeBackfillProgress(code, { cursor, done }) {
+  ensureSupabase();
+
+  const { error } = await supabase
+    .from("badge_definitions")
+    .update(
+      done
+        ? {
+            backfill_status: BADGE_BACKFILL_STATUSES.DONE,
+            backfill_cursor: null,
+            backfilled_at: new Date().toISOString(),
+          }
+        : { backfill_cursor: cursor }
+    )
+    .eq("code", code);
+
+  if (error) throw error;
+}
@@ -0,0 +1,280 @@
+// backend/services/boxService.js
+
+import { supabase } from "../config/supabase.js";
+import { MAX_ALLOWED_PERSONS } from "../constants/booking.js";
+import { areTimeRangesOverlapping, parseDateOrNull } from "../utils/dates.js";
+import { getParisDateParts, getParisWeekday } from "./pricingService.js";
+
+/**
+ * Catalogue des box.
+ *
+ * Table `boxes` :
+ * - id, name, max_persons, is_active, sort_order
+ * - opening_hours (jsonb, optionnel) : { "0": [{ "open": "10:00", "close": "02:00" }], ... }
+ *   clé = jour de la semaine à Paris (0 = dimanche). Une fermeture <= ouverture
+ *   signifie que la plage déborde sur le lendemain. null = ouvert en continu.
+ *
+ * Table `box_closures` : fermetures ponctuelles (maintenance, privatisation…)
+ * - box_id (null = toutes les box), starts_at, ends_at, reason
+ */
+
+export const BOX_UNAVAILABILITY_REASONS = {
+  BOX_NOT_FOUND: "box_not_found",
+  BOX_INACTIVE: "box_inactive",
+  CAPACITY_EXCEEDED: "capacity_exceeded",
+  OUTSIDE_OPENING_HOURS: "outside_opening_hours",
+  MAINTENANCE: "maintenance",
+  RESERVED: "reserved",
+  HELD: "held",
+};
+
+const BOX_UNAVAILABILITY_LABELS = {
+  box_not_found: "Box introuvable",
+  box_inactive: "Box indisponible",
+  capacity_exceeded: "Capacité de la box dépassée",
+  outside_opening_hours: "En dehors des horaires d'ouverture",
+  maintenance: "Box fermée (maintenance)",
+  reserved: "Créneau déjà réservé",
+  held: "Créneau en cours de réservation",
+};
+
+// Utilisée tant que la table `boxes` est vide, pour conserver le comportement
+// historique (une seule box, ouverte en continu).
+const DEFAULT_BOX = Object.freeze({
+  id: 1,
+  name: "Box 1",
+  max_persons: MAX_ALLOWED_PERSONS,
+  is_active: true,
+  sort_order: 0,
+  opening_hours: null,
+});
+
+const MINUTES_PER_DAY = 24 * 60;
+
+function safeText(value, maxLen = 255) {
+  return String(value ?? "").trim().slice(0, maxLen);
+}
+
+function toPositiveInt(value, fallback = null) {
+  const n = Number.parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function parseClockToMinutes(value) {
+  const match = safeText(value, 10).match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+
+  if (hours > 24 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+function normalizeOpeningHours(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return null;
+
+  const out = {};
+
+  for (let weekday = 0; weekday <= 6; weekday += 1) {
+    const ranges = Array.isArray(raw[weekday]) ? raw[weekday] : [];
+
+    out[weekday] = ranges
+      .map((range) => {
+        const open = parseClockToMinutes(range?.open);
+        let close = parseClockToMinutes(range?.close);
+
+        if (open == null || close == null) return null;
+        if (close <= open) close += MINUTES_PER_DAY;
+
+        return { open, close };
+      })
+      .filter(Boolean);
+  }
+
+  return out;
+}
+
+function normalizeBox(row) {
+  if (!row) return null;
+
+  const id = toPositiveInt(row.id);
+  if (!id) return null;
+
+  return {
+    id,
+    name: safeText(row.name, 80) || `Box ${id}`,
+    max_persons: Math.min(
+      toPositiveInt(row.max_persons, MAX_ALLOWED_PERSONS),
+      MAX_ALLOWED_PERSONS
+    ),
+    is_active: row.is_active !== false,
+    sort_order: Number(row.sort_order || 0),
+    opening_hours: normalizeOpeningHours(row.opening_hours),
+  };
+}
+
+export function toPublicBox(box) {
+  return {
+    id: box.id,
+    name: box.name,
+    max_persons: box.max_persons,
+  };
+}
+
+export function getBoxUnavailabilityLabel(reason) {
+  return BOX_UNAVAILABILITY_LABELS[reason] || "Créneau indisponible";
+}
+
+export async function listBoxes({ includeInactive = false } = {}) {
+  if (!supabase) {
+    throw new Error("Supabase non configuré");
+  }
+
+  const { data, error } = await supabase
+    .from("boxes")
+    .select("*")
+    .order("sort_order", { ascending: true })
+    .order("id", { ascending: true });
+
+  if (error) throw error;
+
+  const boxes = (data || []).map(normalizeBox).filter(Boolean);
+
+  if (boxes.length === 0) {
+    return [normalizeBox(DEFAULT_BOX)];
+  }
+
+  return includeInactive ? boxes : boxes.filter((box) => box.is_active);
+}
+
+export async function getBoxById(boxId) {
+  const id = toPositiveInt(boxId);
+  if (!id) return null;
+
+  const boxes = await listBoxes({ includeInactive: true });
+  return boxes.find((box) => box.id === id) || null;
+}
+
+export async function listBoxClosures({ boxIds = [], fromIso, toIso }) {
+  if (!supabase) {
+    throw new Error("Supabase non configuré");
+  }
+
+  if (!fromIso || !toIso) return [];
+
+  const { data, error } = await supabase
+    .from("box_closures")
+    .select("id, box_id, starts_at, ends_at, reason")
+    .lt("starts_at", toIso)
+    .gt("ends_at", fromIso);
+
+  if (error) throw error;
+
+  const wanted = new Set(boxIds.map((id) => Number(id)));
+
+  return (data || []).filter(
+    (row) => row.box_id == null || wanted.size === 0 || wanted.has(Number(row.box_id))
+  );
+}
+
+/**
+ * Le créneau [start, end[ doit tenir entièrement dans une plage d'ouverture,
+ * soit celle du jour de début, soit la plage de la veille qui déborde après minuit.
+ */
+export function isWithinOpeningHours(box, startDate, endDate) {
+  if (!box?.opening_hours) return true;
+
+  const start = parseDateOrNull(startDate);
+  const end = parseDateOrNull(endDate);
+  if (!start || !end) return false;
+
+  const parts = getParisDateParts(start);
+  const weekday = getParisWeekday(start);
+  const startMinutes = parts.hour * 60 + parts.minute;
+  const durationMinutes = Math.round((end.getTime() - start.getTime()) / 60000);
+
+  const fits = (ranges, offset) =>
+    (ranges || []).some(
+      (range) =>
+        startMinutes + offset >= range.open &&
+        startMinutes + offset + durationMinutes <= range.close
+    );
+
+  const previousWeekday = (weekday + 6) % 7;
+
+  return (
+    fits(box.opening_hours[weekday], 0) ||
+    fits(box.opening_hours[previousWeekday], MINUTES_PER_DAY)
+  );
+}
+
+/**
+ * Évalue la disponibilité d'une box sur un créneau à partir de données déjà
+ * chargées (pas d'accès base), pour pouvoir traiter une grille entière en mémoire.
+ * `reservations` : réservations confirmées susceptibles de chevaucher.
+ * `holds` : blocages temporaires actifs (paniers en cours de paiement).
+ */
+export function evaluateBoxSlot({
+  box,
+  closures = [],
+  reservations = [],
+  holds = [],
+  startTime,
+  endTime,
+  persons = null,
+}) {
+  if (!box) {
+    return { available: false, reason: BOX_UNAVAILABILITY_REASONS.BOX_NOT_FOUND };
+  }
+
+  if (!box.is_active) {
+    return { available: false, reason: BOX_UNAVAILABILITY_REASONS.BOX_INACTIVE };
+  }
+
+  if (persons != null && Number(persons) > box.max_persons) {
+    return {
+      available: false,
+      reason: BOX_UNAVAILABILITY_REASONS.CAPACITY_EXCEEDED,
+    };
+  }
+
+  if (!isWithinOpeningHours(box, startTime, endTime)) {
+    return {
+      available: false,
+      reason: BOX_UNAVAILABILITY_REASONS.OUTSIDE_OPENING_HOURS,
+    };
+  }
+
+  const closed = closures.some(
+    (closure) =>
+      (closure.box_id == null || Number(closure.box_id) === box.id) &&
+      areTimeRangesOverlapping(closure.starts_at, closure.ends_at, startTime, endTime)
+  );
+
+  if (closed) {
+    return { available: false, reason: BOX_UNAVAILABILITY_REASONS.MAINTENANCE };
+  }
+
+  const reserved = reservations.some(
+    (row) =>
+      Number(row.box_id) === box.id &&
+      areTimeRangesOverlapping(row.start_time, row.end_time, startTime, endTime)
+  );
+
+  if (reserved) {
+    return { available: false, reason: BOX_UNAVAILABILITY_REASONS.RESERVED };
+  }
+
+  const held = holds.some(
+    (hold) =>
+      Number(hold.box_id) === box.id &&
+      areTimeRangesOverlapping(hold.start_time, hold.end_time, startTime, endTime)
+  );
+
+  if (held) {
+    return { available: false, reason: BOX_UNAVAILABILITY_REASONS.HELD };
+  }
+
+  return { available: true, reason: null };
+}
@@ -0,0 +1,245 @@
+// backend/services/checkInService.js
+
+import { supabase } from "../config/supabase.js";
+import {
+  NO_SHOW_GRACE_MINUTES,
+  NO_SHOW_TRACKING_START_AT,
+} from "../config/env.js";
+import {
+  CONFIRMED_STATUSES,
+  RESERVATION_NO_SHOW_STATUS,
+} from "../constants/booking.js";
+import { parseDateOrNull } from "../utils/dates.js";
+
+/**
+ * Check-in à la porte et détection des absences.
+ *
+ * Table `reservation_check_ins` (un événement par accès autorisé) :
+ * - id, reservation_id, box_id, device_id, is_first, created_at
+ *
+ * Le premier accès autorisé renseigne aussi reservations.checked_in_at,
+ * checked_in_box_id et checked_in_device_id. Une réservation confirmée sans
+ * check-in à end_time (+ délai de grâce) passe au statut "no_show".
+ *
+ * Les check-ins ne sont enregistrés que par les contrôleurs authentifiés
+ * (/api/device/check) ; /api/check reste en lecture seule. Seules les box
+ * équipées d'un contrôleur actif (ayant déjà émis un heartbeat) sont donc
+ * suivies, et uniquement pour les séances postérieures à sa mise en
+ * service : une box dont le lecteur n'est pas encore migré n'a jamais de
+ * no-show.
+ */
+
+function ensureSupabase() {
+  if (!supabase) {
+    throw new Error("Supabase non configuré");
+  }
+}
+
+function safeText(value, maxLen = 255) {
+  return String(value ?? "").trim().slice(0, maxLen);
+}
+
+async function insertCheckInEvent({ reservationId, boxId, deviceId, isFirst }) {
+  const { error } = await supabase.from("reservation_check_ins").insert({
+    reservation_id: reservationId,
+    box_id: boxId ?? null,
+    device_id: deviceId || null,
+    is_first: !!isFirst,
+    created_at: new Date().toISOString(),
+  });
+
+  if (error) throw error;
+}
+
+/**
+ * Enregistre un accès autorisé. Seul le premier renseigne checked_in_at
+ * (mise à jour conditionnelle sur checked_in_at IS NULL).
+ */
+export async function recordReservationCheckIn({
+  reservation,
+  boxId = null,
+  deviceId = null,
+}) {
+  ensureSupabase();
+
+  if (!reservation?.id) {
+    throw new Error("Réservation invalide");
+  }
+
+  const safeDeviceId = safeText(deviceId, 120) || null;
+  const safeBoxId = boxId ?? reservation.box_id ?? null;
+  const nowIso = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from("reservations")
+    .update({
+      checked_in_at: nowIso,
+      checked_in_box_id: safeBoxId,
+      checked_in_device_id: safeDeviceId,
+      updated_at: nowIso,
+    })
+    .eq("id", reservation.id)
+    .is("checked_in_at", null)
+    .select("id, checked_in_at")
+    .maybeSingle();
+
+  if (error) throw error;
+
+  const isFirst = !!data;
+
+  await insertCheckInEvent({
+    reservationId: reservation.id,
+    boxId: safeBoxId,
+    deviceId: safeDeviceId,
+    isFirst,
+  });
+
+  return {
+    firstCheckIn: isFirst,
+    checkedInAt: data?.checked_in_at || reservation.checked_in_at || null,
+  };
+}
+
+export async function listReservationCheckIns(reservationId) {
+  ensureSupabase();
+
+  const { data, error } = await supabase
+    .from("reservation_check_ins")
+    .select("*")
+    .eq("reservation_id", reservationId)
+    .order("created_at", { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Box suivies pour les no-show : Map box_id → date de mise en service du
+ * plus ancien contrôleur actif.
+ */
+export async function loadCheckInTrackedBoxes() {
+  ensureSupabase();
+
+  const { data, error } = await supabase
+    .from("door_devices")
+    .select("box_id, created_at")
+    .eq("is_active", true)
+    .not("last_heartbeat_at", "is", null);
+
+  if (error) throw error;
+
+  const trackedBoxes = new Map();
+
+  for (const device of data || []) {
+    const boxId = Number(device.box_id);
+    const since = parseDateOrNull(device.created_at);
+    if (!Number.isFinite(boxId) || !since) continue;
+
+    const current = trackedBoxes.get(boxId);
+    if (!current || since < current) trackedBoxes.set(boxId, since);
+  }
+
+  return trackedBoxes;
+}
+
+/**
+ * Vrai si l'absence de check-in de cette réservation est significative :
+ * suivi actif (NO_SHOW_TRACKING_START_AT) et box équipée d'un contrôleur
+ * authentifié dès le début de la séance.
+ */
+export function isReservationCheckInTracked(reservation, trackedBoxes) {
+  const trackingStart = parseDateOrNull(NO_SHOW_TRACKING_START_AT);
+  const start = parseDateOrNull(reservation?.start_time);
+  const end = parseDateOrNull(reservation?.end_time);
+  const since = trackedBoxes?.get(Number(reservation?.box_id || 1));
+
+  return !!trackingStart && !!start && !!end && !!since && end >= trackingStart && start >= since;
+}
+
+/**
+ * Passe en no_show les réservations confirmées terminées sans check-in,
+ * sur les box équipées d'un contrôleur authentifié.
+ * Retourne aussi celles dont la caution est encore autorisée, pour que
+ * l'admin puisse décider d'une capture, et l'état avant / après de chaque
+ * réservation (changes) pour l'audit.
+ */
+export async function markNoShowReservations({ limit = 100 } = {}) {
+  ensureSupabase();
+
+  const trackingStart = parseDateOrNull(NO_SHOW_TRACKING_START_AT);
+  if (!trackingStart) {
+    return { enabled: false, markedCount: 0, depositsToReview: [], changes: [] };
+  }
+
+  const cutoff = new Date(Date.now() - NO_SHOW_GRACE_MINUTES * 60 * 1000);
+  const safeLimit = Math.min(Math.max(Number(limit || 100), 1), 500);
+  const trackedBoxes = await loadCheckInTrackedBoxes();
+  const candidates = [];
+
+  // Requête par box : les séances non suivies ne doivent pas occuper le lot
+  for (const [boxId, since] of trackedBoxes) {
+    const { data, error } = await supabase
+      .from("reservations")
+      .select("*")
+      .in("status", CONFIRMED_STATUSES)
+      .is("checked_in_at", null)
+      .eq("box_id", boxId)
+      .gte("start_time", since.toISOString())
+      .gte("end_time", trackingStart.toISOString())
+      .lt("end_time", cutoff.toISOString())
+      .order("end_time", { ascending: true })
+      .limit(safeLimit);
+
+    if (error) throw error;
+    candidates.push(...(data || []));
+  }
+
+  const marked = [];
+  const depositsToReview = [];
+  const changes = [];
+
+  for (const reservation of candidates.slice(0, safeLimit)) {
+    const nowIso = new Date().toISOString();
+
+    const { data: updated, error: updateError } = await supabase
+      .from("reservations")
+      .update({
+        status: RESERVATION_NO_SHOW_STATUS,
+        no_show_at: nowIso,
+        updated_at: nowIso,
+      })
+      .eq("id", reservation.id)
+      .eq("status", reservation.status)
+      .is("checked_in_at", null)
+      .select("*")
+      .maybeSingle();
+
+    if (updateError) {
+      console.error("Erreur passage no_show :", updateError);
+      continue;
+    }
+
+    if (!updated) continue;
+
+    marked.push(reservation.id);
+    changes.push({ id: reservation.id, before: reservation, after: updated });
+
+    if (
+      reservation.deposit_status === "authorized" &&
+      reservation.deposit_payment_intent_id
+    ) {
+      depositsToReview.push({
+        reservationId: reservation.id,
+        depositPaymentIntentId: reservation.deposit_payment_intent_id,
+      });
+    }
+  }
+
+  return {
+    enabled: true,
+    markedCount: marked.length,
+    reservationIds: marked,
+    depositsToReview,
+    changes,
+  };
+}
@@ -0,0 +1,274 @@
+// backend/services/doorAccessService.js
+
+import { supabase } from "../config/supabase.js";
+import {
+  ALLOW_LEGACY_QR_ID_CHECK,
+  QR_ACCESS_MARGIN_BEFORE_MINUTES,
+} from "../config/env.js";
+import { parseDateOrNull } from "../utils/dates.js";
+import {
+  isReservationStatusCancelledOrRefunded,
+  isReservationStatusConfirmed,
+} from "./reservationService.js";
+import {
+  matchQrTokenWithReservation,
+  verifyReservationQrToken,
+} from "./qrTokenService.js";
+import { recordReservationCheckIn } from "./checkInService.js";
+import {
+  PARTICIPANT_STATUSES,
+  getReservationParticipantById,
+  markParticipantCheckedIn,
+} from "./participantService.js";
+import {
+  DOOR_ACCESS_SOURCES,
+  logDoorAccessAttempt,
+} from "./doorDeviceService.js";
+
+/**
+ * Décision d'accès à une box à partir d'un QR (jeton signé ou ancien id).
+ * Partagée par /api/check (scan public) et /api/device/check (contrôleur
+ * authentifié). Seul un contrôleur authentifié journalise la tentative et
+ * enregistre le check-in (réservation et participant) ; le scan public reste
+ * en lecture seule et n'écrit rien, pour ne pas pouvoir saturer le journal.
+ */
+
+const LAST_ENTRY_MARGIN_MINUTES = 5;
+
+const TOKEN_ERROR_REASONS = {
+  too_early: "Trop tôt pour accéder à la box.",
+  expired: "Créneau terminé, accès refusé.",
+};
+
+function decide(reservation, { tokenPayload, participant, scannedBoxId, now }) {
+  const start = parseDateOrNull(reservation.start_time);
+  const end = parseDateOrNull(reservation.end_time);
+
+  if (!start || !end) {
+    return { access: false, code: "invalid_schedule", reason: "Horaires de réservation invalides" };
+  }
+
+  const startWithMargin = new Date(
+    start.getTime() - QR_ACCESS_MARGIN_BEFORE_MINUTES * 60000
+  );
+  const lastEntryTime = new Date(
+    end.getTime() - LAST_ENTRY_MARGIN_MINUTES * 60000
+  );
+
+  const tokenMismatch = tokenPayload
+    ? matchQrTokenWithReservation(tokenPayload, reservation)
+    : null;
+
+  if (isReservationStatusCancelledOrRefunded(reservation.status)) {
+    return { access: false, code: "cancelled", reason: "Réservation annulée ou remboursée, accès refusé." };
+  }
+
+  if (tokenMismatch === "revoked") {
+    return { access: false, code: "revoked", reason: "QR code révoqué, accès refusé." };
+  }
+
+  if (
+    tokenPayload?.pid &&
+    (!participant ||
+      String(participant.reservation_id) !== String(reservation.id) ||
+      participant.status === PARTICIPANT_STATUSES.REMOVED)
+  ) {
+    return {
+      access: false,
+      code: "participant_removed",
+      reason: "Ce participant a été retiré de la réservation, accès refusé.",
+    };
+  }
+
+  if (tokenMismatch) {
+    return {
+      access: false,
+      code: "rotated",
+      reason: "QR code périmé : la réservation a été modifiée, utilisez le dernier QR reçu.",
+    };
+  }
+
+  if (now < startWithMargin) {
+    return { access: false, code: "too_early", reason: "Trop tôt pour accéder à la box." };
+  }
+
+  if (now > lastEntryTime) {
+    return { access: false, code: "expired", reason: "Créneau terminé, accès refusé." };
+  }
+
+  if (!isReservationStatusConfirmed(reservation.status)) {
+    return { access: false, code: "invalid_status", reason: `Statut invalide : ${reservation.status}` };
+  }
+
+  if (scannedBoxId != null && Number(scannedBoxId) !== Number(reservation.box_id)) {
+    return {
+      access: false,
+      code: "wrong_box",
+      reason: `Cette réservation concerne la box ${reservation.box_id}.`,
+    };
+  }
+
+  return { access: true, code: "ok", reason: "Créneau valide, accès autorisé." };
+}
+
+/**
+ * Retourne { status, body } prêt à être renvoyé par la route.
+ * device : contrôleur authentifié (sa box fait foi) ou null.
+ */
+export async function checkReservationAccess({
+  token = "",
+  reservationId = "",
+  scannedBoxId = null,
+  device = null,
+}) {
+  if (!supabase) {
+    return { status: 500, body: { valid: false, error: "Supabase non configuré" } };
+  }
+
+  const effectiveBoxId = device?.box_id ?? scannedBoxId ?? null;
+
+  const log = async (payload) => {
+    if (!device) return;
+
+    await logDoorAccessAttempt({
+      deviceId: device.id,
+      boxId: effectiveBoxId,
+      source: DOOR_ACCESS_SOURCES.QR,
+      ...payload,
+    });
+  };
+
+  let id = "";
+  let tokenPayload = null;
+
+  if (token) {
+    const verification = verifyReservationQrToken(token);
+
+    if (!verification.ok) {
+      const reason = TOKEN_ERROR_REASONS[verification.reason];
+
+      await log({
+        reservationId: verification.payload?.rid ?? null,
+        granted: false,
+        reasonCode: verification.reason,
+        reason: reason || "QR code invalide.",
+      });
+
+      if (reason) {
+        return {
+          status: 200,
+          body: {
+            valid: true,
+            access: false,
+            reason,
+            box_id: verification.payload?.box ?? null,
+          },
+        };
+      }
+
+      return {
+        status: 401,
+        body: { valid: false, access: false, reason: "QR code invalide." },
+      };
+    }
+
+    tokenPayload = verification.payload;
+    id = String(tokenPayload.rid);
+  } else if (ALLOW_LEGACY_QR_ID_CHECK) {
+    id = String(reservationId || "").trim();
+  }
+
+  if (!id) {
+    return {
+      status: 400,
+      body: {
+        valid: false,
+        error: ALLOW_LEGACY_QR_ID_CHECK ? "Missing id" : "QR code signé requis",
+      },
+    };
+  }
+
+  const { data, error } = await supabase
+    .from("reservations")
+    .select(
+      "id, box_id, start_time, end_time, status, checked_in_at, qr_token_version, qr_revoked_at"
+    )
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error || !data) {
+    await log({
+      reservationId: null,
+      granted: false,
+      reasonCode: "not_found",
+      reason: "Réservation introuvable.",
+    });
+
+    return {
+      status: 404,
+      body: { valid: false, reason: "Réservation introuvable." },
+    };
+  }
+
+  const participant = tokenPayload?.pid
+    ? await getReservationParticipantById(String(tokenPayload.pid))
+    : null;
+
+  const decision = decide(data, {
+    tokenPayload,
+    participant,
+    scannedBoxId: effectiveBoxId,
+    now: new Date(),
+  });
+
+  if (decision.code === "invalid_schedule") {
+    return { status: 500, body: { valid: false, error: decision.reason } };
+  }
+
+  await log({
+    reservationId: data.id,
+    granted: decision.access,
+    reasonCode: decision.code,
+    reason: decision.reason,
+  });
+
+  let checkedInAt = data.checked_in_at || null;
+  let firstCheckIn = false;
+
+  if (decision.access && device) {
+    try {
+      const checkIn = await recordReservationCheckIn({
+        reservation: data,
+        boxId: effectiveBoxId ?? data.box_id,
+        deviceId: device.id,
+      });
+
+      checkedInAt = checkIn.checkedInAt;
+      firstCheckIn = checkIn.firstCheckIn;
+    } catch (checkInErr) {
+      // L'accès ne doit jamais être bloqué par un échec d'écriture
+      console.error("Erreur enregistrement check-in :", checkInErr);
+    }
+
+    if (participant) {
+      await markParticipantCheckedIn(participant.id);
+    }
+  }
+
+  return {
+    status: 200,
+    body: {
+      valid: true,
+      access: decision.access,
+      reason: decision.reason,
+      reason_code: decision.code,
+      reservation_id: data.id,
+      participant_id: participant?.id ?? null,
+      box_id: data.box_id,
+      start_time: data.start_time,
+      end_time: data.end_time,
+      checked_in_at: checkedInAt,
+      first_check_in: firstCheckIn,
+    },
+  };
+}
@@ -0,0 +1,442 @@
+// backend/services/doorDeviceService.js
+
+import crypto from "crypto";
+
+import { supabase } from "../config/supabase.js";
+import { DOOR_COMMAND_TTL_SECONDS } from "../config/env.js";
+
+/**
+ * Registre des contrôleurs de porte (un ou plusieurs par box).
+ *
+ * Tables :
+ * - door_devices : id, name, box_id, api_key_prefix, api_key_hash, is_active,
+ *   last_heartbeat_at, last_ip, firmware_version, last_status (jsonb),
+ *   created_at, updated_at
+ * - door_access_logs : id, device_id, box_id, reservation_id, granted,
+ *   reason_code, reason, source (qr | admin_unlock), actor_email, created_at
+ * - door_commands : id, device_id, box_id, command, status (pending |
+ *   delivered | acknowledged | expired), reservation_id, requested_by,
+ *   reason, expires_at, delivered_at, acknowledged_at, result, created_at
+ *
+ * La clé API n'est retournée qu'à la création / rotation ; seul son hash
+ * SHA-256 est stocké. Format : dk_<prefix>_<secret>.
+ */
+
+export const DOOR_COMMAND_TYPES = {
+  UNLOCK: "unlock",
+};
+
+export const DOOR_COMMAND_STATUSES = {
+  PENDING: "pending",
+  DELIVERED: "delivered",
+  ACKNOWLEDGED: "acknowledged",
+  EXPIRED: "expired",
+};
+
+export const DOOR_ACCESS_SOURCES = {
+  QR: "qr",
+  ADMIN_UNLOCK: "admin_unlock",
+};
+
+const DEVICE_ONLINE_THRESHOLD_MS = 2 * 60 * 1000;
+
+function ensureSupabase() {
+  if (!supabase) {
+    throw new Error("Supabase non configuré");
+  }
+}
+
+function safeText(value, maxLen = 255) {
+  return String(value ?? "").trim().slice(0, maxLen);
+}
+
+function hashApiKey(apiKey) {
+  return crypto.createHash("sha256").update(String(apiKey)).digest("hex");
+}
+
+function generateApiKey() {
+  const prefix = crypto.randomBytes(4).toString("hex");
+  const secret = crypto.randomBytes(24).toString("hex");
+
+  return {
+    apiKey: `dk_${prefix}_${secret}`,
+    prefix,
+  };
+}
+
+function parseApiKeyPrefix(apiKey) {
+  const match = /^dk_([a-f0-9]{8})_[a-f0-9]{48}$/.exec(String(apiKey || "").trim());
+  return match ? match[1] : null;
+}
+
+export function toPublicDoorDevice(device) {
+  if (!device) return null;
+
+  const lastHeartbeat = device.last_heartbeat_at
+    ? new Date(device.last_heartbeat_at).getTime()
+    : 0;
+
+  return {
+    id: device.id,
+    name: device.name || null,
+    box_id: device.box_id ?? null,
+    api_key_prefix: device.api_key_prefix || null,
+    is_active: device.is_active !== false,
+    online:
+      !!lastHeartbeat && Date.now() - lastHeartbeat <= DEVICE_ONLINE_THRESHOLD_MS,
+    last_heartbeat_at: device.last_heartbeat_at || null,
+    last_ip: device.last_ip || null,
+    firmware_version: device.firmware_version || null,
+    last_status: device.last_status || null,
+    created_at: device.created_at || null,
+  };
+}
+
+/* =========================================================
+   REGISTRE
+========================================================= */
+
+export async function listDoorDevices({ boxId = null } = {}) {
+  ensureSupabase();
+
+  let query = supabase
+    .from("door_devices")
+    .select("*")
+    .order("box_id", { ascending: true })
+    .order("created_at", { ascending: true });
+
+  if (boxId != null) {
+    query = query.eq("box_id", boxId);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  return data || [];
+}
+
+export async function getDoorDeviceById(deviceId) {
+  ensureSupabase();
+
+  const { data, error } = await supabase
+    .from("door_devices")
+    .select("*")
+    .eq("id", deviceId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+export async function createDoorDevice({ name, boxId }) {
+  ensureSupabase();
+
+  const { apiKey, prefix } = generateApiKey();
+  const nowIso = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from("door_devices")
+    .insert({
+      name: safeText(name, 120) || `Box ${boxId}`,
+      box_id: boxId,
+      api_key_prefix: prefix,
+      api_key_hash: hashApiKey(apiKey),
+      is_active: true,
+      created_at: nowIso,
+      updated_at: nowIso,
+    })
+    .select("*")
+    .single();
+
+  if (error) throw error;
+
+  return { device: data, apiKey };
+}
+
+export async function rotateDoorDeviceApiKey(deviceId) {
+  ensureSupabase();
+
+  const { apiKey, prefix } = generateApiKey();
+
+  const { data, error } = await supabase
+    .from("door_devices")
+    .update({
+      api_key_prefix: prefix,
+      api_key_hash: hashApiKey(apiKey),
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", deviceId)
+    .select("*")
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return null;
+
+  return { device: data, apiKey };
+}
+
+export async function setDoorDeviceActive(deviceId, isActive) {
+  ensureSupabase();
+
+  const { data, error } = await supabase
+    .from("door_devices")
+    .update({
+      is_active: !!isActive,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", deviceId)
+    .select("*")
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+/**
+ * Retrouve le contrôleur correspondant à une clé API (comparaison du hash
+ * en temps constant). Retourne null si la clé est inconnue ou désactivée.
+ */
+export async function authenticateDoorDevice(apiKey) {
+  ensureSupabase();
+
+  const prefix = parseApiKeyPrefix(apiKey);
+  if (!prefix) return null;
+
+  const { data, error } = await supabase
+    .from("door_devices")
+    .select("*")
+    .eq("api_key_prefix", prefix)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data || data.is_active === false || !data.api_key_hash) return null;
+
+  const expected = Buffer.from(String(data.api_key_hash), "hex");
+  const actual = Buffer.from(hashApiKey(apiKey), "hex");
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return data;
+}
+
+/* =========================================================
+   HEARTBEAT / COMMANDES
+========================================================= */
+
+async function expireStaleCommands(deviceId) {
+  const { error } = await supabase
+    .from("door_commands")
+    .update({ status: DOOR_COMMAND_STATUSES.EXPIRED })
+    .eq("device_id", deviceId)
+    .in("status", [DOOR_COMMAND_STATUSES.PENDING, DOOR_COMMAND_STATUSES.DELIVERED])
+    .lt("expires_at", new Date().toISOString());
+
+  if (error) throw error;
+}
+
+/**
+ * Enregistre le heartbeat et remet au contrôleur ses commandes en attente
+ * (elles passent en "delivered").
+ */
+export async function recordDoorDeviceHeartbeat(device, { ip = null, firmwareVersion = null, status = null } = {}) {
+  ensureSupabase();
+
+  const nowIso = new Date().toISOString();
+
+  const { error } = await supabase
+    .from("door_devices")
+    .update({
+      last_heartbeat_at: nowIso,
+      last_ip: safeText(ip, 80) || null,
+      firmware_version: safeText(firmwareVersion, 40) || device.firmware_version || null,
+      last_status: status && typeof status === "object" ? status : null,
+      updated_at: nowIso,
+    })
+    .eq("id", device.id);
+
+  if (error) throw error;
+
+  await expireStaleCommands(device.id);
+
+  const { data: pending, error: pendingError } = await supabase
+    .from("door_commands")
+    .select("id, command, box_id, reservation_id, reason, expires_at, created_at")
+    .eq("device_id", device.id)
+    .eq("status", DOOR_COMMAND_STATUSES.PENDING)
+    .order("created_at", { ascending: true });
+
+  if (pendingError) throw pendingError;
+
+  const commands = pending || [];
+
+  if (commands.length > 0) {
+    const { error: deliverError } = await supabase
+      .from("door_commands")
+      .update({
+        status: DOOR_COMMAND_STATUSES.DELIVERED,
+        delivered_at: nowIso,
+      })
+      .in(
+        "id",
+        commands.map((command) => command.id)
+      )
+      .eq("status", DOOR_COMMAND_STATUSES.PENDING);
+
+    if (deliverError) throw deliverError;
+  }
+
+  return { serverTime: nowIso, commands };
+}
+
+export async function acknowledgeDoorCommand(device, commandId, { success = true, message = null } = {}) {
+  ensureSupabase();
+
+  const { data, error } = await supabase
+    .from("door_commands")
+    .update({
+      status: DOOR_COMMAND_STATUSES.ACKNOWLEDGED,
+      acknowledged_at: new Date().toISOString(),
+      result: {
+        success: !!success,
+        message: safeText(message, 500) || null,
+      },
+    })
+    .eq("id", commandId)
+    .eq("device_id", device.id)
+    .in("status", [DOOR_COMMAND_STATUSES.PENDING, DOOR_COMMAND_STATUSES.DELIVERED])
+    .select("*")
+    .maybeSingle();
+
+  if (error) throw error;
+
+  // L'ouverture n'est journalisée qu'une fois confirmée par le contrôleur
+  if (data && data.command === DOOR_COMMAND_TYPES.UNLOCK) {
+    await logDoorAccessAttempt({
+      deviceId: device.id,
+      boxId: data.box_id ?? device.box_id ?? null,
+      reservationId: data.reservation_id || null,
+      granted: !!success,
+      reasonCode: success ? "admin_unlock" : "admin_unlock_failed",
+      reason: success
+        ? data.reason || "Ouverture à distance par l'équipe"
+        : safeText(message, 300) || "Échec de l'ouverture à distance",
+      source: DOOR_ACCESS_SOURCES.ADMIN_UNLOCK,
+      actorEmail: data.requested_by || null,
+    });
+  }
+
+  return data || null;
+}
+
+/**
+ * Crée une commande d'ouverture pour chaque contrôleur actif de la box.
+ * L'ouverture est tracée dans door_access_logs à l'acquittement de la
+ * commande par le contrôleur (acknowledgeDoorCommand).
+ */
+export async function requestDoorUnlock({
+  boxId,
+  reservationId = null,
+  requestedBy = null,
+  reason = null,
+}) {
+  ensureSupabase();
+
+  const devices = (await listDoorDevices({ boxId })).filter(
+    (device) => device.is_active !== false
+  );
+
+  if (devices.length === 0) {
+    return { commands: [], devices: [] };
+  }
+
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + DOOR_COMMAND_TTL_SECONDS * 1000);
+  const safeReason = safeText(reason, 300) || null;
+
+  const { data, error } = await supabase
+    .from("door_commands")
+    .insert(
+      devices.map((device) => ({
+        device_id: device.id,
+        box_id: boxId,
+        command: DOOR_COMMAND_TYPES.UNLOCK,
+        status: DOOR_COMMAND_STATUSES.PENDING,
+        reservation_id: reservationId,
+        requested_by: safeText(requestedBy, 255) || null,
+        reason: safeReason,
+        expires_at: expiresAt.toISOString(),
+        created_at: now.toISOString(),
+      }))
+    )
+    .select("*");
+
+  if (error) throw error;
+
+  return { commands: data || [], devices };
+}
+
+/* =========================================================
+   JOURNAL D'ACCÈS
+========================================================= */
+
+/**
+ * N'interrompt jamais le flux d'accès : les erreurs sont seulement loguées.
+ */
+export async function logDoorAccessAttempt({
+  deviceId = null,
+  boxId = null,
+  reservationId = null,
+  granted,
+  reasonCode,
+  reason,
+  source = DOOR_ACCESS_SOURCES.QR,
+  actorEmail = null,
+}) {
+  try {
+    if (!supabase) return;
+
+    const { error } = await supabase.from("door_access_logs").insert({
+      device_id: deviceId,
+      box_id: boxId,
+      reservation_id: reservationId,
+      granted: !!granted,
+      reason_code: safeText(reasonCode, 40) || null,
+      reason: safeText(reason, 300) || null,
+      source,
+      actor_email: safeText(actorEmail, 255) || null,
+      created_at: new Date().toISOString(),
+    });
+
+    if (error) {
+      console.error("Erreur door_access_logs insert :", error);
+    }
+  } catch (e) {
+    console.error("Erreur logDoorAccessAttempt :", e);
+  }
+}
+
+export async function listDoorAccessLogs({
+  boxId = null,
+  deviceId = null,
+  reservationId = null,
+  limit = 100,
+} = {}) {
+  ensureSupabase();
+
+  let query = supabase
+    .from("door_access_logs")
+    .select("*")
+    .order("created_at", { ascending: false })
+    .limit(Math.min(Math.max(Number(limit || 100), 1), 500));
+
+  if (boxId != null) query = query.eq("box_id", boxId);
+  if (deviceId) query = query.eq("device_id", deviceId);
+  if (reservationId) query = query.eq("reservation_id", reservationId);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  return data || [];
+}
@@ -0,0 +1,230 @@
+// backend/services/dynamicPricingService.js
+
+import { supabase } from "../config/supabase.js";
+import {
+  DYNAMIC_PRICING_ENABLED,
+  DYNAMIC_PRICING_HISTORY_WEEKS,
+  DYNAMIC_PRICING_LEAD_HORIZON_DAYS,
+} from "../config/env.js";
+import { addDaysToDateString, parseDateOrNull } from "../utils/dates.js";
+import { listBoxes } from "./boxService.js";
+import {
+  STANDARD_SLOT_STARTS,
+  buildSlotIsoRange,
+  formatDateOnlyInParis,
+  getParisDateParts,
+  getParisWeekday,
+} from "./pricingService.js";
+import {
+  isReservationStatusCompleted,
+  isReservationStatusConfirmed,
+} from "./reservationService.js";
+
+/**
+ * Tarification dynamique : ajuste le tarif d'une règle entre son plancher
+ * (dynamic_min_rate) et son plafond (dynamic_max_rate) selon la demande.
+ *
+ * demande = p × remplissage du jour + (1 - p) × occupation historique du
+ * même créneau (même jour de semaine, même heure, sur les N dernières
+ * semaines), avec p qui passe de 0 (séance au-delà de l'horizon) à 1 (séance
+ * imminente). À TARGET_OCCUPANCY la règle garde son tarif de base ; au-dessus
+ * le tarif monte vers le plafond, en dessous il descend vers le plancher.
+ *
+ * Le tarif affiché est figé par les blocages de /api/verify-cart
+ * (slot_holds.quoted_per_person_rate), pas recalculé au paiement.
+ *
+ * Les comptages sont mis en cache dans le processus : l'historique (qui
+ * couvre plusieurs semaines) change peu, le remplissage des dates demandées
+ * est relu au plus toutes les minutes.
+ */
+
+const TARGET_OCCUPANCY = 0.5;
+const HOUR_MS = 60 * 60 * 1000;
+const FETCH_PAGE_SIZE = 1000;
+const HISTORY_CACHE_TTL_MS = 15 * 60 * 1000;
+const BOOKED_CACHE_TTL_MS = 60 * 1000;
+
+let cachedHistoryBySlot = null;
+let cachedHistoryAt = 0;
+const bookedCache = new Map();
+
+function clamp01(value) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return 0;
+  return Math.min(1, Math.max(0, n));
+}
+
+function round2(value) {
+  return Number(Number(value || 0).toFixed(2));
+}
+
+function getSlotKey(date) {
+  const { hour, minute } = getParisDateParts(date);
+  return `${getParisWeekday(date)}|${hour * 60 + minute}`;
+}
+
+export function isDynamicPricingRule(rule) {
+  return rule?.dynamic_min_rate != null && rule?.dynamic_max_rate != null;
+}
+
+export function isDynamicPricingActive(rules = []) {
+  return DYNAMIC_PRICING_ENABLED && rules.some(isDynamicPricingRule);
+}
+
+async function fetchBookedStartTimes(fromIso, toIso) {
+  const rows = [];
+  let offset = 0;
+
+  while (true) {
+    const { data, error } = await supabase
+      .from("reservations")
+      .select("start_time, status")
+      .gte("start_time", fromIso)
+      .lt("start_time", toIso)
+      .order("start_time", { ascending: true })
+      .range(offset, offset + FETCH_PAGE_SIZE - 1);
+
+    if (error) throw error;
+
+    for (const row of data || []) {
+      if (
+        isReservationStatusConfirmed(row.status) ||
+        isReservationStatusCompleted(row.status)
+      ) {
+        const start = parseDateOrNull(row.start_time);
+        if (start) rows.push(start);
+      }
+    }
+
+    if (!data || data.length < FETCH_PAGE_SIZE) break;
+    offset += FETCH_PAGE_SIZE;
+  }
+
+  return rows;
+}
+
+async function loadHistoryBySlot(now) {
+  if (cachedHistoryBySlot && now.getTime() - cachedHistoryAt < HISTORY_CACHE_TTL_MS) {
+    return cachedHistoryBySlot;
+  }
+
+  const historyFromIso = new Date(
+    now.getTime() - DYNAMIC_PRICING_HISTORY_WEEKS * 7 * 24 * HOUR_MS
+  ).toISOString();
+
+  const history = await fetchBookedStartTimes(historyFromIso, now.toISOString());
+
+  const historyBySlot = new Map();
+  for (const start of history) {
+    const key = getSlotKey(start);
+    historyBySlot.set(key, (historyBySlot.get(key) || 0) + 1);
+  }
+
+  cachedHistoryBySlot = historyBySlot;
+  cachedHistoryAt = now.getTime();
+
+  return historyBySlot;
+}
+
+async function loadBookedByDate(fromIso, toIso, now) {
+  const cacheKey = `${fromIso}|${toIso}`;
+  const cached = bookedCache.get(cacheKey);
+
+  if (cached && now.getTime() - cached.at < BOOKED_CACHE_TTL_MS) {
+    return cached.bookedByDate;
+  }
+
+  const booked = await fetchBookedStartTimes(fromIso, toIso);
+
+  const bookedByDate = new Map();
+  for (const start of booked) {
+    const dateStr = formatDateOnlyInParis(start);
+    bookedByDate.set(dateStr, (bookedByDate.get(dateStr) || 0) + 1);
+  }
+
+  for (const [key, entry] of bookedCache) {
+    if (now.getTime() - entry.at >= BOOKED_CACHE_TTL_MS) bookedCache.delete(key);
+  }
+  bookedCache.set(cacheKey, { at: now.getTime(), bookedByDate });
+
+  return bookedByDate;
+}
+
+/**
+ * Charge en une fois les données de demande utiles pour les dates données
+ * (dates de Paris YYYY-MM-DD). Retourne null si le mode dynamique est coupé.
+ */
+export async function loadDemandSnapshot({ dates = [], now = new Date() } = {}) {
+  if (!DYNAMIC_PRICING_ENABLED || !supabase) return null;
+
+  const safeDates = [...new Set(dates.filter(Boolean))].sort();
+  if (safeDates.length === 0) return null;
+
+  const boxes = await listBoxes();
+  const boxCount = Math.max(boxes.length, 1);
+
+  const { startIso: fromIso } = buildSlotIsoRange(safeDates[0], 0);
+  const { startIso: toIso } = buildSlotIsoRange(
+    addDaysToDateString(safeDates[safeDates.length - 1], 1),
+    0
+  );
+  const [bookedByDate, historyBySlot] = await Promise.all([
+    loadBookedByDate(fromIso, toIso, now),
+    loadHistoryBySlot(now),
+  ]);
+
+  return {
+    now,
+    dayCapacity: STANDARD_SLOT_STARTS.length * boxCount,
+    historyCapacity: DYNAMIC_PRICING_HISTORY_WEEKS * boxCount,
+    bookedByDate,
+    historyBySlot,
+  };
+}
+
+export function computeDemandScore(snapshot, startDate) {
+  if (!snapshot) return null;
+
+  const fillRate = clamp01(
+    (snapshot.bookedByDate.get(formatDateOnlyInParis(startDate)) || 0) /
+      snapshot.dayCapacity
+  );
+  const historicalOccupancy = clamp01(
+    (snapshot.historyBySlot.get(getSlotKey(startDate)) || 0) /
+      snapshot.historyCapacity
+  );
+
+  const leadHours = Math.max(0, (startDate.getTime() - snapshot.now.getTime()) / HOUR_MS);
+  const liveWeight = 1 - clamp01(leadHours / (DYNAMIC_PRICING_LEAD_HORIZON_DAYS * 24));
+
+  return {
+    fillRate: round2(fillRate),
+    historicalOccupancy: round2(historicalOccupancy),
+    leadHours: Math.round(leadHours),
+    demand: round2(liveWeight * fillRate + (1 - liveWeight) * historicalOccupancy),
+  };
+}
+
+/**
+ * Tarif dynamique d'une règle pour une séance, ou null si la règle n'a
+ * pas de plancher / plafond ou si aucune donnée de demande n'est fournie.
+ */
+export function computeDynamicRate(rule, { startDate, snapshot }) {
+  if (!snapshot || !isDynamicPricingRule(rule)) return null;
+
+  const score = computeDemandScore(snapshot, startDate);
+  const baseRate = Number(rule.per_person_rate || 0);
+  const floor = Math.min(Number(rule.dynamic_min_rate), baseRate);
+  const ceiling = Math.max(Number(rule.dynamic_max_rate), baseRate);
+
+  const rate =
+    score.demand >= TARGET_OCCUPANCY
+      ? baseRate +
+        (ceiling - baseRate) * ((score.demand - TARGET_OCCUPANCY) / (1 - TARGET_OCCUPANCY))
+      : baseRate - (baseRate - floor) * ((TARGET_OCCUPANCY - score.demand) / TARGET_OCCUPANCY);
+
+  return {
+    perPersonRate: round2(Math.min(ceiling, Math.max(floor, rate))),
+    ...score,
+  };
+}
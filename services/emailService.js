@@ -10,6 +10,8 @@ import {
   MODIFICATION_DEADLINE_HOURS,
   REFUND_DEADLINE_HOURS,
 } from "../constants/booking.js";
+import { signReservationQrToken } from "./qrTokenService.js";
+import { escapeHtml } from "../utils/formatters.js";
 
 function getFrontendBaseUrl() {
   const raw =
@@ -65,9 +67,10 @@ function formatReservationDateTime(value) {
     : "N/A";
 }
 
-async function buildReservationQrDataUrl(reservation) {
-  const qrText = `${BACKEND_BASE_URL}/api/check?id=${encodeURIComponent(
-    reservation.id
+async function buildReservationQrDataUrl(reservation, options = {}) {
+  const token = signReservationQrToken(reservation, options);
+  const qrText = `${BACKEND_BASE_URL}/api/check?token=${encodeURIComponent(
+    token
   )}`;
 
   return QRCode.toDataURL(qrText);
@@ -393,3 +396,470 @@ export async function sendReservationModificationEmail(
     );
   }
 }
+
+function getPasswordResetUrl(token) {
+  return `${getFrontendBaseUrl()}/reinitialiser-mot-de-passe.html?token=${encodeURIComponent(token)}`;
+}
+
+function getEmailVerificationUrl(token) {
+  return `${getFrontendBaseUrl()}/verifier-email.html?token=${encodeURIComponent(token)}`;
+}
+
+function buildAccountMailLayout({
+  badgeText,
+  title,
+  intro,
+  buttonLabel,
+  buttonUrl,
+  footnote,
+}) {
+  const { primary } = buildMailButtonStyles();
+
+  return `
+    <div style="margin:0;padding:22px 0;background:#050814;">
+      <div style="max-width:720px;margin:0 auto;background:#020617;border-radius:18px;border:1px solid rgba(148,163,184,0.35);box-shadow:0 18px 45px rgba(0,0,0,0.85);overflow:hidden;">
+        <div style="padding:18px 22px 20px 22px;background:radial-gradient(circle at 0% 0%,rgba(56,189,248,0.14),transparent 55%),radial-gradient(circle at 100% 0%,rgba(201,76,53,0.22),transparent 55%),#020617;color:#F9FAFB;font-family:system-ui,-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Arial,sans-serif;">
+          <table width="100%" cellpadding="0" cellspacing="0" role="presentation" style="border-collapse:collapse;">
+            <tr>
+              <td style="vertical-align:top;">
+                <div style="font-weight:800;letter-spacing:0.22em;text-transform:uppercase;font-size:14px;line-height:1;">SINGBOX</div>
+                <div style="margin-top:6px;font-size:12px;color:#9CA3AF;">Karaoké box privatives · Toulouse</div>
+              </td>
+              <td align="right" style="vertical-align:top;">
+                <span style="display:inline-block;padding:7px 12px;border-radius:999px;background:rgba(15,23,42,0.85);border:1px solid rgba(148,163,184,0.45);font-size:11px;text-transform:uppercase;letter-spacing:0.12em;color:#E5E7EB;">
+                  ${badgeText}
+                </span>
+              </td>
+            </tr>
+          </table>
+
+          <div style="margin-top:16px;">
+            <div style="font-size:22px;font-weight:900;letter-spacing:0.06em;text-transform:uppercase;">
+              ${title}
+            </div>
+            <div style="margin-top:8px;font-size:13px;color:rgba(249,250,251,0.88);line-height:1.55;">
+              ${intro}
+            </div>
+          </div>
+
+          <div style="margin-top:18px;text-align:center;">
+            <a href="${buttonUrl}" target="_blank" rel="noopener noreferrer" style="${primary}">
+              ${buttonLabel}
+            </a>
+          </div>
+
+          <div style="margin-top:14px;font-size:11.5px;color:#9CA3AF;line-height:1.6;text-align:center;">
+            ${footnote}
+          </div>
+
+          <div style="margin-top:16px;font-size:11px;color:#9CA3AF;line-height:1.6;">
+            Si vous n’arrivez pas à cliquer sur le bouton, copiez-collez ce lien dans votre navigateur :
+            <br />
+            <span style="word-break:break-all;color:#E5E7EB;">${buttonUrl}</span>
+          </div>
+
+          <div style="margin-top:16px;padding-top:14px;border-top:1px solid rgba(148,163,184,0.22);text-align:center;">
+            <div style="font-size:11px;color:#9CA3AF;">Suivez-nous sur Instagram et TikTok : <strong style="color:#E5E7EB;">@singboxtoulouse</strong></div>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+async function sendAccountMail({ toEmail, subject, html, logLabel, attachments }) {
+  if (!mailEnabled || !resend) {
+    console.warn(
+      "📧 Envoi mail désactivé (RESEND_API_KEY manquante) – email non envoyé."
+    );
+    return { sent: false, reason: "mail_disabled" };
+  }
+
+  if (!toEmail) {
+    return { sent: false, reason: "missing_email" };
+  }
+
+  try {
+    await resend.emails.send({
+      from: RESEND_FROM_EMAIL,
+      to: toEmail,
+      subject,
+      html,
+      ...(attachments?.length ? { attachments } : {}),
+    });
+
+    console.log(`✅ Email ${logLabel} envoyé via Resend à`, toEmail);
+    return { sent: true, reason: null };
+  } catch (err) {
+    console.error(`❌ Erreur lors de l'envoi de l'email ${logLabel} via Resend :`, err);
+    return { sent: false, reason: "mail_error" };
+  }
+}
+
+export async function sendPasswordResetEmail({ email, token, expiresAt }) {
+  const resetUrl = getPasswordResetUrl(token);
+
+  const html = buildAccountMailLayout({
+    badgeText: "MOT DE PASSE",
+    title: "RÉINITIALISER VOTRE MOT DE PASSE",
+    intro:
+      "Vous avez demandé à réinitialiser le mot de passe de votre compte <strong>Singbox</strong>. Cliquez sur le bouton ci-dessous pour en choisir un nouveau.",
+    buttonLabel: "Choisir un nouveau mot de passe",
+    buttonUrl: resetUrl,
+    footnote: `Ce lien est valable une seule fois, jusqu’au <strong style="color:#E5E7EB;">${formatReservationDateTime(
+      expiresAt
+    )}</strong>. Si vous n’êtes pas à l’origine de cette demande, ignorez simplement cet e-mail.`,
+  });
+
+  return sendAccountMail({
+    toEmail: email,
+    subject: "Réinitialisation de votre mot de passe Singbox",
+    html,
+    logLabel: "réinitialisation mot de passe",
+  });
+}
+
+export async function sendEmailVerificationEmail({ email, token, expiresAt }) {
+  const verifyUrl = getEmailVerificationUrl(token);
+
+  const html = buildAccountMailLayout({
+    badgeText: "VÉRIFICATION EMAIL",
+    title: "CONFIRMEZ VOTRE ADRESSE EMAIL",
+    intro:
+      "Bienvenue chez <strong>Singbox</strong> ! Confirmez votre adresse email pour sécuriser votre compte et recevoir vos réservations.",
+    buttonLabel: "Confirmer mon adresse",
+    buttonUrl: verifyUrl,
+    footnote: `Ce lien est valable une seule fois, jusqu’au <strong style="color:#E5E7EB;">${formatReservationDateTime(
+      expiresAt
+    )}</strong>.`,
+  });
+
+  return sendAccountMail({
+    toEmail: email,
+    subject: "Confirmez votre adresse email Singbox",
+    html,
+    logLabel: "vérification adresse",
+  });
+}
+
+function getWaitlistPriorityUrl(token) {
+  return `${getFrontendBaseUrl()}/liste-attente.html?token=${encodeURIComponent(token)}`;
+}
+
+export async function sendWaitlistSlotAvailableEmail({
+  email,
+  name,
+  startTime,
+  persons,
+  token,
+  expiresAt,
+}) {
+  const priorityUrl = getWaitlistPriorityUrl(token);
+  const greeting = name ? `Bonjour ${escapeHtml(name)},` : "Bonjour,";
+
+  const html = buildAccountMailLayout({
+    badgeText: "LISTE D'ATTENTE",
+    title: "UN CRÉNEAU S’EST LIBÉRÉ",
+    intro: `${greeting}<br />Le créneau du <strong>${formatReservationDateTime(
+      startTime
+    )}</strong> que vous attendiez${
+      persons ? ` (${persons} personne${persons > 1 ? "s" : ""})` : ""
+    } vient de se libérer. Nous vous le gardons en priorité.`,
+    buttonLabel: "Réserver ce créneau",
+    buttonUrl: priorityUrl,
+    footnote: `Le créneau vous est réservé jusqu’au <strong style="color:#E5E7EB;">${formatReservationDateTime(
+      expiresAt
+    )}</strong>. Passé ce délai, il sera proposé à la personne suivante de la liste d’attente.`,
+  });
+
+  return sendAccountMail({
+    toEmail: email,
+    subject: "Singbox – Un créneau s’est libéré pour vous",
+    html,
+    logLabel: "liste d'attente",
+  });
+}
+
+export async function sendParticipantInvitationEmail({
+  reservation,
+  participant,
+  bookerName,
+}) {
+  const greeting = participant?.name
+    ? `Bonjour ${escapeHtml(participant.name)},`
+    : "Bonjour,";
+  const qrDataUrl = await buildReservationQrDataUrl(reservation, {
+    participantId: participant.id,
+  });
+
+  const html = buildAccountMailLayout({
+    badgeText: "INVITATION",
+    title: "VOUS ÊTES INVITÉ·E À CHANTER",
+    intro: `${greeting}<br /><strong>${
+      escapeHtml(bookerName) || "Un ami"
+    }</strong> vous a ajouté·e à sa session Singbox le <strong>${formatReservationDateTime(
+      reservation.start_time
+    )}</strong> (Box ${reservation.box_id}). Votre QR code personnel d’accès est en pièce jointe.`,
+    buttonLabel: "Mon compte Singbox",
+    buttonUrl: `${getFrontendBaseUrl()}/mon-compte.html`,
+    footnote:
+      "Connectez-vous avec cette adresse e-mail pour que la séance compte dans votre progression (XP, missions, badges).",
+  });
+
+  return sendAccountMail({
+    toEmail: participant.email,
+    subject: `Singbox – Invitation à une session (Box ${reservation.box_id})`,
+    html,
+    logLabel: "invitation participant",
+    attachments: [
+      {
+        filename: "qr-invitation.png",
+        content: qrDataUrl.split(",")[1],
+        contentType: "image/png",
+      },
+    ],
+  });
+}
+
+function getGroupSharePaymentUrl(token) {
+  const frontBase = getFrontendBaseUrl();
+  return `${frontBase}/paiement-groupe.html?token=${encodeURIComponent(token)}`;
+}
+
+export async function sendGroupShareInvitationEmail({
+  email,
+  name,
+  organiserName,
+  startTime,
+  persons,
+  amount,
+  token,
+  deadlineAt,
+}) {
+  const greeting = name ? `Bonjour ${escapeHtml(name)},` : "Bonjour,";
+
+  const html = buildAccountMailLayout({
+    badgeText: "SESSION DE GROUPE",
+    title: "VOTRE PART À RÉGLER",
+    intro: `${greeting}<br /><strong>${
+      escapeHtml(organiserName) || "Un ami"
+    }</strong> vous invite à une session Singbox le <strong>${formatReservationDateTime(
+      startTime
+    )}</strong> (${persons} personne${persons > 1 ? "s" : ""}). Votre part s’élève à <strong>${Number(
+      amount || 0
+    ).toFixed(2)} €</strong>.`,
+    buttonLabel: "Payer ma part",
+    buttonUrl: getGroupSharePaymentUrl(token),
+    footnote: `Le créneau est bloqué jusqu’au <strong style="color:#E5E7EB;">${formatReservationDateTime(
+      deadlineAt
+    )}</strong>. La réservation est confirmée dès que toutes les parts sont réglées.`,
+  });
+
+  return sendAccountMail({
+    toEmail: email,
+    subject: "Singbox – Votre part pour la session de groupe",
+    html,
+    logLabel: "part de groupe",
+  });
+}
+
+export async function sendGroupBookingReleasedEmail({ email, name, startTime, refunded }) {
+  const greeting = name ? `Bonjour ${escapeHtml(name)},` : "Bonjour,";
+
+  const html = buildAccountMailLayout({
+    badgeText: "SESSION DE GROUPE",
+    title: "SESSION NON CONFIRMÉE",
+    intro: `${greeting}<br />Toutes les parts n’ont pas été réglées à temps : la session du <strong>${formatReservationDateTime(
+      startTime
+    )}</strong> n’a pas pu être confirmée et le créneau a été libéré.`,
+    buttonLabel: "Voir les créneaux",
+    buttonUrl: `${getFrontendBaseUrl()}/reservation.html`,
+    footnote: refunded
+      ? "Votre paiement a été intégralement remboursé sur votre moyen de paiement."
+      : "Aucun montant ne vous a été débité.",
+  });
+
+  return sendAccountMail({
+    toEmail: email,
+    subject: "Singbox – Session de groupe annulée",
+    html,
+    logLabel: "groupe libéré",
+  });
+}
+
+export async function sendPassSharedEmail({
+  email,
+  name,
+  ownerName,
+  passLabel,
+  places,
+  expiresAt,
+  transferred = false,
+}) {
+  const greeting = name ? `Bonjour ${escapeHtml(name)},` : "Bonjour,";
+  const owner = escapeHtml(ownerName) || "Un ami";
+  const safePassLabel = escapeHtml(passLabel);
+
+  const html = buildAccountMailLayout({
+    badgeText: "PASS SINGBOX",
+    title: transferred ? "UN PASS VOUS A ÉTÉ TRANSFÉRÉ" : "UN PASS PARTAGÉ AVEC VOUS",
+    intro: transferred
+      ? `${greeting}<br /><strong>${owner}</strong> vous a transféré son pass <strong>${safePassLabel}</strong> : <strong>${places} place${
+          places > 1 ? "s" : ""
+        }</strong> sont désormais sur votre compte.`
+      : `${greeting}<br /><strong>${owner}</strong> partage avec vous son pass <strong>${safePassLabel}</strong>. Vous pouvez réserver des sessions avec les places restantes depuis votre compte.`,
+    buttonLabel: "Réserver avec le pass",
+    buttonUrl: `${getFrontendBaseUrl()}/reservation.html`,
+    footnote: `Pass valable jusqu’au <strong style="color:#E5E7EB;">${formatReservationDateTime(
+      expiresAt
+    )}</strong>.`,
+  });
+
+  return sendAccountMail({
+    toEmail: email,
+    subject: transferred
+      ? "Singbox – Un pass vous a été transféré"
+      : "Singbox – Un pass a été partagé avec vous",
+    html,
+    logLabel: transferred ? "transfert de pass" : "partage de pass",
+  });
+}
+
+function safeMailMessage(message) {
+  return escapeHtml(String(message ?? "").trim().slice(0, 500)).replace(/\r?\n/g, "<br />");
+}
+
+export async function sendGiftCardEmail({
+  email,
+  recipientName,
+  purchaserName,
+  message,
+  code,
+  amount,
+  expiresAt,
+}) {
+  const greeting = recipientName ? `Bonjour ${escapeHtml(recipientName)},` : "Bonjour,";
+  const personalMessage = safeMailMessage(message);
+
+  const html = buildAccountMailLayout({
+    badgeText: "CARTE CADEAU",
+    title: "UNE CARTE CADEAU SINGBOX POUR VOUS",
+    intro: `${greeting}<br /><strong>${
+      escapeHtml(purchaserName) || "Un proche"
+    }</strong> vous offre une carte cadeau Singbox de <strong>${Number(
+      amount || 0
+    ).toFixed(2)} €</strong>.${
+      personalMessage
+        ? `<br /><br /><em style="color:#E5E7EB;">« ${personalMessage} »</em>`
+        : ""
+    }<br /><br />Votre code : <strong style="font-size:16px;letter-spacing:0.12em;">${escapeHtml(
+      code
+    )}</strong>`,
+    buttonLabel: "Réserver une session",
+    buttonUrl: `${getFrontendBaseUrl()}/reservation.html`,
+    footnote: `Saisissez ce code au moment du paiement : il peut être utilisé en plusieurs fois jusqu’au <strong style="color:#E5E7EB;">${formatReservationDateTime(
+      expiresAt
+    )}</strong>.`,
+  });
+
+  return sendAccountMail({
+    toEmail: email,
+    subject: "Singbox – Vous avez reçu une carte cadeau",
+    html,
+    logLabel: "carte cadeau",
+  });
+}
+
+function buildRefundDeadlineNotice(reservation) {
+  const start = reservation?.start_time ? new Date(reservation.start_time) : null;
+  if (!start || Number.isNaN(start.getTime())) return "";
+
+  const refundDeadline = new Date(
+    start.getTime() - REFUND_DEADLINE_HOURS * 60 * 60 * 1000
+  );
+  const canStillRefund = refundDeadline.getTime() > Date.now();
+
+  const text = canStillRefund
+    ? `Vous pouvez encore demander un remboursement jusqu’au <strong>${formatReservationDateTime(
+        refundDeadline
+      )}</strong> (${REFUND_DEADLINE_HOURS}h avant la séance).`
+    : `Le délai de remboursement (${REFUND_DEADLINE_HOURS}h avant la séance) est dépassé : cette réservation n’est plus remboursable.`;
+
+  return `
+    <div style="margin-top:16px;padding:14px 14px 12px 14px;border-radius:14px;background:rgba(15,23,42,0.72);border:1px solid rgba(96,165,250,0.35);">
+      <div style="font-size:12.5px;font-weight:900;letter-spacing:0.08em;text-transform:uppercase;color:#93C5FD;">
+        REMBOURSEMENT
+      </div>
+      <div style="margin-top:10px;font-size:12.5px;color:#E5E7EB;line-height:1.65;">
+        ${text}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Rappel avant séance. Contrairement aux autres envois, retourne
+ * { sent, reason } pour que la file de notifications puisse réessayer.
+ */
+export async function sendSessionReminderEmail(reservation, options = {}) {
+  if (!mailEnabled || !resend) {
+    return { sent: false, reason: "mail_disabled" };
+  }
+
+  const toEmail = reservation?.email;
+  if (!toEmail) {
+    return { sent: false, reason: "missing_email" };
+  }
+
+  const hoursBefore = Number(options.hoursBefore || 0);
+
+  try {
+    const qrDataUrl = await buildReservationQrDataUrl(reservation);
+    const base64Qr = qrDataUrl.split(",")[1];
+
+    const startStr = formatReservationDateTime(reservation.start_time);
+    const endStr = formatReservationDateTime(reservation.end_time);
+
+    const delayLabel =
+      hoursBefore >= 24 && hoursBefore % 24 === 0
+        ? `${hoursBefore / 24} jour${hoursBefore / 24 > 1 ? "s" : ""}`
+        : `${hoursBefore}h`;
+
+    const htmlBody = buildCommonMailLayout({
+      badgeText: "RAPPEL DE SÉANCE",
+      title: `VOTRE SESSION APPROCHE <span style="color:#f97316;">🎤</span>`,
+      intro: `Plus que <strong>${delayLabel}</strong> avant votre séance chez <strong>Singbox</strong> ! Voici un rappel de votre réservation.`,
+      reservation,
+      startStr,
+      endStr,
+      extraTopBlock: buildRefundDeadlineNotice(reservation),
+      qrNoticeText:
+        'Votre QR code d’accès est joint à cet e-mail (fichier <span style="font-weight:900;">qr-reservation.png</span>).',
+    });
+
+    await resend.emails.send({
+      from: RESEND_FROM_EMAIL,
+      to: toEmail,
+      subject: `Rappel : votre séance Singbox du ${startStr}`,
+      html: htmlBody,
+      attachments: [
+        {
+          filename: "qr-reservation.png",
+          content: base64Qr,
+          contentType: "image/png",
+        },
+      ],
+    });
+
+    console.log(
+      "✅ Rappel de séance envoyé via Resend à",
+      toEmail,
+      "reservation",
+      reservation.id
+    );
+    return { sent: true, reason: null };
+  } catch (err) {
+    console.error("❌ Erreur lors de l'envoi du rappel de séance via Resend :", err);
+    return { sent: false, reason: "mail_error", error: err?.message || null };
+  }
+}
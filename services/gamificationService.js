@@ -1,4 +1,17 @@
 import { supabase } from "../config/supabase.js";
+import {
+  computeMissionProgress,
+  getMissionPeriod,
+  loadMissionActivity,
+  loadRunningMissions,
+} from "./missionService.js";
+import {
+  evaluateBadgeRule,
+  getNextPendingBadgeBackfill,
+  listBadgeDefinitions,
+  readSessionHistory,
+  saveBadgeBackfillProgress,
+} from "./badgeRuleService.js";
 
 const QUALIFYING_STATUSES = ["completed"];
 const CANCELLED_STATUSES = [
@@ -12,6 +25,7 @@ const CANCELLED_STATUSES = [
 
 const BASE_RESERVATION_SINGCOINS = 10;
 const BASE_RESERVATION_XP = 25;
+const REWARD_REVERSAL_TYPE = "reservation_reward_reversal";
 
 const LEVEL_NAMES = [
   { min: 1, name: "Nouveau" },
@@ -139,106 +153,60 @@ function formatHoursFromMinutes(totalMinutes) {
   return `${h}h${String(m).padStart(2, "0")}`;
 }
 
-function getValidReservationDate(row) {
-  const raw = row?.completed_at || row?.start_time || null;
-  if (!raw) return null;
-  const d = new Date(raw);
-  if (Number.isNaN(d.getTime())) return null;
-  return d;
-}
-
-function countGroupSessions(reservations, minPersons) {
-  return (reservations || []).filter(
-    (row) =>
-      qualifiesForGamification(row.status) &&
-      Number(row.persons || 0) >= Number(minPersons || 0)
-  ).length;
-}
-
-function hasAtLeastNSessionsInRollingDays(reservations, minSessions, windowDays) {
-  const dates = (reservations || [])
-    .filter((row) => qualifiesForGamification(row.status))
-    .map(getValidReservationDate)
-    .filter(Boolean)
-    .sort((a, b) => a - b);
-
-  if (dates.length < minSessions) return false;
-
-  const windowMs = Number(windowDays || 0) * 86400000;
-
-  for (let i = 0; i < dates.length; i += 1) {
-    let count = 1;
-    for (let j = i + 1; j < dates.length; j += 1) {
-      if (dates[j].getTime() - dates[i].getTime() <= windowMs) {
-        count += 1;
-        if (count >= minSessions) return true;
-      } else {
-        break;
-      }
-    }
-  }
-
-  return false;
-}
+/**
+ * Réservations prises en compte pour un utilisateur : les siennes, plus
+ * celles où il est participant invité (seulement une fois terminées).
+ * since (ISO) : seulement les séances commencées ou terminées depuis.
+ * Même forme de retour qu'une requête Supabase ({ data, error }).
+ */
+async function listUserReservationRows(userId, columns, { since = null } = {}) {
+  const sinceFilter = since ? `start_time.gte.${since},completed_at.gte.${since}` : null;
 
-function hasAtLeastNSessionsInSameWeek(reservations, minSessions) {
-  const weekCounts = new Map();
+  let ownQuery = supabase.from("reservations").select(columns).eq("user_id", userId);
+  if (sinceFilter) ownQuery = ownQuery.or(sinceFilter);
 
-  for (const row of reservations || []) {
-    if (!qualifiesForGamification(row.status)) continue;
-    const d = getValidReservationDate(row);
-    if (!d) continue;
-
-    const weekKey = getMondayKey(d);
-    if (!weekKey) continue;
-
-    weekCounts.set(weekKey, (weekCounts.get(weekKey) || 0) + 1);
-  }
-
-  for (const count of weekCounts.values()) {
-    if (count >= minSessions) return true;
-  }
-
-  return false;
-}
-
-function hasConsecutiveWeeksWithMinSessions(
-  reservations,
-  consecutiveWeeks,
-  minSessionsPerWeek
-) {
-  const weekCounts = new Map();
+  const [
+    { data: own, error: ownError },
+    { data: participations, error: participationsError },
+  ] = await Promise.all([
+    ownQuery,
+    supabase
+      .from("reservation_participants")
+      .select("reservation_id")
+      .eq("user_id", userId)
+      .neq("status", "removed"),
+  ]);
 
-  for (const row of reservations || []) {
-    if (!qualifiesForGamification(row.status)) continue;
-    const d = getValidReservationDate(row);
-    if (!d) continue;
+  if (ownError) return { data: null, error: ownError };
+  if (participationsError) return { data: null, error: participationsError };
 
-    const weekKey = getMondayKey(d);
-    if (!weekKey) continue;
+  const ownIds = new Set((own || []).map((row) => String(row.id)));
+  const joinedIds = [
+    ...new Set(
+      (participations || [])
+        .map((row) => String(row.reservation_id))
+        .filter((id) => !ownIds.has(id))
+    ),
+  ];
 
-    weekCounts.set(weekKey, (weekCounts.get(weekKey) || 0) + 1);
+  if (joinedIds.length === 0) {
+    return { data: own || [], error: null };
   }
 
-  const qualifyingWeeks = [...weekCounts.entries()]
-    .filter(([, count]) => count >= minSessionsPerWeek)
-    .map(([weekKey]) => weekKey)
-    .sort();
+  let joinedQuery = supabase.from("reservations").select(columns).in("id", joinedIds);
+  if (sinceFilter) joinedQuery = joinedQuery.or(sinceFilter);
 
-  if (qualifyingWeeks.length < consecutiveWeeks) return false;
+  const { data: joined, error: joinedError } = await joinedQuery;
 
-  let run = 1;
-  for (let i = 1; i < qualifyingWeeks.length; i += 1) {
-    const gap = diffDaysUtc(qualifyingWeeks[i], qualifyingWeeks[i - 1]);
-    if (gap === 7) {
-      run += 1;
-      if (run >= consecutiveWeeks) return true;
-    } else {
-      run = 1;
-    }
-  }
+  if (joinedError) return { data: null, error: joinedError };
 
-  return false;
+  return {
+    data: [
+      ...(own || []),
+      ...(joined || []).filter((row) => qualifiesForGamification(row.status)),
+    ],
+    error: null,
+  };
 }
 
 async function ensureUserRows(userId) {
@@ -271,242 +239,30 @@ async function ensureUserRows(userId) {
   if (statsError) throw statsError;
 }
 
-async function ensureBadgeDefinitions() {
-  if (!supabase) return;
-
-  const rows = [
-    {
-      code: "first_session",
-      title: "Première session",
-      description: "Faire une première session réalisée",
-      rarity: "common",
-      icon: "sparkles",
-      reward_singcoins: 5,
-      reward_xp: 0,
-      is_active: true,
-      sort_order: 1,
-    },
-    {
-      code: "group_3_plus",
-      title: "Session en groupe",
-      description: "Faire une session à 3 personnes ou plus",
-      rarity: "common",
-      icon: "users",
-      reward_singcoins: 5,
-      reward_xp: 0,
-      is_active: true,
-      sort_order: 2,
-    },
-    {
-      code: "two_sessions",
-      title: "2 sessions réalisées",
-      description: "Faire 2 sessions réalisées",
-      rarity: "common",
-      icon: "mic",
-      reward_singcoins: 5,
-      reward_xp: 0,
-      is_active: true,
-      sort_order: 3,
-    },
-    {
-      code: "three_week_streak",
-      title: "3 semaines d’affilée",
-      description: "Atteindre un streak de 3 semaines",
-      rarity: "rare",
-      icon: "flame",
-      reward_singcoins: 10,
-      reward_xp: 0,
-      is_active: true,
-      sort_order: 4,
-    },
-    {
-      code: "group_5_plus",
-      title: "Groupe de 5+",
-      description: "Faire une session à 5 personnes ou plus",
-      rarity: "rare",
-      icon: "users",
-      reward_singcoins: 10,
-      reward_xp: 0,
-      is_active: true,
-      sort_order: 5,
-    },
-    {
-      code: "five_sessions",
-      title: "5 sessions réalisées",
-      description: "Faire 5 sessions réalisées",
-      rarity: "rare",
-      icon: "calendar",
-      reward_singcoins: 10,
-      reward_xp: 0,
-      is_active: true,
-      sort_order: 6,
-    },
-    {
-      code: "three_sessions_in_7_days",
-      title: "3 sessions en 7 jours",
-      description: "Faire 3 sessions réalisées sur 7 jours glissants",
-      rarity: "rare",
-      icon: "clock3",
-      reward_singcoins: 10,
-      reward_xp: 0,
-      is_active: true,
-      sort_order: 7,
-    },
-    {
-      code: "ten_sessions",
-      title: "10 sessions réalisées",
-      description: "Faire 10 sessions réalisées",
-      rarity: "epic",
-      icon: "rocket",
-      reward_singcoins: 15,
-      reward_xp: 0,
-      is_active: true,
-      sort_order: 8,
-    },
-    {
-      code: "five_week_streak",
-      title: "Streak de 5 semaines",
-      description: "Atteindre un streak de 5 semaines",
-      rarity: "epic",
-      icon: "fire",
-      reward_singcoins: 15,
-      reward_xp: 0,
-      is_active: true,
-      sort_order: 9,
-    },
-    {
-      code: "group_8_plus",
-      title: "Groupe de 8+",
-      description: "Faire une session à 8 personnes ou plus",
-      rarity: "epic",
-      icon: "target",
-      reward_singcoins: 15,
-      reward_xp: 0,
-      is_active: true,
-      sort_order: 10,
-    },
-    {
-      code: "three_sessions_one_week",
-      title: "3 sessions en 1 semaine",
-      description: "Faire 3 sessions réalisées dans une même semaine",
-      rarity: "epic",
-      icon: "bolt",
-      reward_singcoins: 15,
-      reward_xp: 0,
-      is_active: true,
-      sort_order: 11,
-    },
-    {
-      code: "twenty_five_sessions",
-      title: "25 sessions réalisées",
-      description: "Faire 25 sessions réalisées",
-      rarity: "legendary",
-      icon: "crown",
-      reward_singcoins: 20,
-      reward_xp: 0,
-      is_active: true,
-      sort_order: 12,
-    },
-    {
-      code: "ten_week_streak",
-      title: "Streak de 10 semaines",
-      description: "Atteindre un streak de 10 semaines",
-      rarity: "legendary",
-      icon: "star",
-      reward_singcoins: 20,
-      reward_xp: 0,
-      is_active: true,
-      sort_order: 13,
-    },
-    {
-      code: "ten_group_sessions_5_plus",
-      title: "10 sessions en groupe (5+)",
-      description: "Faire 10 sessions à 5 personnes ou plus",
-      rarity: "legendary",
-      icon: "gem",
-      reward_singcoins: 20,
-      reward_xp: 0,
-      is_active: true,
-      sort_order: 14,
-    },
-    {
-      code: "four_weeks_two_sessions_each",
-      title: "4 semaines à 2 sessions",
-      description:
-        "Faire 4 semaines consécutives avec au moins 2 sessions par semaine",
-      rarity: "legendary",
-      icon: "trophy",
-      reward_singcoins: 20,
-      reward_xp: 0,
-      is_active: true,
-      sort_order: 15,
-    },
-  ];
-
-  const { error } = await supabase
-    .from("badge_definitions")
-    .upsert(rows, { onConflict: "code" });
-
-  if (error) throw error;
-}
-
-async function ensureMissionDefinitions() {
-  if (!supabase) return;
-
-  const rows = [
-    {
-      code: "book_once_week",
-      title: "Une session cette semaine",
-      description: "Faire au moins 1 session réalisée cette semaine",
-      target_value: 1,
-      reward_singcoins: 5,
-      reward_xp: 10,
-      is_active: true,
-      sort_order: 1,
-    },
-    {
-      code: "come_with_3_people",
-      title: "Venir en groupe",
-      description: "Faire une session avec 3 personnes ou plus cette semaine",
-      target_value: 1,
-      reward_singcoins: 5,
-      reward_xp: 10,
-      is_active: true,
-      sort_order: 2,
-    },
-    {
-      code: "weekday_booking",
-      title: "Créneau semaine",
-      description: "Faire une session hors week-end cette semaine",
-      target_value: 1,
-      reward_singcoins: 10,
-      reward_xp: 10,
-      is_active: true,
-      sort_order: 3,
-    },
-  ];
-
-  const { error } = await supabase
-    .from("weekly_missions")
-    .upsert(rows, { onConflict: "code" });
-
-  if (error) throw error;
-}
-
 async function sumLedger(table, userId) {
   const { data, error } = await supabase
     .from(table)
-    .select("amount")
+    .select("amount, type")
     .eq("user_id", userId);
 
   if (error) throw error;
 
-  const amounts = (data || []).map((row) => Number(row.amount || 0));
+  const rows = data || [];
+  const amounts = rows.map((row) => Number(row.amount || 0));
+  // Reprise d'une récompense : déduite des gains, pas comptée comme dépense
+  const reversedAbs = Math.abs(
+    rows
+      .filter((row) => row.type === REWARD_REVERSAL_TYPE)
+      .reduce((sum, row) => sum + Number(row.amount || 0), 0)
+  );
   const positiveAmounts = amounts.filter((v) => v > 0);
-  const negativeAmounts = amounts.filter((v) => v < 0);
+  const negativeAmounts = rows
+    .filter((row) => row.type !== REWARD_REVERSAL_TYPE)
+    .map((row) => Number(row.amount || 0))
+    .filter((v) => v < 0);
 
   return {
-    positive: positiveAmounts.reduce((a, b) => a + b, 0),
+    positive: positiveAmounts.reduce((a, b) => a + b, 0) - reversedAbs,
     negativeAbs: Math.abs(negativeAmounts.reduce((a, b) => a + b, 0)),
     negativeCount: negativeAmounts.length,
     balance: amounts.reduce((a, b) => a + b, 0),
@@ -627,7 +383,11 @@ async function backfillCompletedReservationRewards(userId) {
   for (const reservation of reservations || []) {
     if (!qualifiesForGamification(reservation.status)) continue;
 
-    const referenceId = String(reservation.id);
+    const referenceId = await getReservationRewardReferenceId(
+      userId,
+      "reservation",
+      reservation.id
+    );
 
     await insertGamificationEvent({
       userId,
@@ -903,9 +663,9 @@ export async function refundSingcoins({
 async function syncUserStats(userId) {
   await ensureUserRows(userId);
 
-  const { data: reservations, error } = await supabase
-    .from("reservations")
-    .select(`
+  const { data: reservations, error } = await listUserReservationRows(
+    userId,
+    `
       id,
       status,
       start_time,
@@ -919,8 +679,8 @@ async function syncUserStats(userId) {
       completed_at,
       cancelled_at,
       refunded_at
-    `)
-    .eq("user_id", userId);
+    `
+  );
 
   if (error) throw error;
 
@@ -968,6 +728,15 @@ async function syncUserStats(userId) {
 
   const spentLedger = await sumLedger("singcoin_ledger", userId);
 
+  // Même forme que les variations appliquées par apply_user_stats_deltas
+  const sessionHistory = { days: {}, persons: {}, minutes: {} };
+  for (const row of completed) {
+    const { history } = buildSessionDeltas(row, 1);
+    addCounts(sessionHistory.days, history.days);
+    addCounts(sessionHistory.persons, history.persons);
+    addCounts(sessionHistory.minutes, history.minutes);
+  }
+
   const payload = {
     user_id: userId,
     sessions_total: rows.length,
@@ -990,6 +759,7 @@ async function syncUserStats(userId) {
     last_session_at: starts[starts.length - 1]?.toISOString() || null,
     singcoins_spent_count: spentLedger.negativeCount,
     singcoins_spent_total: spentLedger.negativeAbs,
+    session_history: sessionHistory,
     updated_at: new Date().toISOString(),
   };
 
@@ -1001,10 +771,10 @@ async function syncUserStats(userId) {
 }
 
 async function syncStreak(userId) {
-  const { data: reservations, error } = await supabase
-    .from("reservations")
-    .select("completed_at,start_time,status")
-    .eq("user_id", userId);
+  const { data: reservations, error } = await listUserReservationRows(
+    userId,
+    "id,completed_at,start_time,status"
+  );
 
   if (error) throw error;
 
@@ -1031,55 +801,35 @@ async function syncStreak(userId) {
   if (updateError) throw updateError;
 }
 
-async function syncWeeklyMissions(userId) {
-  await ensureMissionDefinitions();
-
+async function syncMissions(userId) {
   const now = new Date();
-  const currentWeekStart = getMondayKey(now);
+  const missions = await loadRunningMissions(now);
 
-  if (!currentWeekStart) return;
+  if (missions.length === 0) return;
 
-  const weekStartTs = new Date(`${currentWeekStart}T00:00:00.000Z`).getTime();
-  const weekEndTs = weekStartTs + 7 * 86400000;
+  const since = missions
+    .map((mission) => getMissionPeriod(mission.period, now).start)
+    .reduce((min, date) => (date < min ? date : min), now)
+    .toISOString();
 
-  const [
-    { data: missions, error: missionsError },
-    { data: reservations, error: reservationsError },
-  ] = await Promise.all([
-    supabase
-      .from("weekly_missions")
-      .select("*")
-      .eq("is_active", true)
-      .order("sort_order"),
-    supabase
-      .from("reservations")
-      .select("id,completed_at,start_time,status,persons,is_weekend")
-      .eq("user_id", userId),
-  ]);
+  const { data: reservations, error: reservationsError } =
+    await listUserReservationRows(
+      userId,
+      "id,status,start_time,end_time,completed_at,persons,is_weekend,session_minutes",
+      { since }
+    );
 
-  if (missionsError) throw missionsError;
   if (reservationsError) throw reservationsError;
 
-  const weekReservations = (reservations || []).filter((row) => {
-    if (!qualifiesForGamification(row.status)) return false;
-    const t = new Date(row.completed_at || row.start_time || 0).getTime();
-    return !Number.isNaN(t) && t >= weekStartTs && t < weekEndTs;
-  });
-
-  for (const mission of missions || []) {
-    let progressValue = 0;
-
-    if (mission.code === "book_once_week") {
-      progressValue = Math.min(1, weekReservations.length);
-    } else if (mission.code === "come_with_3_people") {
-      progressValue = weekReservations.some((row) => Number(row.persons || 0) >= 3)
-        ? 1
-        : 0;
-    } else if (mission.code === "weekday_booking") {
-      progressValue = weekReservations.some((row) => !row.is_weekend) ? 1 : 0;
-    }
+  const activity = await loadMissionActivity(userId, missions, { now, reservations });
 
-    const targetValue = Number(mission.target_value || 1);
+  for (const mission of missions) {
+    const period = getMissionPeriod(mission.period, now);
+    const targetValue = mission.target_value;
+    const progressValue = Math.min(
+      targetValue,
+      computeMissionProgress(mission, activity, period)
+    );
     const isCompleted = progressValue >= targetValue;
 
     const { data: existing, error: existingError } = await supabase
@@ -1087,7 +837,7 @@ async function syncWeeklyMissions(userId) {
       .select("*")
       .eq("user_id", userId)
       .eq("mission_code", mission.code)
-      .eq("week_start", currentWeekStart)
+      .eq("week_start", period.key)
       .maybeSingle();
 
     if (existingError) throw existingError;
@@ -1098,7 +848,7 @@ async function syncWeeklyMissions(userId) {
         .insert({
           user_id: userId,
           mission_code: mission.code,
-          week_start: currentWeekStart,
+          week_start: period.key,
           progress_value: progressValue,
           target_value: targetValue,
           is_completed: isCompleted,
@@ -1109,15 +859,19 @@ async function syncWeeklyMissions(userId) {
 
       if (insertError) throw insertError;
     } else {
+      // Une mission validée le reste même si l'objectif est relevé ensuite
+      const keepCompleted = !!existing.reward_claimed;
+
       const { error: updateError } = await supabase
         .from("user_mission_progress")
         .update({
           progress_value: progressValue,
           target_value: targetValue,
-          is_completed: isCompleted,
-          completed_at: isCompleted
-            ? existing.completed_at || new Date().toISOString()
-            : null,
+          is_completed: isCompleted || keepCompleted,
+          completed_at:
+            isCompleted || keepCompleted
+              ? existing.completed_at || new Date().toISOString()
+              : null,
           updated_at: new Date().toISOString(),
         })
         .eq("id", existing.id);
@@ -1130,17 +884,17 @@ async function syncWeeklyMissions(userId) {
       .select("*")
       .eq("user_id", userId)
       .eq("mission_code", mission.code)
-      .eq("week_start", currentWeekStart)
+      .eq("week_start", period.key)
       .maybeSingle();
 
     if (refreshedError) throw refreshedError;
 
     if (refreshed?.is_completed && !refreshed.reward_claimed) {
-      const referenceId = `${mission.code}:${currentWeekStart}`;
+      const referenceId = `${mission.code}:${period.key}`;
 
       await creditSingcoins({
         userId,
-        amount: Number(mission.reward_singcoins || 0),
+        amount: mission.reward_singcoins,
         type: "mission_reward",
         referenceType: "mission",
         referenceId,
@@ -1149,7 +903,7 @@ async function syncWeeklyMissions(userId) {
 
       await creditXp({
         userId,
-        amount: Number(mission.reward_xp || 0),
+        amount: mission.reward_xp,
         type: "mission_reward",
         referenceType: "mission",
         referenceId,
@@ -1169,56 +923,55 @@ async function syncWeeklyMissions(userId) {
   }
 }
 
-function isBadgeUnlocked(def, stats, gamification, reservations) {
-  const completedSessions = Number(stats?.sessions_completed || 0);
-  const bestStreak = Number(gamification?.streak_best || 0);
-
-  if (def.code === "first_session") return completedSessions >= 1;
-  if (def.code === "group_3_plus") return Number(stats?.largest_group_size || 0) >= 3;
-  if (def.code === "two_sessions") return completedSessions >= 2;
-  if (def.code === "three_week_streak") return bestStreak >= 3;
-  if (def.code === "group_5_plus") return Number(stats?.largest_group_size || 0) >= 5;
-  if (def.code === "five_sessions") return completedSessions >= 5;
-  if (def.code === "three_sessions_in_7_days") {
-    return hasAtLeastNSessionsInRollingDays(reservations, 3, 7);
-  }
-  if (def.code === "ten_sessions") return completedSessions >= 10;
-  if (def.code === "five_week_streak") return bestStreak >= 5;
-  if (def.code === "group_8_plus") return Number(stats?.largest_group_size || 0) >= 8;
-  if (def.code === "three_sessions_one_week") {
-    return hasAtLeastNSessionsInSameWeek(reservations, 3);
-  }
-  if (def.code === "twenty_five_sessions") return completedSessions >= 25;
-  if (def.code === "ten_week_streak") return bestStreak >= 10;
-  if (def.code === "ten_group_sessions_5_plus") {
-    return countGroupSessions(reservations, 5) >= 10;
+async function awardBadge(userId, def) {
+  const { error: insertError } = await supabase
+    .from("user_badges")
+    .insert({
+      user_id: userId,
+      badge_code: def.code,
+      unlocked_at: new Date().toISOString(),
+      reward_singcoins: def.reward_singcoins,
+      reward_xp: def.reward_xp,
+      source_event_id: def.code,
+    });
+
+  if (insertError) {
+    if (String(insertError.code || "") !== "23505") {
+      throw insertError;
+    }
+    return false;
   }
-  if (def.code === "four_weeks_two_sessions_each") {
-    return hasConsecutiveWeeksWithMinSessions(reservations, 4, 2);
+
+  await creditSingcoins({
+    userId,
+    amount: def.reward_singcoins,
+    type: "badge_reward",
+    referenceType: "badge",
+    referenceId: def.code,
+    label: def.title,
+  });
+
+  if (def.reward_xp > 0) {
+    await creditXp({
+      userId,
+      amount: def.reward_xp,
+      type: "badge_reward",
+      referenceType: "badge",
+      referenceId: def.code,
+      label: def.title,
+    });
   }
 
-  return false;
+  return true;
 }
 
-async function evaluateBadges(userId) {
-  await ensureBadgeDefinitions();
-
+// Lignes brutes user_stats / user_gamification : contexte des règles de
+// badge, et instantané avant / après pour l'audit des jobs
+async function loadBadgeRuleContext(userId) {
   const [
-    { data: defs, error: defsError },
-    { data: unlocked, error: unlockedError },
     { data: stats, error: statsError },
     { data: gamification, error: gamificationError },
-    { data: reservations, error: reservationsError },
   ] = await Promise.all([
-    supabase
-      .from("badge_definitions")
-      .select("*")
-      .eq("is_active", true)
-      .order("sort_order"),
-    supabase
-      .from("user_badges")
-      .select("badge_code")
-      .eq("user_id", userId),
     supabase
       .from("user_stats")
       .select("*")
@@ -1229,84 +982,626 @@ async function evaluateBadges(userId) {
       .select("*")
       .eq("user_id", userId)
       .maybeSingle(),
+  ]);
+
+  if (statsError) throw statsError;
+  if (gamificationError) throw gamificationError;
+
+  return { stats, gamification };
+}
+
+async function evaluateBadges(userId) {
+  const [defs, { data: unlocked, error: unlockedError }] = await Promise.all([
+    listBadgeDefinitions(),
     supabase
-      .from("reservations")
-      .select("id,status,start_time,completed_at,persons")
+      .from("user_badges")
+      .select("badge_code")
       .eq("user_id", userId),
   ]);
 
-  if (defsError) throw defsError;
   if (unlockedError) throw unlockedError;
-  if (statsError) throw statsError;
-  if (gamificationError) throw gamificationError;
-  if (reservationsError) throw reservationsError;
 
   const unlockedCodes = new Set((unlocked || []).map((row) => row.badge_code));
+  const candidates = defs.filter((def) => !unlockedCodes.has(def.code));
+
+  if (candidates.length === 0) return;
+
+  const context = await loadBadgeRuleContext(userId);
+  const metricCache = new Map();
+
+  for (const def of candidates) {
+    if (!evaluateBadgeRule(def.rule, context, metricCache)) continue;
+
+    await awardBadge(userId, def);
+  }
+}
+
+/**
+ * Attribution rétroactive d'un badge créé ou dont la règle a changé :
+ * traite un lot d'utilisateurs (ceux qui ont une ligne user_gamification)
+ * et mémorise où il s'est arrêté. Appelé par le job badge_backfill.
+ * Les utilisateurs sans session_history sont d'abord reconstruits.
+ */
+export async function processBadgeBackfill({ batchSize = 100 } = {}) {
+  if (!supabase) return { skipped: true, reason: "supabase_missing" };
 
-  for (const def of defs || []) {
-    if (unlockedCodes.has(def.code)) continue;
+  const badge = await getNextPendingBadgeBackfill();
+  if (!badge) return { skipped: true, reason: "nothing_pending" };
 
-    const unlockedNow = isBadgeUnlocked(def, stats, gamification, reservations || []);
-    if (!unlockedNow) continue;
+  let usersQuery = supabase
+    .from("user_gamification")
+    .select("user_id")
+    .order("user_id", { ascending: true })
+    .limit(batchSize);
+
+  if (badge.backfill_cursor) {
+    usersQuery = usersQuery.gt("user_id", badge.backfill_cursor);
+  }
+
+  const { data: users, error: usersError } = await usersQuery;
+  if (usersError) throw usersError;
 
-    const { error: insertError } = await supabase
+  const userIds = (users || []).map((row) => row.user_id);
+  let awarded = 0;
+  const awardedUserIds = [];
+  const changes = [];
+
+  const recordAward = async (userId, before) => {
+    const { data: badgeRow, error: badgeRowError } = await supabase
       .from("user_badges")
-      .insert({
-        user_id: userId,
-        badge_code: def.code,
-        unlocked_at: new Date().toISOString(),
-        reward_singcoins: Number(def.reward_singcoins || 0),
-        reward_xp: Number(def.reward_xp || 0),
-        source_event_id: def.code,
-      });
+      .select("*")
+      .eq("badge_code", badge.code)
+      .eq("user_id", userId)
+      .maybeSingle();
 
-    if (insertError) {
-      if (String(insertError.code || "") !== "23505") {
-        throw insertError;
-      }
-    } else {
-      await creditSingcoins({
-        userId,
-        amount: Number(def.reward_singcoins || 0),
-        type: "badge_reward",
-        referenceType: "badge",
-        referenceId: def.code,
-        label: def.title,
-      });
+    if (badgeRowError) throw badgeRowError;
 
-      if (Number(def.reward_xp || 0) > 0) {
-        await creditXp({
-          userId,
-          amount: Number(def.reward_xp || 0),
-          type: "badge_reward",
-          referenceType: "badge",
-          referenceId: def.code,
-          label: def.title,
-        });
+    awarded += 1;
+    awardedUserIds.push(userId);
+    changes.push({
+      id: userId,
+      before: { ...before, badge: null },
+      after: { ...(await loadBadgeRuleContext(userId)), badge: badgeRow || null },
+    });
+  };
+
+  if (userIds.length > 0) {
+    const { data: alreadyUnlocked, error: unlockedError } = await supabase
+      .from("user_badges")
+      .select("user_id")
+      .eq("badge_code", badge.code)
+      .in("user_id", userIds);
+
+    if (unlockedError) throw unlockedError;
+
+    const unlockedUserIds = new Set((alreadyUnlocked || []).map((row) => row.user_id));
+
+    for (const userId of userIds) {
+      if (unlockedUserIds.has(userId)) continue;
+
+      try {
+        const before = await loadBadgeRuleContext(userId);
+        let context = before;
+
+        // Jamais reconstruit : sans historique agrégé, les règles sur
+        // l'historique des séances ne pourraient pas correspondre
+        if (!context.stats?.session_history) {
+          await rebuildGamificationForUser(userId);
+
+          const { data: unlockedByRebuild, error: rebuildUnlockError } = await supabase
+            .from("user_badges")
+            .select("user_id")
+            .eq("badge_code", badge.code)
+            .eq("user_id", userId)
+            .maybeSingle();
+
+          if (rebuildUnlockError) throw rebuildUnlockError;
+
+          if (unlockedByRebuild) {
+            await recordAward(userId, before);
+            continue;
+          }
+
+          context = await loadBadgeRuleContext(userId);
+        }
+
+        if (!evaluateBadgeRule(badge.rule, context)) continue;
+
+        if (await awardBadge(userId, badge)) {
+          await refreshGamificationSummary(userId);
+          await recordAward(userId, before);
+        }
+      } catch (userError) {
+        // Un utilisateur en erreur ne doit pas bloquer le reste du lot
+        console.error("Erreur backfill badge", badge.code, userId, userError);
       }
     }
   }
+
+  const done = userIds.length < batchSize;
+
+  await saveBadgeBackfillProgress(badge.code, {
+    cursor: userIds[userIds.length - 1] || badge.backfill_cursor || null,
+    done,
+  });
+
+  return {
+    badgeCode: badge.code,
+    processed: userIds.length,
+    awarded,
+    awardedUserIds,
+    done,
+    changes,
+  };
 }
 
-async function syncGamificationForUser(userId) {
+/* =========================================================
+   RECONSTRUCTION COMPLÈTE
+========================================================= */
+
+/**
+ * Recalcule tout depuis l'historique des réservations. Sert de réparation
+ * (admin) et d'initialisation des compteurs incrémentaux : les événements
+ * en attente lus avant le recalcul y sont inclus et passent en traités ;
+ * ceux arrivés pendant le recalcul restent à appliquer.
+ */
+async function rebuildGamificationForUser(userId) {
   if (!supabase || !userId) return;
 
+  const { data: pendingEvents, error: pendingError } = await supabase
+    .from("gamification_events")
+    .select("id")
+    .eq("user_id", userId)
+    .eq("processed", false);
+
+  if (pendingError) throw pendingError;
+
+  const pendingEventIds = (pendingEvents || []).map((event) => event.id);
+
   await ensureUserRows(userId);
 
   await backfillCompletedReservationRewards(userId);
 
-  await ensureMissionDefinitions();
-  await ensureBadgeDefinitions();
-
   await syncUserStats(userId);
   await syncStreak(userId);
-  await syncWeeklyMissions(userId);
+  await syncMissions(userId);
+  await refreshGamificationSummary(userId);
+  await evaluateBadges(userId);
+
+  await refreshGamificationSummary(userId);
+
+  if (pendingEventIds.length > 0) {
+    const { error: eventsError } = await supabase
+      .from("gamification_events")
+      .update({ processed: true, processed_at: new Date().toISOString() })
+      .in("id", pendingEventIds)
+      .eq("processed", false);
+
+    if (eventsError) throw eventsError;
+  }
+
+  const { error: markError } = await supabase
+    .from("user_gamification")
+    .update({ last_rebuilt_at: new Date().toISOString() })
+    .eq("user_id", userId);
+
+  if (markError) throw markError;
+}
+
+async function flagGamificationRebuild(userId) {
+  const { error } = await supabase
+    .from("user_gamification")
+    .update({ last_rebuilt_at: null })
+    .eq("user_id", userId);
+
+  if (error) {
+    console.error("Erreur flagGamificationRebuild :", error);
+  }
+}
+
+/* =========================================================
+   MODE INCRÉMENTAL
+========================================================= */
+
+function getSessionDateIso(payload) {
+  const value = payload?.completed_at || payload?.start_time;
+  if (!value) return null;
+
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+/**
+ * Variations produites par une séance : sign = 1 pour une séance terminée,
+ * -1 pour une séance qui ne l'est plus (reservation_uncompleted).
+ */
+function buildSessionDeltas(payload, sign) {
+  const minutes = Math.max(0, Math.floor(Number(payload.session_minutes || 0)));
+  const persons = Math.max(0, Math.floor(Number(payload.persons || 0)));
+  const sessionAt = getSessionDateIso(payload);
+
+  return {
+    counters: {
+      sessions_completed: sign,
+      group_sessions_total: payload.is_group_session || persons >= 3 ? sign : 0,
+      sessions_daytime_total: payload.is_daytime ? sign : 0,
+      sessions_weekday_total: payload.is_weekend ? 0 : sign,
+      sessions_weekend_total: payload.is_weekend ? sign : 0,
+      minutes_sung_total: sign * minutes,
+    },
+    history: {
+      days: sessionAt ? { [toIsoDate(sessionAt)]: sign } : {},
+      persons: { [persons]: sign },
+      minutes: { [minutes]: sign },
+    },
+    sessionAt: sign > 0 ? sessionAt : null,
+  };
+}
+
+// Les autres types d'événements (reservation_created...) n'ont pas d'effet
+// sur les compteurs : ils sont simplement marqués traités
+const GAMIFICATION_EVENT_HANDLERS = {
+  reservation_completed: (payload) => buildSessionDeltas(payload, 1),
+  reservation_uncompleted: (payload) => buildSessionDeltas(payload, -1),
+};
+
+function addCounts(target, counts) {
+  for (const [key, value] of Object.entries(counts)) {
+    target[key] = (target[key] || 0) + value;
+  }
+}
+
+function mergeSessionDeltas(deltasList) {
+  const merged = {
+    counters: {},
+    history: { days: {}, persons: {}, minutes: {} },
+    sessionTimes: [],
+  };
+
+  for (const deltas of deltasList) {
+    addCounts(merged.counters, deltas.counters);
+    addCounts(merged.history.days, deltas.history.days);
+    addCounts(merged.history.persons, deltas.history.persons);
+    addCounts(merged.history.minutes, deltas.history.minutes);
+    if (deltas.sessionAt) merged.sessionTimes.push(deltas.sessionAt);
+  }
+
+  return merged;
+}
+
+/**
+ * Incréments appliqués en une requête SQL (fonction Postgres
+ * apply_user_stats_deltas) : chaque compteur de p_counters est ajouté à sa
+ * colonne de user_stats et chaque entrée de p_history (days / persons /
+ * minutes) à la clé correspondante de session_history. Retourne la ligne
+ * user_stats à jour ; deux traitements concurrents ne s'écrasent pas.
+ */
+async function applyUserStatsDeltas(userId, { counters, history }) {
+  const { data, error } = await supabase.rpc("apply_user_stats_deltas", {
+    p_user_id: userId,
+    p_counters: counters,
+    p_history: history,
+  });
+
+  if (error) throw error;
+
+  return Array.isArray(data) ? data[0] || null : data || null;
+}
+
+function toSessionDayIso(day) {
+  return day ? `${day}T00:00:00.000Z` : null;
+}
+
+/**
+ * Valeurs dérivées de l'historique agrégé (maximums, bornes, série) : elles
+ * sont recalculées depuis la ligne renvoyée par apply_user_stats_deltas, ce
+ * qui gère aussi bien les ajouts que les retraits.
+ */
+async function syncDerivedStats(userId, stats, { sessionTimes = [] } = {}) {
+  const history = readSessionHistory(stats);
+  const dayKeys = Object.keys(history.days).sort();
+  const maxKey = (counts) =>
+    Object.keys(counts).reduce((max, key) => Math.max(max, Number(key) || 0), 0);
+
+  let firstSessionAt = stats?.first_session_at || null;
+  let lastSessionAt = stats?.last_session_at || null;
+
+  for (const sessionAt of sessionTimes) {
+    if (!firstSessionAt || sessionAt < new Date(firstSessionAt).toISOString()) {
+      firstSessionAt = sessionAt;
+    }
+    if (!lastSessionAt || sessionAt > new Date(lastSessionAt).toISOString()) {
+      lastSessionAt = sessionAt;
+    }
+  }
+
+  // Séance retirée : la borne retombe sur le jour le plus proche restant
+  if (firstSessionAt && !history.days[toIsoDate(firstSessionAt)]) {
+    firstSessionAt = toSessionDayIso(dayKeys[0]);
+  }
+  if (lastSessionAt && !history.days[toIsoDate(lastSessionAt)]) {
+    lastSessionAt = toSessionDayIso(dayKeys[dayKeys.length - 1]);
+  }
+
+  const nowIso = new Date().toISOString();
+
+  const { error: statsError } = await supabase
+    .from("user_stats")
+    .update({
+      hours_sung_total: Number((Number(stats?.minutes_sung_total || 0) / 60).toFixed(2)),
+      largest_group_size: maxKey(history.persons),
+      longest_session_minutes: maxKey(history.minutes),
+      first_session_at: firstSessionAt,
+      last_session_at: lastSessionAt,
+      updated_at: nowIso,
+    })
+    .eq("user_id", userId);
+
+  if (statsError) throw statsError;
+
+  const streak = buildStreakFromWeekKeys(
+    dayKeys.map((day) => getMondayKey(toSessionDayIso(day)))
+  );
+
+  const { error: streakError } = await supabase
+    .from("user_gamification")
+    .update({
+      streak_current: streak.current,
+      streak_best: streak.best,
+      streak_last_period_key: streak.lastKey,
+      streak_last_validated_at: toSessionDayIso(streak.lastKey),
+      updated_at: nowIso,
+    })
+    .eq("user_id", userId);
+
+  if (streakError) throw streakError;
+}
+
+/**
+ * Réclame les événements en attente de l'utilisateur (passage à traité en
+ * une requête, pour qu'un traitement concurrent ne les compte pas deux fois)
+ * puis applique leurs variations à user_stats et à la série.
+ */
+async function applyPendingGamificationEvents(userId) {
+  const { data: claimed, error: claimError } = await supabase
+    .from("gamification_events")
+    .update({ processed: true, processed_at: new Date().toISOString() })
+    .eq("user_id", userId)
+    .eq("processed", false)
+    .select("*");
+
+  if (claimError) throw claimError;
+
+  const events = (claimed || []).filter(
+    (event) => GAMIFICATION_EVENT_HANDLERS[event.event_type]
+  );
+
+  if (events.length === 0) return { applied: 0 };
+
+  try {
+    const deltas = mergeSessionDeltas(
+      events.map((event) =>
+        GAMIFICATION_EVENT_HANDLERS[event.event_type](event.payload || {})
+      )
+    );
+
+    const stats = await applyUserStatsDeltas(userId, deltas);
+    await syncDerivedStats(userId, stats, deltas);
+  } catch (applyError) {
+    // Événements déjà réclamés : la reconstruction rattrapera les compteurs
+    await flagGamificationRebuild(userId);
+    throw applyError;
+  }
+
+  return { applied: events.length };
+}
+
+/**
+ * Compteurs qui ne se déduisent pas des seuls événements (fenêtres
+ * glissantes, annulations, dépenses) : comptages et historique agrégé.
+ */
+async function syncRollingStats(userId) {
+  const now = Date.now();
+  const last7 = toIsoDate(now - 7 * 86400000);
+  const last30 = toIsoDate(now - 30 * 86400000);
+
+  const countOwnReservations = (statuses = null) => {
+    let query = supabase
+      .from("reservations")
+      .select("id", { count: "exact", head: true })
+      .eq("user_id", userId);
+
+    if (statuses) query = query.in("status", statuses);
+    return query;
+  };
+
+  const [
+    { count: ownTotal, error: ownTotalError },
+    { count: ownCompleted, error: ownCompletedError },
+    { count: ownCancelled, error: ownCancelledError },
+    { data: stats, error: statsError },
+    spentLedger,
+  ] = await Promise.all([
+    countOwnReservations(),
+    countOwnReservations(QUALIFYING_STATUSES),
+    countOwnReservations(CANCELLED_STATUSES),
+    supabase
+      .from("user_stats")
+      .select("sessions_completed, session_history")
+      .eq("user_id", userId)
+      .maybeSingle(),
+    sumLedger("singcoin_ledger", userId),
+  ]);
+
+  if (ownTotalError) throw ownTotalError;
+  if (ownCompletedError) throw ownCompletedError;
+  if (ownCancelledError) throw ownCancelledError;
+  if (statsError) throw statsError;
+
+  const countSessionsSince = (fromDay) =>
+    Object.entries(readSessionHistory(stats).days)
+      .filter(([day]) => day >= fromDay)
+      .reduce((sum, [, count]) => sum + count, 0);
+
+  // Séances invitées = séances terminées hors réservations propres
+  const joinedCompleted = Math.max(
+    0,
+    Number(stats?.sessions_completed || 0) - Number(ownCompleted || 0)
+  );
+
+  const { error: updateError } = await supabase
+    .from("user_stats")
+    .update({
+      sessions_total: Number(ownTotal || 0) + joinedCompleted,
+      sessions_cancelled: Number(ownCancelled || 0),
+      sessions_last_7_days: countSessionsSince(last7),
+      sessions_last_30_days: countSessionsSince(last30),
+      singcoins_spent_count: spentLedger.negativeCount,
+      singcoins_spent_total: spentLedger.negativeAbs,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("user_id", userId);
+
+  if (updateError) throw updateError;
+}
+
+/**
+ * Mise à jour courante : applique les événements en attente au lieu de
+ * relire tout l'historique. Un utilisateur jamais reconstruit ou signalé
+ * (user_gamification.last_rebuilt_at vide), ou sans historique agrégé,
+ * passe par la reconstruction complète.
+ */
+async function syncGamificationForUser(userId) {
+  if (!supabase || !userId) return;
+
+  await ensureUserRows(userId);
+
+  const [
+    { data: gamification, error },
+    { data: stats, error: statsError },
+  ] = await Promise.all([
+    supabase
+      .from("user_gamification")
+      .select("last_rebuilt_at")
+      .eq("user_id", userId)
+      .maybeSingle(),
+    supabase
+      .from("user_stats")
+      .select("session_history")
+      .eq("user_id", userId)
+      .maybeSingle(),
+  ]);
+
+  if (error) throw error;
+  if (statsError) throw statsError;
+
+  if (!gamification?.last_rebuilt_at || !stats?.session_history) {
+    await rebuildGamificationForUser(userId);
+    return;
+  }
+
+  await applyPendingGamificationEvents(userId);
+
+  await syncRollingStats(userId);
+  await syncMissions(userId);
   await refreshGamificationSummary(userId);
   await evaluateBadges(userId);
 
   await refreshGamificationSummary(userId);
 }
 
+export async function rebuildUserGamification(userId) {
+  if (!supabase) throw new Error("Supabase non configuré");
+
+  await rebuildGamificationForUser(userId);
+  return readUserGamificationSnapshot(userId);
+}
+
+/**
+ * Reconstruction globale : signale tous les utilisateurs, le job
+ * gamification_sync les reconstruit ensuite par lots.
+ */
+export async function requestGlobalGamificationRebuild() {
+  if (!supabase) throw new Error("Supabase non configuré");
+
+  const { count, error } = await supabase
+    .from("user_gamification")
+    .update({ last_rebuilt_at: null }, { count: "exact" })
+    .not("last_rebuilt_at", "is", null);
+
+  if (error) throw error;
+
+  return { flaggedUsers: Number(count || 0) };
+}
+
+/**
+ * Job : reconstruit un lot d'utilisateurs signalés, puis applique les
+ * événements restés en attente (échec lors de l'enregistrement...).
+ */
+export async function processGamificationQueue({ batchSize = 50 } = {}) {
+  if (!supabase) return { skipped: true, reason: "supabase_missing" };
+
+  const [
+    { data: flagged, error: flaggedError },
+    { data: pendingEvents, error: pendingError },
+  ] = await Promise.all([
+    supabase
+      .from("user_gamification")
+      .select("user_id")
+      .is("last_rebuilt_at", null)
+      .order("user_id", { ascending: true })
+      .limit(batchSize),
+    supabase
+      .from("gamification_events")
+      .select("user_id")
+      .eq("processed", false)
+      .order("created_at", { ascending: true })
+      .limit(batchSize),
+  ]);
+
+  if (flaggedError) throw flaggedError;
+  if (pendingError) throw pendingError;
+
+  const rebuildUserIds = [...new Set((flagged || []).map((row) => row.user_id))];
+  const pendingUserIds = [
+    ...new Set((pendingEvents || []).map((row) => row.user_id).filter(Boolean)),
+  ].filter((userId) => !rebuildUserIds.includes(userId));
+
+  let rebuilt = 0;
+  let synced = 0;
+  let failed = 0;
+  const updatedUserIds = [];
+  const changes = [];
+
+  for (const userId of rebuildUserIds) {
+    try {
+      const before = await loadBadgeRuleContext(userId);
+      await rebuildGamificationForUser(userId);
+      rebuilt += 1;
+      updatedUserIds.push(userId);
+      changes.push({ id: userId, before, after: await loadBadgeRuleContext(userId) });
+    } catch (userError) {
+      failed += 1;
+      console.error("Erreur reconstruction gamification", userId, userError);
+    }
+  }
+
+  for (const userId of pendingUserIds) {
+    try {
+      const before = await loadBadgeRuleContext(userId);
+      await syncGamificationForUser(userId);
+      synced += 1;
+      updatedUserIds.push(userId);
+      changes.push({ id: userId, before, after: await loadBadgeRuleContext(userId) });
+    } catch (userError) {
+      failed += 1;
+      console.error("Erreur événements gamification", userId, userError);
+    }
+  }
+
+  return { rebuilt, synced, failed, updatedUserIds, changes };
+}
+
 async function readUserGamificationSnapshot(userId) {
   if (!supabase || !userId) {
     return {
@@ -1348,7 +1643,7 @@ async function readUserGamificationSnapshot(userId) {
     { data: stats, error: statsError },
     { data: badgeDefs, error: badgeDefsError },
     { data: userBadges, error: userBadgesError },
-    { data: missionDefs, error: missionDefsError },
+    missionDefs,
     { data: missionProgress, error: missionProgressError },
   ] = await Promise.all([
     supabase
@@ -1370,11 +1665,7 @@ async function readUserGamificationSnapshot(userId) {
       .from("user_badges")
       .select("*")
       .eq("user_id", userId),
-    supabase
-      .from("weekly_missions")
-      .select("*")
-      .eq("is_active", true)
-      .order("sort_order"),
+    loadRunningMissions(),
     supabase
       .from("user_mission_progress")
       .select("*")
@@ -1385,12 +1676,11 @@ async function readUserGamificationSnapshot(userId) {
   if (statsError) throw statsError;
   if (badgeDefsError) throw badgeDefsError;
   if (userBadgesError) throw userBadgesError;
-  if (missionDefsError) throw missionDefsError;
   if (missionProgressError) throw missionProgressError;
 
   const xp = Number(gamification?.xp_total || 0);
   const level = computeLevel(xp);
-  const currentWeek = getMondayKey(new Date());
+  const now = new Date();
 
   const userBadgeMap = new Map((userBadges || []).map((row) => [row.badge_code, row]));
   const missionByKey = new Map(
@@ -1419,17 +1709,22 @@ async function readUserGamificationSnapshot(userId) {
     })
     .sort((a, b) => Number(a.sortOrder || 0) - Number(b.sortOrder || 0));
 
-  const missions = (missionDefs || []).map((def) => {
-    const progress = missionByKey.get(`${def.code}:${currentWeek}`) || null;
+  const missions = missionDefs.map((def) => {
+    const period = getMissionPeriod(def.period, now);
+    const progress = missionByKey.get(`${def.code}:${period.key}`) || null;
 
     return {
       code: def.code,
       title: def.title,
       description: def.description,
-      targetValue: Number(def.target_value || 1),
-      rewardSingcoins: Number(def.reward_singcoins || 0),
-      rewardXp: Number(def.reward_xp || 0),
-      weekStart: currentWeek,
+      period: def.period,
+      targetValue: def.target_value,
+      rewardSingcoins: def.reward_singcoins,
+      rewardXp: def.reward_xp,
+      weekStart: period.key,
+      periodStart: period.key,
+      periodEnd: period.end.toISOString(),
+      endsAt: def.ends_at || null,
       progressValue: Number(progress?.progress_value || 0),
       isCompleted: !!progress?.is_completed,
       rewardClaimed: !!progress?.reward_claimed,
@@ -1475,42 +1770,59 @@ async function readUserGamificationSnapshot(userId) {
   };
 }
 
-export async function processReservationGamification(reservationId) {
-  if (!supabase || !reservationId) return null;
+function buildReservationEventPayload(reservation) {
+  return {
+    reservation_id: reservation.id,
+    status: reservation.status,
+    start_time: reservation.start_time,
+    end_time: reservation.end_time,
+    completed_at: reservation.completed_at,
+    persons: reservation.persons,
+    is_weekend: reservation.is_weekend,
+    is_daytime: reservation.is_daytime,
+    is_group_session: reservation.is_group_session,
+    session_minutes: reservation.session_minutes,
+  };
+}
 
-  const { data: reservation, error } = await supabase
-    .from("reservations")
-    .select("*")
-    .eq("id", reservationId)
-    .maybeSingle();
+/**
+ * Une réservation repassée hors "completed" puis terminée à nouveau ouvre un
+ * nouveau cycle : référence "<id>" pour le premier, "<id>#<n>" ensuite, pour
+ * que l'événement et la récompense du nouveau cycle ne soient pas pris pour
+ * des doublons du précédent.
+ */
+async function getReservationRewardReferenceId(userId, referenceType, referenceId) {
+  const { count, error } = await supabase
+    .from("gamification_events")
+    .select("id", { count: "exact", head: true })
+    .eq("user_id", userId)
+    .eq("event_type", "reservation_uncompleted")
+    .eq("reference_type", referenceType)
+    .like("reference_id", `${referenceId}%`);
 
   if (error) throw error;
-  if (!reservation) return null;
-  if (!reservation.user_id) return null;
-  if (!qualifiesForGamification(reservation.status)) return null;
 
-  const userId = reservation.user_id;
+  const cycle = Number(count || 0) + 1;
+  return cycle === 1 ? String(referenceId) : `${referenceId}#${cycle}`;
+}
 
+async function creditReservationReward({ userId, reservation, referenceType, referenceId }) {
   await ensureUserRows(userId);
 
+  const rewardReferenceId = await getReservationRewardReferenceId(
+    userId,
+    referenceType,
+    referenceId
+  );
+
+  // Non traité : appliqué aux compteurs par syncGamificationForUser
   const eventResult = await insertGamificationEvent({
     userId,
     eventType: "reservation_completed",
-    referenceType: "reservation",
-    referenceId: reservation.id,
-    payload: {
-      reservation_id: reservation.id,
-      status: reservation.status,
-      start_time: reservation.start_time,
-      end_time: reservation.end_time,
-      completed_at: reservation.completed_at,
-      persons: reservation.persons,
-      is_weekend: reservation.is_weekend,
-      is_daytime: reservation.is_daytime,
-      is_group_session: reservation.is_group_session,
-      session_minutes: reservation.session_minutes,
-    },
-    processed: true,
+    referenceType,
+    referenceId: rewardReferenceId,
+    payload: buildReservationEventPayload(reservation),
+    processed: false,
   });
 
   if (!eventResult.duplicate) {
@@ -1518,8 +1830,8 @@ export async function processReservationGamification(reservationId) {
       userId,
       amount: BASE_RESERVATION_SINGCOINS,
       type: "reservation_reward",
-      referenceType: "reservation",
-      referenceId: String(reservation.id),
+      referenceType,
+      referenceId: rewardReferenceId,
       label: "Session réalisée",
     });
 
@@ -1527,17 +1839,215 @@ export async function processReservationGamification(reservationId) {
       userId,
       amount: BASE_RESERVATION_XP,
       type: "reservation_reward",
-      referenceType: "reservation",
-      referenceId: String(reservation.id),
+      referenceType,
+      referenceId: rewardReferenceId,
       label: "Session réalisée",
     });
   }
 
   await syncGamificationForUser(userId);
+}
+
+/**
+ * Séance qui n'est plus terminée : événement reservation_uncompleted (même
+ * payload que la séance créditée, pour retirer exactement ce qui a été
+ * compté) et reprise de la récompense, sans rendre le solde négatif.
+ */
+async function revertReservationReward({ userId, referenceType, referenceId }) {
+  await ensureUserRows(userId);
+
+  const rewardReferenceId = await getReservationRewardReferenceId(
+    userId,
+    referenceType,
+    referenceId
+  );
+
+  const { data: completedEvent, error } = await supabase
+    .from("gamification_events")
+    .select("id, payload")
+    .eq("user_id", userId)
+    .eq("event_type", "reservation_completed")
+    .eq("reference_type", referenceType)
+    .eq("reference_id", rewardReferenceId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!completedEvent) return false;
+
+  const eventResult = await insertGamificationEvent({
+    userId,
+    eventType: "reservation_uncompleted",
+    referenceType,
+    referenceId: rewardReferenceId,
+    payload: completedEvent.payload || {},
+    processed: false,
+  });
+
+  if (!eventResult.duplicate) {
+    const singcoinsToTake = Math.min(
+      BASE_RESERVATION_SINGCOINS,
+      await getAvailableSingcoinsForUser(userId)
+    );
+
+    if (singcoinsToTake > 0) {
+      await creditSingcoins({
+        userId,
+        amount: -singcoinsToTake,
+        type: REWARD_REVERSAL_TYPE,
+        referenceType,
+        referenceId: rewardReferenceId,
+        label: "Session annulée après validation",
+      });
+    }
+
+    await creditXp({
+      userId,
+      amount: -BASE_RESERVATION_XP,
+      type: REWARD_REVERSAL_TYPE,
+      referenceType,
+      referenceId: rewardReferenceId,
+      label: "Session annulée après validation",
+    });
+  }
+
+  await syncGamificationForUser(userId);
+  return !eventResult.duplicate;
+}
+
+/**
+ * Participants invités ayant un compte et réellement venus (checked_in_at
+ * renseigné au scan de leur QR) : user_id connu à l'invitation, ou retrouvé
+ * par email (compte créé après coup). Ajouter des comptes à une séance sans
+ * qu'ils se présentent ne rapporte donc rien.
+ */
+async function listParticipantUserIds(reservation) {
+  const { data: participants, error } = await supabase
+    .from("reservation_participants")
+    .select("id, email, user_id, status, checked_in_at")
+    .eq("reservation_id", reservation.id)
+    .neq("status", "removed")
+    .not("checked_in_at", "is", null);
+
+  if (error) throw error;
+
+  const result = [];
+
+  for (const participant of participants || []) {
+    let userId = participant.user_id || null;
+
+    if (!userId && participant.email) {
+      const { data: user, error: userError } = await supabase
+        .from("users")
+        .select("id")
+        .eq("email", String(participant.email).trim().toLowerCase())
+        .maybeSingle();
+
+      if (userError) throw userError;
+      userId = user?.id || null;
+
+      if (userId) {
+        const { error: linkError } = await supabase
+          .from("reservation_participants")
+          .update({ user_id: userId, updated_at: new Date().toISOString() })
+          .eq("id", participant.id);
+
+        if (linkError) throw linkError;
+      }
+    }
+
+    if (!userId || String(userId) === String(reservation.user_id || "")) continue;
+
+    result.push({ participantId: participant.id, userId });
+  }
+
+  return result;
+}
+
+export async function processReservationGamification(reservationId) {
+  if (!supabase || !reservationId) return null;
+
+  const { data: reservation, error } = await supabase
+    .from("reservations")
+    .select("*")
+    .eq("id", reservationId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!reservation) return null;
+  if (!qualifiesForGamification(reservation.status)) return null;
+
+  const participants = await listParticipantUserIds(reservation);
+
+  for (const participant of participants) {
+    try {
+      await creditReservationReward({
+        userId: participant.userId,
+        reservation,
+        referenceType: "reservation_participant",
+        referenceId: participant.participantId,
+      });
+    } catch (participantError) {
+      // Un participant en erreur ne doit pas bloquer le crédit du réservant
+      console.error("Erreur gamification participant :", participantError);
+    }
+  }
+
+  if (!reservation.user_id) return null;
+
+  const userId = reservation.user_id;
+
+  await creditReservationReward({
+    userId,
+    reservation,
+    referenceType: "reservation",
+    referenceId: reservation.id,
+  });
 
   return readUserGamificationSnapshot(userId);
 }
 
+/**
+ * À appeler quand une réservation quitte le statut "completed" : retire la
+ * séance des compteurs du réservant et des participants crédités.
+ */
+export async function processReservationGamificationReversal(reservationId) {
+  if (!supabase || !reservationId) return null;
+
+  const { data: reservation, error } = await supabase
+    .from("reservations")
+    .select("*")
+    .eq("id", reservationId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!reservation) return null;
+  if (qualifiesForGamification(reservation.status)) return null;
+
+  const participants = await listParticipantUserIds(reservation);
+
+  for (const participant of participants) {
+    try {
+      await revertReservationReward({
+        userId: participant.userId,
+        referenceType: "reservation_participant",
+        referenceId: participant.participantId,
+      });
+    } catch (participantError) {
+      console.error("Erreur annulation gamification participant :", participantError);
+    }
+  }
+
+  if (!reservation.user_id) return null;
+
+  await revertReservationReward({
+    userId: reservation.user_id,
+    referenceType: "reservation",
+    referenceId: reservation.id,
+  });
+
+  return readUserGamificationSnapshot(reservation.user_id);
+}
+
 export async function getUserGamificationSnapshot(userId) {
   if (!supabase || !userId) {
     return readUserGamificationSnapshot(userId);
@@ -0,0 +1,553 @@
+// backend/services/giftCardService.js
+
+import crypto from "crypto";
+
+import { supabase } from "../config/supabase.js";
+import { GIFT_CARD_VALIDITY_MONTHS } from "../config/env.js";
+import { parseDateOrNull } from "../utils/dates.js";
+import {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_TYPES,
+  enqueueNotification,
+} from "./notificationService.js";
+
+/**
+ * Cartes cadeaux monétaires achetées en ligne.
+ *
+ * Tables :
+ * - gift_cards : id, code (unique, SB-XXXX-XXXX-XXXX), initial_amount, balance,
+ *   status (pending_payment | active | exhausted | cancelled), purchaser_user_id,
+ *   purchaser_email, purchaser_name, recipient_email, recipient_name, message,
+ *   send_at, sent_at, payment_intent_id, activated_at, expires_at,
+ *   created_at, updated_at
+ * - gift_card_transactions : id, gift_card_id, type (purchase | redeem |
+ *   rollback | restore), amount (signé), balance_after, reservation_id,
+ *   payment_intent_id, created_at
+ *
+ * Le solde est débité à la confirmation de la réservation (mise à jour
+ * conditionnelle sur l'ancien solde) et recrédité lors d'un remboursement.
+ * L'email au destinataire passe par la file de notifications à send_at.
+ */
+
+export const GIFT_CARD_STATUSES = {
+  PENDING_PAYMENT: "pending_payment",
+  ACTIVE: "active",
+  EXHAUSTED: "exhausted",
+  CANCELLED: "cancelled",
+};
+
+export const GIFT_CARD_TRANSACTION_TYPES = {
+  PURCHASE: "purchase",
+  REDEEM: "redeem",
+  ROLLBACK: "rollback",
+  RESTORE: "restore",
+};
+
+export const GIFT_CARD_PAYMENT_INTENT_TYPE = "gift_card";
+
+// Sans 0/O ni 1/I pour éviter les erreurs de saisie
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_PREFIX = "SB";
+const CODE_GROUPS = 3;
+const CODE_GROUP_LENGTH = 4;
+const BALANCE_UPDATE_ATTEMPTS = 3;
+
+function ensureSupabase() {
+  if (!supabase) {
+    throw new Error("Supabase non configuré");
+  }
+}
+
+function safeText(value, maxLen = 255) {
+  return String(value ?? "").trim().slice(0, maxLen);
+}
+
+function normalizeEmail(email) {
+  return safeText(email, 255).toLowerCase();
+}
+
+function round2(value) {
+  return Number(Number(value || 0).toFixed(2));
+}
+
+function toCents(amountEur) {
+  return Math.round(Number(amountEur || 0) * 100);
+}
+
+function addMonths(date, months) {
+  const d = new Date(date);
+  d.setMonth(d.getMonth() + months);
+  return d;
+}
+
+function generateGiftCardCode() {
+  const groups = [];
+
+  for (let g = 0; g < CODE_GROUPS; g += 1) {
+    let group = "";
+    for (let i = 0; i < CODE_GROUP_LENGTH; i += 1) {
+      group += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    groups.push(group);
+  }
+
+  return [CODE_PREFIX, ...groups].join("-");
+}
+
+/**
+ * Accepte le code avec ou sans tirets/espaces, en minuscules ou majuscules.
+ */
+export function normalizeGiftCardCode(code) {
+  const compact = safeText(code, 60).toUpperCase().replace(/[^A-Z0-9]/g, "");
+  const expectedLength = CODE_PREFIX.length + CODE_GROUPS * CODE_GROUP_LENGTH;
+
+  if (compact.length !== expectedLength || !compact.startsWith(CODE_PREFIX)) {
+    return null;
+  }
+
+  const body = compact.slice(CODE_PREFIX.length);
+  const groups = [];
+  for (let i = 0; i < body.length; i += CODE_GROUP_LENGTH) {
+    groups.push(body.slice(i, i + CODE_GROUP_LENGTH));
+  }
+
+  return [CODE_PREFIX, ...groups].join("-");
+}
+
+export function maskGiftCardCode(code) {
+  const safeCode = safeText(code, 40);
+  if (!safeCode) return null;
+  return `${CODE_PREFIX}-****-****-${safeCode.slice(-CODE_GROUP_LENGTH)}`;
+}
+
+function isGiftCardExpired(giftCard) {
+  const expiresAt = parseDateOrNull(giftCard?.expires_at);
+  return !!expiresAt && expiresAt.getTime() <= Date.now();
+}
+
+/**
+ * Retourne la raison pour laquelle la carte n'est pas utilisable, ou null.
+ */
+export function getGiftCardUnusableReason(giftCard) {
+  if (!giftCard) return "Carte cadeau introuvable";
+
+  if (giftCard.status === GIFT_CARD_STATUSES.PENDING_PAYMENT) {
+    return "Cette carte cadeau n'est pas encore activée";
+  }
+
+  if (giftCard.status === GIFT_CARD_STATUSES.CANCELLED) {
+    return "Cette carte cadeau a été annulée";
+  }
+
+  if (isGiftCardExpired(giftCard)) {
+    return "Cette carte cadeau a expiré";
+  }
+
+  if (round2(giftCard.balance) <= 0) {
+    return "Le solde de cette carte cadeau est épuisé";
+  }
+
+  return null;
+}
+
+export function toPublicGiftCard(giftCard) {
+  if (!giftCard) return null;
+
+  return {
+    code: maskGiftCardCode(giftCard.code),
+    initial_amount: round2(giftCard.initial_amount),
+    balance: round2(giftCard.balance),
+    status: giftCard.status,
+    recipient_name: giftCard.recipient_name || null,
+    send_at: giftCard.send_at || null,
+    sent_at: giftCard.sent_at || null,
+    expires_at: giftCard.expires_at || null,
+    expired: isGiftCardExpired(giftCard),
+  };
+}
+
+export async function getGiftCardById(giftCardId) {
+  ensureSupabase();
+
+  const { data, error } = await supabase
+    .from("gift_cards")
+    .select("*")
+    .eq("id", giftCardId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+export async function getGiftCardByCode(code) {
+  ensureSupabase();
+
+  const normalized = normalizeGiftCardCode(code);
+  if (!normalized) return null;
+
+  const { data, error } = await supabase
+    .from("gift_cards")
+    .select("*")
+    .eq("code", normalized)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+export async function getGiftCardByPaymentIntentId(paymentIntentId) {
+  ensureSupabase();
+
+  const safePi = safeText(paymentIntentId, 200);
+  if (!safePi) return null;
+
+  const { data, error } = await supabase
+    .from("gift_cards")
+    .select("*")
+    .eq("payment_intent_id", safePi)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+async function insertGiftCardTransaction({
+  giftCardId,
+  type,
+  amount,
+  balanceAfter,
+  reservationId = null,
+  paymentIntentId = null,
+}) {
+  const { data, error } = await supabase
+    .from("gift_card_transactions")
+    .insert({
+      gift_card_id: giftCardId,
+      type,
+      amount: round2(amount),
+      balance_after: round2(balanceAfter),
+      reservation_id: reservationId,
+      payment_intent_id: safeText(paymentIntentId, 200) || null,
+      created_at: new Date().toISOString(),
+    })
+    .select("*")
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Crée la carte en attente de paiement. Le code est tiré au hasard et
+ * régénéré en cas de collision sur la contrainte d'unicité.
+ */
+export async function createPendingGiftCard({
+  amount,
+  purchaser = {},
+  recipient = {},
+  message = "",
+  sendAt = null,
+}) {
+  ensureSupabase();
+
+  const nowIso = new Date().toISOString();
+
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    const { data, error } = await supabase
+      .from("gift_cards")
+      .insert({
+        code: generateGiftCardCode(),
+        initial_amount: round2(amount),
+        balance: 0,
+        status: GIFT_CARD_STATUSES.PENDING_PAYMENT,
+        purchaser_user_id: purchaser.userId || null,
+        purchaser_email: normalizeEmail(purchaser.email),
+        purchaser_name: safeText(purchaser.name, 160) || null,
+        recipient_email: normalizeEmail(recipient.email),
+        recipient_name: safeText(recipient.name, 160) || null,
+        message: safeText(message, 500) || null,
+        send_at: sendAt || nowIso,
+        created_at: nowIso,
+        updated_at: nowIso,
+      })
+      .select("*")
+      .single();
+
+    if (!error) return data;
+    if (error.code !== "23505") throw error;
+  }
+
+  throw new Error("Impossible de générer un code de carte cadeau unique");
+}
+
+export async function attachGiftCardPaymentIntent(giftCardId, paymentIntentId) {
+  ensureSupabase();
+
+  const { error } = await supabase
+    .from("gift_cards")
+    .update({
+      payment_intent_id: paymentIntentId,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", giftCardId)
+    .eq("status", GIFT_CARD_STATUSES.PENDING_PAYMENT);
+
+  if (error) throw error;
+}
+
+async function scheduleGiftCardDelivery(giftCard) {
+  try {
+    await enqueueNotification({
+      type: NOTIFICATION_TYPES.GIFT_CARD_DELIVERY,
+      channel: NOTIFICATION_CHANNELS.EMAIL,
+      recipient: giftCard.recipient_email,
+      dedupKey: `${NOTIFICATION_TYPES.GIFT_CARD_DELIVERY}:${giftCard.id}`,
+      payload: { giftCardId: giftCard.id },
+      scheduledAt: giftCard.send_at || new Date().toISOString(),
+    });
+  } catch (e) {
+    console.error("Erreur mise en file carte cadeau :", e);
+  }
+}
+
+/**
+ * Active la carte une fois le paiement Stripe réussi (webhook ou
+ * confirmation côté client). Idempotent : seul le premier appel crédite
+ * le solde et programme l'envoi.
+ */
+export async function activateGiftCardFromIntent(intent) {
+  ensureSupabase();
+
+  const giftCardId = safeText(intent?.metadata?.gift_card_id, 120);
+  if (!giftCardId || intent?.status !== "succeeded") {
+    return { activated: false, reason: "invalid_intent" };
+  }
+
+  const giftCard = await getGiftCardById(giftCardId);
+  if (!giftCard) return { activated: false, reason: "gift_card_not_found" };
+
+  if (giftCard.status !== GIFT_CARD_STATUSES.PENDING_PAYMENT) {
+    return { activated: false, reason: "already_activated", giftCard };
+  }
+
+  if (Number(intent.amount_received || intent.amount || 0) < toCents(giftCard.initial_amount)) {
+    console.warn("⚠️ Montant de carte cadeau insuffisant :", intent.id, giftCard.id);
+    return { activated: false, reason: "amount_mismatch" };
+  }
+
+  const now = new Date();
+  // Validité comptée à partir de la remise au destinataire (envoi programmé)
+  const sendAt = parseDateOrNull(giftCard.send_at);
+  const validityStart = sendAt && sendAt.getTime() > now.getTime() ? sendAt : now;
+
+  const { data: activated, error } = await supabase
+    .from("gift_cards")
+    .update({
+      status: GIFT_CARD_STATUSES.ACTIVE,
+      balance: round2(giftCard.initial_amount),
+      payment_intent_id: intent.id,
+      activated_at: now.toISOString(),
+      expires_at: addMonths(validityStart, GIFT_CARD_VALIDITY_MONTHS).toISOString(),
+      updated_at: now.toISOString(),
+    })
+    .eq("id", giftCard.id)
+    .eq("status", GIFT_CARD_STATUSES.PENDING_PAYMENT)
+    .select("*")
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!activated) {
+    return {
+      activated: false,
+      reason: "already_activated",
+      giftCard: await getGiftCardById(giftCard.id),
+    };
+  }
+
+  await insertGiftCardTransaction({
+    giftCardId: activated.id,
+    type: GIFT_CARD_TRANSACTION_TYPES.PURCHASE,
+    amount: activated.initial_amount,
+    balanceAfter: activated.balance,
+    paymentIntentId: intent.id,
+  });
+
+  await scheduleGiftCardDelivery(activated);
+
+  return { activated: true, giftCard: activated };
+}
+
+/**
+ * Montant de la carte applicable sur un reste à payer (utilisation
+ * partielle possible). Ne débite rien.
+ */
+export async function evaluateGiftCardForAmount(code, amountDue) {
+  const giftCard = await getGiftCardByCode(code);
+  const unusableReason = getGiftCardUnusableReason(giftCard);
+
+  if (unusableReason) {
+    return { ok: false, reason: unusableReason };
+  }
+
+  const balance = round2(giftCard.balance);
+  const appliedAmount = round2(Math.min(balance, Math.max(0, Number(amountDue || 0))));
+
+  return {
+    ok: true,
+    giftCard,
+    appliedAmount,
+    balanceAfter: round2(balance - appliedAmount),
+  };
+}
+
+/**
+ * Ajoute delta au solde avec une mise à jour conditionnelle sur l'ancien
+ * solde (relue en cas de conflit). Retourne la carte à jour ou null si
+ * le débit dépasse le solde.
+ */
+async function applyBalanceDelta(giftCardId, delta) {
+  for (let attempt = 0; attempt < BALANCE_UPDATE_ATTEMPTS; attempt += 1) {
+    const giftCard = await getGiftCardById(giftCardId);
+    if (!giftCard) return null;
+
+    const nextBalance = round2(Number(giftCard.balance || 0) + delta);
+    if (nextBalance < 0) return null;
+
+    let nextStatus = giftCard.status;
+    if (nextBalance <= 0 && giftCard.status === GIFT_CARD_STATUSES.ACTIVE) {
+      nextStatus = GIFT_CARD_STATUSES.EXHAUSTED;
+    } else if (nextBalance > 0 && giftCard.status === GIFT_CARD_STATUSES.EXHAUSTED) {
+      nextStatus = GIFT_CARD_STATUSES.ACTIVE;
+    }
+
+    const { data, error } = await supabase
+      .from("gift_cards")
+      .update({
+        balance: nextBalance,
+        status: nextStatus,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", giftCard.id)
+      .eq("balance", giftCard.balance)
+      .select("*")
+      .maybeSingle();
+
+    if (error) throw error;
+    if (data) return data;
+  }
+
+  throw new Error("Solde de carte cadeau modifié en parallèle, réessayez");
+}
+
+/**
+ * Débite la carte au moment de la confirmation de réservation.
+ * Retourne { ok: true, giftCard, transaction } ou { ok: false, reason }.
+ */
+export async function redeemGiftCard({ code, amount, paymentIntentId = null }) {
+  ensureSupabase();
+
+  const safeAmount = round2(amount);
+  const giftCard = await getGiftCardByCode(code);
+  const unusableReason = getGiftCardUnusableReason(giftCard);
+
+  if (unusableReason) {
+    return { ok: false, reason: unusableReason };
+  }
+
+  if (safeAmount <= 0) {
+    return { ok: false, reason: "Montant de carte cadeau invalide" };
+  }
+
+  const updated = await applyBalanceDelta(giftCard.id, -safeAmount);
+
+  if (!updated) {
+    return { ok: false, reason: "Solde de carte cadeau insuffisant" };
+  }
+
+  const transaction = await insertGiftCardTransaction({
+    giftCardId: updated.id,
+    type: GIFT_CARD_TRANSACTION_TYPES.REDEEM,
+    amount: -safeAmount,
+    balanceAfter: updated.balance,
+    paymentIntentId,
+  });
+
+  return { ok: true, giftCard: updated, transaction };
+}
+
+/**
+ * Annule un débit quand la réservation n'a finalement pas pu être créée.
+ */
+export async function rollbackGiftCardRedemption(transaction) {
+  ensureSupabase();
+
+  if (!transaction?.gift_card_id) return null;
+
+  const amount = round2(Math.abs(Number(transaction.amount || 0)));
+  const updated = await applyBalanceDelta(transaction.gift_card_id, amount);
+
+  await insertGiftCardTransaction({
+    giftCardId: transaction.gift_card_id,
+    type: GIFT_CARD_TRANSACTION_TYPES.ROLLBACK,
+    amount,
+    balanceAfter: updated?.balance ?? 0,
+    paymentIntentId: transaction.payment_intent_id,
+  });
+
+  return updated;
+}
+
+/**
+ * Recrédite la part payée par carte cadeau d'une réservation remboursée.
+ * Idempotent par réservation.
+ */
+export async function restoreGiftCardBalance({ giftCardId, amount, reservationId }) {
+  ensureSupabase();
+
+  const safeAmount = round2(amount);
+  if (!giftCardId || safeAmount <= 0) {
+    return { restored: false, reason: "nothing_to_restore" };
+  }
+
+  const { data: existing, error } = await supabase
+    .from("gift_card_transactions")
+    .select("id")
+    .eq("gift_card_id", giftCardId)
+    .eq("reservation_id", reservationId)
+    .eq("type", GIFT_CARD_TRANSACTION_TYPES.RESTORE)
+    .limit(1);
+
+  if (error) throw error;
+
+  if ((existing || []).length > 0) {
+    return { restored: false, reason: "already_restored" };
+  }
+
+  const updated = await applyBalanceDelta(giftCardId, safeAmount);
+  if (!updated) return { restored: false, reason: "gift_card_not_found" };
+
+  await insertGiftCardTransaction({
+    giftCardId,
+    type: GIFT_CARD_TRANSACTION_TYPES.RESTORE,
+    amount: safeAmount,
+    balanceAfter: updated.balance,
+    reservationId,
+  });
+
+  return { restored: true, giftCard: updated };
+}
+
+export async function markGiftCardSent(giftCardId) {
+  ensureSupabase();
+
+  const { error } = await supabase
+    .from("gift_cards")
+    .update({
+      sent_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", giftCardId);
+
+  if (error) throw error;
+}
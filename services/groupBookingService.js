@@ -0,0 +1,1171 @@
+// backend/services/groupBookingService.js
+
+import crypto from "crypto";
+
+import { supabase } from "../config/supabase.js";
+import { stripe } from "../config/stripe.js";
+import {
+  GROUP_BOOKING_DEADLINE_BEFORE_START_HOURS,
+  GROUP_BOOKING_FUNDING_WINDOW_HOURS,
+} from "../config/env.js";
+import { parseDateOrNull } from "../utils/dates.js";
+import {
+  computeDerivedReservationFields,
+  computeGuestManageTokenExpiresAt,
+  generateGuestManageToken,
+  getSlotAvailability,
+} from "./reservationService.js";
+import { computeSessionCashAmount } from "./pricingService.js";
+import {
+  convertSlotHolds,
+  createSlotHolds,
+  releaseSlotHolds,
+} from "./slotHoldService.js";
+import { attemptAutomaticSavedCardCharge } from "./stripeCustomerService.js";
+import { notifyWaitlistForFreedSlot } from "./waitlistService.js";
+import {
+  sendGroupBookingReleasedEmail,
+  sendGroupShareInvitationEmail,
+  sendReservationEmail,
+} from "./emailService.js";
+
+/**
+ * Réservations de groupe à paiement partagé.
+ *
+ * Tables :
+ * - group_bookings : id, organiser_user_id, organiser_email, organiser_name,
+ *   box_id, start_time, end_time, date, persons, total_amount, share_count,
+ *   status (collecting | finalizing | funded | released | cancelled),
+ *   unpaid_shares_policy
+ *   (charge_organiser | release), hold_token, deadline_at, reservation_id,
+ *   fallback_payment_intent_id, release_reason, created_at, updated_at
+ * - group_booking_shares : id, group_booking_id, email, name, is_organiser,
+ *   amount, status (pending | paid | covered_by_organiser | refunded |
+ *   released), payment_intent_id, invite_token, paid_at, created_at, updated_at
+ *
+ * Le créneau reste bloqué (slot_holds) jusqu'à l'échéance. Chaque part est
+ * payée via son propre PaymentIntent (metadata.type = "group_share") ; la
+ * réservation est créée dès que toutes les parts sont réglées. À l'échéance,
+ * les parts impayées sont soit prélevées sur la carte enregistrée de
+ * l'organisateur, soit la réservation est libérée et les parts remboursées.
+ *
+ * Une fois toutes les parts réglées, le groupe passe en "finalizing" le temps
+ * de créer la réservation, puis en "funded". Un groupe resté en
+ * "finalizing" (erreur pendant la création) est repris par le job
+ * d'échéance : nouvel essai, ou remboursement si la séance est passée.
+ */
+
+export const GROUP_BOOKING_STATUSES = {
+  COLLECTING: "collecting",
+  FINALIZING: "finalizing",
+  FUNDED: "funded",
+  RELEASED: "released",
+  CANCELLED: "cancelled",
+};
+
+export const GROUP_SHARE_STATUSES = {
+  PENDING: "pending",
+  PAID: "paid",
+  COVERED_BY_ORGANISER: "covered_by_organiser",
+  REFUNDED: "refunded",
+  RELEASED: "released",
+};
+
+export const GROUP_UNPAID_SHARES_POLICIES = {
+  CHARGE_ORGANISER: "charge_organiser",
+  RELEASE: "release",
+};
+
+export const GROUP_SHARE_PAYMENT_INTENT_TYPE = "group_share";
+
+// Marge pour que le job d'échéance passe avant l'expiration du blocage
+const HOLD_GRACE_MINUTES = 30;
+
+// Finalisation en cours depuis plus longtemps : considérée comme interrompue
+const FINALIZING_RETRY_AFTER_MINUTES = 5;
+
+const SETTLED_SHARE_STATUSES = [
+  GROUP_SHARE_STATUSES.PAID,
+  GROUP_SHARE_STATUSES.COVERED_BY_ORGANISER,
+];
+
+function ensureSupabase() {
+  if (!supabase) {
+    throw new Error("Supabase non configuré");
+  }
+}
+
+function ensureStripe() {
+  if (!stripe) {
+    throw new Error("Stripe non configuré");
+  }
+}
+
+function safeText(value, maxLen = 255) {
+  return String(value ?? "").trim().slice(0, maxLen);
+}
+
+function normalizeEmail(email) {
+  return safeText(email, 255).toLowerCase();
+}
+
+function toCents(amountEur) {
+  return Math.round(Number(amountEur || 0) * 100);
+}
+
+function generateShareToken() {
+  return crypto.randomBytes(24).toString("hex");
+}
+
+/**
+ * Répartit le total en parts égales (au centime) ; le reste éventuel est
+ * porté par la part de l'organisateur (index 0).
+ */
+export function computeGroupShareAmounts(totalAmountEur, shareCount) {
+  const count = Math.max(Number.parseInt(shareCount, 10) || 1, 1);
+  const totalCents = Math.max(toCents(totalAmountEur), 0);
+  const baseCents = Math.floor(totalCents / count);
+  const remainderCents = totalCents - baseCents * count;
+
+  return Array.from({ length: count }, (_, index) =>
+    Number(((baseCents + (index === 0 ? remainderCents : 0)) / 100).toFixed(2))
+  );
+}
+
+export function computeGroupBookingDeadline(startTime, now = new Date()) {
+  const start = parseDateOrNull(startTime);
+  if (!start) return null;
+
+  const windowEnd = now.getTime() + GROUP_BOOKING_FUNDING_WINDOW_HOURS * 3600000;
+  const latest =
+    start.getTime() - GROUP_BOOKING_DEADLINE_BEFORE_START_HOURS * 3600000;
+
+  const deadline = Math.min(windowEnd, latest);
+  return deadline > now.getTime() ? new Date(deadline) : null;
+}
+
+function readFirstName(name) {
+  return safeText(name, 120).split(/\s+/)[0] || null;
+}
+
+/**
+ * Vue publique d'un groupe. L'organisateur voit toutes les parts ; un
+ * participant (lien de part) ne voit que la sienne en détail, et le seul
+ * prénom des autres.
+ */
+export function toPublicGroupBooking(
+  booking,
+  shares = [],
+  { viewerShareId = null, viewerIsOrganiser = false } = {}
+) {
+  if (!booking) return null;
+
+  const paidAmount = shares
+    .filter((share) => SETTLED_SHARE_STATUSES.includes(share.status))
+    .reduce((sum, share) => sum + Number(share.amount || 0), 0);
+
+  return {
+    id: booking.id,
+    status: booking.status,
+    box_id: booking.box_id,
+    start_time: booking.start_time,
+    end_time: booking.end_time,
+    date: booking.date,
+    persons: booking.persons,
+    organiser_name: viewerIsOrganiser
+      ? booking.organiser_name || null
+      : readFirstName(booking.organiser_name),
+    total_amount: Number(booking.total_amount || 0),
+    paid_amount: Number(paidAmount.toFixed(2)),
+    unpaid_shares_policy: booking.unpaid_shares_policy,
+    deadline_at: booking.deadline_at,
+    reservation_id: booking.reservation_id || null,
+    shares: shares.map((share) => {
+      const isViewerShare = !!viewerShareId && share.id === viewerShareId;
+
+      if (!viewerIsOrganiser && !isViewerShare) {
+        return {
+          name: readFirstName(share.name),
+          is_organiser: !!share.is_organiser,
+        };
+      }
+
+      return {
+        id: share.id,
+        name: share.name || null,
+        email: share.email,
+        is_organiser: !!share.is_organiser,
+        amount: Number(share.amount || 0),
+        status: share.status,
+        paid_at: share.paid_at || null,
+        // Le jeton de paiement n'est exposé qu'à son propriétaire
+        ...(isViewerShare ? { payment_token: share.invite_token } : {}),
+      };
+    }),
+  };
+}
+
+/* =========================================================
+   LECTURE
+========================================================= */
+
+export async function getGroupBookingById(groupBookingId) {
+  ensureSupabase();
+
+  const { data, error } = await supabase
+    .from("group_bookings")
+    .select("*")
+    .eq("id", groupBookingId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+export async function listGroupBookingShares(groupBookingId) {
+  ensureSupabase();
+
+  const { data, error } = await supabase
+    .from("group_booking_shares")
+    .select("*")
+    .eq("group_booking_id", groupBookingId)
+    .order("is_organiser", { ascending: false })
+    .order("created_at", { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+export async function getGroupShareByToken(rawToken) {
+  ensureSupabase();
+
+  const token = safeText(rawToken, 120);
+  if (!token) return null;
+
+  const { data: share, error } = await supabase
+    .from("group_booking_shares")
+    .select("*")
+    .eq("invite_token", token)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!share) return null;
+
+  const booking = await getGroupBookingById(share.group_booking_id);
+  if (!booking) return null;
+
+  return { share, booking };
+}
+
+/* =========================================================
+   CRÉATION
+========================================================= */
+
+async function sendInvitationsSafe(booking, shares) {
+  for (const share of shares) {
+    if (share.is_organiser) continue;
+
+    try {
+      await sendGroupShareInvitationEmail({
+        email: share.email,
+        name: share.name,
+        organiserName: booking.organiser_name,
+        startTime: booking.start_time,
+        persons: booking.persons,
+        amount: share.amount,
+        token: share.invite_token,
+        deadlineAt: booking.deadline_at,
+      });
+    } catch (mailError) {
+      console.error("Erreur email invitation part de groupe :", mailError);
+    }
+  }
+}
+
+/**
+ * Crée la réservation de groupe, bloque le créneau jusqu'à l'échéance et
+ * envoie les invitations. L'organisateur règle sa propre part comme les
+ * autres participants.
+ *
+ * Retourne { ok: true, booking, shares } ou { ok: false, code, error }.
+ */
+export async function createGroupBooking({
+  organiser,
+  boxId,
+  startTime,
+  endTime,
+  date,
+  persons,
+  participants = [],
+  unpaidSharesPolicy = GROUP_UNPAID_SHARES_POLICIES.RELEASE,
+}) {
+  ensureSupabase();
+
+  const now = new Date();
+  const deadline = computeGroupBookingDeadline(startTime, now);
+
+  if (!deadline) {
+    return {
+      ok: false,
+      code: "too_late",
+      error: "Créneau trop proche pour une réservation de groupe.",
+    };
+  }
+
+  const availability = await getSlotAvailability({
+    boxId,
+    startTime,
+    endTime,
+    localDate: date,
+    persons,
+  });
+
+  if (!availability.available) {
+    return {
+      ok: false,
+      code: "unavailable",
+      reason: availability.reason,
+      error: "Ce créneau n'est plus disponible.",
+    };
+  }
+
+  const holdResult = await createSlotHolds({
+    items: [{ box_id: boxId, start_time: startTime, end_time: endTime, date, persons }],
+    userId: organiser.userId,
+    email: organiser.email,
+    ttlMinutes:
+      Math.ceil((deadline.getTime() - now.getTime()) / 60000) + HOLD_GRACE_MINUTES,
+  });
+
+  if (!holdResult.ok) {
+    return {
+      ok: false,
+      code: "held",
+      error: "Ce créneau est en cours de réservation par un autre client.",
+    };
+  }
+
+  const totalAmount = await computeSessionCashAmount(new Date(startTime), persons, {
+    boxId,
+  });
+  const sharesInput = [
+    { email: organiser.email, name: organiser.name, is_organiser: true },
+    ...participants.map((participant) => ({ ...participant, is_organiser: false })),
+  ];
+  const amounts = computeGroupShareAmounts(totalAmount, sharesInput.length);
+  const nowIso = now.toISOString();
+
+  try {
+    const { data: booking, error } = await supabase
+      .from("group_bookings")
+      .insert({
+        organiser_user_id: organiser.userId,
+        organiser_email: normalizeEmail(organiser.email),
+        organiser_name: safeText(organiser.name, 160) || null,
+        box_id: boxId,
+        start_time: startTime,
+        end_time: endTime,
+        date,
+        persons,
+        total_amount: totalAmount,
+        share_count: sharesInput.length,
+        status: GROUP_BOOKING_STATUSES.COLLECTING,
+        unpaid_shares_policy: unpaidSharesPolicy,
+        hold_token: holdResult.holdToken,
+        deadline_at: deadline.toISOString(),
+        created_at: nowIso,
+        updated_at: nowIso,
+      })
+      .select("*")
+      .single();
+
+    if (error) throw error;
+
+    const { data: shares, error: sharesError } = await supabase
+      .from("group_booking_shares")
+      .insert(
+        sharesInput.map((share, index) => ({
+          group_booking_id: booking.id,
+          email: normalizeEmail(share.email),
+          name: safeText(share.name, 160) || null,
+          is_organiser: share.is_organiser,
+          amount: amounts[index],
+          status:
+            amounts[index] > 0
+              ? GROUP_SHARE_STATUSES.PENDING
+              : GROUP_SHARE_STATUSES.PAID,
+          invite_token: generateShareToken(),
+          created_at: nowIso,
+          updated_at: nowIso,
+        }))
+      )
+      .select("*");
+
+    if (sharesError) throw sharesError;
+
+    await sendInvitationsSafe(booking, shares || []);
+
+    return { ok: true, booking, shares: shares || [] };
+  } catch (e) {
+    await releaseSlotHolds({
+      holdToken: holdResult.holdToken,
+      reason: "group_booking_failed",
+    }).catch((releaseError) =>
+      console.error("Erreur releaseSlotHolds groupe :", releaseError)
+    );
+    throw e;
+  }
+}
+
+/* =========================================================
+   PAIEMENT DES PARTS
+========================================================= */
+
+/**
+ * Crée (ou réutilise) le PaymentIntent d'une part.
+ * Retourne { ok: true, clientSecret, paymentIntentId, amount } ou
+ * { ok: false, code, error }.
+ */
+export async function createGroupSharePaymentIntent(rawToken) {
+  ensureStripe();
+
+  const found = await getGroupShareByToken(rawToken);
+  if (!found) {
+    return { ok: false, code: "not_found", error: "Lien de paiement invalide." };
+  }
+
+  const { share, booking } = found;
+
+  if (booking.status !== GROUP_BOOKING_STATUSES.COLLECTING) {
+    return {
+      ok: false,
+      code: "closed",
+      error: "Cette réservation de groupe n'accepte plus de paiement.",
+    };
+  }
+
+  if (new Date(booking.deadline_at).getTime() <= Date.now()) {
+    return { ok: false, code: "expired", error: "Le délai de paiement est dépassé." };
+  }
+
+  if (share.status !== GROUP_SHARE_STATUSES.PENDING) {
+    return { ok: false, code: "already_paid", error: "Cette part est déjà réglée." };
+  }
+
+  const amountCents = toCents(share.amount);
+
+  if (share.payment_intent_id) {
+    try {
+      const existing = await stripe.paymentIntents.retrieve(share.payment_intent_id);
+
+      if (
+        existing &&
+        existing.amount === amountCents &&
+        ["requires_payment_method", "requires_confirmation", "requires_action"].includes(
+          existing.status
+        )
+      ) {
+        return {
+          ok: true,
+          clientSecret: existing.client_secret,
+          paymentIntentId: existing.id,
+          amount: Number(share.amount),
+        };
+      }
+    } catch (retrieveError) {
+      console.warn("⚠️ PaymentIntent de part introuvable, recréation :", retrieveError?.message);
+    }
+  }
+
+  const paymentIntent = await stripe.paymentIntents.create(
+    {
+      amount: amountCents,
+      currency: "eur",
+      payment_method_types: ["card"],
+      receipt_email: share.email || undefined,
+      metadata: {
+        type: GROUP_SHARE_PAYMENT_INTENT_TYPE,
+        group_booking_id: String(booking.id),
+        share_id: String(share.id),
+        customer_email: share.email || "",
+        customer_name: share.name || "",
+      },
+    },
+    {
+      idempotencyKey: `group_share_${share.id}_${share.payment_intent_id || "first"}`,
+    }
+  );
+
+  const { error } = await supabase
+    .from("group_booking_shares")
+    .update({
+      payment_intent_id: paymentIntent.id,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", share.id)
+    .eq("status", GROUP_SHARE_STATUSES.PENDING);
+
+  if (error) throw error;
+
+  return {
+    ok: true,
+    clientSecret: paymentIntent.client_secret,
+    paymentIntentId: paymentIntent.id,
+    amount: Number(share.amount),
+  };
+}
+
+async function refundPaymentIntentSafe(paymentIntentId, reason) {
+  if (!paymentIntentId || !stripe) return false;
+
+  try {
+    await stripe.refunds.create({
+      payment_intent: paymentIntentId,
+      reason: "requested_by_customer",
+      metadata: { group_booking_release: safeText(reason, 80) },
+    });
+    return true;
+  } catch (e) {
+    console.error("Erreur remboursement part de groupe :", paymentIntentId, e);
+    return false;
+  }
+}
+
+/**
+ * Enregistre le paiement d'une part à partir d'un PaymentIntent réussi
+ * (webhook ou confirmation côté client). Idempotent.
+ */
+export async function markGroupSharePaidFromIntent(intent) {
+  ensureSupabase();
+
+  const shareId = safeText(intent?.metadata?.share_id, 120);
+  if (!shareId || intent?.status !== "succeeded") {
+    return { updated: false, reason: "invalid_intent" };
+  }
+
+  const { data: share, error } = await supabase
+    .from("group_booking_shares")
+    .select("*")
+    .eq("id", shareId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!share) return { updated: false, reason: "share_not_found" };
+
+  if (Number(intent.amount_received || intent.amount || 0) < toCents(share.amount)) {
+    console.warn("⚠️ Montant de part insuffisant :", intent.id, share.id);
+    return { updated: false, reason: "amount_mismatch" };
+  }
+
+  const booking = await getGroupBookingById(share.group_booking_id);
+  if (!booking) return { updated: false, reason: "booking_not_found" };
+
+  if (booking.status !== GROUP_BOOKING_STATUSES.COLLECTING) {
+    // Paiement arrivé après la libération : on rembourse aussitôt
+    if (share.status === GROUP_SHARE_STATUSES.PENDING || share.status === GROUP_SHARE_STATUSES.RELEASED) {
+      const refunded = await refundPaymentIntentSafe(intent.id, "late_payment");
+
+      if (refunded) {
+        await supabase
+          .from("group_booking_shares")
+          .update({
+            status: GROUP_SHARE_STATUSES.REFUNDED,
+            payment_intent_id: intent.id,
+            updated_at: new Date().toISOString(),
+          })
+          .eq("id", share.id);
+      }
+    }
+
+    return { updated: false, reason: "booking_closed" };
+  }
+
+  const nowIso = new Date().toISOString();
+
+  const { data: updated, error: updateError } = await supabase
+    .from("group_booking_shares")
+    .update({
+      status: GROUP_SHARE_STATUSES.PAID,
+      payment_intent_id: intent.id,
+      paid_at: nowIso,
+      updated_at: nowIso,
+    })
+    .eq("id", share.id)
+    .eq("status", GROUP_SHARE_STATUSES.PENDING)
+    .select("*")
+    .maybeSingle();
+
+  if (updateError) throw updateError;
+
+  // Part réservée entre-temps par le prélèvement de l'organisateur : ce
+  // paiement ferait doublon, on le rembourse
+  if (!updated) {
+    const { data: current, error: currentError } = await supabase
+      .from("group_booking_shares")
+      .select("status")
+      .eq("id", share.id)
+      .maybeSingle();
+
+    if (currentError) throw currentError;
+
+    if (current?.status === GROUP_SHARE_STATUSES.COVERED_BY_ORGANISER) {
+      await refundPaymentIntentSafe(intent.id, "share_covered_by_organiser");
+      return { updated: false, reason: "share_covered_by_organiser" };
+    }
+  }
+
+  const finalized = await finalizeGroupBookingIfFunded(booking.id);
+
+  return { updated: !!updated, finalized };
+}
+
+/**
+ * Confirmation côté client après paiement : relit le PaymentIntent chez
+ * Stripe pour ne pas dépendre du délai du webhook.
+ */
+export async function syncGroupSharePayment(rawToken) {
+  ensureStripe();
+
+  const found = await getGroupShareByToken(rawToken);
+  if (!found) return null;
+
+  const { share } = found;
+
+  if (share.status === GROUP_SHARE_STATUSES.PENDING && share.payment_intent_id) {
+    const intent = await stripe.paymentIntents.retrieve(share.payment_intent_id);
+
+    if (
+      intent?.status === "succeeded" &&
+      String(intent.metadata?.share_id || "") === String(share.id)
+    ) {
+      await markGroupSharePaidFromIntent(intent);
+    }
+  }
+
+  return getGroupShareByToken(rawToken);
+}
+
+/* =========================================================
+   CONFIRMATION / LIBÉRATION
+========================================================= */
+
+function pickReservationPaymentIntentId(booking, shares) {
+  const organiserShare = shares.find((share) => share.is_organiser);
+  return (
+    organiserShare?.payment_intent_id ||
+    booking.fallback_payment_intent_id ||
+    shares.find((share) => share.payment_intent_id)?.payment_intent_id ||
+    null
+  );
+}
+
+async function findGroupBookingReservation(groupBookingId) {
+  const { data, error } = await supabase
+    .from("reservations")
+    .select("*")
+    .eq("group_booking_id", groupBookingId)
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+/**
+ * Crée la réservation d'un groupe en "finalizing" puis le passe en
+ * "funded". Rejouable : une réservation déjà créée lors d'un essai
+ * interrompu est réutilisée.
+ */
+async function completeGroupBookingFinalization(booking, shares) {
+  let reservation = await findGroupBookingReservation(booking.id);
+  const nowIso = new Date().toISOString();
+
+  if (!reservation) {
+    const availability = await getSlotAvailability({
+      boxId: booking.box_id,
+      startTime: booking.start_time,
+      endTime: booking.end_time,
+      localDate: booking.date,
+      persons: booking.persons,
+      excludeHoldToken: booking.hold_token,
+    });
+
+    if (!availability.available) {
+      // Blocage expiré et créneau repris entre-temps : on rembourse tout le monde
+      await releaseGroupBooking(booking, {
+        reason: "slot_unavailable",
+        fromStatus: GROUP_BOOKING_STATUSES.FINALIZING,
+      });
+      return null;
+    }
+
+    const paymentIntentId = pickReservationPaymentIntentId(booking, shares);
+
+    const { data: inserted, error: insertError } = await supabase
+      .from("reservations")
+      .insert({
+        ...computeDerivedReservationFields({
+          startTime: booking.start_time,
+          endTime: booking.end_time,
+          persons: booking.persons,
+          montant: booking.total_amount,
+          singcoinsUsed: false,
+          latestPaymentIntentId: paymentIntentId,
+          originalPaymentIntentId: paymentIntentId,
+        }),
+        date: booking.date,
+        name: booking.organiser_name,
+        email: booking.organiser_email,
+        user_id: booking.organiser_user_id || null,
+        box_id: booking.box_id,
+        status: "confirmed",
+        payment_intent_id: paymentIntentId,
+        theoretical_full_amount: Number(booking.total_amount || 0),
+        group_booking_id: booking.id,
+        guest_manage_token: generateGuestManageToken(),
+        guest_manage_token_created_at: nowIso,
+        guest_manage_token_expires_at: computeGuestManageTokenExpiresAt(),
+        created_at: nowIso,
+      })
+      .select("*")
+      .single();
+
+    if (insertError) throw insertError;
+    reservation = inserted;
+  }
+
+  const { data: fundedBooking, error: fundedError } = await supabase
+    .from("group_bookings")
+    .update({
+      status: GROUP_BOOKING_STATUSES.FUNDED,
+      reservation_id: reservation.id,
+      updated_at: nowIso,
+    })
+    .eq("id", booking.id)
+    .eq("status", GROUP_BOOKING_STATUSES.FINALIZING)
+    .select("id")
+    .maybeSingle();
+
+  if (fundedError) throw fundedError;
+  if (!fundedBooking) return null;
+
+  try {
+    await convertSlotHolds(booking.hold_token);
+  } catch (holdError) {
+    console.error("Erreur convertSlotHolds groupe :", holdError);
+  }
+
+  try {
+    await sendReservationEmail(reservation);
+  } catch (mailError) {
+    console.error("Erreur email confirmation groupe :", mailError);
+  }
+
+  return reservation;
+}
+
+/**
+ * Crée la réservation confirmée si toutes les parts sont réglées.
+ * Le passage collecting → finalizing sert de verrou contre les doubles
+ * créations ; le groupe n'est "funded" qu'une fois la réservation insérée.
+ */
+export async function finalizeGroupBookingIfFunded(groupBookingId) {
+  ensureSupabase();
+
+  const shares = await listGroupBookingShares(groupBookingId);
+  const funded =
+    shares.length > 0 &&
+    shares.every((share) => SETTLED_SHARE_STATUSES.includes(share.status));
+
+  if (!funded) return null;
+
+  const { data: booking, error } = await supabase
+    .from("group_bookings")
+    .update({
+      status: GROUP_BOOKING_STATUSES.FINALIZING,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", groupBookingId)
+    .eq("status", GROUP_BOOKING_STATUSES.COLLECTING)
+    .select("*")
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!booking) return null;
+
+  return completeGroupBookingFinalization(booking, shares);
+}
+
+/**
+ * Reprise d'un groupe resté en "finalizing" : nouvel essai tant que la
+ * séance n'a pas commencé, sinon remboursement des parts.
+ */
+async function retryGroupBookingFinalization(booking) {
+  const start = parseDateOrNull(booking.start_time);
+  const existing = await findGroupBookingReservation(booking.id);
+
+  if (!existing && (!start || start.getTime() <= Date.now())) {
+    const released = await releaseGroupBooking(booking, {
+      reason: "finalization_failed",
+      fromStatus: GROUP_BOOKING_STATUSES.FINALIZING,
+    });
+    return released ? "released" : null;
+  }
+
+  const { data: claimed, error } = await supabase
+    .from("group_bookings")
+    .update({ updated_at: new Date().toISOString() })
+    .eq("id", booking.id)
+    .eq("status", GROUP_BOOKING_STATUSES.FINALIZING)
+    .eq("updated_at", booking.updated_at)
+    .select("*")
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!claimed) return null;
+
+  const shares = await listGroupBookingShares(booking.id);
+  const reservation = await completeGroupBookingFinalization(claimed, shares);
+
+  return reservation ? "funded" : "released";
+}
+
+/**
+ * Libère la réservation de groupe : rembourse les parts payées, libère le
+ * créneau, prévient les participants et la liste d'attente.
+ */
+export async function releaseGroupBooking(
+  booking,
+  {
+    reason = "deadline",
+    status = GROUP_BOOKING_STATUSES.RELEASED,
+    fromStatus = GROUP_BOOKING_STATUSES.COLLECTING,
+  } = {}
+) {
+  ensureSupabase();
+
+  const nowIso = new Date().toISOString();
+
+  const { data: claimed, error } = await supabase
+    .from("group_bookings")
+    .update({
+      status,
+      release_reason: safeText(reason, 80),
+      updated_at: nowIso,
+    })
+    .eq("id", booking.id)
+    .eq("status", fromStatus)
+    .select("*")
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!claimed) return null;
+
+  const shares = await listGroupBookingShares(booking.id);
+  const paidByEmail = new Map();
+
+  for (const share of shares) {
+    let nextStatus = GROUP_SHARE_STATUSES.RELEASED;
+
+    if (SETTLED_SHARE_STATUSES.includes(share.status) && share.payment_intent_id) {
+      const refunded = await refundPaymentIntentSafe(share.payment_intent_id, reason);
+      nextStatus = refunded ? GROUP_SHARE_STATUSES.REFUNDED : share.status;
+      paidByEmail.set(share.email, refunded);
+    }
+
+    if (nextStatus !== share.status) {
+      await supabase
+        .from("group_booking_shares")
+        .update({ status: nextStatus, updated_at: nowIso })
+        .eq("id", share.id);
+    }
+  }
+
+  if (claimed.fallback_payment_intent_id) {
+    await refundPaymentIntentSafe(claimed.fallback_payment_intent_id, reason);
+  }
+
+  try {
+    await releaseSlotHolds({ holdToken: claimed.hold_token, reason: `group_${reason}` });
+  } catch (holdError) {
+    console.error("Erreur releaseSlotHolds groupe :", holdError);
+  }
+
+  for (const share of shares) {
+    try {
+      await sendGroupBookingReleasedEmail({
+        email: share.email,
+        name: share.name,
+        startTime: claimed.start_time,
+        refunded: !!paidByEmail.get(share.email),
+      });
+    } catch (mailError) {
+      console.error("Erreur email libération groupe :", mailError);
+    }
+  }
+
+  try {
+    await notifyWaitlistForFreedSlot({
+      boxId: claimed.box_id,
+      startTime: claimed.start_time,
+      endTime: claimed.end_time,
+    });
+  } catch (waitlistError) {
+    console.error("Erreur notifyWaitlistForFreedSlot :", waitlistError);
+  }
+
+  return claimed;
+}
+
+export async function cancelGroupBooking({ groupBookingId, userId }) {
+  const booking = await getGroupBookingById(groupBookingId);
+
+  if (!booking || String(booking.organiser_user_id) !== String(userId)) {
+    return { ok: false, code: "not_found" };
+  }
+
+  if (booking.status !== GROUP_BOOKING_STATUSES.COLLECTING) {
+    return { ok: false, code: "not_collecting" };
+  }
+
+  const released = await releaseGroupBooking(booking, {
+    reason: "organiser_cancelled",
+    status: GROUP_BOOKING_STATUSES.CANCELLED,
+  });
+
+  return released ? { ok: true, booking: released } : { ok: false, code: "not_collecting" };
+}
+
+/* =========================================================
+   ÉCHÉANCES (job)
+========================================================= */
+
+async function restorePendingShares(shareIds) {
+  const { error } = await supabase
+    .from("group_booking_shares")
+    .update({
+      status: GROUP_SHARE_STATUSES.PENDING,
+      paid_at: null,
+      updated_at: new Date().toISOString(),
+    })
+    .in("id", shareIds)
+    .eq("status", GROUP_SHARE_STATUSES.COVERED_BY_ORGANISER);
+
+  if (error) throw error;
+}
+
+/**
+ * Les parts impayées sont d'abord réservées (pending → covered_by_organiser)
+ * pour que seul le montant des parts réellement réservées soit prélevé : un
+ * paiement de participant arrivé après coup est remboursé par
+ * markGroupSharePaidFromIntent. En cas d'échec, les parts repassent en attente.
+ */
+async function chargeOrganiserForUnpaidShares(booking, unpaidShares) {
+  const availability = await getSlotAvailability({
+    boxId: booking.box_id,
+    startTime: booking.start_time,
+    endTime: booking.end_time,
+    localDate: booking.date,
+    persons: booking.persons,
+    excludeHoldToken: booking.hold_token,
+  });
+
+  if (!availability.available) {
+    return { success: false, reason: "slot_unavailable" };
+  }
+
+  const nowIso = new Date().toISOString();
+
+  const { data: claimedShares, error: claimError } = await supabase
+    .from("group_booking_shares")
+    .update({
+      status: GROUP_SHARE_STATUSES.COVERED_BY_ORGANISER,
+      paid_at: nowIso,
+      updated_at: nowIso,
+    })
+    .in(
+      "id",
+      unpaidShares.map((share) => share.id)
+    )
+    .eq("status", GROUP_SHARE_STATUSES.PENDING)
+    .select("id, amount");
+
+  if (claimError) throw claimError;
+
+  // Toutes les parts ont été payées entre-temps : rien à prélever
+  if (!claimedShares?.length) {
+    return { success: true, paymentIntentId: null };
+  }
+
+  const claimedIds = claimedShares.map((share) => share.id);
+  const remaining = claimedShares.reduce(
+    (sum, share) => sum + Number(share.amount || 0),
+    0
+  );
+
+  let charge;
+  try {
+    charge = await attemptAutomaticSavedCardCharge({
+    userId: booking.organiser_user_id,
+    customer: { email: booking.organiser_email, prenom: booking.organiser_name },
+    amountEur: Number(remaining.toFixed(2)),
+    metadata: {
+      type: "group_share_fallback",
+      group_booking_id: String(booking.id),
+        auto_modification_charge: "false",
+      },
+    });
+  } catch (chargeError) {
+    await restorePendingShares(claimedIds);
+    throw chargeError;
+  }
+
+  if (!charge?.success || charge.paymentIntent?.status !== "succeeded") {
+    await restorePendingShares(claimedIds);
+    return { success: false, reason: charge?.reason || "charge_failed" };
+  }
+
+  const { error: bookingError } = await supabase
+    .from("group_bookings")
+    .update({
+      fallback_payment_intent_id: charge.paymentIntent.id,
+      updated_at: nowIso,
+    })
+    .eq("id", booking.id);
+
+  if (bookingError) throw bookingError;
+
+  return { success: true, paymentIntentId: charge.paymentIntent.id };
+}
+
+async function readGroupBookingSnapshot(groupBookingId) {
+  const booking = await getGroupBookingById(groupBookingId);
+  if (!booking) return null;
+
+  return { ...booking, shares: await listGroupBookingShares(groupBookingId) };
+}
+
+/**
+ * Job : reprises de finalisation puis échéances. changes contient, pour
+ * chaque groupe traité, l'état avant / après (groupe et parts) pour l'audit.
+ */
+export async function processGroupBookingDeadlines({ limit = 20 } = {}) {
+  ensureSupabase();
+
+  const outcomes = [];
+  const beforeSnapshots = new Map();
+
+  const { data: stuck, error: stuckError } = await supabase
+    .from("group_bookings")
+    .select("*")
+    .eq("status", GROUP_BOOKING_STATUSES.FINALIZING)
+    .lt(
+      "updated_at",
+      new Date(Date.now() - FINALIZING_RETRY_AFTER_MINUTES * 60000).toISOString()
+    )
+    .order("updated_at", { ascending: true })
+    .limit(limit);
+
+  if (stuckError) throw stuckError;
+
+  for (const booking of stuck || []) {
+    try {
+      beforeSnapshots.set(String(booking.id), {
+        ...booking,
+        shares: await listGroupBookingShares(booking.id),
+      });
+
+      const outcome = await retryGroupBookingFinalization(booking);
+      if (outcome) {
+        outcomes.push({ groupBookingId: booking.id, outcome: `finalization_${outcome}` });
+      }
+    } catch (e) {
+      console.error("Erreur reprise finalisation groupe :", booking.id, e);
+    }
+  }
+
+  const { data, error } = await supabase
+    .from("group_bookings")
+    .select("*")
+    .eq("status", GROUP_BOOKING_STATUSES.COLLECTING)
+    .lt("deadline_at", new Date().toISOString())
+    .order("deadline_at", { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+
+  let funded = 0;
+  let charged = 0;
+  let released = 0;
+
+  for (const booking of data || []) {
+    try {
+      const shares = await listGroupBookingShares(booking.id);
+      beforeSnapshots.set(String(booking.id), { ...booking, shares });
+
+      const unpaidShares = shares.filter(
+        (share) => share.status === GROUP_SHARE_STATUSES.PENDING
+      );
+
+      if (unpaidShares.length === 0) {
+        if (await finalizeGroupBookingIfFunded(booking.id)) {
+          funded += 1;
+          outcomes.push({ groupBookingId: booking.id, outcome: "funded" });
+        }
+        continue;
+      }
+
+      if (
+        booking.unpaid_shares_policy === GROUP_UNPAID_SHARES_POLICIES.CHARGE_ORGANISER &&
+        booking.organiser_user_id
+      ) {
+        const charge = await chargeOrganiserForUnpaidShares(booking, unpaidShares);
+
+        if (charge.success) {
+          if (charge.paymentIntentId) charged += 1;
+          const finalized = await finalizeGroupBookingIfFunded(booking.id);
+          if (finalized) funded += 1;
+          outcomes.push({
+            groupBookingId: booking.id,
+            outcome: finalized ? "charged_organiser" : "charged_organiser_not_finalized",
+            paymentIntentId: charge.paymentIntentId,
+          });
+          continue;
+        }
+
+        console.warn(
+          "⚠️ Prélèvement organisateur impossible, libération du groupe :",
+          booking.id,
+          charge.reason
+        );
+      }
+
+      if (await releaseGroupBooking(booking, { reason: "deadline" })) {
+        released += 1;
+        outcomes.push({ groupBookingId: booking.id, outcome: "released" });
+      }
+    } catch (e) {
+      console.error("Erreur échéance réservation de groupe :", booking.id, e);
+    }
+  }
+
+  const changes = [];
+
+  for (const { groupBookingId, outcome } of outcomes) {
+    changes.push({
+      id: groupBookingId,
+      outcome,
+      before: beforeSnapshots.get(String(groupBookingId)) || null,
+      after: await readGroupBookingSnapshot(groupBookingId),
+    });
+  }
+
+  return {
+    totalProcessed: (data || []).length,
+    funded,
+    charged,
+    released,
+    outcomes,
+    changes,
+  };
+}
@@ -0,0 +1,295 @@
+// backend/services/jobSchedulerService.js
+
+import os from "os";
+import crypto from "crypto";
+
+import { supabase } from "../config/supabase.js";
+import { ENABLE_JOB_SCHEDULER, JOB_LOCK_TTL_MS } from "../config/env.js";
+
+/**
+ * Registre de tâches planifiées en mémoire.
+ *
+ * Chaque job est déclaré par registerJob({ name, intervalMs, handler, ... })
+ * et tourne sur un setInterval local. L'état est persisté dans la table
+ * `scheduled_jobs` :
+ * - name, last_started_at, last_finished_at, last_status, last_error,
+ *   last_result (jsonb), last_duration_ms, last_trigger, run_count
+ * - locked_by, locked_until : verrou partagé pour qu'une seule instance
+ *   exécute un job donné à la fois.
+ */
+
+export const JOB_RUN_STATUSES = {
+  RUNNING: "running",
+  SUCCESS: "success",
+  ERROR: "error",
+};
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto
+  .randomBytes(4)
+  .toString("hex")}`;
+
+const jobs = new Map();
+let schedulerStarted = false;
+
+function safeText(value, maxLen = 255) {
+  return String(value ?? "").trim().slice(0, maxLen);
+}
+
+function ensureSupabase() {
+  if (!supabase) {
+    throw new Error("Supabase non configuré");
+  }
+}
+
+export function registerJob({
+  name,
+  description = "",
+  intervalMs,
+  initialDelayMs = 30_000,
+  enabled = true,
+  handler,
+}) {
+  const safeName = safeText(name, 80);
+
+  if (!safeName || typeof handler !== "function") {
+    throw new Error("Job invalide : name et handler requis");
+  }
+
+  if (!Number.isFinite(intervalMs) || intervalMs <= 0) {
+    throw new Error(`Job ${safeName} : intervalMs invalide`);
+  }
+
+  jobs.set(safeName, {
+    name: safeName,
+    description,
+    intervalMs,
+    initialDelayMs,
+    enabled: !!enabled,
+    handler,
+  });
+}
+
+export function getRegisteredJob(name) {
+  return jobs.get(safeText(name, 80)) || null;
+}
+
+async function ensureJobRow(name) {
+  const { error } = await supabase
+    .from("scheduled_jobs")
+    .upsert(
+      { name, run_count: 0 },
+      { onConflict: "name", ignoreDuplicates: true }
+    );
+
+  if (error) throw error;
+}
+
+/**
+ * Prend le verrou si personne ne le détient (ou s'il a expiré).
+ * Retourne la ligne verrouillée, ou null si une autre instance l'a.
+ */
+async function acquireJobLock(name) {
+  await ensureJobRow(name);
+
+  const now = new Date();
+  const nowIso = now.toISOString();
+
+  const { data, error } = await supabase
+    .from("scheduled_jobs")
+    .update({
+      locked_by: INSTANCE_ID,
+      locked_until: new Date(now.getTime() + JOB_LOCK_TTL_MS).toISOString(),
+    })
+    .eq("name", name)
+    .or(`locked_until.is.null,locked_until.lt.${nowIso}`)
+    .select("*")
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return data || null;
+}
+
+async function releaseJobLock(name, patch) {
+  const { error } = await supabase
+    .from("scheduled_jobs")
+    .update({
+      ...patch,
+      locked_by: null,
+      locked_until: null,
+    })
+    .eq("name", name)
+    .eq("locked_by", INSTANCE_ID);
+
+  if (error) throw error;
+}
+
+function isJobDue(job, row) {
+  const lastStarted = row?.last_started_at
+    ? new Date(row.last_started_at).getTime()
+    : 0;
+
+  if (!lastStarted) return true;
+
+  // Marge de 10 % pour absorber la dérive des timers entre instances
+  return Date.now() - lastStarted >= job.intervalMs * 0.9;
+}
+
+function toStoredResult(result) {
+  if (result == null) return null;
+
+  try {
+    const serialized = JSON.stringify(result);
+    return serialized.length > 5000
+      ? { truncated: true, preview: serialized.slice(0, 5000) }
+      : JSON.parse(serialized);
+  } catch {
+    return { unserializable: true };
+  }
+}
+
+/**
+ * Exécute un job avec protection contre les chevauchements.
+ * trigger : "schedule" (timer local, ignoré si déjà exécuté récemment
+ * par une autre instance) ou "manual" (admin).
+ */
+export async function runJob(name, { trigger = "manual", actor = null } = {}) {
+  ensureSupabase();
+
+  const job = getRegisteredJob(name);
+  if (!job) {
+    return { ran: false, reason: "unknown_job" };
+  }
+
+  const lockedRow = await acquireJobLock(job.name);
+  if (!lockedRow) {
+    return { ran: false, reason: "locked" };
+  }
+
+  if (trigger === "schedule" && !isJobDue(job, lockedRow)) {
+    await releaseJobLock(job.name, {});
+    return { ran: false, reason: "not_due" };
+  }
+
+  const startedAt = new Date();
+
+  await supabase
+    .from("scheduled_jobs")
+    .update({
+      last_started_at: startedAt.toISOString(),
+      last_status: JOB_RUN_STATUSES.RUNNING,
+      last_trigger: safeText(actor ? `${trigger}:${actor}` : trigger, 200),
+    })
+    .eq("name", job.name)
+    .eq("locked_by", INSTANCE_ID);
+
+  let status = JOB_RUN_STATUSES.SUCCESS;
+  let result = null;
+  let errorMessage = null;
+
+  try {
+    result = await job.handler({ trigger, actor });
+  } catch (e) {
+    status = JOB_RUN_STATUSES.ERROR;
+    errorMessage = safeText(e?.message || e, 1000);
+    console.error(`❌ Erreur job ${job.name} :`, e);
+  }
+
+  const finishedAt = new Date();
+
+  await releaseJobLock(job.name, {
+    last_finished_at: finishedAt.toISOString(),
+    last_status: status,
+    last_error: errorMessage,
+    last_result: toStoredResult(result),
+    last_duration_ms: finishedAt.getTime() - startedAt.getTime(),
+    run_count: Number(lockedRow.run_count || 0) + 1,
+  });
+
+  return {
+    ran: true,
+    status,
+    error: errorMessage,
+    result,
+    durationMs: finishedAt.getTime() - startedAt.getTime(),
+  };
+}
+
+export async function listJobs() {
+  ensureSupabase();
+
+  const names = [...jobs.keys()];
+  let rows = [];
+
+  if (names.length > 0) {
+    const { data, error } = await supabase
+      .from("scheduled_jobs")
+      .select("*")
+      .in("name", names);
+
+    if (error) throw error;
+    rows = data || [];
+  }
+
+  const rowsByName = new Map(rows.map((row) => [row.name, row]));
+
+  return [...jobs.values()].map((job) => {
+    const row = rowsByName.get(job.name) || {};
+
+    return {
+      name: job.name,
+      description: job.description,
+      enabled: job.enabled && ENABLE_JOB_SCHEDULER,
+      intervalMs: job.intervalMs,
+      lastStartedAt: row.last_started_at || null,
+      lastFinishedAt: row.last_finished_at || null,
+      lastStatus: row.last_status || null,
+      lastError: row.last_error || null,
+      lastResult: row.last_result ?? null,
+      lastDurationMs: row.last_duration_ms ?? null,
+      lastTrigger: row.last_trigger || null,
+      runCount: Number(row.run_count || 0),
+      lockedBy: row.locked_by || null,
+      lockedUntil: row.locked_until || null,
+    };
+  });
+}
+
+export function startJobScheduler() {
+  if (schedulerStarted) return;
+  schedulerStarted = true;
+
+  if (!ENABLE_JOB_SCHEDULER) {
+    console.log("⏸️ Scheduler de jobs désactivé via ENABLE_JOB_SCHEDULER=false");
+    return;
+  }
+
+  if (!supabase) {
+    console.warn("⚠️ Scheduler de jobs non démarré : Supabase non configuré");
+    return;
+  }
+
+  for (const job of jobs.values()) {
+    if (!job.enabled) {
+      console.log(`⏸️ Job ${job.name} désactivé`);
+      continue;
+    }
+
+    const tick = async () => {
+      try {
+        await runJob(job.name, { trigger: "schedule" });
+      } catch (e) {
+        console.error(`❌ Erreur scheduler job ${job.name} :`, e);
+      }
+    };
+
+    setTimeout(() => {
+      tick();
+      setInterval(tick, job.intervalMs);
+    }, job.initialDelayMs);
+
+    console.log(
+      `🕒 Job ${job.name} planifié : interval=${job.intervalMs}ms, initialDelay=${job.initialDelayMs}ms`
+    );
+  }
+}
@@ -0,0 +1,668 @@
+// backend/services/missionService.js
+
+import { supabase } from "../config/supabase.js";
+import { MAX_ALLOWED_PERSONS } from "../constants/booking.js";
+import { REFERRAL_STATUSES } from "../constants/referral.js";
+import {
+  buildUtcDateFromParisLocal,
+  getParisDateParts,
+  getParisWeekday,
+} from "./pricingService.js";
+
+/**
+ * Missions configurables (hebdomadaires, mensuelles ou saisonnières).
+ *
+ * Table `weekly_missions` (nom historique) : une ligne par mission
+ * - code (unique), title, description, target_value, reward_singcoins,
+ *   reward_xp, is_active, sort_order
+ * - period : weekly | monthly | seasonal
+ * - rule_type : sessions | minutes_sung | referrals | reviews
+ * - rule_params (jsonb), pour rule_type = sessions :
+ *   { min_persons, weekdays_only, weekend_only, start_from, start_before }
+ *   (heures HH:MM de début de séance, heure de Paris)
+ * - starts_at / ends_at : fenêtre de campagne (null = sans limite)
+ * Une mission reviews compte les avis dont l'utilisateur est l'auteur
+ * (reviews.user_id, renseigné à la création de l'avis).
+ *
+ * Table `user_mission_progress` : une ligne par utilisateur, mission et
+ * période ; week_start contient la clé de période (premier jour, UTC).
+ *
+ * Les missions par défaut ne sont insérées que si leur code n'existe pas :
+ * une mission modifiée depuis l'admin n'est jamais écrasée.
+ */
+
+export const MISSION_PERIODS = {
+  WEEKLY: "weekly",
+  MONTHLY: "monthly",
+  SEASONAL: "seasonal",
+};
+
+export const MISSION_RULE_TYPES = {
+  SESSIONS: "sessions",
+  MINUTES_SUNG: "minutes_sung",
+  REFERRALS: "referrals",
+  REVIEWS: "reviews",
+};
+
+const MISSION_PERIOD_LABELS = {
+  [MISSION_PERIODS.WEEKLY]: "cette semaine",
+  [MISSION_PERIODS.MONTHLY]: "ce mois-ci",
+  [MISSION_PERIODS.SEASONAL]: "cette saison",
+};
+
+const COMPLETED_STATUS = "completed";
+
+// Premier mois de chaque saison (mois 1-12) : hiver commence en décembre
+const SEASON_START_MONTHS = [12, 3, 6, 9];
+
+const DEFAULT_MISSIONS = Object.freeze([
+  {
+    code: "book_once_week",
+    title: "Une session cette semaine",
+    description: "Faire au moins 1 session réalisée cette semaine",
+    period: MISSION_PERIODS.WEEKLY,
+    rule_type: MISSION_RULE_TYPES.SESSIONS,
+    rule_params: {},
+    target_value: 1,
+    reward_singcoins: 5,
+    reward_xp: 10,
+    is_active: true,
+    sort_order: 1,
+  },
+  {
+    code: "come_with_3_people",
+    title: "Venir en groupe",
+    description: "Faire une session avec 3 personnes ou plus cette semaine",
+    period: MISSION_PERIODS.WEEKLY,
+    rule_type: MISSION_RULE_TYPES.SESSIONS,
+    rule_params: { min_persons: 3 },
+    target_value: 1,
+    reward_singcoins: 5,
+    reward_xp: 10,
+    is_active: true,
+    sort_order: 2,
+  },
+  {
+    code: "weekday_booking",
+    title: "Créneau semaine",
+    description: "Faire une session hors week-end cette semaine",
+    period: MISSION_PERIODS.WEEKLY,
+    rule_type: MISSION_RULE_TYPES.SESSIONS,
+    rule_params: { weekdays_only: true },
+    target_value: 1,
+    reward_singcoins: 10,
+    reward_xp: 10,
+    is_active: true,
+    sort_order: 3,
+  },
+]);
+
+const DEFAULT_MISSION_BY_CODE = new Map(
+  DEFAULT_MISSIONS.map((mission) => [mission.code, mission])
+);
+
+function ensureSupabase() {
+  if (!supabase) {
+    throw new Error("Supabase non configuré");
+  }
+}
+
+function safeText(value, maxLen = 255) {
+  return String(value ?? "").trim().slice(0, maxLen);
+}
+
+function toPositiveInt(value, fallback) {
+  const n = Number.parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function toNonNegativeInt(value, fallback) {
+  const n = Number.parseInt(value, 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function parseClockToMinutes(value) {
+  const match = /^(\d{2}):(\d{2})$/.exec(String(value || ""));
+  if (!match) return null;
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+
+  return hours * 60 + minutes;
+}
+
+function parseIsoOrNull(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function toDateKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Minuit (heure de Paris) du jour donné ; les débordements (jour 0, mois 12)
+// sont normalisés comme avec Date.UTC. key : date du jour à Paris
+function parisMidnight(year, monthIndex, day) {
+  const key = toDateKey(new Date(Date.UTC(year, monthIndex, day)));
+  return { key, date: buildUtcDateFromParisLocal(key, 0) };
+}
+
+/* =========================================================
+   PÉRIODES
+========================================================= */
+
+/**
+ * Période en cours pour une mission : { key, start, end } (end exclu).
+ * Les bornes sont à minuit heure de Paris, comme le rattachement des
+ * séances ; les semaines commencent le lundi, comme le streak.
+ */
+export function getMissionPeriod(period, now = new Date()) {
+  const { year, month: humanMonth, day } = getParisDateParts(now);
+  const month = humanMonth - 1;
+
+  if (period === MISSION_PERIODS.MONTHLY) {
+    const start = parisMidnight(year, month, 1);
+    return { key: start.key, start: start.date, end: parisMidnight(year, month + 1, 1).date };
+  }
+
+  if (period === MISSION_PERIODS.SEASONAL) {
+    const humanMonth = month + 1;
+    const startMonth =
+      [...SEASON_START_MONTHS]
+        .sort((a, b) => b - a)
+        .find((candidate) => candidate <= humanMonth) ?? 12;
+    const startYear = startMonth > humanMonth ? year - 1 : year;
+    const start = parisMidnight(startYear, startMonth - 1, 1);
+
+    return {
+      key: start.key,
+      start: start.date,
+      end: parisMidnight(startYear, startMonth + 2, 1).date,
+    };
+  }
+
+  const weekday = getParisWeekday(now);
+  const monday = day + (weekday === 0 ? -6 : 1 - weekday);
+  const start = parisMidnight(year, month, monday);
+  return { key: start.key, start: start.date, end: parisMidnight(year, month, monday + 7).date };
+}
+
+/* =========================================================
+   DÉFINITIONS
+========================================================= */
+
+export function normalizeMission(row) {
+  if (!row) return null;
+
+  // Lignes antérieures aux règles : on retrouve la règle par le code
+  const fallback = DEFAULT_MISSION_BY_CODE.get(row.code) || null;
+
+  return {
+    ...row,
+    period: Object.values(MISSION_PERIODS).includes(row.period)
+      ? row.period
+      : MISSION_PERIODS.WEEKLY,
+    rule_type: row.rule_type || fallback?.rule_type || null,
+    rule_params: row.rule_params || fallback?.rule_params || {},
+    target_value: toPositiveInt(row.target_value, 1),
+    reward_singcoins: toNonNegativeInt(row.reward_singcoins, 0),
+    reward_xp: toNonNegativeInt(row.reward_xp, 0),
+    is_active: row.is_active !== false,
+    sort_order: Number(row.sort_order ?? 999),
+  };
+}
+
+export function isMissionRunning(mission, now = new Date()) {
+  if (!mission?.is_active || !mission.rule_type) return false;
+
+  const startsAt = parseIsoOrNull(mission.starts_at);
+  const endsAt = parseIsoOrNull(mission.ends_at);
+
+  if (startsAt && now < startsAt) return false;
+  if (endsAt && now >= endsAt) return false;
+  return true;
+}
+
+export function toPublicMission(mission) {
+  if (!mission) return null;
+
+  return {
+    code: mission.code,
+    title: mission.title,
+    description: mission.description || null,
+    period: mission.period,
+    period_label: MISSION_PERIOD_LABELS[mission.period] || null,
+    rule_type: mission.rule_type,
+    rule_params: mission.rule_params || {},
+    target_value: mission.target_value,
+    reward_singcoins: mission.reward_singcoins,
+    reward_xp: mission.reward_xp,
+    starts_at: mission.starts_at || null,
+    ends_at: mission.ends_at || null,
+    is_active: mission.is_active,
+    sort_order: mission.sort_order,
+  };
+}
+
+let defaultMissionsEnsured = false;
+
+export async function ensureDefaultMissions() {
+  if (!supabase || defaultMissionsEnsured) return;
+
+  const { error } = await supabase
+    .from("weekly_missions")
+    .upsert(DEFAULT_MISSIONS, { onConflict: "code", ignoreDuplicates: true });
+
+  if (error) throw error;
+  defaultMissionsEnsured = true;
+}
+
+export async function listMissions({ includeInactive = false } = {}) {
+  ensureSupabase();
+  await ensureDefaultMissions();
+
+  let query = supabase.from("weekly_missions").select("*").order("sort_order");
+  if (!includeInactive) query = query.eq("is_active", true);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  return (data || []).map(normalizeMission);
+}
+
+export async function loadRunningMissions(now = new Date()) {
+  const missions = await listMissions();
+  return missions.filter((mission) => isMissionRunning(mission, now));
+}
+
+async function getMissionRowByCode(code) {
+  const { data, error } = await supabase
+    .from("weekly_missions")
+    .select("*")
+    .eq("code", code)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+function readSessionRuleParams(raw = {}) {
+  const params = {};
+
+  if (raw.min_persons != null && raw.min_persons !== "") {
+    const minPersons = toPositiveInt(raw.min_persons, 0);
+    if (!minPersons || minPersons > MAX_ALLOWED_PERSONS) {
+      return { error: `Nombre de personnes invalide (1 à ${MAX_ALLOWED_PERSONS})` };
+    }
+    params.min_persons = minPersons;
+  }
+
+  if (raw.weekdays_only === true && raw.weekend_only === true) {
+    return { error: "weekdays_only et weekend_only sont incompatibles" };
+  }
+
+  if (raw.weekdays_only === true) params.weekdays_only = true;
+  if (raw.weekend_only === true) params.weekend_only = true;
+
+  for (const key of ["start_from", "start_before"]) {
+    const value = safeText(raw[key], 5);
+    if (!value) continue;
+
+    if (parseClockToMinutes(value) == null) {
+      return { error: "Plage horaire invalide (format HH:MM)" };
+    }
+    params[key] = value;
+  }
+
+  if (
+    params.start_from &&
+    params.start_before &&
+    parseClockToMinutes(params.start_before) <= parseClockToMinutes(params.start_from)
+  ) {
+    return { error: "start_before doit suivre start_from" };
+  }
+
+  return { value: params };
+}
+
+/**
+ * Valide le corps d'une requête admin. Retourne { value } ou { error }.
+ * requireCode : création (le code n'est pas modifiable ensuite).
+ */
+export function readMissionPayload(body = {}, { requireCode = false } = {}) {
+  const code = safeText(body.code, 80).toLowerCase();
+  const title = safeText(body.title, 160);
+  const description = safeText(body.description, 500) || null;
+  const period = safeText(body.period, 20) || MISSION_PERIODS.WEEKLY;
+  const ruleType = safeText(body.rule_type ?? body.ruleType, 40);
+  const rawParams = body.rule_params ?? body.ruleParams ?? {};
+  const targetValue = toPositiveInt(body.target_value ?? body.targetValue, 0);
+  const rewardSingcoins = toNonNegativeInt(
+    body.reward_singcoins ?? body.rewardSingcoins ?? 0,
+    -1
+  );
+  const rewardXp = toNonNegativeInt(body.reward_xp ?? body.rewardXp ?? 0, -1);
+  const sortOrder = Number.parseInt(body.sort_order ?? body.sortOrder ?? 999, 10);
+  const startsAtRaw = safeText(body.starts_at ?? body.startsAt, 40) || null;
+  const endsAtRaw = safeText(body.ends_at ?? body.endsAt, 40) || null;
+
+  if (requireCode && !/^[a-z0-9_]{3,80}$/.test(code)) {
+    return { error: "Code invalide (a-z, 0-9, _)" };
+  }
+
+  if (!title) return { error: "Titre requis" };
+
+  if (!Object.values(MISSION_PERIODS).includes(period)) {
+    return { error: "Période invalide (weekly, monthly, seasonal)" };
+  }
+
+  if (!Object.values(MISSION_RULE_TYPES).includes(ruleType)) {
+    return {
+      error: `Type de règle invalide (${Object.values(MISSION_RULE_TYPES).join(", ")})`,
+    };
+  }
+
+  if (!rawParams || typeof rawParams !== "object" || Array.isArray(rawParams)) {
+    return { error: "rule_params invalide" };
+  }
+
+  let ruleParams = {};
+  if (ruleType === MISSION_RULE_TYPES.SESSIONS) {
+    const { value, error } = readSessionRuleParams(rawParams);
+    if (error) return { error };
+    ruleParams = value;
+  }
+
+  if (!targetValue || targetValue > 100000) {
+    return { error: "Objectif invalide" };
+  }
+
+  if (rewardSingcoins < 0 || rewardSingcoins > 1000 || rewardXp < 0 || rewardXp > 10000) {
+    return { error: "Récompense invalide" };
+  }
+
+  if (!Number.isFinite(sortOrder)) {
+    return { error: "Ordre d'affichage invalide" };
+  }
+
+  const startsAt = startsAtRaw ? parseIsoOrNull(startsAtRaw) : null;
+  const endsAt = endsAtRaw ? parseIsoOrNull(endsAtRaw) : null;
+
+  if ((startsAtRaw && !startsAt) || (endsAtRaw && !endsAt)) {
+    return { error: "Dates de campagne invalides" };
+  }
+
+  if (startsAt && endsAt && endsAt <= startsAt) {
+    return { error: "La fin de campagne doit suivre le début" };
+  }
+
+  const value = {
+    title,
+    description,
+    period,
+    rule_type: ruleType,
+    rule_params: ruleParams,
+    target_value: targetValue,
+    reward_singcoins: rewardSingcoins,
+    reward_xp: rewardXp,
+    sort_order: sortOrder,
+    starts_at: startsAt ? startsAt.toISOString() : null,
+    ends_at: endsAt ? endsAt.toISOString() : null,
+  };
+
+  if (requireCode) value.code = code;
+
+  return { value };
+}
+
+export async function createMission({ mission }) {
+  ensureSupabase();
+  await ensureDefaultMissions();
+
+  if (await getMissionRowByCode(mission.code)) {
+    return { ok: false, status: 409, error: "Ce code de mission existe déjà" };
+  }
+
+  const { data, error } = await supabase
+    .from("weekly_missions")
+    .insert({ ...mission, is_active: true })
+    .select("*")
+    .single();
+
+  if (error) throw error;
+
+  return { ok: true, mission: normalizeMission(data) };
+}
+
+const MISSION_PAYLOAD_ALIASES = {
+  ruleType: "rule_type",
+  ruleParams: "rule_params",
+  targetValue: "target_value",
+  rewardSingcoins: "reward_singcoins",
+  rewardXp: "reward_xp",
+  sortOrder: "sort_order",
+  startsAt: "starts_at",
+  endsAt: "ends_at",
+};
+
+/**
+ * Modification partielle : un champ absent garde sa valeur actuelle (null
+ * efface les champs facultatifs).
+ */
+function mergeMissionBody(existing, body = {}) {
+  const merged = {
+    title: existing.title,
+    description: existing.description,
+    period: existing.period,
+    rule_type: existing.rule_type,
+    rule_params: existing.rule_params,
+    target_value: existing.target_value,
+    reward_singcoins: existing.reward_singcoins,
+    reward_xp: existing.reward_xp,
+    sort_order: existing.sort_order,
+    starts_at: existing.starts_at,
+    ends_at: existing.ends_at,
+  };
+
+  for (const [key, value] of Object.entries(body || {})) {
+    if (value === undefined || key === "code") continue;
+    merged[MISSION_PAYLOAD_ALIASES[key] || key] = value;
+  }
+
+  return merged;
+}
+
+export async function updateMission(code, { body }) {
+  ensureSupabase();
+
+  const existing = await getMissionRowByCode(code);
+  if (!existing) return { ok: false, status: 404, error: "Mission introuvable" };
+
+  const { value: mission, error: payloadError } = readMissionPayload(
+    mergeMissionBody(normalizeMission(existing), body)
+  );
+
+  if (payloadError) return { ok: false, status: 400, error: payloadError };
+
+  const { data, error } = await supabase
+    .from("weekly_missions")
+    .update(mission)
+    .eq("code", code)
+    .select("*")
+    .single();
+
+  if (error) throw error;
+
+  return {
+    ok: true,
+    previous: normalizeMission(existing),
+    mission: normalizeMission(data),
+  };
+}
+
+export async function setMissionActive(code, isActive) {
+  ensureSupabase();
+
+  const existing = await getMissionRowByCode(code);
+  if (!existing) return { ok: false, status: 404, error: "Mission introuvable" };
+
+  const { data, error } = await supabase
+    .from("weekly_missions")
+    .update({ is_active: !!isActive })
+    .eq("code", code)
+    .select("*")
+    .single();
+
+  if (error) throw error;
+
+  return {
+    ok: true,
+    previous: normalizeMission(existing),
+    mission: normalizeMission(data),
+  };
+}
+
+/* =========================================================
+   PROGRESSION
+========================================================= */
+
+function isInPeriod(value, period) {
+  const date = parseIsoOrNull(value);
+  return !!date && date >= period.start && date < period.end;
+}
+
+function getSessionMinutes(row) {
+  const stored = Number(row.session_minutes);
+  if (Number.isFinite(stored) && stored > 0) return stored;
+
+  const start = parseIsoOrNull(row.start_time);
+  const end = parseIsoOrNull(row.end_time);
+  return start && end ? Math.max(0, Math.round((end - start) / 60000)) : 0;
+}
+
+function matchesSessionRule(row, params = {}) {
+  if (params.min_persons && Number(row.persons || 0) < params.min_persons) {
+    return false;
+  }
+
+  const start = parseIsoOrNull(row.start_time);
+
+  if (params.weekdays_only || params.weekend_only) {
+    const weekday = start ? getParisWeekday(start) : null;
+    const isWeekend =
+      weekday != null ? weekday === 0 || weekday === 6 : !!row.is_weekend;
+
+    if (params.weekdays_only && isWeekend) return false;
+    if (params.weekend_only && !isWeekend) return false;
+  }
+
+  if (params.start_from || params.start_before) {
+    if (!start) return false;
+
+    const { hour, minute } = getParisDateParts(start);
+    const startMinutes = hour * 60 + minute;
+
+    if (params.start_from && startMinutes < parseClockToMinutes(params.start_from)) {
+      return false;
+    }
+    if (params.start_before && startMinutes >= parseClockToMinutes(params.start_before)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Charge en une fois l'activité utile aux missions données, à partir du
+ * début de la plus ancienne période en cours. reservations : lignes déjà
+ * chargées par l'appelant (réservations du client et participations).
+ */
+export async function loadMissionActivity(
+  userId,
+  missions = [],
+  { now = new Date(), reservations = null } = {}
+) {
+  ensureSupabase();
+
+  const ruleTypes = new Set(missions.map((mission) => mission.rule_type));
+  const fromIso = missions
+    .map((mission) => getMissionPeriod(mission.period, now).start)
+    .reduce((min, date) => (date < min ? date : min), now)
+    .toISOString();
+
+  const needsReservations =
+    ruleTypes.has(MISSION_RULE_TYPES.SESSIONS) ||
+    ruleTypes.has(MISSION_RULE_TYPES.MINUTES_SUNG);
+
+  const activity = { reservations: [], referrals: [], reviews: [] };
+
+  if (reservations) {
+    activity.reservations = reservations;
+  } else if (needsReservations) {
+    const { data, error } = await supabase
+      .from("reservations")
+      .select("id, status, start_time, end_time, completed_at, persons, is_weekend, session_minutes")
+      .eq("user_id", userId);
+
+    if (error) throw error;
+    activity.reservations = data || [];
+  }
+
+  if (ruleTypes.has(MISSION_RULE_TYPES.REFERRALS)) {
+    const { data, error } = await supabase
+      .from("referrals")
+      .select("id, validated_at")
+      .eq("referrer_user_id", userId)
+      .eq("status", REFERRAL_STATUSES.VALIDATED)
+      .gte("validated_at", fromIso);
+
+    if (error) throw error;
+    activity.referrals = data || [];
+  }
+
+  // Avis écrits par l'utilisateur (pas ceux du réservant d'une séance rejointe)
+  if (ruleTypes.has(MISSION_RULE_TYPES.REVIEWS)) {
+    const { data, error } = await supabase
+      .from("reviews")
+      .select("id, reservation_id, created_at")
+      .eq("user_id", userId)
+      .gte("created_at", fromIso);
+
+    if (error) throw error;
+    activity.reviews = data || [];
+  }
+
+  return activity;
+}
+
+export function computeMissionProgress(mission, activity, period) {
+  const completed = (activity?.reservations || []).filter(
+    (row) =>
+      String(row.status || "").trim().toLowerCase() === COMPLETED_STATUS &&
+      isInPeriod(row.completed_at || row.start_time, period)
+  );
+
+  if (mission.rule_type === MISSION_RULE_TYPES.SESSIONS) {
+    return completed.filter((row) => matchesSessionRule(row, mission.rule_params)).length;
+  }
+
+  if (mission.rule_type === MISSION_RULE_TYPES.MINUTES_SUNG) {
+    return completed.reduce((sum, row) => sum + getSessionMinutes(row), 0);
+  }
+
+  if (mission.rule_type === MISSION_RULE_TYPES.REFERRALS) {
+    return (activity?.referrals || []).filter((row) =>
+      isInPeriod(row.validated_at, period)
+    ).length;
+  }
+
+  if (mission.rule_type === MISSION_RULE_TYPES.REVIEWS) {
+    return (activity?.reviews || []).filter((row) => isInPeriod(row.created_at, period))
+      .length;
+  }
+
+  return 0;
+}
@@ -0,0 +1,392 @@
+// backend/services/notificationService.js
+
+import { supabase } from "../config/supabase.js";
+import {
+  NOTIFICATION_MAX_ATTEMPTS,
+  SESSION_REMINDER_OFFSETS_HOURS,
+} from "../config/env.js";
+import {
+  getReservationById,
+  isReservationStatusConfirmed,
+} from "./reservationService.js";
+import { sendGiftCardEmail, sendSessionReminderEmail } from "./emailService.js";
+import {
+  GIFT_CARD_STATUSES,
+  getGiftCardById,
+  markGiftCardSent,
+} from "./giftCardService.js";
+
+/**
+ * File de notifications persistée.
+ *
+ * Table `notification_queue` :
+ * - id, type, channel (email | sms), recipient, reservation_id
+ * - dedup_key (unique) : une même notification n'est jamais mise en file deux fois
+ * - payload (jsonb), scheduled_at, next_attempt_at
+ * - status : pending | sending | sent | failed | cancelled
+ * - attempts, last_error, sent_at, created_at, updated_at
+ *
+ * Le canal "sms" est prévu dans le modèle mais aucun fournisseur n'est
+ * branché : ces entrées sont annulées avec la raison "channel_not_configured".
+ */
+
+export const NOTIFICATION_TYPES = {
+  SESSION_REMINDER: "session_reminder",
+  GIFT_CARD_DELIVERY: "gift_card_delivery",
+};
+
+export const NOTIFICATION_CHANNELS = {
+  EMAIL: "email",
+  SMS: "sms",
+};
+
+export const NOTIFICATION_STATUSES = {
+  PENDING: "pending",
+  SENDING: "sending",
+  SENT: "sent",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
+const RETRY_BASE_DELAY_MS = 5 * 60 * 1000;
+const SENDING_STALE_AFTER_MS = 15 * 60 * 1000;
+
+// Raisons d'échec définitives : inutile de réessayer
+const NON_RETRYABLE_REASONS = new Set([
+  "mail_disabled",
+  "missing_email",
+  "channel_not_configured",
+]);
+
+function ensureSupabase() {
+  if (!supabase) {
+    throw new Error("Supabase non configuré");
+  }
+}
+
+function safeText(value, maxLen = 255) {
+  return String(value ?? "").trim().slice(0, maxLen);
+}
+
+function computeRetryAt(attempts) {
+  const delay = RETRY_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1);
+  return new Date(Date.now() + delay).toISOString();
+}
+
+export function buildSessionReminderDedupKey(reservationId, hoursBefore) {
+  return `${NOTIFICATION_TYPES.SESSION_REMINDER}:${reservationId}:${hoursBefore}h`;
+}
+
+/**
+ * Ajoute une notification si la clé de déduplication n'existe pas encore.
+ * Retourne la ligne créée, ou null si elle existait déjà.
+ */
+export async function enqueueNotification({
+  type,
+  channel = NOTIFICATION_CHANNELS.EMAIL,
+  recipient,
+  reservationId = null,
+  dedupKey,
+  payload = {},
+  scheduledAt = new Date().toISOString(),
+}) {
+  ensureSupabase();
+
+  if (!type || !dedupKey) {
+    throw new Error("type et dedupKey requis");
+  }
+
+  const nowIso = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from("notification_queue")
+    .upsert(
+      {
+        type,
+        channel,
+        recipient: safeText(recipient, 255) || null,
+        reservation_id: reservationId,
+        dedup_key: safeText(dedupKey, 255),
+        payload,
+        scheduled_at: scheduledAt,
+        next_attempt_at: scheduledAt,
+        status: NOTIFICATION_STATUSES.PENDING,
+        attempts: 0,
+        created_at: nowIso,
+        updated_at: nowIso,
+      },
+      { onConflict: "dedup_key", ignoreDuplicates: true }
+    )
+    .select("*");
+
+  if (error) throw error;
+
+  return (data || [])[0] || null;
+}
+
+/**
+ * Met en file les rappels des réservations confirmées dont l'heure de
+ * rappel (start_time - offset) est atteinte. Un rappel n'est pas créé si
+ * la réservation a été faite après cette heure (ex. réservation de
+ * dernière minute : pas de rappel "24h avant"). changes contient les
+ * lignes créées (avant : aucune) pour l'audit.
+ */
+export async function enqueueDueSessionReminders({ limit = 200 } = {}) {
+  ensureSupabase();
+
+  const now = new Date();
+  const stats = { scanned: 0, enqueued: 0, changes: [] };
+
+  for (const hoursBefore of SESSION_REMINDER_OFFSETS_HOURS) {
+    const windowEnd = new Date(now.getTime() + hoursBefore * 60 * 60 * 1000);
+
+    const { data, error } = await supabase
+      .from("reservations")
+      .select("id, email, status, start_time, created_at")
+      .gt("start_time", now.toISOString())
+      .lte("start_time", windowEnd.toISOString())
+      .order("start_time", { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+
+    for (const reservation of data || []) {
+      stats.scanned += 1;
+
+      if (!isReservationStatusConfirmed(reservation.status)) continue;
+      if (!reservation.email) continue;
+
+      const remindAt = new Date(
+        new Date(reservation.start_time).getTime() -
+          hoursBefore * 60 * 60 * 1000
+      );
+      const createdAt = reservation.created_at
+        ? new Date(reservation.created_at)
+        : null;
+
+      if (createdAt && createdAt.getTime() > remindAt.getTime()) continue;
+
+      const created = await enqueueNotification({
+        type: NOTIFICATION_TYPES.SESSION_REMINDER,
+        channel: NOTIFICATION_CHANNELS.EMAIL,
+        recipient: reservation.email,
+        reservationId: reservation.id,
+        dedupKey: buildSessionReminderDedupKey(reservation.id, hoursBefore),
+        payload: { hoursBefore },
+        scheduledAt: remindAt.toISOString(),
+      });
+
+      if (created) {
+        stats.enqueued += 1;
+        stats.changes.push({ id: created.id, before: null, after: created });
+      }
+    }
+  }
+
+  return stats;
+}
+
+async function deliverSessionReminder(notification) {
+  const reservation = await getReservationById(notification.reservation_id);
+
+  if (!reservation) {
+    return { cancelled: true, reason: "reservation_not_found" };
+  }
+
+  if (!isReservationStatusConfirmed(reservation.status)) {
+    return { cancelled: true, reason: "reservation_not_confirmed" };
+  }
+
+  if (new Date(reservation.start_time).getTime() <= Date.now()) {
+    return { cancelled: true, reason: "session_started" };
+  }
+
+  if (notification.channel !== NOTIFICATION_CHANNELS.EMAIL) {
+    return { cancelled: true, reason: "channel_not_configured" };
+  }
+
+  return sendSessionReminderEmail(reservation, {
+    hoursBefore: Number(notification.payload?.hoursBefore || 0),
+  });
+}
+
+async function deliverGiftCard(notification) {
+  const giftCard = await getGiftCardById(notification.payload?.giftCardId);
+
+  if (!giftCard) {
+    return { cancelled: true, reason: "gift_card_not_found" };
+  }
+
+  if (giftCard.status === GIFT_CARD_STATUSES.PENDING_PAYMENT) {
+    return { cancelled: true, reason: "gift_card_not_paid" };
+  }
+
+  if (giftCard.status === GIFT_CARD_STATUSES.CANCELLED) {
+    return { cancelled: true, reason: "gift_card_cancelled" };
+  }
+
+  if (notification.channel !== NOTIFICATION_CHANNELS.EMAIL) {
+    return { cancelled: true, reason: "channel_not_configured" };
+  }
+
+  const result = await sendGiftCardEmail({
+    email: giftCard.recipient_email,
+    recipientName: giftCard.recipient_name,
+    purchaserName: giftCard.purchaser_name,
+    message: giftCard.message,
+    code: giftCard.code,
+    amount: giftCard.initial_amount,
+    expiresAt: giftCard.expires_at,
+  });
+
+  if (result?.sent) {
+    await markGiftCardSent(giftCard.id);
+  }
+
+  return result;
+}
+
+const DELIVERY_HANDLERS = {
+  [NOTIFICATION_TYPES.SESSION_REMINDER]: deliverSessionReminder,
+  [NOTIFICATION_TYPES.GIFT_CARD_DELIVERY]: deliverGiftCard,
+};
+
+async function claimNotification(notification) {
+  const { data, error } = await supabase
+    .from("notification_queue")
+    .update({
+      status: NOTIFICATION_STATUSES.SENDING,
+      attempts: Number(notification.attempts || 0) + 1,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", notification.id)
+    .eq("status", notification.status)
+    .eq("attempts", Number(notification.attempts || 0))
+    .select("*")
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+async function updateNotification(id, patch) {
+  const { data, error } = await supabase
+    .from("notification_queue")
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq("id", id)
+    .select("*")
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+/**
+ * Traite les notifications dues. Chaque ligne est réservée par une mise à
+ * jour conditionnelle (status + attempts) pour qu'une seule instance l'envoie.
+ * Les échecs temporaires sont reprogrammés avec un délai exponentiel.
+ * changes contient l'état avant / après de chaque notification traitée.
+ */
+export async function processNotificationQueue({ limit = 50 } = {}) {
+  ensureSupabase();
+
+  const nowIso = new Date().toISOString();
+  const staleIso = new Date(Date.now() - SENDING_STALE_AFTER_MS).toISOString();
+  const stats = {
+    processed: 0,
+    sent: 0,
+    retried: 0,
+    failed: 0,
+    cancelled: 0,
+    changes: [],
+  };
+  const recordChange = (before, after) => {
+    stats.changes.push({ id: before.id, before, after });
+  };
+
+  const { data, error } = await supabase
+    .from("notification_queue")
+    .select("*")
+    .or(
+      `and(status.eq.${NOTIFICATION_STATUSES.PENDING},next_attempt_at.lte.${nowIso}),and(status.eq.${NOTIFICATION_STATUSES.SENDING},updated_at.lt.${staleIso})`
+    )
+    .order("next_attempt_at", { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+
+  for (const row of data || []) {
+    const notification = await claimNotification(row);
+    if (!notification) continue;
+
+    stats.processed += 1;
+
+    const handler = DELIVERY_HANDLERS[notification.type];
+    let outcome;
+
+    try {
+      outcome = handler
+        ? await handler(notification)
+        : { cancelled: true, reason: "unknown_type" };
+    } catch (e) {
+      outcome = { sent: false, reason: "error", error: e?.message || String(e) };
+    }
+
+    if (outcome?.sent) {
+      recordChange(
+        row,
+        await updateNotification(notification.id, {
+          status: NOTIFICATION_STATUSES.SENT,
+          sent_at: new Date().toISOString(),
+          last_error: null,
+        })
+      );
+      stats.sent += 1;
+      continue;
+    }
+
+    if (outcome?.cancelled) {
+      recordChange(
+        row,
+        await updateNotification(notification.id, {
+          status: NOTIFICATION_STATUSES.CANCELLED,
+          last_error: safeText(outcome.reason, 500),
+        })
+      );
+      stats.cancelled += 1;
+      continue;
+    }
+
+    const reason = safeText(outcome?.reason || "unknown_error", 80);
+    const lastError = safeText(
+      outcome?.error ? `${reason}: ${outcome.error}` : reason,
+      500
+    );
+    const canRetry =
+      !NON_RETRYABLE_REASONS.has(reason) &&
+      notification.attempts < NOTIFICATION_MAX_ATTEMPTS;
+
+    if (canRetry) {
+      recordChange(
+        row,
+        await updateNotification(notification.id, {
+          status: NOTIFICATION_STATUSES.PENDING,
+          next_attempt_at: computeRetryAt(notification.attempts),
+          last_error: lastError,
+        })
+      );
+      stats.retried += 1;
+    } else {
+      recordChange(
+        row,
+        await updateNotification(notification.id, {
+          status: NOTIFICATION_STATUSES.FAILED,
+          last_error: lastError,
+        })
+      );
+      stats.failed += 1;
+    }
+  }
+
+  return stats;
+}
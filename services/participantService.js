@@ -0,0 +1,353 @@
+// backend/services/participantService.js
+
+import { supabase } from "../config/supabase.js";
+import { parseDateOrNull } from "../utils/dates.js";
+import { isReservationStatusConfirmed } from "./reservationService.js";
+import { getUserByEmail } from "./userService.js";
+import { getUserByReferralCode } from "./referralService.js";
+import { sendParticipantInvitationEmail } from "./emailService.js";
+
+/**
+ * Participants invités sur une réservation (en plus du réservant).
+ *
+ * Table `reservation_participants` :
+ * - id, reservation_id, email (vide si ajouté par code de parrainage : l'email
+ *   du compte n'est ni stocké ni exposé), name, user_id
+ * - added_via : email | referral_code
+ * - status : invited | removed
+ * - invitation_sent_at, checked_in_at, removed_at, created_at, updated_at
+ *
+ * Chaque participant reçoit son propre QR (jeton signé avec pid). Ceux qui
+ * ont un compte (user_id, ou email retrouvé à la fin de séance) sont
+ * crédités par processReservationGamification.
+ */
+
+export const PARTICIPANT_STATUSES = {
+  INVITED: "invited",
+  REMOVED: "removed",
+};
+
+export const PARTICIPANT_SOURCES = {
+  EMAIL: "email",
+  REFERRAL_CODE: "referral_code",
+};
+
+function ensureSupabase() {
+  if (!supabase) {
+    throw new Error("Supabase non configuré");
+  }
+}
+
+function safeText(value, maxLen = 255) {
+  return String(value ?? "").trim().slice(0, maxLen);
+}
+
+function normalizeEmail(email) {
+  return safeText(email, 255).toLowerCase();
+}
+
+function isValidEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+export function toPublicParticipant(participant) {
+  if (!participant) return null;
+
+  return {
+    id: participant.id,
+    reservation_id: participant.reservation_id,
+    // Code de parrainage : l'email du compte reste privé
+    email:
+      participant.added_via === PARTICIPANT_SOURCES.REFERRAL_CODE
+        ? null
+        : participant.email || null,
+    name: participant.name || null,
+    has_account: !!participant.user_id,
+    added_via: participant.added_via,
+    status: participant.status,
+    invitation_sent_at: participant.invitation_sent_at || null,
+    checked_in_at: participant.checked_in_at || null,
+    created_at: participant.created_at || null,
+  };
+}
+
+export async function listReservationParticipants(
+  reservationId,
+  { includeRemoved = false } = {}
+) {
+  ensureSupabase();
+
+  let query = supabase
+    .from("reservation_participants")
+    .select("*")
+    .eq("reservation_id", reservationId)
+    .order("created_at", { ascending: true });
+
+  if (!includeRemoved) {
+    query = query.neq("status", PARTICIPANT_STATUSES.REMOVED);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  return data || [];
+}
+
+export async function getReservationParticipantById(participantId) {
+  ensureSupabase();
+
+  const { data, error } = await supabase
+    .from("reservation_participants")
+    .select("*")
+    .eq("id", participantId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+function getEditableReservationError(reservation) {
+  if (!reservation) return "Réservation introuvable";
+
+  if (!isReservationStatusConfirmed(reservation.status)) {
+    return "Les participants ne peuvent être gérés que sur une réservation confirmée";
+  }
+
+  const end = parseDateOrNull(reservation.end_time);
+  if (!end || end.getTime() <= Date.now()) {
+    return "La séance est terminée";
+  }
+
+  return null;
+}
+
+// Participant ajouté par code de parrainage : l'email est relu sur le compte
+async function resolveParticipantEmail(participant) {
+  if (participant.email) return participant.email;
+  if (!participant.user_id) return null;
+
+  const { data: user, error } = await supabase
+    .from("users")
+    .select("email")
+    .eq("id", participant.user_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return normalizeEmail(user?.email) || null;
+}
+
+async function sendInvitationSafe(reservation, participant) {
+  try {
+    const toEmail = await resolveParticipantEmail(participant);
+    if (!toEmail) return participant;
+
+    const result = await sendParticipantInvitationEmail({
+      reservation,
+      participant: { ...participant, email: toEmail },
+      bookerName: reservation.name,
+    });
+
+    if (!result?.sent) return participant;
+
+    const { data, error } = await supabase
+      .from("reservation_participants")
+      .update({
+        invitation_sent_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", participant.id)
+      .select("*")
+      .maybeSingle();
+
+    if (error) throw error;
+    return data || participant;
+  } catch (e) {
+    console.error("Erreur invitation participant :", e);
+    return participant;
+  }
+}
+
+/**
+ * Ajoute un participant par email ou par code de parrainage (le compte
+ * correspondant fournit alors l'email). Le nombre de participants est
+ * limité à persons - 1 (le réservant compte pour une place).
+ *
+ * Retourne { ok: true, participant } ou { ok: false, status, error }.
+ */
+export async function addReservationParticipant({
+  reservation,
+  email = "",
+  referralCode = "",
+  name = "",
+}) {
+  ensureSupabase();
+
+  const editableError = getEditableReservationError(reservation);
+  if (editableError) {
+    return { ok: false, status: 409, error: editableError };
+  }
+
+  let participantEmail = normalizeEmail(email);
+  // Email du compte (code de parrainage) : sert aux contrôles, jamais stocké
+  let accountEmail = null;
+  let userId = null;
+  let addedVia = PARTICIPANT_SOURCES.EMAIL;
+
+  if (!participantEmail && safeText(referralCode, 40)) {
+    const referredUser = await getUserByReferralCode(referralCode);
+
+    if (!referredUser?.email) {
+      return { ok: false, status: 404, error: "Code de parrainage inconnu" };
+    }
+
+    accountEmail = normalizeEmail(referredUser.email);
+    userId = referredUser.id;
+    addedVia = PARTICIPANT_SOURCES.REFERRAL_CODE;
+  } else if (!isValidEmail(participantEmail)) {
+    return { ok: false, status: 400, error: "Email ou code de parrainage requis" };
+  }
+
+  if (
+    (participantEmail || accountEmail) === normalizeEmail(reservation.email) ||
+    (userId && String(userId) === String(reservation.user_id || ""))
+  ) {
+    return { ok: false, status: 400, error: "Le réservant fait déjà partie de la séance" };
+  }
+
+  const existing = await listReservationParticipants(reservation.id, {
+    includeRemoved: true,
+  });
+
+  const isSameParticipant = (participant) =>
+    (participantEmail && participant.email === participantEmail) ||
+    (userId && String(participant.user_id || "") === String(userId));
+
+  const active = existing.filter(
+    (participant) => participant.status !== PARTICIPANT_STATUSES.REMOVED
+  );
+
+  if (active.some(isSameParticipant)) {
+    return { ok: false, status: 409, error: "Ce participant est déjà invité" };
+  }
+
+  const maxParticipants = Math.max(Number(reservation.persons || 1) - 1, 0);
+  if (active.length >= maxParticipants) {
+    return {
+      ok: false,
+      status: 409,
+      error: `Cette réservation est prévue pour ${reservation.persons} personne(s) : modifiez le nombre de personnes pour inviter quelqu'un de plus.`,
+    };
+  }
+
+  if (!userId) {
+    const user = await getUserByEmail(participantEmail);
+    userId = user?.id || null;
+  }
+
+  const nowIso = new Date().toISOString();
+  const previous = existing.find(isSameParticipant);
+
+  const payload = {
+    email: participantEmail || null,
+    name: safeText(name, 160) || previous?.name || null,
+    user_id: userId,
+    added_via: addedVia,
+    status: PARTICIPANT_STATUSES.INVITED,
+    removed_at: null,
+    updated_at: nowIso,
+  };
+
+  const query = previous
+    ? supabase
+        .from("reservation_participants")
+        .update(payload)
+        .eq("id", previous.id)
+    : supabase.from("reservation_participants").insert({
+        ...payload,
+        reservation_id: reservation.id,
+        created_at: nowIso,
+      });
+
+  const { data, error } = await query.select("*").single();
+  if (error) throw error;
+
+  const participant = await sendInvitationSafe(reservation, data);
+
+  return { ok: true, participant };
+}
+
+export async function removeReservationParticipant({ reservation, participantId }) {
+  ensureSupabase();
+
+  const nowIso = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from("reservation_participants")
+    .update({
+      status: PARTICIPANT_STATUSES.REMOVED,
+      removed_at: nowIso,
+      updated_at: nowIso,
+    })
+    .eq("id", participantId)
+    .eq("reservation_id", reservation.id)
+    .neq("status", PARTICIPANT_STATUSES.REMOVED)
+    .select("*")
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+export async function resendParticipantInvitation({ reservation, participantId }) {
+  const editableError = getEditableReservationError(reservation);
+  if (editableError) {
+    return { ok: false, status: 409, error: editableError };
+  }
+
+  const participant = await getReservationParticipantById(participantId);
+
+  if (
+    !participant ||
+    String(participant.reservation_id) !== String(reservation.id) ||
+    participant.status === PARTICIPANT_STATUSES.REMOVED
+  ) {
+    return { ok: false, status: 404, error: "Participant introuvable" };
+  }
+
+  return { ok: true, participant: await sendInvitationSafe(reservation, participant) };
+}
+
+/**
+ * Après une modification (nouvelle version de QR), renvoie un QR à jour à
+ * chaque participant.
+ */
+export async function resendAllParticipantInvitations(reservation) {
+  const participants = await listReservationParticipants(reservation.id);
+
+  for (const participant of participants) {
+    await sendInvitationSafe(reservation, participant);
+  }
+
+  return participants.length;
+}
+
+/**
+ * Premier passage du participant à la porte. Ne bloque jamais l'accès.
+ */
+export async function markParticipantCheckedIn(participantId) {
+  try {
+    if (!supabase || !participantId) return;
+
+    const { error } = await supabase
+      .from("reservation_participants")
+      .update({ checked_in_at: new Date().toISOString() })
+      .eq("id", participantId)
+      .is("checked_in_at", null);
+
+    if (error) {
+      console.error("Erreur check-in participant :", error);
+    }
+  } catch (e) {
+    console.error("Erreur markParticipantCheckedIn :", e);
+  }
+}
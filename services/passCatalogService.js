@@ -0,0 +1,585 @@
+// backend/services/passCatalogService.js
+
+import { supabase } from "../config/supabase.js";
+import { MAX_ALLOWED_PERSONS } from "../constants/booking.js";
+import { parseDateOrNull } from "../utils/dates.js";
+import { getParisDateParts, getParisWeekday } from "./pricingService.js";
+
+/**
+ * Catalogue des pass, versionné.
+ *
+ * Table `pass_products` : un produit par type de pass
+ * - id, type (unique), is_active, sort_order, current_version_id,
+ *   created_at, updated_at
+ *
+ * Table `pass_product_versions` : jamais modifiée, une ligne par changement
+ * - id, pass_product_id, version, label, description, price, currency, places,
+ *   validity_months, eligible_weekdays (int[], 0 = dimanche, heure de Paris),
+ *   hour_windows (jsonb) : [{ "start": "00:00", "end": "15:00" }] sur l'heure
+ *   de début de séance, max_persons_per_session (null = pas de limite),
+ *   created_by, created_at
+ *
+ * Chaque pass vendu garde pass_product_version_id : ses règles ne changent
+ * pas quand le catalogue évolue.
+ */
+
+const ALL_WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+const MINUTES_PER_DAY = 24 * 60;
+
+// Catalogue historique : complète `pass_products` pour chaque type absent de
+// la table (une ligne du même type le remplace, y compris pour le retirer
+// de la vente) et sert aux pass vendus sans pass_product_version_id.
+const DEFAULT_PASS_PRODUCTS = Object.freeze([
+  {
+    type: "before_15",
+    label: "Carte 10 places avant 15h",
+    description: "Valable avant 15h.",
+    price: 69,
+    currency: "EUR",
+    places: 10,
+    validity_months: 3,
+    eligible_weekdays: ALL_WEEKDAYS,
+    hour_windows: [{ start: "00:00", end: "15:00" }],
+    max_persons_per_session: null,
+  },
+  {
+    type: "after_15_weekday",
+    label: "Carte 10 places après 15h",
+    description:
+      "Valable après 15h du lundi au jeudi, hors vendredi soir et hors week-end.",
+    price: 89,
+    currency: "EUR",
+    places: 10,
+    validity_months: 3,
+    eligible_weekdays: [1, 2, 3, 4],
+    hour_windows: [{ start: "15:00", end: "24:00" }],
+    max_persons_per_session: null,
+  },
+]);
+
+const WEEKDAY_LABELS = [
+  "dimanche",
+  "lundi",
+  "mardi",
+  "mercredi",
+  "jeudi",
+  "vendredi",
+  "samedi",
+];
+
+function ensureSupabase() {
+  if (!supabase) {
+    throw new Error("Supabase non configuré");
+  }
+}
+
+function safeText(value, maxLen = 255) {
+  return String(value ?? "").trim().slice(0, maxLen);
+}
+
+function toPositiveInt(value, fallback = null) {
+  const n = Number.parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function parseClockToMinutes(value) {
+  const match = safeText(value, 10).match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+
+  if (hours > 24 || minutes > 59) return null;
+
+  const total = hours * 60 + minutes;
+  return total <= MINUTES_PER_DAY ? total : null;
+}
+
+function normalizeWeekdays(raw) {
+  if (!Array.isArray(raw)) return [...ALL_WEEKDAYS];
+
+  return [...new Set(raw.map((day) => Number.parseInt(day, 10)))]
+    .filter((day) => day >= 0 && day <= 6)
+    .sort((a, b) => a - b);
+}
+
+function normalizeHourWindows(raw) {
+  if (!Array.isArray(raw)) return [];
+
+  return raw
+    .map((window) => {
+      const start = parseClockToMinutes(window?.start);
+      const end = parseClockToMinutes(window?.end);
+
+      if (start == null || end == null || end <= start) return null;
+      return { start: safeText(window.start, 5), end: safeText(window.end, 5) };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Règles d'une version (ligne de pass_product_versions ou entrée du
+ * catalogue historique) sous une forme homogène.
+ */
+function normalizePassRules(row, type = null) {
+  if (!row) return null;
+
+  const maxPersons = toPositiveInt(row.max_persons_per_session, null);
+
+  return {
+    version_id: row.pass_product_id ? row.id : null,
+    version: toPositiveInt(row.version, null),
+    type: safeText(type || row.type, 80),
+    label: safeText(row.label, 160),
+    description: safeText(row.description, 500),
+    price: Number(Number(row.price || 0).toFixed(2)),
+    currency: safeText(row.currency, 3) || "EUR",
+    places: toPositiveInt(row.places, 0),
+    validity_months: toPositiveInt(row.validity_months, 3),
+    eligible_weekdays: normalizeWeekdays(row.eligible_weekdays),
+    hour_windows: normalizeHourWindows(row.hour_windows),
+    max_persons_per_session: maxPersons
+      ? Math.min(maxPersons, MAX_ALLOWED_PERSONS)
+      : null,
+  };
+}
+
+function getDefaultPassProducts() {
+  return DEFAULT_PASS_PRODUCTS.map((product, index) => ({
+    id: null,
+    type: product.type,
+    is_active: true,
+    is_default: true,
+    sort_order: index,
+    rules: normalizePassRules(product),
+  }));
+}
+
+export function getLegacyPassRules(passType) {
+  const product = DEFAULT_PASS_PRODUCTS.find((entry) => entry.type === passType);
+  return product ? normalizePassRules(product) : null;
+}
+
+/**
+ * Produit + règles de sa version courante, à plat (forme du catalogue public).
+ */
+export function toPublicPassProduct(product) {
+  if (!product?.rules) return null;
+
+  return {
+    type: product.type,
+    label: product.rules.label,
+    description: product.rules.description,
+    price: product.rules.price,
+    currency: product.rules.currency,
+    places: product.rules.places,
+    validity_months: product.rules.validity_months,
+    eligible_weekdays: product.rules.eligible_weekdays,
+    hour_windows: product.rules.hour_windows,
+    max_persons_per_session: product.rules.max_persons_per_session,
+    eligibility: describePassRules(product.rules),
+    version: product.rules.version,
+  };
+}
+
+async function listVersionsByIds(versionIds) {
+  if (versionIds.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from("pass_product_versions")
+    .select("*")
+    .in("id", versionIds);
+
+  if (error) throw error;
+  return data || [];
+}
+
+export async function listPassProducts({ includeInactive = false } = {}) {
+  ensureSupabase();
+
+  const { data, error } = await supabase
+    .from("pass_products")
+    .select("*")
+    .order("sort_order", { ascending: true })
+    .order("created_at", { ascending: true });
+
+  if (error) throw error;
+
+  const rows = data || [];
+  const storedTypes = new Set(rows.map((row) => row.type));
+  const defaults = getDefaultPassProducts().filter(
+    (product) => !storedTypes.has(product.type)
+  );
+
+  if (rows.length === 0) {
+    return defaults;
+  }
+
+  const versions = await listVersionsByIds(
+    rows.map((row) => row.current_version_id).filter(Boolean)
+  );
+  const versionsById = new Map(versions.map((version) => [String(version.id), version]));
+
+  const products = rows
+    .map((row) => ({
+      id: row.id,
+      type: row.type,
+      is_active: row.is_active !== false,
+      sort_order: Number(row.sort_order || 0),
+      created_at: row.created_at || null,
+      updated_at: row.updated_at || null,
+      rules: normalizePassRules(versionsById.get(String(row.current_version_id)), row.type),
+    }))
+    .filter((product) => product.rules)
+    .concat(defaults)
+    .sort((a, b) => a.sort_order - b.sort_order);
+
+  return includeInactive ? products : products.filter((product) => product.is_active);
+}
+
+export async function getPassProductByType(passType, { includeInactive = false } = {}) {
+  const type = safeText(passType, 80);
+  if (!type) return null;
+
+  const products = await listPassProducts({ includeInactive });
+  return products.find((product) => product.type === type) || null;
+}
+
+export async function getPassProductVersionById(versionId) {
+  ensureSupabase();
+
+  const { data, error } = await supabase
+    .from("pass_product_versions")
+    .select("*, pass_products(type)")
+    .eq("id", versionId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return null;
+
+  return normalizePassRules(data, data.pass_products?.type);
+}
+
+export async function listPassProductVersions(productId) {
+  ensureSupabase();
+
+  const { data: product, error: productError } = await supabase
+    .from("pass_products")
+    .select("id, type")
+    .eq("id", productId)
+    .maybeSingle();
+
+  if (productError) throw productError;
+  if (!product) return null;
+
+  const { data, error } = await supabase
+    .from("pass_product_versions")
+    .select("*")
+    .eq("pass_product_id", product.id)
+    .order("version", { ascending: false });
+
+  if (error) throw error;
+
+  return (data || []).map((row) => ({
+    ...normalizePassRules(row, product.type),
+    created_by: row.created_by || null,
+    created_at: row.created_at || null,
+  }));
+}
+
+/**
+ * Règles applicables à un pass vendu : celles de sa version d'achat, ou
+ * le catalogue historique pour les pass antérieurs au versionnement.
+ */
+export async function resolveUserPassRules(userPass) {
+  if (!userPass) return null;
+
+  if (userPass.pass_product_version_id) {
+    return getPassProductVersionById(userPass.pass_product_version_id);
+  }
+
+  return getLegacyPassRules(userPass.pass_type);
+}
+
+/* =========================================================
+   ÉLIGIBILITÉ
+========================================================= */
+
+export function isItemEligibleForPassRules(item, rules) {
+  if (!rules) return false;
+
+  const start = parseDateOrNull(item?.start_time);
+  if (!start) return false;
+
+  if (!rules.eligible_weekdays.includes(getParisWeekday(start))) {
+    return false;
+  }
+
+  if (
+    rules.max_persons_per_session &&
+    Number(item?.persons || 0) > rules.max_persons_per_session
+  ) {
+    return false;
+  }
+
+  if (rules.hour_windows.length === 0) return true;
+
+  const { hour, minute } = getParisDateParts(start);
+  const startMinutes = hour * 60 + minute;
+
+  return rules.hour_windows.some(
+    (window) =>
+      startMinutes >= parseClockToMinutes(window.start) &&
+      startMinutes < parseClockToMinutes(window.end)
+  );
+}
+
+function formatClock(value) {
+  const [hours, minutes] = safeText(value, 5).split(":");
+  return minutes === "00" ? `${Number(hours)}h` : `${Number(hours)}h${minutes}`;
+}
+
+/**
+ * Phrase affichée au client quand un créneau n'est pas couvert par le pass.
+ */
+export function describePassRules(rules) {
+  if (!rules) return "";
+
+  const parts = [];
+  const weekdays = rules.eligible_weekdays;
+
+  if (weekdays.length > 0 && weekdays.length < 7) {
+    parts.push(`le ${weekdays.map((day) => WEEKDAY_LABELS[day]).join(", ")}`);
+  }
+
+  const windows = rules.hour_windows.map((window) => {
+    if (window.start === "00:00") return `avant ${formatClock(window.end)}`;
+    if (window.end === "24:00") return `après ${formatClock(window.start)}`;
+    return `de ${formatClock(window.start)} à ${formatClock(window.end)}`;
+  });
+
+  if (windows.length > 0) {
+    parts.push(windows.join(" ou "));
+  }
+
+  if (rules.max_persons_per_session) {
+    parts.push(`jusqu'à ${rules.max_persons_per_session} personne(s) par séance`);
+  }
+
+  return parts.length > 0
+    ? `Ce pass est valable uniquement ${parts.join(", ")}.`
+    : "Ce pass est valable sur tous les créneaux.";
+}
+
+/* =========================================================
+   ADMINISTRATION
+========================================================= */
+
+/**
+ * Valide le corps d'une création / modification de produit.
+ * Retourne { value } ou { error }.
+ */
+export function readPassProductPayload(body = {}) {
+  const label = safeText(body.label, 160);
+  const price = Number(body.price);
+  const places = toPositiveInt(body.places, null);
+  const validityMonths = toPositiveInt(body.validity_months ?? body.validityMonths, null);
+  const rawWeekdays = body.eligible_weekdays ?? body.eligibleWeekdays;
+  const rawWindows = body.hour_windows ?? body.hourWindows ?? [];
+  const rawMaxPersons = body.max_persons_per_session ?? body.maxPersonsPerSession;
+
+  if (!label) return { error: "Libellé requis" };
+
+  if (!Number.isFinite(price) || price <= 0) {
+    return { error: "Prix invalide" };
+  }
+
+  if (!places) return { error: "Nombre de places invalide" };
+
+  if (!validityMonths || validityMonths > 36) {
+    return { error: "Durée de validité invalide (1 à 36 mois)" };
+  }
+
+  const eligibleWeekdays = normalizeWeekdays(rawWeekdays);
+  if (eligibleWeekdays.length === 0) {
+    return { error: "Au moins un jour de la semaine est requis" };
+  }
+
+  if (!Array.isArray(rawWindows)) {
+    return { error: "Plages horaires invalides" };
+  }
+
+  const hourWindows = normalizeHourWindows(rawWindows);
+  if (hourWindows.length !== rawWindows.length) {
+    return { error: "Plage horaire invalide (format HH:MM, fin après début)" };
+  }
+
+  let maxPersons = null;
+  if (rawMaxPersons != null && rawMaxPersons !== "") {
+    maxPersons = toPositiveInt(rawMaxPersons, null);
+
+    if (!maxPersons || maxPersons > MAX_ALLOWED_PERSONS) {
+      return { error: `Nombre maximum de personnes invalide (1 à ${MAX_ALLOWED_PERSONS})` };
+    }
+  }
+
+  return {
+    value: {
+      label,
+      description: safeText(body.description, 500),
+      price: Number(price.toFixed(2)),
+      currency: "EUR",
+      places,
+      validity_months: validityMonths,
+      eligible_weekdays: eligibleWeekdays,
+      hour_windows: hourWindows,
+      max_persons_per_session: maxPersons,
+    },
+  };
+}
+
+async function insertPassProductVersion(product, version, rules, createdBy) {
+  const { data, error } = await supabase
+    .from("pass_product_versions")
+    .insert({
+      ...rules,
+      pass_product_id: product.id,
+      version,
+      created_by: safeText(createdBy, 255) || null,
+      created_at: new Date().toISOString(),
+    })
+    .select("*")
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function getPassProductRowById(productId) {
+  const { data, error } = await supabase
+    .from("pass_products")
+    .select("*")
+    .eq("id", productId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+export async function createPassProduct({ type, rules, sortOrder = 0, createdBy = null }) {
+  ensureSupabase();
+
+  const safeType = safeText(type, 80).toLowerCase();
+
+  if (!/^[a-z0-9_]{2,80}$/.test(safeType)) {
+    return { ok: false, status: 400, error: "Type invalide (a-z, 0-9, _)" };
+  }
+
+  const { data: existing, error: existingError } = await supabase
+    .from("pass_products")
+    .select("id")
+    .eq("type", safeType)
+    .maybeSingle();
+
+  if (existingError) throw existingError;
+
+  if (existing) {
+    return { ok: false, status: 409, error: "Ce type de pass existe déjà" };
+  }
+
+  const nowIso = new Date().toISOString();
+
+  const { data: product, error } = await supabase
+    .from("pass_products")
+    .insert({
+      type: safeType,
+      is_active: true,
+      sort_order: Number(sortOrder || 0),
+      created_at: nowIso,
+      updated_at: nowIso,
+    })
+    .select("*")
+    .single();
+
+  if (error) throw error;
+
+  const version = await insertPassProductVersion(product, 1, rules, createdBy);
+
+  const { error: linkError } = await supabase
+    .from("pass_products")
+    .update({ current_version_id: version.id })
+    .eq("id", product.id);
+
+  if (linkError) throw linkError;
+
+  return { ok: true, product: await getPassProductByType(safeType, { includeInactive: true }) };
+}
+
+/**
+ * Toute modification des règles crée une nouvelle version ; les pass déjà
+ * vendus restent liés à la version sous laquelle ils ont été achetés.
+ */
+export async function updatePassProduct(productId, { rules, createdBy = null }) {
+  ensureSupabase();
+
+  const product = await getPassProductRowById(productId);
+  if (!product) return { ok: false, status: 404, error: "Pass introuvable" };
+
+  const previous = await getPassProductByType(product.type, { includeInactive: true });
+
+  const { data: latest, error: latestError } = await supabase
+    .from("pass_product_versions")
+    .select("version")
+    .eq("pass_product_id", product.id)
+    .order("version", { ascending: false })
+    .limit(1);
+
+  if (latestError) throw latestError;
+
+  const nextVersion = Number(latest?.[0]?.version || 0) + 1;
+  const version = await insertPassProductVersion(product, nextVersion, rules, createdBy);
+
+  const { error } = await supabase
+    .from("pass_products")
+    .update({
+      current_version_id: version.id,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", product.id);
+
+  if (error) throw error;
+
+  return {
+    ok: true,
+    previous,
+    product: await getPassProductByType(product.type, { includeInactive: true }),
+  };
+}
+
+export async function getPassProductById(productId) {
+  ensureSupabase();
+
+  const product = await getPassProductRowById(productId);
+  if (!product) return null;
+
+  return getPassProductByType(product.type, { includeInactive: true });
+}
+
+export async function setPassProductActive(productId, isActive) {
+  ensureSupabase();
+
+  const { data, error } = await supabase
+    .from("pass_products")
+    .update({
+      is_active: !!isActive,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", productId)
+    .select("*")
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return null;
+
+  return getPassProductByType(data.type, { includeInactive: true });
+}
@@ -1,28 +1,23 @@
 // backend/services/passService.js
 
 import { supabase } from "../config/supabase.js";
+import { stripe } from "../config/stripe.js";
+import {
+  PASS_EXTENSION_GRACE_DAYS,
+  PASS_EXTENSION_MAX_COUNT,
+  PASS_EXTENSION_MONTHS,
+  PASS_EXTENSION_PRICE_EUR,
+  PASS_SHARE_MEMBER_MAX_PLACES,
+} from "../config/env.js";
 import { computeCartPricing } from "./pricingService.js";
-
-const PASS_CATALOG = Object.freeze({
-  before_15: {
-    type: "before_15",
-    label: "Carte 10 places avant 15h",
-    description: "Valable avant 15h.",
-    price: 69,
-    places: 10,
-    currency: "EUR",
-  },
-  after_15_weekday: {
-    type: "after_15_weekday",
-    label: "Carte 10 places après 15h",
-    description: "Valable après 15h du lundi au jeudi, hors vendredi soir et hors week-end.",
-    price: 89,
-    places: 10,
-    currency: "EUR",
-  },
-});
-
-const PASS_VALIDITY_MONTHS = 3;
+import {
+  describePassRules,
+  getPassProductByType,
+  getPassProductVersionById,
+  isItemEligibleForPassRules,
+  listPassProducts,
+  toPublicPassProduct,
+} from "./passCatalogService.js";
 
 function ensureSupabase() {
   if (!supabase) {
@@ -34,61 +29,18 @@ function safeText(value, maxLen = 255) {
   return String(value ?? "").trim().slice(0, maxLen);
 }
 
-function toSafeInt(value, fallback = 0) {
-  const n = Number.parseInt(value, 10);
-  return Number.isFinite(n) ? n : fallback;
-}
-
 function normalizeEmail(email) {
   return safeText(email, 255).toLowerCase();
 }
 
-function weekdayFromDateOnly(dateStr) {
-  const match = String(dateStr || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
-  if (!match) return null;
-
-  const year = toSafeInt(match[1], 0);
-  const month = toSafeInt(match[2], 1);
-  const day = toSafeInt(match[3], 1);
-
-  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
-}
-
-function localHourFromIsoString(iso) {
-  const match = String(iso || "").match(/T(\d{2}):(\d{2})/);
-  if (!match) return null;
-  return toSafeInt(match[1], null);
-}
-
-function isItemEligibleForPass(item, passType) {
-  const hour = localHourFromIsoString(item.start_time);
-  const weekday = weekdayFromDateOnly(item.date);
-
-  if (hour == null || weekday == null) {
-    return false;
-  }
-
-  if (passType === "before_15") {
-    return hour < 15;
-  }
-
-  if (passType === "after_15_weekday") {
-    const isWeekend = weekday === 0 || weekday === 6;
-    const isFriday = weekday === 5;
-    return hour >= 15 && !isWeekend && !isFriday;
-  }
-
-  return false;
-}
-
 function addMonths(date, months) {
   const d = new Date(date);
   d.setMonth(d.getMonth() + months);
   return d;
 }
 
-function computePassExpiresAt(baseDate = new Date()) {
-  return addMonths(baseDate, PASS_VALIDITY_MONTHS).toISOString();
+function computePassExpiresAt(validityMonths, baseDate = new Date()) {
+  return addMonths(baseDate, validityMonths).toISOString();
 }
 
 function isPassExpired(pass) {
@@ -181,40 +133,117 @@ async function syncExpiredPassById(userPassId) {
   return normalizeUserPassRecord(data);
 }
 
-export function getPassCatalog() {
-  return Object.values(PASS_CATALOG).map((pass) => ({
-    ...pass,
-    validity_months: PASS_VALIDITY_MONTHS,
+/**
+ * Job : passe en expiré les pass actifs échus. changes contient l'état
+ * avant / après de chaque pass pour l'audit.
+ */
+export async function expireOverduePasses() {
+  ensureSupabase();
+
+  const nowIso = new Date().toISOString();
+
+  const { data: overdue, error: overdueError } = await supabase
+    .from("user_passes")
+    .select("*")
+    .eq("status", "active")
+    .lt("expires_at", nowIso);
+
+  if (overdueError) {
+    console.error("expireOverduePasses read error:", overdueError);
+    throw overdueError;
+  }
+
+  if (!overdue?.length) {
+    return { expiredCount: 0, passIds: [], changes: [] };
+  }
+
+  const { data, error } = await supabase
+    .from("user_passes")
+    .update({
+      status: "expired",
+      updated_at: nowIso,
+    })
+    .in(
+      "id",
+      overdue.map((row) => row.id)
+    )
+    .eq("status", "active")
+    .select("*");
+
+  if (error) {
+    console.error("expireOverduePasses update error:", error);
+    throw error;
+  }
+
+  const beforeById = new Map(overdue.map((row) => [String(row.id), row]));
+  const changes = (data || []).map((row) => ({
+    id: row.id,
+    before: beforeById.get(String(row.id)) || null,
+    after: row,
   }));
+
+  return {
+    expiredCount: changes.length,
+    passIds: changes.map((change) => change.id),
+    changes,
+  };
 }
 
-export function getPassDefinition(passType) {
-  return PASS_CATALOG[safeText(passType, 80)] || null;
+export async function getPassCatalog() {
+  const products = await listPassProducts();
+  return products.map(toPublicPassProduct).filter(Boolean);
 }
 
-export function buildPassPricingSummary(passType) {
-  const def = getPassDefinition(passType);
+/**
+ * Règles de la version courante d'un type de pass en vente.
+ */
+export async function getPassDefinition(passType) {
+  const product = await getPassProductByType(passType);
+  return product?.rules || null;
+}
 
-  if (!def) {
-    return null;
-  }
+/**
+ * products : résultat de listPassProducts(), chargé une fois par l'appelant
+ * (la grille de disponibilités évalue des centaines de créneaux).
+ */
+export function getEligiblePassTypesForItem(item, products = []) {
+  return products
+    .filter((product) => isItemEligibleForPassRules(item, product.rules))
+    .map((product) => product.type);
+}
+
+function toPassPricingSummary(rules) {
+  if (!rules) return null;
 
   return {
-    type: def.type,
-    label: def.label,
-    description: def.description,
-    price: def.price,
-    currency: def.currency,
-    places: def.places,
-    validityMonths: PASS_VALIDITY_MONTHS,
-    amountInCents: Math.round(def.price * 100),
+    type: rules.type,
+    versionId: rules.version_id,
+    version: rules.version,
+    label: rules.label,
+    description: rules.description,
+    price: rules.price,
+    currency: rules.currency,
+    places: rules.places,
+    validityMonths: rules.validity_months,
+    eligibility: describePassRules(rules),
+    amountInCents: Math.round(rules.price * 100),
   };
 }
 
-export function analyzeCartForPass(cart, passType) {
-  const passDef = getPassDefinition(passType);
+export async function buildPassPricingSummary(passType) {
+  return toPassPricingSummary(await getPassDefinition(passType));
+}
+
+export async function buildPassVersionPricingSummary(versionId) {
+  return toPassPricingSummary(await getPassProductVersionById(versionId));
+}
 
-  if (!passDef) {
+/**
+ * rules : règles du pass utilisé (voir resolveUserPassRules), pas forcément
+ * celles du catalogue actuel.
+ */
+export async function analyzeCartForPass(cart, rules) {
+  if (!rules) {
     return {
       ok: false,
       reason: "PASS_TYPE_INVALIDE",
@@ -225,13 +254,13 @@ export function analyzeCartForPass(cart, passType) {
     };
   }
 
-  const pricing = computeCartPricing(Array.isArray(cart) ? cart : [], {
+  const pricing = await computeCartPricing(Array.isArray(cart) ? cart : [], {
     singcoinsUsed: false,
   });
 
   const items = (pricing.normalizedItems || []).map((item) => ({
     ...item,
-    eligible: isItemEligibleForPass(item, passType),
+    eligible: isItemEligibleForPassRules(item, rules),
   }));
 
   const invalidItem = items.find((item) => !item.eligible);
@@ -240,10 +269,7 @@ export function analyzeCartForPass(cart, passType) {
     return {
       ok: false,
       reason: "CART_NOT_ELIGIBLE",
-      message:
-        passType === "before_15"
-          ? "Ce pass est valable uniquement avant 15h."
-          : "Ce pass est valable uniquement après 15h du lundi au jeudi, hors vendredi soir et hors week-end.",
+      message: describePassRules(rules),
       items,
       requiredPlaces: items.reduce((sum, item) => sum + Number(item.persons || 0), 0),
       pricing,
@@ -322,17 +348,20 @@ export async function getPassByPaymentIntentId(paymentIntentId) {
   return normalizeUserPassRecord(data || null);
 }
 
+/**
+ * passDef : résumé de la version achetée (buildPassVersionPricingSummary),
+ * conservé sur le pass via pass_product_version_id.
+ */
 export async function createPurchasedPass({
   userId,
-  passType,
+  passDef,
   paymentIntentId,
   purchasePrice,
   metadata = {},
 }) {
   ensureSupabase();
 
-  const passDef = getPassDefinition(passType);
-  if (!passDef) {
+  if (!passDef?.type) {
     throw new Error("Type de pass invalide");
   }
 
@@ -341,13 +370,14 @@ export async function createPurchasedPass({
   const payload = {
     user_id: safeText(userId, 120),
     pass_type: passDef.type,
+    pass_product_version_id: passDef.versionId || null,
     initial_places: passDef.places,
     remaining_places: passDef.places,
     purchase_price: Number(purchasePrice ?? passDef.price),
     currency: passDef.currency,
     status: "active",
     stripe_payment_intent_id: safeText(paymentIntentId, 200) || null,
-    expires_at: computePassExpiresAt(now),
+    expires_at: computePassExpiresAt(passDef.validityMonths, now),
     metadata: metadata && typeof metadata === "object" ? metadata : {},
   };
 
@@ -516,3 +546,798 @@ export function buildPassReservationRows({
     };
   });
 }
+
+/* =========================================================
+   PARTAGE, TRANSFERT ET PROLONGATION
+========================================================= */
+
+/**
+ * Table `user_pass_members` : amis autorisés à réserver sur le pass d'un autre
+ * - id, user_pass_id, user_id, email, name, status (active | revoked),
+ *   places_limit, places_used, created_at, revoked_at
+ *
+ * Colonnes de `user_passes` utilisées ici : extension_count,
+ * last_extension_payment_intent_id, transferred_from_user_pass_id,
+ * transferred_to_user_pass_id.
+ * Chaque opération laisse une ligne dans pass_transactions (delta 0 pour
+ * le partage et la prolongation).
+ */
+
+export const PASS_MEMBER_STATUSES = {
+  ACTIVE: "active",
+  REVOKED: "revoked",
+};
+
+export const PASS_EXTENSION_PAYMENT_KIND = "pass_extension";
+
+const NON_TRANSFERABLE_STATUSES = new Set(["transferred", "cancelled", "expired"]);
+
+export async function listPassMembers(userPassId, { includeRevoked = false } = {}) {
+  ensureSupabase();
+
+  let query = supabase
+    .from("user_pass_members")
+    .select("*")
+    .eq("user_pass_id", userPassId)
+    .order("created_at", { ascending: true });
+
+  if (!includeRevoked) {
+    query = query.eq("status", PASS_MEMBER_STATUSES.ACTIVE);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error("listPassMembers error:", error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+export async function getActivePassMembership(userPassId, userId) {
+  ensureSupabase();
+
+  const { data, error } = await supabase
+    .from("user_pass_members")
+    .select("*")
+    .eq("user_pass_id", userPassId)
+    .eq("user_id", userId)
+    .eq("status", PASS_MEMBER_STATUSES.ACTIVE)
+    .maybeSingle();
+
+  if (error) {
+    console.error("getActivePassMembership error:", error);
+    throw error;
+  }
+
+  return data || null;
+}
+
+/**
+ * Pass utilisable par userId : le sien, ou un pass partagé avec lui.
+ * access_role vaut "owner" ou "member" ; un membre reçoit aussi son
+ * quota de places (member_quota).
+ */
+export async function getAccessibleUserPass(userPassId, userId) {
+  const safeUserPassId = safeText(userPassId, 120);
+  const safeUserId = safeText(userId, 120);
+
+  if (!safeUserPassId || !safeUserId) return null;
+
+  const pass = await syncExpiredPassById(safeUserPassId);
+  if (!pass) return null;
+
+  if (String(pass.user_id) === String(safeUserId)) {
+    return { ...pass, access_role: "owner" };
+  }
+
+  const membership = await getActivePassMembership(pass.id, safeUserId);
+  if (!membership) return null;
+
+  return {
+    ...pass,
+    access_role: "member",
+    member_id: membership.id,
+    member_quota: toPassMemberQuota(membership),
+  };
+}
+
+function toPassMemberQuota(membership) {
+  const limit = Number(membership?.places_limit ?? PASS_SHARE_MEMBER_MAX_PLACES);
+  const used = Number(membership?.places_used || 0);
+
+  return { limit, used, remaining: Math.max(limit - used, 0) };
+}
+
+/**
+ * Places qu'userPass (résultat de getAccessibleUserPass) peut encore
+ * utiliser : le solde du pass, borné par le quota pour un membre.
+ */
+export function getUsablePassPlaces(userPass) {
+  const remaining = Number(userPass?.remaining_places || 0);
+  if (userPass?.access_role !== "member") return remaining;
+  return Math.min(remaining, Number(userPass.member_quota?.remaining || 0));
+}
+
+/**
+ * Réserve places sur le quota d'un membre avant de débiter le pass
+ * (mise à jour conditionnée sur places_used). Sans effet pour le titulaire.
+ * Retourne { ok: true } ou { ok: false, status, error }.
+ */
+export async function claimPassMemberPlaces(userPass, places) {
+  ensureSupabase();
+
+  if (userPass?.access_role !== "member") return { ok: true };
+
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    const { data: membership, error } = await supabase
+      .from("user_pass_members")
+      .select("*")
+      .eq("id", userPass.member_id)
+      .eq("status", PASS_MEMBER_STATUSES.ACTIVE)
+      .maybeSingle();
+
+    if (error) {
+      console.error("claimPassMemberPlaces read error:", error);
+      throw error;
+    }
+
+    if (!membership) {
+      return { ok: false, status: 404, error: "Pass introuvable" };
+    }
+
+    const quota = toPassMemberQuota(membership);
+
+    if (quota.remaining < places) {
+      return {
+        ok: false,
+        status: 409,
+        error: `Le titulaire vous autorise ${quota.limit} place(s) sur ce pass, il vous en reste ${quota.remaining}.`,
+      };
+    }
+
+    const { data: claimed, error: claimError } = await supabase
+      .from("user_pass_members")
+      .update({ places_used: quota.used + places })
+      .eq("id", membership.id)
+      .eq("places_used", membership.places_used ?? 0)
+      .select("id")
+      .maybeSingle();
+
+    if (claimError) {
+      console.error("claimPassMemberPlaces update error:", claimError);
+      throw claimError;
+    }
+
+    if (claimed) return { ok: true };
+  }
+
+  return { ok: false, status: 409, error: "Le pass a été modifié entre-temps, réessayez." };
+}
+
+export async function releasePassMemberPlaces(userPass, places) {
+  ensureSupabase();
+
+  if (userPass?.access_role !== "member") return;
+
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    const { data: membership, error } = await supabase
+      .from("user_pass_members")
+      .select("id, places_used")
+      .eq("id", userPass.member_id)
+      .maybeSingle();
+
+    if (error) {
+      console.error("releasePassMemberPlaces read error:", error);
+      throw error;
+    }
+
+    if (!membership) return;
+
+    const { data: released, error: releaseError } = await supabase
+      .from("user_pass_members")
+      .update({ places_used: Math.max(Number(membership.places_used || 0) - places, 0) })
+      .eq("id", membership.id)
+      .eq("places_used", membership.places_used ?? 0)
+      .select("id")
+      .maybeSingle();
+
+    if (releaseError) {
+      console.error("releasePassMemberPlaces update error:", releaseError);
+      throw releaseError;
+    }
+
+    if (released) return;
+  }
+
+  console.error("releasePassMemberPlaces : quota non libéré après 3 essais", userPass.member_id);
+}
+
+/**
+ * Pass qui doit recevoir des places rendues : après un transfert, le pass
+ * d'origine est clôturé et les places suivent transferred_to_user_pass_id.
+ */
+async function resolvePassRestoreTarget(userPassId) {
+  let pass = await syncExpiredPassById(userPassId);
+
+  for (let hop = 0; pass?.status === "transferred" && hop < 10; hop += 1) {
+    if (!pass.transferred_to_user_pass_id) break;
+    pass = await syncExpiredPassById(pass.transferred_to_user_pass_id);
+  }
+
+  return pass;
+}
+
+/**
+ * Rend des places consommées (annulation, échec de réservation) au pass
+ * actif qui a pris la suite de userPassId. Retourne le pass crédité.
+ */
+export async function restoreConsumedPassPlaces({
+  userPassId,
+  places,
+  actorUserId,
+  reservationId = null,
+  notes,
+  metadata = {},
+}) {
+  ensureSupabase();
+
+  const target = await resolvePassRestoreTarget(userPassId);
+
+  if (!target) {
+    throw new Error("Pass introuvable pour la restitution des places");
+  }
+
+  await restoreUserPassPlaces({
+    userPassId: target.id,
+    userId: target.user_id,
+    places,
+  });
+
+  await createPassTransaction({
+    userPassId: target.id,
+    userId: actorUserId,
+    reservationId,
+    transactionType: "restore",
+    deltaPlaces: places,
+    notes,
+    metadata:
+      String(target.id) === String(userPassId)
+        ? metadata
+        : { ...metadata, consumedFromUserPassId: userPassId },
+  });
+
+  return target;
+}
+
+export async function listPassesSharedWithUser(userId) {
+  ensureSupabase();
+
+  const { data, error } = await supabase
+    .from("user_pass_members")
+    .select("user_pass_id")
+    .eq("user_id", safeText(userId, 120))
+    .eq("status", PASS_MEMBER_STATUSES.ACTIVE);
+
+  if (error) {
+    console.error("listPassesSharedWithUser error:", error);
+    throw error;
+  }
+
+  const passIds = (data || []).map((row) => row.user_pass_id);
+  if (passIds.length === 0) return [];
+
+  const { data: passes, error: passesError } = await supabase
+    .from("user_passes")
+    .select("*")
+    .in("id", passIds)
+    .order("created_at", { ascending: false });
+
+  if (passesError) {
+    console.error("listPassesSharedWithUser passes error:", passesError);
+    throw passesError;
+  }
+
+  return (passes || [])
+    .map(normalizeUserPassRecord)
+    .filter(Boolean)
+    .map((pass) => ({ ...pass, access_role: "member" }));
+}
+
+/**
+ * member : compte existant { id, email, name } retrouvé par l'appelant.
+ * placesLimit : places que ce membre pourra utiliser (défaut
+ * PASS_SHARE_MEMBER_MAX_PLACES) ; places_used est conservé en cas de
+ * nouveau partage après un retrait.
+ * Retourne { ok: true, member } ou { ok: false, status, error }.
+ */
+export async function addPassMember({ userPass, member, maxMembers, placesLimit = null }) {
+  ensureSupabase();
+
+  if (!userPass?.is_usable) {
+    return { ok: false, status: 409, error: "Ce pass n'est plus utilisable." };
+  }
+
+  if (String(member.id) === String(userPass.user_id)) {
+    return { ok: false, status: 400, error: "Vous êtes déjà titulaire de ce pass." };
+  }
+
+  const members = await listPassMembers(userPass.id, { includeRevoked: true });
+  const active = members.filter((row) => row.status === PASS_MEMBER_STATUSES.ACTIVE);
+
+  if (active.some((row) => String(row.user_id) === String(member.id))) {
+    return { ok: false, status: 409, error: "Ce pass est déjà partagé avec cette personne." };
+  }
+
+  if (active.length >= maxMembers) {
+    return {
+      ok: false,
+      status: 409,
+      error: `Un pass peut être partagé avec ${maxMembers} personne(s) au maximum.`,
+    };
+  }
+
+  const nowIso = new Date().toISOString();
+  const previous = members.find((row) => String(row.user_id) === String(member.id));
+  const limit = Math.min(
+    Math.max(Math.floor(Number(placesLimit ?? PASS_SHARE_MEMBER_MAX_PLACES)) || 0, 1),
+    Number(userPass.initial_places || PASS_SHARE_MEMBER_MAX_PLACES)
+  );
+
+  const payload = {
+    email: normalizeEmail(member.email),
+    name: safeText(member.name, 160) || previous?.name || null,
+    status: PASS_MEMBER_STATUSES.ACTIVE,
+    places_limit: limit,
+    revoked_at: null,
+  };
+
+  const query = previous
+    ? supabase.from("user_pass_members").update(payload).eq("id", previous.id)
+    : supabase.from("user_pass_members").insert({
+        ...payload,
+        user_pass_id: userPass.id,
+        user_id: member.id,
+        places_used: 0,
+        created_at: nowIso,
+      });
+
+  const { data, error } = await query.select("*").single();
+
+  if (error) {
+    console.error("addPassMember error:", error);
+    throw error;
+  }
+
+  await createPassTransaction({
+    userPassId: userPass.id,
+    userId: userPass.user_id,
+    transactionType: "share_add",
+    deltaPlaces: 0,
+    notes: `Pass partagé avec ${data.email}`,
+    metadata: { memberUserId: member.id, memberId: data.id, placesLimit: limit },
+  });
+
+  return { ok: true, member: data };
+}
+
+export async function removePassMember({ userPass, memberId }) {
+  ensureSupabase();
+
+  const { data, error } = await supabase
+    .from("user_pass_members")
+    .update({
+      status: PASS_MEMBER_STATUSES.REVOKED,
+      revoked_at: new Date().toISOString(),
+    })
+    .eq("id", memberId)
+    .eq("user_pass_id", userPass.id)
+    .eq("status", PASS_MEMBER_STATUSES.ACTIVE)
+    .select("*")
+    .maybeSingle();
+
+  if (error) {
+    console.error("removePassMember error:", error);
+    throw error;
+  }
+
+  if (!data) return null;
+
+  await createPassTransaction({
+    userPassId: userPass.id,
+    userId: userPass.user_id,
+    transactionType: "share_remove",
+    deltaPlaces: 0,
+    notes: `Partage retiré pour ${data.email}`,
+    metadata: { memberUserId: data.user_id, memberId: data.id },
+  });
+
+  return data;
+}
+
+async function revokeAllPassMembers(userPassId) {
+  const { error } = await supabase
+    .from("user_pass_members")
+    .update({
+      status: PASS_MEMBER_STATUSES.REVOKED,
+      revoked_at: new Date().toISOString(),
+    })
+    .eq("user_pass_id", userPassId)
+    .eq("status", PASS_MEMBER_STATUSES.ACTIVE);
+
+  if (error) {
+    console.error("revokeAllPassMembers error:", error);
+    throw error;
+  }
+}
+
+/**
+ * Transfère toutes les places restantes vers un autre compte : un nouveau
+ * pass est créé pour le destinataire (mêmes règles, même échéance) et
+ * l'original est clôturé. Les partages de l'original sont retirés.
+ */
+export async function transferUserPass({ userPass, toUserId }) {
+  ensureSupabase();
+
+  if (!userPass?.is_usable || NON_TRANSFERABLE_STATUSES.has(userPass.status)) {
+    return { ok: false, status: 409, error: "Ce pass ne peut plus être transféré." };
+  }
+
+  if (String(toUserId) === String(userPass.user_id)) {
+    return { ok: false, status: 400, error: "Impossible de transférer un pass à soi-même." };
+  }
+
+  const places = Number(userPass.remaining_places || 0);
+  const nowIso = new Date().toISOString();
+
+  // Verrou : échoue si des places ont été consommées entre-temps
+  const { data: closed, error: closeError } = await supabase
+    .from("user_passes")
+    .update({
+      status: "transferred",
+      remaining_places: 0,
+      updated_at: nowIso,
+    })
+    .eq("id", userPass.id)
+    .eq("status", "active")
+    .eq("remaining_places", places)
+    .select("*")
+    .maybeSingle();
+
+  if (closeError) {
+    console.error("transferUserPass close error:", closeError);
+    throw closeError;
+  }
+
+  if (!closed) {
+    return { ok: false, status: 409, error: "Le pass a été modifié entre-temps, réessayez." };
+  }
+
+  const { data: created, error: createError } = await supabase
+    .from("user_passes")
+    .insert({
+      user_id: safeText(toUserId, 120),
+      pass_type: userPass.pass_type,
+      pass_product_version_id: userPass.pass_product_version_id || null,
+      initial_places: places,
+      remaining_places: places,
+      purchase_price: 0,
+      currency: userPass.currency,
+      status: "active",
+      stripe_payment_intent_id: null,
+      expires_at: userPass.expires_at,
+      extension_count: Number(userPass.extension_count || 0),
+      transferred_from_user_pass_id: userPass.id,
+      metadata: { transferred_from_user_id: userPass.user_id },
+    })
+    .select("*")
+    .maybeSingle();
+
+  if (createError || !created) {
+    console.error("transferUserPass create error:", createError);
+
+    await supabase
+      .from("user_passes")
+      .update({
+        status: "active",
+        remaining_places: places,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", userPass.id)
+      .eq("status", "transferred");
+
+    throw createError || new Error("Création du pass transféré impossible");
+  }
+
+  await supabase
+    .from("user_passes")
+    .update({ transferred_to_user_pass_id: created.id })
+    .eq("id", userPass.id);
+
+  await revokeAllPassMembers(userPass.id);
+
+  await createPassTransaction({
+    userPassId: userPass.id,
+    userId: userPass.user_id,
+    transactionType: "transfer_out",
+    deltaPlaces: -places,
+    notes: "Transfert des places restantes vers un autre compte",
+    metadata: { toUserId, toUserPassId: created.id },
+  });
+
+  await createPassTransaction({
+    userPassId: created.id,
+    userId: toUserId,
+    transactionType: "transfer_in",
+    deltaPlaces: places,
+    notes: "Places reçues par transfert",
+    metadata: { fromUserId: userPass.user_id, fromUserPassId: userPass.id },
+  });
+
+  return { ok: true, pass: normalizeUserPassRecord(created), places };
+}
+
+/**
+ * Conditions et prix d'une prolongation. Un pass expiré peut encore être
+ * prolongé pendant graceDays s'il lui reste des places.
+ */
+export function buildPassExtensionOffer(userPass, { months, priceEur, maxCount, graceDays }) {
+  if (!userPass || ["transferred", "cancelled"].includes(userPass.status)) {
+    return { ok: false, error: "Ce pass ne peut pas être prolongé." };
+  }
+
+  if (Number(userPass.remaining_places || 0) <= 0) {
+    return { ok: false, error: "Ce pass n'a plus de places à utiliser." };
+  }
+
+  const extensionCount = Number(userPass.extension_count || 0);
+  if (extensionCount >= maxCount) {
+    return {
+      ok: false,
+      error: `Ce pass a déjà été prolongé ${extensionCount} fois (maximum ${maxCount}).`,
+    };
+  }
+
+  const now = new Date();
+  const currentExpiry = new Date(userPass.expires_at);
+
+  if (Number.isNaN(currentExpiry.getTime())) {
+    return { ok: false, error: "Date d'expiration du pass invalide." };
+  }
+
+  if (now.getTime() - currentExpiry.getTime() > graceDays * 24 * 60 * 60 * 1000) {
+    return { ok: false, error: "Ce pass a expiré depuis trop longtemps pour être prolongé." };
+  }
+
+  const base = currentExpiry.getTime() > now.getTime() ? currentExpiry : now;
+
+  return {
+    ok: true,
+    months,
+    price: Number(Number(priceEur).toFixed(2)),
+    amountInCents: Math.round(priceEur * 100),
+    extensionCount,
+    newExpiresAt: addMonths(base, months).toISOString(),
+  };
+}
+
+async function findPassTransactionByPaymentIntent(userPassId, paymentIntentId) {
+  const { data, error } = await supabase
+    .from("pass_transactions")
+    .select("id")
+    .eq("user_pass_id", userPassId)
+    .eq("transaction_type", "extension")
+    .eq("metadata->>paymentIntentId", paymentIntentId)
+    .limit(1);
+
+  if (error) {
+    console.error("findPassTransactionByPaymentIntent error:", error);
+    throw error;
+  }
+
+  return (data || [])[0] || null;
+}
+
+// last_extension_payment_intent_id est écrit avec la nouvelle échéance :
+// il couvre la fenêtre avant l'insertion de la transaction
+async function isPassExtensionApplied(userPass, paymentIntentId) {
+  if (String(userPass?.last_extension_payment_intent_id || "") === String(paymentIntentId)) {
+    return true;
+  }
+
+  return Boolean(await findPassTransactionByPaymentIntent(userPass.id, paymentIntentId));
+}
+
+/**
+ * Applique une prolongation payée. Idempotent par PaymentIntent ; la mise
+ * à jour est conditionnée sur extension_count pour éviter un double effet.
+ */
+export async function applyPassExtension({ userPass, paymentIntent, offer }) {
+  ensureSupabase();
+
+  if (await findPassTransactionByPaymentIntent(userPass.id, paymentIntent.id)) {
+    return { applied: false, alreadyApplied: true };
+  }
+
+  let query = supabase
+    .from("user_passes")
+    .update({
+      expires_at: offer.newExpiresAt,
+      status: "active",
+      extension_count: offer.extensionCount + 1,
+      last_extension_payment_intent_id: paymentIntent.id,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", userPass.id);
+
+  query =
+    userPass.extension_count == null
+      ? query.is("extension_count", null)
+      : query.eq("extension_count", offer.extensionCount);
+
+  const { data, error } = await query.select("*").maybeSingle();
+
+  if (error) {
+    console.error("applyPassExtension error:", error);
+    throw error;
+  }
+
+  if (!data) {
+    return { applied: false, alreadyApplied: false };
+  }
+
+  await createPassTransaction({
+    userPassId: userPass.id,
+    userId: userPass.user_id,
+    transactionType: "extension",
+    deltaPlaces: 0,
+    notes: `Prolongation de ${offer.months} mois`,
+    metadata: {
+      paymentIntentId: paymentIntent.id,
+      previousExpiresAt: userPass.expires_at,
+      newExpiresAt: offer.newExpiresAt,
+      amountCents: paymentIntent.amount_received || paymentIntent.amount || 0,
+    },
+  });
+
+  return { applied: true, pass: normalizeUserPassRecord(data) };
+}
+
+export function getPassExtensionSettings() {
+  return {
+    months: PASS_EXTENSION_MONTHS,
+    priceEur: PASS_EXTENSION_PRICE_EUR,
+    maxCount: PASS_EXTENSION_MAX_COUNT,
+    graceDays: PASS_EXTENSION_GRACE_DAYS,
+  };
+}
+
+export function isPassExtensionPaymentIntent(paymentIntent) {
+  const metadata = paymentIntent?.metadata || {};
+  return (
+    metadata.kind === PASS_EXTENSION_PAYMENT_KIND ||
+    metadata.type === PASS_EXTENSION_PAYMENT_KIND
+  );
+}
+
+// Prolongation payée mais refusée à la vérification : le client est remboursé
+async function refundPassExtensionPayment(paymentIntent) {
+  if (!stripe) return false;
+
+  try {
+    const existing = await stripe.refunds.list({
+      payment_intent: paymentIntent.id,
+      limit: 10,
+    });
+
+    const alreadyRefunded = (existing?.data || []).some(
+      (refund) => !["failed", "canceled"].includes(refund.status)
+    );
+    if (alreadyRefunded) return true;
+
+    await stripe.refunds.create(
+      {
+        payment_intent: paymentIntent.id,
+        reason: "requested_by_customer",
+        metadata: {
+          kind: PASS_EXTENSION_PAYMENT_KIND,
+          user_pass_id: String(paymentIntent.metadata?.user_pass_id || ""),
+        },
+      },
+      { idempotencyKey: `pass-extension-refund-${paymentIntent.id}` }
+    );
+    return true;
+  } catch (e) {
+    console.error("Erreur remboursement prolongation de pass :", paymentIntent.id, e);
+    return false;
+  }
+}
+
+/**
+ * Règle un PaymentIntent de prolongation réussi, depuis la confirmation
+ * client ou le webhook Stripe (le premier arrivé applique, l'autre voit
+ * alreadyApplied). Un paiement qui ne correspond plus à l'offre est
+ * remboursé. expected : { userPassId, userId } contrôlés côté client.
+ * Retourne { ok: true, alreadyApplied, pass } ou
+ * { ok: false, status, error, refunded?, paymentStatus? }.
+ */
+export async function settlePassExtensionPayment(paymentIntent, expected = {}) {
+  ensureSupabase();
+
+  const userPassId = safeText(paymentIntent?.metadata?.user_pass_id, 120);
+  const userId = safeText(paymentIntent?.metadata?.user_id, 120);
+
+  if (
+    !isPassExtensionPaymentIntent(paymentIntent) ||
+    !userPassId ||
+    (expected.userPassId && String(expected.userPassId) !== userPassId) ||
+    (expected.userId && String(expected.userId) !== userId)
+  ) {
+    return {
+      ok: false,
+      status: 400,
+      error: "Ce paiement ne correspond pas à la prolongation de ce pass.",
+    };
+  }
+
+  if (paymentIntent.status !== "succeeded") {
+    return {
+      ok: false,
+      status: 409,
+      error: "Le paiement n'est pas encore confirmé.",
+      paymentStatus: paymentIntent.status,
+    };
+  }
+
+  const userPass = await syncExpiredPassById(userPassId);
+
+  if (userPass && (await isPassExtensionApplied(userPass, paymentIntent.id))) {
+    return { ok: true, alreadyApplied: true, pass: userPass };
+  }
+
+  const offer =
+    userPass && String(userPass.user_id) === userId
+      ? buildPassExtensionOffer(userPass, getPassExtensionSettings())
+      : { ok: false };
+
+  if (
+    !offer.ok ||
+    String(offer.extensionCount) !== String(paymentIntent.metadata?.extension_count) ||
+    Number(paymentIntent.amount || 0) !== offer.amountInCents
+  ) {
+    const refunded = await refundPassExtensionPayment(paymentIntent);
+
+    return {
+      ok: false,
+      status: 409,
+      error: refunded
+        ? "La prolongation n'a pas pu être appliquée. Votre paiement a été remboursé."
+        : "La prolongation n'a pas pu être appliquée. Contactez-nous pour un remboursement.",
+      refunded,
+    };
+  }
+
+  const result = await applyPassExtension({ userPass, paymentIntent, offer });
+
+  if (result.applied || result.alreadyApplied) {
+    return {
+      ok: true,
+      alreadyApplied: !result.applied,
+      pass: result.pass || (await syncExpiredPassById(userPass.id)),
+    };
+  }
+
+  // Course entre la confirmation et le webhook : l'autre appel a pu appliquer ce paiement
+  const latest = await syncExpiredPassById(userPass.id);
+
+  if (latest && (await isPassExtensionApplied(latest, paymentIntent.id))) {
+    return { ok: true, alreadyApplied: true, pass: latest };
+  }
+
+  return {
+    ok: false,
+    status: 409,
+    error: "Le pass a été modifié entre-temps. Réessayez ou contactez-nous.",
+  };
+}
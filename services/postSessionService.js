@@ -4,9 +4,18 @@ import {
   sendReviewRequestEmail,
 } from "./reviewService.js";
 import { processReservationGamification } from "./gamificationService.js";
+import {
+  isReservationCheckInTracked,
+  loadCheckInTrackedBoxes,
+} from "./checkInService.js";
 import {
   isReservationEligibleForPostSession,
 } from "./reservationLifecycleService.js";
+import {
+  isReservationStatusConfirmed,
+  isReservationStatusNoShow,
+  markReservationCompleted,
+} from "./reservationService.js";
 
 function nowIso() {
   return new Date().toISOString();
@@ -16,7 +25,20 @@ function safeText(value, maxLen = 500) {
   return String(value ?? "").trim().slice(0, maxLen);
 }
 
-function canProcessReservationPostSession(reservation) {
+/**
+ * Séance suivie (box équipée d'un contrôleur authentifié, voir
+ * checkInService) : sans check-in, elle n'a pas eu lieu (no_show_detection
+ * la passera en no_show), quel que soit l'ordre d'exécution des jobs.
+ */
+function isMissingCheckIn(reservation, trackedBoxes) {
+  return (
+    isReservationCheckInTracked(reservation, trackedBoxes) &&
+    !reservation.checked_in_at &&
+    isReservationStatusConfirmed(reservation.status)
+  );
+}
+
+function canProcessReservationPostSession(reservation, trackedBoxes) {
   if (!reservation) {
     return {
       ok: false,
@@ -25,6 +47,22 @@ function canProcessReservationPostSession(reservation) {
     };
   }
 
+  if (isReservationStatusNoShow(reservation.status)) {
+    return {
+      ok: false,
+      reason: "no_show",
+      message: "Absence (no-show) : ni gamification ni demande d’avis",
+    };
+  }
+
+  if (isMissingCheckIn(reservation, trackedBoxes)) {
+    return {
+      ok: false,
+      reason: "no_check_in",
+      message: "Aucun check-in : ni gamification ni demande d’avis",
+    };
+  }
+
   if (!isReservationEligibleForPostSession(reservation)) {
     return {
       ok: false,
@@ -75,9 +113,12 @@ export async function getPostSessionRun(reservationId) {
 export async function processReservationPostSession(reservationId) {
   if (!supabase) throw new Error("Supabase non configuré");
 
-  const reservation = await getReservationById(reservationId);
+  let reservation = await getReservationById(reservationId);
 
-  const eligibility = canProcessReservationPostSession(reservation);
+  const eligibility = canProcessReservationPostSession(
+    reservation,
+    await loadCheckInTrackedBoxes()
+  );
 
   await upsertPostSessionRun(reservationId, {
     reservation_status: reservation?.status || null,
@@ -99,6 +140,11 @@ export async function processReservationPostSession(reservationId) {
     };
   }
 
+  // Check-in enregistré à la porte : la séance a bien eu lieu
+  if (reservation.checked_in_at && isReservationStatusConfirmed(reservation.status)) {
+    reservation = await markReservationCompleted(reservation.id);
+  }
+
   let gamificationResult = null;
   let gamificationDone = false;
   let gamificationNote = null;
@@ -177,6 +223,37 @@ export async function processReservationPostSession(reservationId) {
   };
 }
 
+async function readPostSessionSnapshot(reservationId) {
+  const [reservation, run] = await Promise.all([
+    getReservationById(reservationId),
+    getPostSessionRun(reservationId),
+  ]);
+
+  return { reservation: reservation || null, run };
+}
+
+// Horodatages exclus : une tentative sans effet ne compte pas comme un changement
+function stripTimestamps(row) {
+  if (!row) return null;
+  return Object.fromEntries(
+    Object.entries(row).filter(([key]) => !key.endsWith("_at"))
+  );
+}
+
+function hasPostSessionChanged(before, after) {
+  return (
+    JSON.stringify(stripTimestamps(before?.reservation)) !==
+      JSON.stringify(stripTimestamps(after?.reservation)) ||
+    JSON.stringify(stripTimestamps(before?.run)) !==
+      JSON.stringify(stripTimestamps(after?.run))
+  );
+}
+
+/**
+ * Job : traite les séances terminées. changes contient l'état avant /
+ * après (réservation et post_session_runs) des seules réservations
+ * réellement modifiées, pour l'audit.
+ */
 export async function processFinishedReservationsPostSessionBatch(limit = 20) {
   if (!supabase) throw new Error("Supabase non configuré");
 
@@ -193,8 +270,14 @@ export async function processFinishedReservationsPostSessionBatch(limit = 20) {
   if (error) throw error;
 
   const results = [];
+  const changes = [];
 
   for (const reservation of reservations || []) {
+    const before = {
+      reservation,
+      run: await getPostSessionRun(reservation.id).catch(() => null),
+    };
+
     try {
       const result = await processReservationPostSession(reservation.id);
 
@@ -223,11 +306,21 @@ export async function processFinishedReservationsPostSessionBatch(limit = 20) {
         last_error: safeText(error?.message || error, 500),
       });
     }
+
+    try {
+      const after = await readPostSessionSnapshot(reservation.id);
+      if (hasPostSessionChanged(before, after)) {
+        changes.push({ id: reservation.id, before, after });
+      }
+    } catch (snapshotError) {
+      console.error("Erreur instantané post-session :", snapshotError);
+    }
   }
 
   return {
     success: true,
     totalProcessed: results.length,
     results,
+    changes,
   };
 }
@@ -0,0 +1,698 @@
+// backend/services/pricingRuleService.js
+
+import { supabase } from "../config/supabase.js";
+import {
+  MAX_ALLOWED_PERSONS,
+  WEEKDAY_END_NIGHT_HOUR,
+  WEEKDAY_EVENING_RATE,
+  WEEKDAY_EVENING_START_HOUR,
+  WEEKDAY_MIDDAY_RATE,
+  WEEKDAY_MIDDAY_START_HOUR,
+  WEEKDAY_MORNING_RATE,
+  WEEKEND_AFTER_15_RATE,
+  WEEKEND_AFTERNOON_SWITCH_HOUR,
+  WEEKEND_BEFORE_15_RATE,
+} from "../constants/booking.js";
+import {
+  STANDARD_SLOT_STARTS,
+  buildSlotIsoRange,
+  computeAmountForRate,
+  formatDateOnlyInParis,
+  getParisDateParts,
+  getParisWeekday,
+} from "./pricingService.js";
+
+/**
+ * Moteur de règles tarifaires (prix par personne d'une séance).
+ *
+ * Table `pricing_rules` :
+ * - id, code, label, priority (la plus haute gagne), status (draft | published | archived)
+ * - weekdays (int[], 0 = dimanche, heure de Paris ; null = tous les jours)
+ * - start_time / end_time ("HH:MM", heure de début de séance ; null = toute
+ *   la journée). Une fin <= début signifie que la plage passe minuit.
+ * - date_from / date_to (dates de Paris incluses ; null = sans limite) :
+ *   les jours spéciaux (ex. 31 décembre) sont des règles datées à forte priorité
+ * - box_ids (int[] ; null = toutes les box), min_persons / max_persons
+ * - per_person_rate, created_by, published_at, created_at, updated_at
+ * - dynamic_min_rate / dynamic_max_rate : plancher et plafond du tarif en
+ *   mode dynamique (DYNAMIC_PRICING_ENABLED) ; null = tarif fixe
+ *
+ * Seules les règles publiées s'appliquent. À priorité égale, une règle
+ * datée passe avant une règle permanente. Si aucune règle publiée ne
+ * correspond, la grille historique (DEFAULT_PRICING_RULES) s'applique.
+ */
+
+export const PRICING_RULE_STATUSES = {
+  DRAFT: "draft",
+  PUBLISHED: "published",
+  ARCHIVED: "archived",
+};
+
+const MINUTES_PER_DAY = 24 * 60;
+const PRICING_RULES_CACHE_TTL_MS = 60 * 1000;
+const PRICING_RULES_VERSION_CHECK_MS = 5 * 1000;
+
+function clock(hour) {
+  return `${String(hour).padStart(2, "0")}:00`;
+}
+
+// Grille historique (constants/booking.js). Les codes servent aussi de
+// tranches pour le reporting.
+const DEFAULT_PRICING_RULES = Object.freeze(
+  [
+    {
+      code: "WEEKDAY_MORNING",
+      label: "Semaine matin",
+      weekdays: [1, 2, 3, 4],
+      start_time: clock(WEEKDAY_END_NIGHT_HOUR),
+      end_time: clock(WEEKDAY_MIDDAY_START_HOUR),
+      per_person_rate: WEEKDAY_MORNING_RATE,
+    },
+    {
+      code: "WEEKDAY_MIDDAY",
+      label: "Semaine midi",
+      weekdays: [1, 2, 3, 4],
+      start_time: clock(WEEKDAY_MIDDAY_START_HOUR),
+      end_time: clock(WEEKDAY_EVENING_START_HOUR),
+      per_person_rate: WEEKDAY_MIDDAY_RATE,
+    },
+    {
+      code: "WEEKDAY_EVENING",
+      label: "Semaine soir",
+      weekdays: [1, 2, 3, 4],
+      start_time: clock(WEEKDAY_EVENING_START_HOUR),
+      end_time: clock(WEEKDAY_END_NIGHT_HOUR),
+      per_person_rate: WEEKDAY_EVENING_RATE,
+    },
+    {
+      code: "WEEKEND_BEFORE_15",
+      label: "Week-end avant 15h",
+      weekdays: [5, 6, 0],
+      start_time: clock(WEEKDAY_END_NIGHT_HOUR),
+      end_time: clock(WEEKEND_AFTERNOON_SWITCH_HOUR),
+      per_person_rate: WEEKEND_BEFORE_15_RATE,
+    },
+    {
+      code: "WEEKEND_AFTER_15",
+      label: "Week-end dès 15h",
+      weekdays: [5, 6, 0],
+      start_time: clock(WEEKEND_AFTERNOON_SWITCH_HOUR),
+      end_time: clock(WEEKDAY_END_NIGHT_HOUR),
+      per_person_rate: WEEKEND_AFTER_15_RATE,
+    },
+  ].map((rule) =>
+    normalizePricingRule({
+      ...rule,
+      id: null,
+      priority: Number.MIN_SAFE_INTEGER,
+      status: PRICING_RULE_STATUSES.PUBLISHED,
+    })
+  )
+);
+
+let cachedRules = null;
+let cachedAt = 0;
+let cachedVersion = null;
+let versionCheckedAt = 0;
+
+function ensureSupabase() {
+  if (!supabase) {
+    throw new Error("Supabase non configuré");
+  }
+}
+
+function safeText(value, maxLen = 255) {
+  return String(value ?? "").trim().slice(0, maxLen);
+}
+
+function toPositiveInt(value, fallback = null) {
+  const n = Number.parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function parseClockToMinutes(value) {
+  const match = safeText(value, 10).match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+
+  if (hours > 24 || minutes > 59) return null;
+
+  const total = hours * 60 + minutes;
+  return total <= MINUTES_PER_DAY ? total : null;
+}
+
+function isValidDateOnly(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(safeText(value, 10));
+}
+
+function normalizeIntList(raw, { min, max }) {
+  if (!Array.isArray(raw)) return null;
+
+  const values = [...new Set(raw.map((value) => Number.parseInt(value, 10)))]
+    .filter((value) => Number.isFinite(value) && value >= min && value <= max)
+    .sort((a, b) => a - b);
+
+  return values.length > 0 ? values : null;
+}
+
+function toRateOrNull(value) {
+  if (value == null || value === "") return null;
+
+  const rate = Number(value);
+  return Number.isFinite(rate) && rate >= 0 ? Number(rate.toFixed(2)) : null;
+}
+
+function normalizePricingRule(row) {
+  return {
+    id: row.id ?? null,
+    code: safeText(row.code, 80) || null,
+    label: safeText(row.label, 160),
+    priority: Number.isFinite(Number(row.priority)) ? Number(row.priority) : 0,
+    status: row.status || PRICING_RULE_STATUSES.DRAFT,
+    weekdays: normalizeIntList(row.weekdays, { min: 0, max: 6 }),
+    start_time: row.start_time ? safeText(row.start_time, 5) : null,
+    end_time: row.end_time ? safeText(row.end_time, 5) : null,
+    date_from: row.date_from || null,
+    date_to: row.date_to || null,
+    box_ids: normalizeIntList(row.box_ids, { min: 1, max: Number.MAX_SAFE_INTEGER }),
+    min_persons: toPositiveInt(row.min_persons, null),
+    max_persons: toPositiveInt(row.max_persons, null),
+    per_person_rate: Number(Number(row.per_person_rate || 0).toFixed(2)),
+    dynamic_min_rate: toRateOrNull(row.dynamic_min_rate),
+    dynamic_max_rate: toRateOrNull(row.dynamic_max_rate),
+    published_at: row.published_at || null,
+    is_default: row.id == null,
+  };
+}
+
+function compareRules(a, b) {
+  if (b.priority !== a.priority) return b.priority - a.priority;
+
+  const aDated = a.date_from || a.date_to ? 1 : 0;
+  const bDated = b.date_from || b.date_to ? 1 : 0;
+  if (bDated !== aDated) return bDated - aDated;
+
+  return String(a.id ?? "").localeCompare(String(b.id ?? ""));
+}
+
+export function getDefaultPricingRules() {
+  return DEFAULT_PRICING_RULES.map((rule) => ({ ...rule }));
+}
+
+// Dernière modification d'une règle (tout statut) : une publication ou un
+// archivage fait par un autre processus change cette valeur
+async function readPricingRulesVersion() {
+  const { data, error } = await supabase
+    .from("pricing_rules")
+    .select("updated_at")
+    .order("updated_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.updated_at || null;
+}
+
+/**
+ * Règles à appliquer, triées par ordre d'évaluation. Les règles publiées
+ * sont gardées en mémoire une minute ; toutes les quelques secondes, la date
+ * de dernière modification est relue pour voir les publications faites par
+ * les autres processus (le processus qui publie invalide directement).
+ */
+export async function loadPricingRules({ force = false } = {}) {
+  if (!supabase) return getDefaultPricingRules();
+
+  if (!force && cachedRules && Date.now() - cachedAt < PRICING_RULES_CACHE_TTL_MS) {
+    if (Date.now() - versionCheckedAt < PRICING_RULES_VERSION_CHECK_MS) {
+      return cachedRules;
+    }
+
+    const version = await readPricingRulesVersion();
+    versionCheckedAt = Date.now();
+
+    if (version === cachedVersion) return cachedRules;
+  }
+
+  // Lue avant les règles : une modification concurrente sera revue ensuite
+  const version = await readPricingRulesVersion();
+
+  const { data, error } = await supabase
+    .from("pricing_rules")
+    .select("*")
+    .eq("status", PRICING_RULE_STATUSES.PUBLISHED);
+
+  if (error) {
+    console.error("loadPricingRules error:", error);
+    throw error;
+  }
+
+  cachedRules = buildPricingRuleSet(data || []);
+  cachedAt = Date.now();
+  cachedVersion = version;
+  versionCheckedAt = cachedAt;
+
+  return cachedRules;
+}
+
+export function invalidatePricingRulesCache() {
+  cachedRules = null;
+  cachedAt = 0;
+  cachedVersion = null;
+  versionCheckedAt = 0;
+}
+
+/**
+ * Construit un jeu de règles évaluable : lignes triées puis grille
+ * historique en dernier recours.
+ */
+export function buildPricingRuleSet(rows = []) {
+  return [
+    ...rows.map(normalizePricingRule).sort(compareRules),
+    ...getDefaultPricingRules(),
+  ];
+}
+
+function isTimeInRule(rule, minutes) {
+  const start = parseClockToMinutes(rule.start_time);
+  const end = parseClockToMinutes(rule.end_time);
+
+  if (start == null && end == null) return true;
+
+  const safeStart = start ?? 0;
+  const safeEnd = end ?? MINUTES_PER_DAY;
+
+  if (safeEnd > safeStart) {
+    return minutes >= safeStart && minutes < safeEnd;
+  }
+
+  return minutes >= safeStart || minutes < safeEnd;
+}
+
+export function doesPricingRuleMatch(rule, { startDate, boxId = null, persons = null }) {
+  if (!rule || !(startDate instanceof Date) || Number.isNaN(startDate.getTime())) {
+    return false;
+  }
+
+  if (rule.weekdays && !rule.weekdays.includes(getParisWeekday(startDate))) {
+    return false;
+  }
+
+  const { hour, minute } = getParisDateParts(startDate);
+  if (!isTimeInRule(rule, hour * 60 + minute)) return false;
+
+  if (rule.date_from || rule.date_to) {
+    const dateStr = formatDateOnlyInParis(startDate);
+    if (rule.date_from && dateStr < rule.date_from) return false;
+    if (rule.date_to && dateStr > rule.date_to) return false;
+  }
+
+  if (rule.box_ids) {
+    if (boxId == null || !rule.box_ids.includes(Number(boxId))) return false;
+  }
+
+  if (rule.min_persons || rule.max_persons) {
+    const safePersons = Number(persons);
+    if (!Number.isFinite(safePersons)) return false;
+    if (rule.min_persons && safePersons < rule.min_persons) return false;
+    if (rule.max_persons && safePersons > rule.max_persons) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Première règle correspondant à la séance. Les règles doivent venir de
+ * loadPricingRules / buildPricingRuleSet (déjà triées, grille historique
+ * en dernier).
+ */
+export function resolvePricingRule(rules, context) {
+  const safeRules = Array.isArray(rules) && rules.length > 0 ? rules : DEFAULT_PRICING_RULES;
+  return safeRules.find((rule) => doesPricingRuleMatch(rule, context)) || null;
+}
+
+export function toPublicPricingRule(rule) {
+  if (!rule) return null;
+
+  return {
+    id: rule.id,
+    code: rule.code,
+    label: rule.label,
+    priority: rule.is_default ? null : rule.priority,
+    status: rule.status,
+    weekdays: rule.weekdays,
+    start_time: rule.start_time,
+    end_time: rule.end_time,
+    date_from: rule.date_from,
+    date_to: rule.date_to,
+    box_ids: rule.box_ids,
+    min_persons: rule.min_persons,
+    max_persons: rule.max_persons,
+    per_person_rate: rule.per_person_rate,
+    dynamic_min_rate: rule.dynamic_min_rate,
+    dynamic_max_rate: rule.dynamic_max_rate,
+    published_at: rule.published_at,
+    is_default: rule.is_default,
+  };
+}
+
+/* =========================================================
+   ADMINISTRATION
+========================================================= */
+
+/**
+ * Valide le corps d'une création / modification de règle.
+ * Retourne { value } ou { error }.
+ */
+export function readPricingRulePayload(body = {}) {
+  const label = safeText(body.label, 160);
+  const code = safeText(body.code, 80).toUpperCase() || null;
+  const priority = Number.parseInt(body.priority ?? 0, 10);
+  const rate = Number(body.per_person_rate ?? body.perPersonRate);
+  const rawWeekdays = body.weekdays ?? null;
+  const startTime = safeText(body.start_time ?? body.startTime, 5) || null;
+  const endTime = safeText(body.end_time ?? body.endTime, 5) || null;
+  const dateFrom = safeText(body.date_from ?? body.dateFrom, 10) || null;
+  const dateTo = safeText(body.date_to ?? body.dateTo, 10) || null;
+  const rawBoxIds = body.box_ids ?? body.boxIds ?? null;
+  const rawMinPersons = body.min_persons ?? body.minPersons;
+  const rawMaxPersons = body.max_persons ?? body.maxPersons;
+  const rawDynamicMin = body.dynamic_min_rate ?? body.dynamicMinRate;
+  const rawDynamicMax = body.dynamic_max_rate ?? body.dynamicMaxRate;
+
+  if (!label) return { error: "Libellé requis" };
+
+  if (code && !/^[A-Z0-9_]{2,80}$/.test(code)) {
+    return { error: "Code invalide (A-Z, 0-9, _)" };
+  }
+
+  if (!Number.isFinite(priority) || Math.abs(priority) > 1000) {
+    return { error: "Priorité invalide (-1000 à 1000)" };
+  }
+
+  if (!Number.isFinite(rate) || rate < 0 || rate > 500) {
+    return { error: "Tarif par personne invalide" };
+  }
+
+  let weekdays = null;
+  if (rawWeekdays != null) {
+    weekdays = Array.isArray(rawWeekdays)
+      ? normalizeIntList(rawWeekdays, { min: 0, max: 6 })
+      : null;
+
+    if (!weekdays || weekdays.length !== rawWeekdays.length) {
+      return { error: "Jours de la semaine invalides (0 = dimanche à 6 = samedi)" };
+    }
+  }
+
+  if (
+    (startTime && parseClockToMinutes(startTime) == null) ||
+    (endTime && parseClockToMinutes(endTime) == null)
+  ) {
+    return { error: "Plage horaire invalide (format HH:MM)" };
+  }
+
+  if ((dateFrom && !isValidDateOnly(dateFrom)) || (dateTo && !isValidDateOnly(dateTo))) {
+    return { error: "Dates invalides (format YYYY-MM-DD)" };
+  }
+
+  if (dateFrom && dateTo && dateTo < dateFrom) {
+    return { error: "La date de fin doit suivre la date de début" };
+  }
+
+  let boxIds = null;
+  if (rawBoxIds != null) {
+    boxIds = Array.isArray(rawBoxIds)
+      ? normalizeIntList(rawBoxIds, { min: 1, max: Number.MAX_SAFE_INTEGER })
+      : null;
+
+    if (!boxIds) return { error: "Liste de box invalide" };
+  }
+
+  const minPersons =
+    rawMinPersons != null && rawMinPersons !== "" ? toPositiveInt(rawMinPersons, 0) : null;
+  const maxPersons =
+    rawMaxPersons != null && rawMaxPersons !== "" ? toPositiveInt(rawMaxPersons, 0) : null;
+
+  if (
+    minPersons === 0 ||
+    maxPersons === 0 ||
+    (minPersons && minPersons > MAX_ALLOWED_PERSONS) ||
+    (maxPersons && maxPersons > MAX_ALLOWED_PERSONS) ||
+    (minPersons && maxPersons && maxPersons < minPersons)
+  ) {
+    return { error: `Nombre de personnes invalide (1 à ${MAX_ALLOWED_PERSONS})` };
+  }
+
+  const dynamicMinRate = toRateOrNull(rawDynamicMin);
+  const dynamicMaxRate = toRateOrNull(rawDynamicMax);
+  const hasDynamicMin = rawDynamicMin != null && rawDynamicMin !== "";
+  const hasDynamicMax = rawDynamicMax != null && rawDynamicMax !== "";
+
+  if (
+    hasDynamicMin !== hasDynamicMax ||
+    (hasDynamicMin && (dynamicMinRate == null || dynamicMaxRate == null))
+  ) {
+    return { error: "Plancher et plafond dynamiques vont ensemble" };
+  }
+
+  if (hasDynamicMin && !(dynamicMinRate <= rate && rate <= dynamicMaxRate)) {
+    return { error: "Le tarif doit être compris entre le plancher et le plafond" };
+  }
+
+  return {
+    value: {
+      code,
+      label,
+      priority,
+      weekdays,
+      start_time: startTime,
+      end_time: endTime,
+      date_from: dateFrom,
+      date_to: dateTo,
+      box_ids: boxIds,
+      min_persons: minPersons,
+      max_persons: maxPersons,
+      per_person_rate: Number(rate.toFixed(2)),
+      dynamic_min_rate: dynamicMinRate,
+      dynamic_max_rate: dynamicMaxRate,
+    },
+  };
+}
+
+export async function listPricingRules({ includeArchived = false } = {}) {
+  ensureSupabase();
+
+  let query = supabase
+    .from("pricing_rules")
+    .select("*")
+    .order("priority", { ascending: false })
+    .order("created_at", { ascending: true });
+
+  if (!includeArchived) {
+    query = query.neq("status", PRICING_RULE_STATUSES.ARCHIVED);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  return (data || []).map(normalizePricingRule);
+}
+
+export async function listPricingRulesByIds(ruleIds = []) {
+  ensureSupabase();
+
+  const ids = [...new Set(ruleIds.map((id) => safeText(id, 120)).filter(Boolean))];
+  if (ids.length === 0) return [];
+
+  const { data, error } = await supabase.from("pricing_rules").select("*").in("id", ids);
+  if (error) throw error;
+
+  return data || [];
+}
+
+async function getPricingRuleRowById(ruleId) {
+  const { data, error } = await supabase
+    .from("pricing_rules")
+    .select("*")
+    .eq("id", ruleId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+export async function createPricingRule({ rule, createdBy = null }) {
+  ensureSupabase();
+
+  const nowIso = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from("pricing_rules")
+    .insert({
+      ...rule,
+      status: PRICING_RULE_STATUSES.DRAFT,
+      created_by: safeText(createdBy, 255) || null,
+      created_at: nowIso,
+      updated_at: nowIso,
+    })
+    .select("*")
+    .single();
+
+  if (error) throw error;
+  return normalizePricingRule(data);
+}
+
+/**
+ * Seuls les brouillons sont modifiables : une règle publiée s'archive et
+ * se remplace, pour que l'historique des prix reste lisible.
+ */
+export async function updatePricingRule(ruleId, { rule }) {
+  ensureSupabase();
+
+  const existing = await getPricingRuleRowById(ruleId);
+  if (!existing) return { ok: false, status: 404, error: "Règle introuvable" };
+
+  const { data, error } = await supabase
+    .from("pricing_rules")
+    .update({ ...rule, updated_at: new Date().toISOString() })
+    .eq("id", ruleId)
+    .eq("status", PRICING_RULE_STATUSES.DRAFT)
+    .select("*")
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!data) {
+    return { ok: false, status: 409, error: "Seul un brouillon peut être modifié" };
+  }
+
+  return {
+    ok: true,
+    previous: normalizePricingRule(existing),
+    rule: normalizePricingRule(data),
+  };
+}
+
+export async function setPricingRuleStatus(ruleId, status) {
+  ensureSupabase();
+
+  if (
+    status !== PRICING_RULE_STATUSES.PUBLISHED &&
+    status !== PRICING_RULE_STATUSES.ARCHIVED
+  ) {
+    throw new Error("Statut de règle invalide");
+  }
+
+  const existing = await getPricingRuleRowById(ruleId);
+  if (!existing) return { ok: false, status: 404, error: "Règle introuvable" };
+
+  if (existing.status === status) {
+    return {
+      ok: true,
+      previous: normalizePricingRule(existing),
+      rule: normalizePricingRule(existing),
+    };
+  }
+
+  if (
+    status === PRICING_RULE_STATUSES.PUBLISHED &&
+    existing.status !== PRICING_RULE_STATUSES.DRAFT
+  ) {
+    return { ok: false, status: 409, error: "Seul un brouillon peut être publié" };
+  }
+
+  const nowIso = new Date().toISOString();
+  const patch = { status, updated_at: nowIso };
+  if (status === PRICING_RULE_STATUSES.PUBLISHED) patch.published_at = nowIso;
+
+  const { data, error } = await supabase
+    .from("pricing_rules")
+    .update(patch)
+    .eq("id", ruleId)
+    .eq("status", existing.status)
+    .select("*")
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return { ok: false, status: 409, error: "Règle modifiée entre-temps" };
+
+  invalidatePricingRulesCache();
+
+  return {
+    ok: true,
+    previous: normalizePricingRule(existing),
+    rule: normalizePricingRule(data),
+  };
+}
+
+/**
+ * Aperçu des prix d'une journée : grille publiée actuelle comparée à la
+ * grille obtenue en publiant les brouillons (tous, ou ceux de draftRuleIds).
+ */
+export async function previewPricingForDate({
+  date,
+  persons = 2,
+  boxId = null,
+  draftRuleIds = null,
+}) {
+  ensureSupabase();
+
+  if (!isValidDateOnly(date)) {
+    throw new Error("Date invalide (format attendu YYYY-MM-DD)");
+  }
+
+  const currentRules = await loadPricingRules({ force: true });
+
+  let draftRows;
+  if (Array.isArray(draftRuleIds) && draftRuleIds.length > 0) {
+    draftRows = (await listPricingRulesByIds(draftRuleIds)).filter(
+      (row) => row.status === PRICING_RULE_STATUSES.DRAFT
+    );
+  } else {
+    const { data, error } = await supabase
+      .from("pricing_rules")
+      .select("*")
+      .eq("status", PRICING_RULE_STATUSES.DRAFT);
+
+    if (error) throw error;
+    draftRows = data || [];
+  }
+
+  const previewRules = buildPricingRuleSet([
+    ...currentRules.filter((rule) => !rule.is_default),
+    ...draftRows,
+  ]);
+
+  const slots = STANDARD_SLOT_STARTS.map((hour) => {
+    const { startIso } = buildSlotIsoRange(date, hour);
+    const context = { startDate: new Date(startIso), boxId, persons };
+    const currentRule = resolvePricingRule(currentRules, context);
+    const previewRule = resolvePricingRule(previewRules, context);
+
+    return {
+      hour,
+      start_time: startIso,
+      current: {
+        rule: toPublicPricingRule(currentRule),
+        per_person_rate: currentRule?.per_person_rate ?? null,
+        total_amount: computeAmountForRate(currentRule?.per_person_rate || 0, persons),
+      },
+      preview: {
+        rule: toPublicPricingRule(previewRule),
+        per_person_rate: previewRule?.per_person_rate ?? null,
+        total_amount: computeAmountForRate(previewRule?.per_person_rate || 0, persons),
+      },
+      changed: currentRule?.per_person_rate !== previewRule?.per_person_rate,
+    };
+  });
+
+  return {
+    date,
+    persons,
+    boxId,
+    draftRules: draftRows.map((row) => toPublicPricingRule(normalizePricingRule(row))),
+    slots,
+  };
+}
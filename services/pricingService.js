@@ -4,20 +4,16 @@ import {
   SLOT_DURATION_MINUTES,
   MIN_BILLABLE_PERSONS,
   SINGCOINS_FREE_BILLABLE_PERSONS,
-  WEEKDAY_MORNING_RATE,
-  WEEKDAY_MIDDAY_RATE,
-  WEEKDAY_EVENING_RATE,
-  WEEKEND_BEFORE_15_RATE,
-  WEEKEND_AFTER_15_RATE,
-  WEEKDAY_MORNING_START_HOUR,
-  WEEKDAY_MIDDAY_START_HOUR,
-  WEEKDAY_EVENING_START_HOUR,
-  WEEKDAY_END_NIGHT_HOUR,
-  WEEKEND_AFTERNOON_SWITCH_HOUR,
 } from "../constants/booking.js";
 
 import { clampPersons, getNumericBoxId } from "../utils/validators.js";
 import { isReservationPaidWithSingcoins } from "./singcoinService.js";
+import { loadPricingRules, resolvePricingRule } from "./pricingRuleService.js";
+import {
+  computeDynamicRate,
+  isDynamicPricingActive,
+  loadDemandSnapshot,
+} from "./dynamicPricingService.js";
 
 const PARIS_TIME_ZONE = "Europe/Paris";
 
@@ -47,7 +43,7 @@ function getParisFormatter(options = {}) {
   });
 }
 
-function getParisDateParts(date) {
+export function getParisDateParts(date) {
   const formatter = getParisFormatter({
     year: "numeric",
     month: "2-digit",
@@ -70,7 +66,7 @@ function getParisDateParts(date) {
   };
 }
 
-function getParisWeekday(date) {
+export function getParisWeekday(date) {
   const formatter = getParisFormatter({ weekday: "short" });
   const weekday = formatter.format(date).toLowerCase();
 
@@ -124,12 +120,12 @@ function formatIsoInParis(date) {
   return `${String(parts.year).padStart(4, "0")}-${String(parts.month).padStart(2, "0")}-${String(parts.day).padStart(2, "0")}T${String(parts.hour).padStart(2, "0")}:${String(parts.minute).padStart(2, "0")}:${String(parts.second).padStart(2, "0")}${offset}`;
 }
 
-function formatDateOnlyInParis(date) {
+export function formatDateOnlyInParis(date) {
   const parts = getParisDateParts(date);
   return `${String(parts.year).padStart(4, "0")}-${String(parts.month).padStart(2, "0")}-${String(parts.day).padStart(2, "0")}`;
 }
 
-function buildUtcDateFromParisLocal(dateStr, hour, minute = 0) {
+export function buildUtcDateFromParisLocal(dateStr, hour, minute = 0) {
   const { year, month, day } = parseDateOnly(dateStr);
 
   const roughUtc = new Date(Date.UTC(year, month - 1, day, hour, minute, 0));
@@ -181,31 +177,90 @@ export function isFriday(dateObj) {
   return getParisWeekday(dateObj) === 5;
 }
 
-export function getPerPersonRateForDate(dateObj) {
-  const hour = getParisDateParts(dateObj).hour;
-  const isFridayDate = isFriday(dateObj);
-  const isWeekendDate = isWeekend(dateObj);
+/**
+ * Tarif d'une séance selon les règles tarifaires (pricingRuleService).
+ * Les fonctions async acceptent options.pricingRules pour réutiliser un
+ * jeu de règles déjà chargé (grilles, rapports, aperçu admin), et
+ * options.demand pour un instantané de demande (dynamicPricingService) ;
+ * options.dynamic === false force le tarif de base.
+ */
+async function resolvePricingRules(options = {}) {
+  return Array.isArray(options.pricingRules) ? options.pricingRules : loadPricingRules();
+}
 
-  if (isFridayDate || isWeekendDate) {
-    if (hour >= WEEKEND_AFTERNOON_SWITCH_HOUR || hour < WEEKDAY_END_NIGHT_HOUR) {
-      return WEEKEND_AFTER_15_RATE;
-    }
-    return WEEKEND_BEFORE_15_RATE;
-  }
+async function resolveDemandSnapshot(options, rules, startDates) {
+  if (options.demand !== undefined) return options.demand;
+  if (options.dynamic === false || !isDynamicPricingActive(rules)) return null;
 
-  if (hour >= WEEKDAY_MORNING_START_HOUR && hour < WEEKDAY_MIDDAY_START_HOUR) {
-    return WEEKDAY_MORNING_RATE;
-  }
+  return loadDemandSnapshot({
+    dates: startDates.filter(Boolean).map((date) => formatDateOnlyInParis(date)),
+  });
+}
 
-  if (hour >= WEEKDAY_MIDDAY_START_HOUR && hour < WEEKDAY_EVENING_START_HOUR) {
-    return WEEKDAY_MIDDAY_RATE;
-  }
+export function getSlotPricing(
+  rules,
+  { startDate, boxId = null, persons = null, demand = null }
+) {
+  const rule = resolvePricingRule(rules, { startDate, boxId, persons });
+  const baseRate = Number(rule?.per_person_rate || 0);
+  const dynamic = demand ? computeDynamicRate(rule, { startDate, snapshot: demand }) : null;
+
+  return {
+    rule,
+    baseRate,
+    perPersonRate: dynamic ? dynamic.perPersonRate : baseRate,
+    dynamic,
+  };
+}
 
-  if (hour >= WEEKDAY_EVENING_START_HOUR || hour < WEEKDAY_END_NIGHT_HOUR) {
-    return WEEKDAY_EVENING_RATE;
+function buildQuotedRateKey({ boxId, startTime, persons }) {
+  const startMs = new Date(startTime).getTime();
+  return `${Number(boxId || 1)}|${startMs}|${Number(persons || 0)}`;
+}
+
+/**
+ * Index des tarifs figés (blocages de créneaux, cf. slotHoldService).
+ */
+function indexQuotedRates(quotedRates = []) {
+  const index = new Map();
+
+  for (const quote of Array.isArray(quotedRates) ? quotedRates : []) {
+    const rate = Number(quote?.per_person_rate);
+    if (!Number.isFinite(rate) || rate < 0) continue;
+
+    index.set(
+      buildQuotedRateKey({
+        boxId: quote.box_id,
+        startTime: quote.start_time,
+        persons: quote.persons,
+      }),
+      { perPersonRate: rate, pricingRuleId: quote.pricing_rule_id ?? null }
+    );
   }
 
-  return WEEKDAY_MORNING_RATE;
+  return index;
+}
+
+export async function getPerPersonRateForDate(dateObj, options = {}) {
+  const rules = await resolvePricingRules(options);
+  const demand = await resolveDemandSnapshot(options, rules, [dateObj]);
+
+  return getSlotPricing(rules, {
+    startDate: dateObj,
+    boxId: options.boxId ?? null,
+    persons: options.persons ?? null,
+    demand,
+  }).perPersonRate;
+}
+
+export function computeAmountForRate(perPersonRate, persons, options = {}) {
+  const billablePersons = getBillablePersons(persons);
+
+  const chargedPersons = options.singcoinsUsed
+    ? Math.max(0, billablePersons - SINGCOINS_FREE_BILLABLE_PERSONS)
+    : billablePersons;
+
+  return Number((chargedPersons * perPersonRate).toFixed(2));
 }
 
 export function generateStandardSlotStarts() {
@@ -269,43 +324,65 @@ export function buildSlotIsoRange(dateStr, slotHourFloat) {
   };
 }
 
-export function computeSessionCashAmount(startDate, persons, options = {}) {
-  const billablePersons = getBillablePersons(persons);
-  const perPersonRate = getPerPersonRateForDate(startDate);
-  const singcoinsUsed = !!options.singcoinsUsed;
-
-  if (!singcoinsUsed) {
-    return Number((billablePersons * perPersonRate).toFixed(2));
-  }
-
-  const extraBillablePersons = Math.max(
-    0,
-    billablePersons - SINGCOINS_FREE_BILLABLE_PERSONS
-  );
+export async function computeSessionCashAmount(startDate, persons, options = {}) {
+  const rules = await resolvePricingRules(options);
+  const demand = await resolveDemandSnapshot(options, rules, [startDate]);
+  const { perPersonRate } = getSlotPricing(rules, {
+    startDate,
+    boxId: options.boxId ?? null,
+    persons: clampPersons(persons),
+    demand,
+  });
 
-  return Number((extraBillablePersons * perPersonRate).toFixed(2));
+  return computeAmountForRate(perPersonRate, persons, {
+    singcoinsUsed: !!options.singcoinsUsed,
+  });
 }
 
-export function computeCartPricing(panier, options = {}) {
+export async function computeCartPricing(panier, options = {}) {
   const singcoinsUsed = !!options.singcoinsUsed;
   const safePanier = Array.isArray(panier) ? panier : [];
+  const rules = await resolvePricingRules(options);
+  const quotes = indexQuotedRates(options.quotedRates);
 
-  const normalizedItems = safePanier.map((slot) => {
+  const slots = safePanier.map((slot) => {
     const times = buildTimesFromSlot(slot);
-    const startDate = new Date(times.start_time);
     const rawBox = slot.boxId ?? slot.box_id ?? slot.box ?? slot.boxName ?? 1;
-    const numericBoxId = getNumericBoxId(rawBox);
     const persons = clampPersons(
       slot.persons || slot.nb_personnes || slot.participants || 2
     );
+    const numericBoxId = getNumericBoxId(rawBox);
+    const quote = quotes.get(
+      buildQuotedRateKey({ boxId: numericBoxId, startTime: times.start_time, persons })
+    );
 
+    return { slot, times, persons, numericBoxId, quote };
+  });
+
+  const unquotedStarts = slots
+    .filter((entry) => !entry.quote)
+    .map((entry) => new Date(entry.times.start_time));
+  const demand =
+    unquotedStarts.length > 0
+      ? await resolveDemandSnapshot(options, rules, unquotedStarts)
+      : null;
+
+  const normalizedItems = slots.map(({ slot, times, persons, numericBoxId, quote }) => {
+    const startDate = new Date(times.start_time);
     const billablePersons = getBillablePersons(persons);
+    const livePricing = getSlotPricing(rules, {
+      startDate,
+      boxId: numericBoxId,
+      persons,
+      demand,
+    });
+    const perPersonRate = quote ? quote.perPersonRate : livePricing.perPersonRate;
 
-    const theoreticalFullAmount = computeSessionCashAmount(startDate, persons, {
+    const theoreticalFullAmount = computeAmountForRate(perPersonRate, persons, {
       singcoinsUsed: false,
     });
 
-    const cashAmountDue = computeSessionCashAmount(startDate, persons, {
+    const cashAmountDue = computeAmountForRate(perPersonRate, persons, {
       singcoinsUsed,
     });
 
@@ -322,6 +399,14 @@ export function computeCartPricing(panier, options = {}) {
       end_time: times.end_time,
       date: times.date,
       datetime: times.datetime,
+      perPersonRate,
+      priceLocked: !!quote,
+      pricingRuleId: quote ? quote.pricingRuleId : livePricing.rule?.id ?? null,
+      // Tarif figé sur une autre règle que la règle actuelle : code inconnu
+      pricingRuleCode:
+        !quote || quote.pricingRuleId === (livePricing.rule?.id ?? null)
+          ? livePricing.rule?.code ?? null
+          : null,
       theoreticalFullAmount,
       cashAmountDue,
       singcoinsDiscountAmount,
@@ -351,15 +436,41 @@ export function computeCartPricing(panier, options = {}) {
   };
 }
 
-export function computeModificationDelta({
+/**
+ * Colonnes de la réservation qui figent le tarif appliqué (reporting).
+ */
+export function buildReservationPricingFields({
+  pricingRuleId = null,
+  pricingRuleCode = null,
+  perPersonRate = null,
+} = {}) {
+  const rate = Number(perPersonRate);
+
+  return {
+    pricing_rule_id: pricingRuleId ?? null,
+    pricing_rule_code: pricingRuleCode || null,
+    per_person_rate: perPersonRate != null && Number.isFinite(rate) ? rate : null,
+  };
+}
+
+export async function computeModificationDelta({
   reservation,
   targetStart,
   targetPersons,
+  targetBoxId = null,
 }) {
   const currentAmount = Number(reservation?.montant || 0);
   const singcoinsUsed = isReservationPaidWithSingcoins(reservation);
 
-  const newAmount = computeSessionCashAmount(targetStart, targetPersons, {
+  // Tarif de base : ce montant est enregistré sur la demande de modification
+  // (new_amount) et appliqué tel quel par applyReservationModification
+  const rules = await resolvePricingRules();
+  const { rule, perPersonRate } = getSlotPricing(rules, {
+    startDate: targetStart,
+    boxId: targetBoxId ?? reservation?.box_id ?? null,
+    persons: clampPersons(targetPersons),
+  });
+  const newAmount = computeAmountForRate(perPersonRate, targetPersons, {
     singcoinsUsed,
   });
 
@@ -369,5 +480,10 @@ export function computeModificationDelta({
     oldAmount: currentAmount,
     newAmount,
     deltaAmount,
+    pricing: {
+      pricingRuleId: rule?.id ?? null,
+      pricingRuleCode: rule?.code ?? null,
+      perPersonRate,
+    },
   };
 }
@@ -1,20 +1,10 @@
 import { supabase } from "../config/supabase.js";
+import { buildTimesFromSlot, getSlotPricing } from "./pricingService.js";
+import { loadPricingRules } from "./pricingRuleService.js";
 
 const MIN_BILLABLE_PERSONS = 2;
 const CHEST_FREE_2P_MARKER = "CHEST_FREE_2P";
 
-const WEEKDAY_MORNING_RATE = 4.99;
-const WEEKDAY_MIDDAY_RATE = 8.99;
-const WEEKDAY_EVENING_RATE = 10.99;
-const WEEKEND_BEFORE_15_RATE = 11.99;
-const WEEKEND_AFTER_15_RATE = 13.99;
-
-const WEEKDAY_MORNING_START_HOUR = 8;
-const WEEKDAY_MIDDAY_START_HOUR = 12;
-const WEEKDAY_EVENING_START_HOUR = 15;
-const WEEKDAY_END_NIGHT_HOUR = 2;
-const WEEKEND_AFTERNOON_SWITCH_HOUR = 15;
-
 const PARIS_TIME_ZONE = "Europe/Paris";
 
 function ensureSupabase() {
@@ -69,31 +59,6 @@ function getTodayIsoDate() {
   return `${map.year}-${map.month}-${map.day}`;
 }
 
-function getParisDateParts(date) {
-  const formatter = getParisFormatter({
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-    hour: "2-digit",
-    minute: "2-digit",
-    second: "2-digit",
-    weekday: "short",
-  });
-
-  const parts = formatter.formatToParts(date);
-  const map = Object.fromEntries(parts.map((part) => [part.type, part.value]));
-
-  return {
-    year: Number(map.year),
-    month: Number(map.month),
-    day: Number(map.day),
-    hour: Number(map.hour),
-    minute: Number(map.minute),
-    second: Number(map.second),
-    weekday: String(map.weekday || "").toLowerCase(),
-  };
-}
-
 function parseDateOnlyToParisStart(dateStr) {
   const safe = String(dateStr || "").trim();
   if (!/^\d{4}-\d{2}-\d{2}$/.test(safe)) return null;
@@ -174,6 +139,14 @@ function getBillablePersons(persons) {
 function parseSlotDate(slot) {
   if (!slot || typeof slot !== "object") return null;
 
+  // Même lecture du créneau que computeCartPricing (heure de Paris)
+  try {
+    const d = new Date(buildTimesFromSlot(slot).start_time);
+    if (!Number.isNaN(d.getTime())) return d;
+  } catch {
+    // format partiel : lectures de secours ci-dessous
+  }
+
   const direct =
     slot.start_time ||
     slot.startTime ||
@@ -214,43 +187,6 @@ function parseSlotDate(slot) {
   return null;
 }
 
-function isWeekend(dateObj) {
-  const weekday = getParisDateParts(dateObj).weekday;
-  return weekday.startsWith("sun") || weekday.startsWith("sat");
-}
-
-function isFriday(dateObj) {
-  const weekday = getParisDateParts(dateObj).weekday;
-  return weekday.startsWith("fri");
-}
-
-function getPerPersonRate(dateObj) {
-  const hour = getParisDateParts(dateObj).hour;
-  const friday = isFriday(dateObj);
-  const weekend = isWeekend(dateObj);
-
-  if (friday || weekend) {
-    if (hour >= WEEKEND_AFTERNOON_SWITCH_HOUR || hour < WEEKDAY_END_NIGHT_HOUR) {
-      return WEEKEND_AFTER_15_RATE;
-    }
-    return WEEKEND_BEFORE_15_RATE;
-  }
-
-  if (hour >= WEEKDAY_MORNING_START_HOUR && hour < WEEKDAY_MIDDAY_START_HOUR) {
-    return WEEKDAY_MORNING_RATE;
-  }
-
-  if (hour >= WEEKDAY_MIDDAY_START_HOUR && hour < WEEKDAY_EVENING_START_HOUR) {
-    return WEEKDAY_MIDDAY_RATE;
-  }
-
-  if (hour >= WEEKDAY_EVENING_START_HOUR || hour < WEEKDAY_END_NIGHT_HOUR) {
-    return WEEKDAY_EVENING_RATE;
-  }
-
-  return WEEKDAY_MORNING_RATE;
-}
-
 function isChestFreeTwoPersonsPromo(promo) {
   const note = String(promo?.note || "").toUpperCase();
   return (
@@ -259,7 +195,12 @@ function isChestFreeTwoPersonsPromo(promo) {
   );
 }
 
-function computeChestFreeTwoPersonsDiscount(promo, totalAmountEur, panier = []) {
+function computeChestFreeTwoPersonsDiscount(
+  promo,
+  totalAmountEur,
+  panier = [],
+  pricingRules = null
+) {
   const safeTotal = normalizeAmount(totalAmountEur);
   if (!promo || safeTotal <= 0) return 0;
   if (!Array.isArray(panier) || panier.length === 0) return 0;
@@ -277,7 +218,15 @@ function computeChestFreeTwoPersonsDiscount(promo, totalAmountEur, panier = [])
 
   const billablePersons = getBillablePersons(persons);
   const coveredPersons = Math.min(2, billablePersons);
-  const perPersonRate = getPerPersonRate(slotDate);
+  // Panier déjà tarifé : on reprend le tarif appliqué (dynamique ou figé)
+  const pricedRate = Number(firstItem?.perPersonRate);
+  const perPersonRate = Number.isFinite(pricedRate)
+    ? pricedRate
+    : getSlotPricing(pricingRules, {
+        startDate: slotDate,
+        boxId: firstItem?.box_id ?? firstItem?.boxId ?? null,
+        persons,
+      }).perPersonRate;
 
   const firstItemFullAmount =
     typeof firstItem?.price === "number" && Number.isFinite(firstItem.price)
@@ -380,7 +329,8 @@ export function computePromoDiscount(promo, totalAmountEur, context = {}) {
     discountAmount = computeChestFreeTwoPersonsDiscount(
       promo,
       safeTotal,
-      context?.panier || []
+      context?.panier || [],
+      context?.pricingRules || null
     );
   } else if (type === "percent") {
     if (isPostSessionReviewPromo(promo)) {
@@ -450,6 +400,7 @@ function parsePromoValidationContext(context = {}) {
       typeof context.isFirstSession === "boolean" ? context.isFirstSession : null,
     enforceAdvancedRules: context.enforceAdvancedRules === true,
     panier: Array.isArray(context.panier) ? context.panier : [],
+    pricingRules: Array.isArray(context.pricingRules) ? context.pricingRules : null,
   };
 }
 
@@ -529,6 +480,10 @@ export async function validatePromoCode(code, totalAmountEur = 0, context = {})
     }
   }
 
+  if (isChestFreeTwoPersonsPromo(promo) && !ctx.pricingRules) {
+    ctx.pricingRules = await loadPricingRules();
+  }
+
   const safeTotal = normalizeAmount(totalAmountEur);
   const discountAmount = computePromoDiscount(promo, safeTotal, ctx);
   const newTotal = round2(Math.max(0, safeTotal - discountAmount));
@@ -0,0 +1,120 @@
+// backend/services/qrTokenService.js
+
+import jwt from "jsonwebtoken";
+
+import {
+  QR_ACCESS_MARGIN_BEFORE_MINUTES,
+  QR_TOKEN_ALGORITHM,
+  QR_TOKEN_PRIVATE_KEY,
+  QR_TOKEN_PUBLIC_KEY,
+} from "../config/env.js";
+import { parseDateOrNull } from "../utils/dates.js";
+
+/**
+ * Jetons d'accès portés par les QR codes.
+ *
+ * Le jeton est un JWT signé en RS256 (QR_TOKEN_PRIVATE_KEY) qui contient
+ * tout ce qu'il faut pour décider hors ligne : réservation, box, version et
+ * fenêtre de validité (nbf = début - marge, exp = fin). Les lecteurs de porte
+ * ne reçoivent que la clé publique (heartbeat) : ils valident un QR sans
+ * réseau mais ne peuvent pas en fabriquer.
+ *
+ * En ligne, /api/check compare en plus la version du jeton avec
+ * reservations.qr_token_version et refuse si qr_revoked_at est renseigné :
+ * - modification : la version est incrémentée (ancien QR invalide)
+ * - remboursement : le QR est révoqué
+ *
+ * Les participants invités reçoivent leur propre QR (champ pid) ; le
+ * retirer de la réservation révoque uniquement son QR.
+ */
+
+export const QR_ACCESS_TOKEN_TYPE = "qr_access";
+
+const QR_TOKEN_CLOCK_TOLERANCE_SECONDS = 60;
+
+export function getReservationQrTokenVersion(reservation) {
+  const version = Number(reservation?.qr_token_version);
+  return Number.isInteger(version) && version > 0 ? version : 1;
+}
+
+export function buildNextQrTokenVersion(reservation) {
+  return getReservationQrTokenVersion(reservation) + 1;
+}
+
+export function signReservationQrToken(reservation, { participantId = null } = {}) {
+  const start = parseDateOrNull(reservation?.start_time);
+  const end = parseDateOrNull(reservation?.end_time);
+
+  if (!reservation?.id || !start || !end) {
+    throw new Error("Réservation invalide pour le QR d'accès");
+  }
+
+  const notBefore = Math.floor(
+    (start.getTime() - QR_ACCESS_MARGIN_BEFORE_MINUTES * 60 * 1000) / 1000
+  );
+
+  return jwt.sign(
+    {
+      type: QR_ACCESS_TOKEN_TYPE,
+      rid: String(reservation.id),
+      box: Number(reservation.box_id || 1),
+      v: getReservationQrTokenVersion(reservation),
+      ...(participantId ? { pid: String(participantId) } : {}),
+      nbf: notBefore,
+      exp: Math.floor(end.getTime() / 1000),
+    },
+    QR_TOKEN_PRIVATE_KEY,
+    { algorithm: QR_TOKEN_ALGORITHM, noTimestamp: true }
+  );
+}
+
+/**
+ * Vérification purement cryptographique (aucun accès base).
+ * Retourne { ok, reason, payload } ; reason : missing | too_early |
+ * expired | invalid.
+ */
+export function verifyReservationQrToken(rawToken, { now = new Date() } = {}) {
+  const token = String(rawToken || "").trim();
+  if (!token) {
+    return { ok: false, reason: "missing", payload: null };
+  }
+
+  try {
+    const payload = jwt.verify(token, QR_TOKEN_PUBLIC_KEY, {
+      algorithms: [QR_TOKEN_ALGORITHM],
+      clockTimestamp: Math.floor(now.getTime() / 1000),
+      clockTolerance: QR_TOKEN_CLOCK_TOLERANCE_SECONDS,
+    });
+
+    if (payload?.type !== QR_ACCESS_TOKEN_TYPE || !payload?.rid) {
+      return { ok: false, reason: "invalid", payload: null };
+    }
+
+    return { ok: true, reason: null, payload };
+  } catch (e) {
+    if (e?.name === "TokenExpiredError") {
+      return { ok: false, reason: "expired", payload: jwt.decode(token) };
+    }
+
+    if (e?.name === "NotBeforeError") {
+      return { ok: false, reason: "too_early", payload: jwt.decode(token) };
+    }
+
+    return { ok: false, reason: "invalid", payload: null };
+  }
+}
+
+/**
+ * Contrôle en ligne : le jeton doit correspondre à l'état courant de la
+ * réservation (même box, même version, non révoqué).
+ */
+export function matchQrTokenWithReservation(payload, reservation) {
+  if (!payload || !reservation) return "invalid";
+  if (String(payload.rid) !== String(reservation.id)) return "invalid";
+  if (reservation.qr_revoked_at) return "revoked";
+  if (Number(payload.v) !== getReservationQrTokenVersion(reservation)) {
+    return "rotated";
+  }
+  if (Number(payload.box) !== Number(reservation.box_id || 1)) return "wrong_box";
+  return null;
+}
@@ -0,0 +1,413 @@
+// backend/services/reportService.js
+
+import { supabase } from "../config/supabase.js";
+import {
+  addDaysToDateString,
+  parseDateOrNull,
+} from "../utils/dates.js";
+import { roundMoney } from "../utils/formatters.js";
+import {
+  STANDARD_SLOT_STARTS,
+  buildSlotIsoRange,
+  computeAmountForRate,
+  formatDateOnlyInParis,
+  getSlotPricing,
+} from "./pricingService.js";
+import { loadPricingRules } from "./pricingRuleService.js";
+import {
+  evaluateBoxSlot,
+  listBoxClosures,
+  listBoxes,
+} from "./boxService.js";
+import {
+  isReservationStatusCancelledOrRefunded,
+  isReservationStatusCompleted,
+  isReservationStatusConfirmed,
+  isReservationStatusNoShow,
+} from "./reservationService.js";
+
+/**
+ * Reporting admin : chiffre d'affaires et remplissage agrégés par période
+ * (jour / semaine / mois), par tranche tarifaire et par box.
+ *
+ * - Les montants sont en euros, la caution capturée est stockée en centimes
+ *   (deposit_captured_amount_cents) et convertie ici.
+ * - Le remplissage compare les créneaux réservés aux créneaux standards
+ *   ouverts (horaires d'ouverture et fermetures des box pris en compte).
+ * - Tarif et tranche d'une réservation : ceux figés à la réservation
+ *   (per_person_rate, pricing_rule_code / pricing_rule_id) ; les règles
+ *   publiées actuelles ne servent que pour les réservations plus anciennes.
+ */
+
+export const REPORT_GROUP_BY = ["day", "week", "month"];
+export const REPORT_MAX_RANGE_DAYS = 366;
+
+const REPORT_FETCH_PAGE_SIZE = 1000;
+
+function ensureSupabase() {
+  if (!supabase) {
+    throw new Error("Supabase non configuré");
+  }
+}
+
+function isValidDateOnly(dateStr) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(dateStr || "").trim());
+}
+
+function toFiniteNumber(value, fallback = 0) {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : fallback;
+}
+
+function countDaysInclusive(fromDate, toDate) {
+  const from = Date.parse(`${fromDate}T00:00:00Z`);
+  const to = Date.parse(`${toDate}T00:00:00Z`);
+  return Math.round((to - from) / 86400000) + 1;
+}
+
+export function validateReportRange(fromDate, toDate) {
+  if (!isValidDateOnly(fromDate) || !isValidDateOnly(toDate)) {
+    return "Dates invalides (format attendu YYYY-MM-DD)";
+  }
+
+  const days = countDaysInclusive(fromDate, toDate);
+
+  if (!Number.isFinite(days) || days < 1) {
+    return "La date de début doit précéder la date de fin";
+  }
+
+  if (days > REPORT_MAX_RANGE_DAYS) {
+    return `Période trop longue (maximum ${REPORT_MAX_RANGE_DAYS} jours)`;
+  }
+
+  return null;
+}
+
+export function getReportPeriodKey(dateStr, groupBy) {
+  if (groupBy === "month") return dateStr.slice(0, 7);
+
+  if (groupBy === "week") {
+    // Semaine ISO : la clé est le lundi
+    const weekday = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+    return addDaysToDateString(dateStr, -((weekday + 6) % 7));
+  }
+
+  return dateStr;
+}
+
+function createEmptyMetrics() {
+  return {
+    reservations: 0,
+    cancelled: 0,
+    persons: 0,
+    list_amount: 0,
+    gross_amount: 0,
+    promo_discounts: 0,
+    singcoins_discounts: 0,
+    singcoins_spent: 0,
+    gift_card_amount: 0,
+    free_sessions: 0,
+    pass_sessions: 0,
+    pass_places_used: 0,
+    refunds: 0,
+    deposit_captures: 0,
+    deposit_captured_count: 0,
+    capacity_slots: 0,
+    booked_slots: 0,
+  };
+}
+
+function finalizeMetrics(metrics) {
+  const moneyKeys = [
+    "list_amount",
+    "gross_amount",
+    "promo_discounts",
+    "singcoins_discounts",
+    "gift_card_amount",
+    "refunds",
+    "deposit_captures",
+  ];
+
+  const result = { ...metrics };
+  for (const key of moneyKeys) {
+    result[key] = roundMoney(result[key]);
+  }
+
+  result.net_amount = roundMoney(result.gross_amount - result.refunds);
+  result.fill_rate =
+    result.capacity_slots > 0
+      ? Number((result.booked_slots / result.capacity_slots).toFixed(4))
+      : null;
+
+  return result;
+}
+
+function getBucket(map, key, init = {}) {
+  if (!map.has(key)) {
+    map.set(key, { ...init, ...createEmptyMetrics() });
+  }
+  return map.get(key);
+}
+
+async function fetchReservationsForReport({ fromDate, toDate, boxId }) {
+  const rows = [];
+  let offset = 0;
+
+  // Marge d'un jour : la colonne date peut différer de la date Paris du start_time
+  const queryFrom = addDaysToDateString(fromDate, -1);
+  const queryTo = addDaysToDateString(toDate, 1);
+
+  for (;;) {
+    let query = supabase
+      .from("reservations")
+      .select(
+        "id, box_id, status, start_time, end_time, persons, montant, promo_discount_amount, singcoins_used, singcoins_spent, gift_card_amount, free_session, pricing_rule_id, pricing_rule_code, per_person_rate, paid_with_pass, user_pass_id, pass_places_used, refunded_amount, deposit_status, deposit_captured_amount_cents"
+      )
+      .gte("date", queryFrom)
+      .lte("date", queryTo)
+      .order("id", { ascending: true })
+      .range(offset, offset + REPORT_FETCH_PAGE_SIZE - 1);
+
+    if (boxId != null) {
+      query = query.eq("box_id", boxId);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    rows.push(...(data || []));
+
+    if (!data || data.length < REPORT_FETCH_PAGE_SIZE) break;
+    offset += REPORT_FETCH_PAGE_SIZE;
+  }
+
+  return rows;
+}
+
+// Tranche tarifaire = règle de prix appliquée (code, ou id à défaut)
+function getPricingBandKey(rule) {
+  return rule?.code || (rule?.id != null ? String(rule.id) : "UNKNOWN");
+}
+
+function resolveReservationPricing(pricingRules, reservation, start) {
+  if (reservation.per_person_rate != null) {
+    return {
+      band: getPricingBandKey({
+        code: reservation.pricing_rule_code,
+        id: reservation.pricing_rule_id,
+      }),
+      perPersonRate: toFiniteNumber(reservation.per_person_rate),
+    };
+  }
+
+  const { rule, perPersonRate } = getSlotPricing(pricingRules, {
+    startDate: start,
+    boxId: reservation.box_id,
+    persons: reservation.persons,
+  });
+
+  return { band: getPricingBandKey(rule), perPersonRate };
+}
+
+function accumulateReservation(metrics, reservation, perPersonRate) {
+  // Un no-show a été payé : il compte dans le chiffre d'affaires
+  const isBooked =
+    isReservationStatusConfirmed(reservation.status) ||
+    isReservationStatusCompleted(reservation.status) ||
+    isReservationStatusNoShow(reservation.status);
+  const isCancelled = isReservationStatusCancelledOrRefunded(reservation.status);
+
+  metrics.refunds += Math.max(toFiniteNumber(reservation.refunded_amount), 0);
+
+  if (reservation.deposit_status === "captured") {
+    metrics.deposit_captured_count += 1;
+    metrics.deposit_captures +=
+      Math.max(toFiniteNumber(reservation.deposit_captured_amount_cents), 0) / 100;
+  }
+
+  if (isCancelled) {
+    metrics.cancelled += 1;
+  }
+
+  if (!isBooked) return;
+
+  const persons = Math.max(toFiniteNumber(reservation.persons, 2), 1);
+  const usesPass =
+    reservation.paid_with_pass === true || !!reservation.user_pass_id;
+  const listAmount = computeAmountForRate(perPersonRate, persons);
+
+  metrics.reservations += 1;
+  metrics.booked_slots += 1;
+  metrics.persons += persons;
+  metrics.list_amount += listAmount;
+  const giftCardAmount = Math.max(toFiniteNumber(reservation.gift_card_amount), 0);
+
+  // La part carte cadeau est un encaissement (carte vendue auparavant)
+  metrics.gross_amount += Math.max(toFiniteNumber(reservation.montant), 0) + giftCardAmount;
+  metrics.gift_card_amount += giftCardAmount;
+  metrics.promo_discounts += Math.max(
+    toFiniteNumber(reservation.promo_discount_amount),
+    0
+  );
+
+  if (reservation.singcoins_used) {
+    metrics.singcoins_spent += Math.max(toFiniteNumber(reservation.singcoins_spent), 0);
+    metrics.singcoins_discounts +=
+      listAmount - computeAmountForRate(perPersonRate, persons, { singcoinsUsed: true });
+  }
+
+  if (usesPass) {
+    metrics.pass_sessions += 1;
+    metrics.pass_places_used += Math.max(
+      toFiniteNumber(reservation.pass_places_used),
+      0
+    );
+  } else if (
+    giftCardAmount <= 0 &&
+    (reservation.free_session || toFiniteNumber(reservation.montant) <= 0)
+  ) {
+    metrics.free_sessions += 1;
+  }
+}
+
+/**
+ * Parcourt tous les créneaux standards de la période et compte ceux
+ * réellement ouverts à la réservation pour chaque box.
+ */
+function accumulateCapacity({
+  fromDate,
+  toDate,
+  groupBy,
+  boxes,
+  closures,
+  pricingRules,
+  buckets,
+}) {
+  const dayCount = countDaysInclusive(fromDate, toDate);
+
+  for (let i = 0; i < dayCount; i += 1) {
+    const dateStr = addDaysToDateString(fromDate, i);
+    const periodKey = getReportPeriodKey(dateStr, groupBy);
+
+    for (const hour of STANDARD_SLOT_STARTS) {
+      const { startIso, endIso } = buildSlotIsoRange(dateStr, hour);
+
+      for (const box of boxes) {
+        const { available } = evaluateBoxSlot({
+          box,
+          closures,
+          startTime: startIso,
+          endTime: endIso,
+        });
+
+        if (!available) continue;
+
+        const band = getPricingBandKey(
+          getSlotPricing(pricingRules, { startDate: new Date(startIso), boxId: box.id }).rule
+        );
+
+        buckets.totals.capacity_slots += 1;
+        getBucket(buckets.periods, periodKey, { period: periodKey }).capacity_slots += 1;
+        getBucket(buckets.bands, band, { band }).capacity_slots += 1;
+        getBucket(buckets.boxes, box.id, { box_id: box.id, name: box.name }).capacity_slots += 1;
+      }
+    }
+  }
+}
+
+export async function buildReservationReport({
+  fromDate,
+  toDate,
+  groupBy = "day",
+  boxId = null,
+}) {
+  ensureSupabase();
+
+  const safeGroupBy = REPORT_GROUP_BY.includes(groupBy) ? groupBy : "day";
+  const allBoxes = await listBoxes();
+  const boxes =
+    boxId != null ? allBoxes.filter((box) => Number(box.id) === Number(boxId)) : allBoxes;
+
+  const { startIso: rangeStartIso } = buildSlotIsoRange(fromDate, 0);
+  const { startIso: rangeEndIso } = buildSlotIsoRange(addDaysToDateString(toDate, 1), 0);
+
+  const [reservations, closures, pricingRules] = await Promise.all([
+    fetchReservationsForReport({ fromDate, toDate, boxId }),
+    listBoxClosures({
+      boxIds: boxes.map((box) => box.id),
+      fromIso: rangeStartIso,
+      toIso: rangeEndIso,
+    }),
+    loadPricingRules(),
+  ]);
+
+  const bandRates = new Map();
+  for (const rule of pricingRules) {
+    const band = getPricingBandKey(rule);
+    if (!bandRates.has(band)) bandRates.set(band, rule.per_person_rate);
+  }
+
+  const buckets = {
+    totals: createEmptyMetrics(),
+    periods: new Map(),
+    bands: new Map(
+      [...bandRates.keys()].map((band) => [band, { band, ...createEmptyMetrics() }])
+    ),
+    boxes: new Map(
+      boxes.map((box) => [box.id, { box_id: box.id, name: box.name, ...createEmptyMetrics() }])
+    ),
+  };
+
+  accumulateCapacity({
+    fromDate,
+    toDate,
+    groupBy: safeGroupBy,
+    boxes,
+    closures,
+    pricingRules,
+    buckets,
+  });
+
+  for (const reservation of reservations) {
+    const start = parseDateOrNull(reservation.start_time);
+    if (!start) continue;
+
+    const dateStr = formatDateOnlyInParis(start);
+    if (dateStr < fromDate || dateStr > toDate) continue;
+
+    const periodKey = getReportPeriodKey(dateStr, safeGroupBy);
+    const { band, perPersonRate } = resolveReservationPricing(
+      pricingRules,
+      reservation,
+      start
+    );
+
+    accumulateReservation(buckets.totals, reservation, perPersonRate);
+    accumulateReservation(
+      getBucket(buckets.periods, periodKey, { period: periodKey }),
+      reservation,
+      perPersonRate
+    );
+    accumulateReservation(getBucket(buckets.bands, band, { band }), reservation, perPersonRate);
+    accumulateReservation(
+      getBucket(buckets.boxes, reservation.box_id, { box_id: reservation.box_id, name: null }),
+      reservation,
+      perPersonRate
+    );
+  }
+
+  return {
+    range: { from: fromDate, to: toDate },
+    groupBy: safeGroupBy,
+    boxId: boxId != null ? Number(boxId) : null,
+    totals: finalizeMetrics(buckets.totals),
+    periods: [...buckets.periods.values()]
+      .sort((a, b) => a.period.localeCompare(b.period))
+      .map(finalizeMetrics),
+    bands: [...buckets.bands.values()].map((row) => ({
+      ...finalizeMetrics(row),
+      per_person_rate: bandRates.get(row.band) ?? null,
+    })),
+    boxes: [...buckets.boxes.values()].map(finalizeMetrics),
+  };
+}
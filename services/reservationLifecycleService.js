@@ -1,4 +1,7 @@
-import { isReservationStatusConfirmed } from "./reservationService.js";
+import {
+  isReservationStatusConfirmed,
+  isReservationStatusNoShow,
+} from "./reservationService.js";
 import { isReservationFinished } from "./reviewService.js";
 
 function safeStatus(status) {
@@ -30,6 +33,8 @@ export function buildReservationLifecycleSnapshot(reservation) {
       isFinished: false,
       isConfirmedLike: false,
       isCompleted: false,
+      isNoShow: false,
+      checkedInAt: null,
       eligibleForReview: false,
       eligibleForPostSession: false,
     };
@@ -46,6 +51,8 @@ export function buildReservationLifecycleSnapshot(reservation) {
     isFinished: finished,
     isConfirmedLike,
     isCompleted: isReservationCompletedStatus(status),
+    isNoShow: isReservationStatusNoShow(status),
+    checkedInAt: reservation.checked_in_at || null,
     eligibleForReview: isConfirmedLike && finished,
     eligibleForPostSession: isConfirmedLike && finished,
   };
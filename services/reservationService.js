@@ -9,13 +9,21 @@ import {
   GUEST_MANAGE_TOKEN_BYTES,
   GUEST_MANAGE_TOKEN_TTL_DAYS,
   SINGCOINS_REWARD_COST,
+  RESERVATION_NO_SHOW_STATUS,
 } from "../constants/booking.js";
 import {
   addDaysToDateString,
-  areTimeRangesOverlapping,
   hoursBeforeDate,
   formatDateToYYYYMMDD,
 } from "../utils/dates.js";
+import {
+  BOX_UNAVAILABILITY_REASONS,
+  evaluateBoxSlot,
+  getBoxById,
+  listBoxClosures,
+} from "./boxService.js";
+import { listActiveSlotHolds } from "./slotHoldService.js";
+import { buildNextQrTokenVersion } from "./qrTokenService.js";
 
 function assertSupabaseConfigured() {
   if (!supabase) {
@@ -76,7 +84,7 @@ function buildReservationPaymentIntentOrFilter(paymentIntentId) {
   ].join(",");
 }
 
-function computeDerivedReservationFields({
+export function computeDerivedReservationFields({
   startTime,
   endTime,
   persons,
@@ -87,6 +95,7 @@ function computeDerivedReservationFields({
   originalPaymentIntentId,
   lastAutoChargeAmount,
   refundedAmount,
+  giftCardAmount = 0,
 }) {
   const start = startTime ? new Date(startTime) : null;
   const end = endTime ? new Date(endTime) : null;
@@ -96,7 +105,9 @@ function computeDerivedReservationFields({
     persons: safePersons,
     billable_persons: Math.max(safePersons, 2),
     montant: toFiniteNumber(montant, 0),
-    free_session: toFiniteNumber(montant, 0) <= 0,
+    // Réglée par carte cadeau : payée, pas une séance offerte
+    free_session:
+      toFiniteNumber(giftCardAmount, 0) > 0 ? false : toFiniteNumber(montant, 0) <= 0,
     singcoins_used: !!singcoinsUsed,
     singcoins_spent: !!singcoinsUsed
       ? Math.max(toFiniteNumber(singcoinsSpent, SINGCOINS_REWARD_COST), 0)
@@ -160,10 +171,36 @@ export function isReservationStatusCompleted(statusRaw) {
   return normalizeReservationStatus(statusRaw) === "completed";
 }
 
+export function isReservationStatusNoShow(statusRaw) {
+  return normalizeReservationStatus(statusRaw) === RESERVATION_NO_SHOW_STATUS;
+}
+
 export function isReservationStatusModifiable(statusRaw) {
   return isReservationStatusConfirmed(statusRaw);
 }
 
+/**
+ * Changements qui invalident le QR (créneau, box ou nombre de personnes) :
+ * seuls ceux-là changent qr_token_version, et le nouveau QR est alors renvoyé.
+ */
+export function getReservationQrChanges(previous, next) {
+  const toTime = (value) => new Date(value || 0).getTime();
+
+  const scheduleChanged =
+    toTime(previous?.start_time) !== toTime(next?.start_time) ||
+    toTime(previous?.end_time) !== toTime(next?.end_time) ||
+    Number(previous?.box_id || 1) !== Number(next?.box_id || 1);
+
+  const personsChanged =
+    Number(previous?.persons || 2) !== Number(next?.persons || 2);
+
+  return {
+    scheduleChanged,
+    personsChanged,
+    qrChanged: scheduleChanged || personsChanged,
+  };
+}
+
 export function isWithinModificationWindow(startTimeIso) {
   const diff = hoursBeforeDate(startTimeIso);
   if (diff === null) return false;
@@ -220,26 +257,83 @@ export async function getPotentiallyConflictingReservations({
   return (data || []).filter((row) => isReservationStatusConfirmed(row.status));
 }
 
-export async function hasReservationConflict({
+/**
+ * Disponibilité d'un créneau pour une box : box active, capacité, horaires
+ * d'ouverture, fermetures ponctuelles, réservations confirmées puis blocages
+ * temporaires des autres paniers.
+ * Retourne { available, reason, box }.
+ */
+export async function getSlotAvailability({
   boxId,
   startTime,
   endTime,
   localDate = null,
   excludeReservationId = null,
+  persons = null,
+  excludeHoldToken = null,
 }) {
   if (!isNonEmptyString(startTime) || !isNonEmptyString(endTime)) {
     throw new Error("startTime/endTime invalides");
   }
 
-  const reservations = await getPotentiallyConflictingReservations({
+  const box = await getBoxById(boxId);
+
+  if (!box) {
+    return {
+      available: false,
+      reason: BOX_UNAVAILABILITY_REASONS.BOX_NOT_FOUND,
+      box: null,
+    };
+  }
+
+  const [closures, reservations, holds] = await Promise.all([
+    listBoxClosures({ boxIds: [box.id], fromIso: startTime, toIso: endTime }),
+    getPotentiallyConflictingReservations({
+      boxId: box.id,
+      localDate,
+      excludeReservationId,
+    }),
+    listActiveSlotHolds({
+      boxIds: [box.id],
+      fromIso: startTime,
+      toIso: endTime,
+      excludeHoldToken,
+    }),
+  ]);
+
+  const result = evaluateBoxSlot({
+    box,
+    closures,
+    reservations,
+    holds,
+    startTime,
+    endTime,
+    persons,
+  });
+
+  return { ...result, box };
+}
+
+export async function hasReservationConflict({
+  boxId,
+  startTime,
+  endTime,
+  localDate = null,
+  excludeReservationId = null,
+  persons = null,
+  excludeHoldToken = null,
+}) {
+  const availability = await getSlotAvailability({
     boxId,
+    startTime,
+    endTime,
     localDate,
     excludeReservationId,
+    persons,
+    excludeHoldToken,
   });
 
-  return reservations.some((row) =>
-    areTimeRangesOverlapping(row.start_time, row.end_time, startTime, endTime)
-  );
+  return !availability.available;
 }
 
 export async function getReservationById(reservationId) {
@@ -408,6 +502,7 @@ export async function applyReservationModification(modReq) {
     endTime: newEnd,
     localDate: targetLocalDate,
     excludeReservationId: reservation.id,
+    persons: newPersons,
   });
 
   if (conflict) {
@@ -438,11 +533,29 @@ export async function applyReservationModification(modReq) {
       paymentIntentId,
     lastAutoChargeAmount: deltaAmount > 0 ? deltaAmount : 0,
     refundedAmount: reservation.refunded_amount || 0,
+    giftCardAmount: reservation.gift_card_amount,
+  });
+
+  const { qrChanged } = getReservationQrChanges(reservation, {
+    start_time: newStart,
+    end_time: newEnd,
+    box_id: targetBoxId,
+    persons: newPersons,
   });
 
   const payload = {
     ...derived,
     box_id: targetBoxId,
+    // Tarif figé à la demande (absent des demandes plus anciennes)
+    ...(modReq.new_per_person_rate != null
+      ? {
+          pricing_rule_id: modReq.new_pricing_rule_id ?? null,
+          pricing_rule_code: modReq.new_pricing_rule_code || null,
+          per_person_rate: Number(modReq.new_per_person_rate),
+        }
+      : {}),
+    // Nouveau créneau : l'ancien QR ne doit plus ouvrir la porte
+    ...(qrChanged ? { qr_token_version: buildNextQrTokenVersion(reservation) } : {}),
     updated_at: new Date().toISOString(),
   };
 
@@ -492,4 +605,136 @@ export async function markReservationCompleted(reservationId) {
     status: "completed",
     completed_at: new Date().toISOString(),
   });
-}
\ No newline at end of file
+}
+
+/* =========================================================
+   RECHERCHE ADMIN
+========================================================= */
+
+export const RESERVATION_SEARCH_MAX_PAGE_SIZE = 200;
+
+const RESERVATION_STATUS_FILTERS = {
+  confirmed: CONFIRMED_STATUSES,
+  cancelled: CANCELLED_OR_REFUNDED_STATUSES,
+  completed: ["completed"],
+  no_show: [RESERVATION_NO_SHOW_STATUS],
+};
+
+const RESERVATION_SORT_COLUMNS = new Set(["start_time", "created_at", "montant"]);
+
+function escapeIlikeValue(value) {
+  return safeTrim(value).replace(/[\\%_]/g, (char) => `\\${char}`);
+}
+
+/**
+ * Champs dérivés recalculés à partir de la ligne brute (même logique que
+ * lors d'une modification), pour que l'admin voie des valeurs cohérentes
+ * même sur les anciennes réservations incomplètes.
+ */
+export function buildReservationDerivedView(reservation) {
+  return computeDerivedReservationFields({
+    startTime: reservation?.start_time,
+    endTime: reservation?.end_time,
+    persons: reservation?.persons,
+    montant: reservation?.montant,
+    singcoinsUsed: reservation?.singcoins_used,
+    singcoinsSpent: reservation?.singcoins_spent,
+    latestPaymentIntentId:
+      reservation?.latest_payment_intent_id || reservation?.payment_intent_id,
+    originalPaymentIntentId:
+      reservation?.original_payment_intent_id || reservation?.payment_intent_id,
+    lastAutoChargeAmount: reservation?.last_auto_charge_amount,
+    refundedAmount: reservation?.refunded_amount,
+    giftCardAmount: reservation?.gift_card_amount,
+  });
+}
+
+/**
+ * Recherche paginée des réservations.
+ * filters : from / to (YYYY-MM-DD, inclus), boxId, status (confirmed |
+ * cancelled | completed | valeur brute), email (partiel), paymentIntentId
+ * (toutes colonnes PI), promoCode, usesPass (true / false).
+ */
+export async function searchReservations({
+  filters = {},
+  page = 1,
+  pageSize = 50,
+  sort = "start_time",
+  order = "desc",
+} = {}) {
+  assertSupabaseConfigured();
+
+  const safePageSize = Math.min(
+    Math.max(Math.trunc(toFiniteNumber(pageSize, 50)), 1),
+    RESERVATION_SEARCH_MAX_PAGE_SIZE
+  );
+  const safePage = Math.max(Math.trunc(toFiniteNumber(page, 1)), 1);
+  const sortColumn = RESERVATION_SORT_COLUMNS.has(sort) ? sort : "start_time";
+  const offset = (safePage - 1) * safePageSize;
+
+  let query = supabase
+    .from("reservations")
+    .select("*", { count: "exact" });
+
+  if (isNonEmptyString(filters.from)) {
+    query = query.gte("date", safeTrim(filters.from));
+  }
+
+  if (isNonEmptyString(filters.to)) {
+    query = query.lte("date", safeTrim(filters.to));
+  }
+
+  if (filters.boxId != null && filters.boxId !== "") {
+    query = query.eq("box_id", Number(filters.boxId));
+  }
+
+  if (isNonEmptyString(filters.status)) {
+    const statusKey = normalizeReservationStatus(filters.status);
+    const statuses = RESERVATION_STATUS_FILTERS[statusKey];
+    query = statuses
+      ? query.in("status", statuses)
+      : query.eq("status", safeTrim(filters.status));
+  }
+
+  if (isNonEmptyString(filters.email)) {
+    query = query.ilike("email", `%${escapeIlikeValue(normalizeEmail(filters.email))}%`);
+  }
+
+  if (isNonEmptyString(filters.paymentIntentId)) {
+    query = query.or(buildReservationPaymentIntentOrFilter(filters.paymentIntentId));
+  }
+
+  if (isNonEmptyString(filters.promoCode)) {
+    query = query.ilike("promo_code", escapeIlikeValue(filters.promoCode));
+  }
+
+  if (filters.usesPass === true) {
+    query = query.or("paid_with_pass.eq.true,user_pass_id.not.is.null");
+  } else if (filters.usesPass === false) {
+    query = query
+      .or("paid_with_pass.is.null,paid_with_pass.eq.false")
+      .is("user_pass_id", null);
+  }
+
+  const { data, error, count } = await query
+    .order(sortColumn, { ascending: order === "asc" })
+    .order("id", { ascending: order === "asc" })
+    .range(offset, offset + safePageSize - 1);
+
+  if (error) throw error;
+
+  const total = Number(count || 0);
+
+  return {
+    reservations: (data || []).map((reservation) => ({
+      ...reservation,
+      derived: buildReservationDerivedView(reservation),
+    })),
+    pagination: {
+      page: safePage,
+      pageSize: safePageSize,
+      total,
+      totalPages: Math.max(Math.ceil(total / safePageSize), 1),
+    },
+  };
+}
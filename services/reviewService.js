@@ -457,6 +457,8 @@ export async function createReviewFromToken({
 
   const basePayload = {
     reservation_id: request.reservation_id,
+    // Auteur : le réservant (le lien d'avis lui est envoyé)
+    user_id: reservation.user_id || null,
     email: safeText(email || request.email, 160),
     name: safeText(firstName || request.name, 80),
     rating: Number(rating),
@@ -475,6 +477,7 @@ export async function createReviewFromToken({
     if (isMissingColumnError(error, "consent_publication")) {
       const fallbackPayload = {
         reservation_id: request.reservation_id,
+        user_id: reservation.user_id || null,
         email: safeText(email || request.email, 160),
         name: safeText(firstName || request.name, 80),
         rating: Number(rating),
@@ -763,10 +766,14 @@ export async function processCompletedReviewRequests(options = {}) {
   );
 
   const results = [];
+  // État avant / après des demandes d'avis créées ou modifiées, pour l'audit
+  const changes = [];
 
   for (const reservation of confirmedFinishedReservations) {
+    let existing = null;
+
     try {
-      const existing = await getExistingReviewRequestByReservationId(reservation.id);
+      existing = await getExistingReviewRequestByReservationId(reservation.id);
 
       if (existing?.status === "used") {
         results.push({
@@ -798,6 +805,16 @@ export async function processCompletedReviewRequests(options = {}) {
         promoCode: sendResult.promoCode || null,
         expressRebookLink: sendResult.expressRebookLink || null,
       });
+
+      const after = await getExistingReviewRequestByReservationId(reservation.id);
+      if (JSON.stringify(after || null) !== JSON.stringify(existing || null)) {
+        changes.push({
+          id: after?.id || existing?.id || null,
+          reservationId: reservation.id,
+          before: existing || null,
+          after: after || null,
+        });
+      }
     } catch (itemErr) {
       console.error("Erreur envoi review request reservation", reservation.id, itemErr);
       results.push({
@@ -825,5 +842,6 @@ export async function processCompletedReviewRequests(options = {}) {
     skippedCount,
     failedCount,
     results,
+    changes,
   };
 }
@@ -0,0 +1,232 @@
+// backend/services/scheduledJobs.js
+
+import {
+  ENABLE_REVIEW_REQUEST_SCHEDULER,
+  REVIEW_REQUEST_SCHEDULER_INTERVAL_MS,
+  REVIEW_REQUEST_SCHEDULER_INITIAL_DELAY_MS,
+  REVIEW_REQUEST_BATCH_LIMIT,
+  POST_SESSION_JOB_INTERVAL_MS,
+  POST_SESSION_JOB_BATCH_LIMIT,
+  PASS_EXPIRY_JOB_INTERVAL_MS,
+  WAITLIST_JOB_INTERVAL_MS,
+  ENABLE_SESSION_REMINDERS,
+  SESSION_REMINDER_JOB_INTERVAL_MS,
+  NOTIFICATION_QUEUE_JOB_INTERVAL_MS,
+  NO_SHOW_JOB_INTERVAL_MS,
+  GROUP_BOOKING_JOB_INTERVAL_MS,
+  BADGE_BACKFILL_JOB_INTERVAL_MS,
+  BADGE_BACKFILL_BATCH_SIZE,
+  GAMIFICATION_SYNC_JOB_INTERVAL_MS,
+  GAMIFICATION_SYNC_BATCH_SIZE,
+} from "../config/env.js";
+import { registerJob } from "./jobSchedulerService.js";
+import {
+  buildSystemAuditActor,
+  writeAdminAuditLog,
+} from "./adminAuditService.js";
+import { processCompletedReviewRequests } from "./reviewService.js";
+import { processFinishedReservationsPostSessionBatch } from "./postSessionService.js";
+import { expireOverduePasses } from "./passService.js";
+import { processExpiredWaitlistPriorities } from "./waitlistService.js";
+import {
+  enqueueDueSessionReminders,
+  processNotificationQueue,
+} from "./notificationService.js";
+import { markNoShowReservations } from "./checkInService.js";
+import { processGroupBookingDeadlines } from "./groupBookingService.js";
+import {
+  processBadgeBackfill,
+  processGamificationQueue,
+} from "./gamificationService.js";
+
+/**
+ * Jobs applicatifs déclarés auprès du scheduler interne.
+ * Les routes admin/cron historiques restent disponibles en parallèle.
+ */
+
+let defaultJobsRegistered = false;
+
+function countBy(results = [], predicate) {
+  return results.filter(predicate).length;
+}
+
+/**
+ * Trace dans admin_audit_logs (acteur "system") chaque ligne modifiée par
+ * un job, avec son état avant / après (result.changes, fourni par le
+ * service ; change.table remplace target_table pour une autre table).
+ * Retourne le résultat sans les instantanés, pour last_result.
+ */
+async function auditJobRun(jobName, trigger, result, { action, target_table }) {
+  const { changes = [], ...summary } = result || {};
+  const actor = buildSystemAuditActor(jobName, { trigger });
+
+  for (const change of changes) {
+    await writeAdminAuditLog(actor, {
+      action,
+      target_table: change.table || target_table,
+      target_id: change.id ?? null,
+      target_reservation_id: change.reservationId ?? null,
+      before: change.before ?? null,
+      after: change.after ?? null,
+      metadata: change.outcome ? { outcome: change.outcome } : {},
+    });
+  }
+
+  return summary;
+}
+
+export function registerDefaultJobs() {
+  if (defaultJobsRegistered) return;
+  defaultJobsRegistered = true;
+
+  registerJob({
+    name: "review_requests",
+    description: "Envoi des demandes d'avis après les séances terminées",
+    intervalMs: REVIEW_REQUEST_SCHEDULER_INTERVAL_MS,
+    initialDelayMs: REVIEW_REQUEST_SCHEDULER_INITIAL_DELAY_MS,
+    enabled: ENABLE_REVIEW_REQUEST_SCHEDULER,
+    handler: async ({ trigger }) => {
+      const result = await auditJobRun(
+        "review_requests",
+        trigger,
+        await processCompletedReviewRequests({
+          limit: REVIEW_REQUEST_BATCH_LIMIT,
+          source: trigger === "manual" ? "admin_job" : "scheduler",
+        }),
+        { action: "send_review_request", target_table: "review_requests" }
+      );
+
+      return {
+        totalProcessed: result?.totalProcessed || 0,
+        sentCount: result?.sentCount || 0,
+        skippedCount: result?.skippedCount || 0,
+        failedCount: result?.failedCount || 0,
+      };
+    },
+  });
+
+  registerJob({
+    name: "post_session",
+    description: "Traitement post-séance des réservations terminées",
+    intervalMs: POST_SESSION_JOB_INTERVAL_MS,
+    initialDelayMs: 60_000,
+    handler: async ({ trigger }) => {
+      const result = await auditJobRun(
+        "post_session",
+        trigger,
+        await processFinishedReservationsPostSessionBatch(POST_SESSION_JOB_BATCH_LIMIT),
+        { action: "process_post_session", target_table: "reservations" }
+      );
+
+      const results = result?.results || [];
+
+      return {
+        totalProcessed: result?.totalProcessed || 0,
+        success: countBy(results, (row) => row.success),
+        skipped: countBy(results, (row) => row.skipped),
+        errors: countBy(results, (row) => row.reason === "error"),
+      };
+    },
+  });
+
+  registerJob({
+    name: "pass_expiry",
+    description: "Passage en expiré des pass arrivés à échéance",
+    intervalMs: PASS_EXPIRY_JOB_INTERVAL_MS,
+    initialDelayMs: 90_000,
+    handler: async ({ trigger }) =>
+      auditJobRun("pass_expiry", trigger, await expireOverduePasses(), {
+        action: "expire_pass",
+        target_table: "user_passes",
+      }),
+  });
+
+  registerJob({
+    name: "waitlist_priorities",
+    description: "Expiration des priorités et blocages échus, relance de la liste d'attente",
+    intervalMs: WAITLIST_JOB_INTERVAL_MS,
+    initialDelayMs: 45_000,
+    handler: async ({ trigger }) =>
+      auditJobRun("waitlist_priorities", trigger, await processExpiredWaitlistPriorities(), {
+        action: "process_waitlist_entry",
+        target_table: "waitlist_entries",
+      }),
+  });
+
+  registerJob({
+    name: "session_reminders",
+    description: "Mise en file des rappels avant séance",
+    intervalMs: SESSION_REMINDER_JOB_INTERVAL_MS,
+    initialDelayMs: 75_000,
+    enabled: ENABLE_SESSION_REMINDERS,
+    handler: async ({ trigger }) =>
+      auditJobRun("session_reminders", trigger, await enqueueDueSessionReminders(), {
+        action: "enqueue_session_reminder",
+        target_table: "notification_queue",
+      }),
+  });
+
+  registerJob({
+    name: "notification_queue",
+    description: "Envoi des notifications en file (avec relances)",
+    intervalMs: NOTIFICATION_QUEUE_JOB_INTERVAL_MS,
+    initialDelayMs: 80_000,
+    handler: async ({ trigger }) =>
+      auditJobRun("notification_queue", trigger, await processNotificationQueue(), {
+        action: "process_notification",
+        target_table: "notification_queue",
+      }),
+  });
+
+  registerJob({
+    name: "no_show_detection",
+    description: "Passage en no_show des séances terminées sans check-in",
+    intervalMs: NO_SHOW_JOB_INTERVAL_MS,
+    initialDelayMs: 50_000,
+    handler: async ({ trigger }) =>
+      auditJobRun("no_show_detection", trigger, await markNoShowReservations(), {
+        action: "mark_no_show",
+        target_table: "reservations",
+      }),
+  });
+
+  registerJob({
+    name: "group_booking_deadlines",
+    description: "Échéance des réservations de groupe (prélèvement ou libération)",
+    intervalMs: GROUP_BOOKING_JOB_INTERVAL_MS,
+    initialDelayMs: 55_000,
+    handler: async ({ trigger }) =>
+      auditJobRun("group_booking_deadlines", trigger, await processGroupBookingDeadlines(), {
+        action: "process_group_booking_deadline",
+        target_table: "group_bookings",
+      }),
+  });
+
+  registerJob({
+    name: "badge_backfill",
+    description: "Attribution rétroactive des badges nouveaux ou modifiés",
+    intervalMs: BADGE_BACKFILL_JOB_INTERVAL_MS,
+    initialDelayMs: 100_000,
+    handler: async ({ trigger }) =>
+      auditJobRun(
+        "badge_backfill",
+        trigger,
+        await processBadgeBackfill({ batchSize: BADGE_BACKFILL_BATCH_SIZE }),
+        { action: "backfill_badge", target_table: "user_badges" }
+      ),
+  });
+
+  registerJob({
+    name: "gamification_sync",
+    description: "Reconstructions de gamification demandées et événements en attente",
+    intervalMs: GAMIFICATION_SYNC_JOB_INTERVAL_MS,
+    initialDelayMs: 110_000,
+    handler: async ({ trigger }) =>
+      auditJobRun(
+        "gamification_sync",
+        trigger,
+        await processGamificationQueue({ batchSize: GAMIFICATION_SYNC_BATCH_SIZE }),
+        { action: "sync_gamification", target_table: "user_gamification" }
+      ),
+  });
+}
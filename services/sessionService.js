@@ -0,0 +1,357 @@
+// backend/services/sessionService.js
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+import { supabase } from "../config/supabase.js";
+import {
+  JWT_SECRET,
+  ACCESS_TOKEN_TTL_MINUTES,
+  REFRESH_TOKEN_TTL_DAYS,
+} from "../config/env.js";
+
+const REFRESH_TOKEN_BYTES = 48;
+const ACCESS_TOKEN_TYPE = "user";
+
+function ensureSupabase() {
+  if (!supabase) {
+    throw new Error("Supabase non configuré");
+  }
+}
+
+function ensureJwtSecret() {
+  if (!JWT_SECRET) {
+    throw new Error("JWT_SECRET manquant");
+  }
+}
+
+function safeText(value, maxLen = 255) {
+  return String(value ?? "").trim().slice(0, maxLen);
+}
+
+function hashRefreshToken(token) {
+  return crypto
+    .createHash("sha256")
+    .update(safeText(token, 400))
+    .digest("hex");
+}
+
+function generateRefreshToken() {
+  return crypto.randomBytes(REFRESH_TOKEN_BYTES).toString("base64url");
+}
+
+function computeRefreshExpiresAt(from = new Date()) {
+  return new Date(
+    from.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+  ).toISOString();
+}
+
+function isPast(isoValue) {
+  const d = isoValue ? new Date(isoValue) : null;
+  if (!d || !Number.isFinite(d.getTime())) return true;
+  return d.getTime() <= Date.now();
+}
+
+function buildAccessToken({ userId, email, sessionId }) {
+  ensureJwtSecret();
+
+  return jwt.sign(
+    {
+      userId,
+      email: email || null,
+      sid: sessionId,
+      type: ACCESS_TOKEN_TYPE,
+    },
+    JWT_SECRET,
+    {
+      expiresIn: `${ACCESS_TOKEN_TTL_MINUTES}m`,
+      algorithm: "HS256",
+    }
+  );
+}
+
+function buildSessionResponse({ session, email, refreshToken }) {
+  return {
+    accessToken: buildAccessToken({
+      userId: session.user_id,
+      email,
+      sessionId: session.id,
+    }),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60,
+    refreshExpiresAt: session.expires_at,
+    sessionId: session.id,
+  };
+}
+
+/**
+ * Vérifie la signature et le type d'un access token applicatif.
+ * Les jetons signés pour d'autres usages (rebooking express, accès invité…)
+ * partagent le même secret mais ne doivent pas ouvrir une session.
+ */
+export function verifyAccessToken(token) {
+  ensureJwtSecret();
+
+  if (!token) {
+    throw new Error("Token manquant");
+  }
+
+  const decoded = jwt.verify(token, JWT_SECRET, {
+    algorithms: ["HS256"],
+  });
+
+  if (!decoded || typeof decoded !== "object") {
+    throw new Error("Payload token invalide");
+  }
+
+  if (decoded.type && decoded.type !== ACCESS_TOKEN_TYPE) {
+    throw new Error("Type de token invalide");
+  }
+
+  const userId = decoded.userId || decoded.id || null;
+
+  if (!userId) {
+    throw new Error("Payload token invalide");
+  }
+
+  return {
+    ...decoded,
+    userId,
+  };
+}
+
+/**
+ * Un access token est révoqué si sa session a été fermée / a expiré, ou si
+ * l'utilisateur a demandé une déconnexion globale après son émission
+ * (ce dernier cas couvre aussi les anciens jetons 7 jours sans `sid`).
+ */
+export async function isAccessTokenRevoked(decoded) {
+  ensureSupabase();
+
+  const userId = safeText(decoded?.userId, 120);
+  if (!userId) return true;
+
+  if (decoded.sid) {
+    const { data: session, error } = await supabase
+      .from("user_sessions")
+      .select("id, user_id, revoked_at, expires_at")
+      .eq("id", decoded.sid)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!session || String(session.user_id) !== userId) return true;
+    if (session.revoked_at) return true;
+    if (isPast(session.expires_at)) return true;
+
+    return false;
+  }
+
+  const { data: user, error } = await supabase
+    .from("users")
+    .select("id, sessions_revoked_at")
+    .eq("id", userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!user) return true;
+
+  if (!user.sessions_revoked_at) return false;
+
+  const revokedAt = new Date(user.sessions_revoked_at).getTime();
+  const issuedAt = Number(decoded.iat || 0) * 1000;
+
+  return Number.isFinite(revokedAt) && issuedAt <= revokedAt;
+}
+
+export async function createUserSession({ user, userAgent = null, ip = null }) {
+  ensureSupabase();
+  ensureJwtSecret();
+
+  if (!user?.id) {
+    throw new Error("Utilisateur manquant pour la session");
+  }
+
+  const refreshToken = generateRefreshToken();
+  const now = new Date();
+
+  const { data: session, error } = await supabase
+    .from("user_sessions")
+    .insert({
+      user_id: user.id,
+      refresh_token_hash: hashRefreshToken(refreshToken),
+      previous_refresh_token_hash: null,
+      user_agent: safeText(userAgent, 255) || null,
+      ip: safeText(ip, 80) || null,
+      created_at: now.toISOString(),
+      last_used_at: now.toISOString(),
+      expires_at: computeRefreshExpiresAt(now),
+      revoked_at: null,
+      revoked_reason: null,
+    })
+    .select("*")
+    .single();
+
+  if (error) throw error;
+
+  return buildSessionResponse({ session, email: user.email, refreshToken });
+}
+
+export async function revokeSession(sessionId, reason = "logout") {
+  ensureSupabase();
+
+  const safeSessionId = safeText(sessionId, 120);
+  if (!safeSessionId) return false;
+
+  const { error } = await supabase
+    .from("user_sessions")
+    .update({
+      revoked_at: new Date().toISOString(),
+      revoked_reason: safeText(reason, 80) || null,
+    })
+    .eq("id", safeSessionId)
+    .is("revoked_at", null);
+
+  if (error) throw error;
+  return true;
+}
+
+export async function revokeAllUserSessions(userId, reason = "logout_all") {
+  ensureSupabase();
+
+  const safeUserId = safeText(userId, 120);
+  if (!safeUserId) {
+    throw new Error("userId manquant");
+  }
+
+  const nowIso = new Date().toISOString();
+
+  const { error: sessionsError } = await supabase
+    .from("user_sessions")
+    .update({
+      revoked_at: nowIso,
+      revoked_reason: safeText(reason, 80) || null,
+    })
+    .eq("user_id", safeUserId)
+    .is("revoked_at", null);
+
+  if (sessionsError) throw sessionsError;
+
+  const { error: userError } = await supabase
+    .from("users")
+    .update({
+      sessions_revoked_at: nowIso,
+      updated_at: nowIso,
+    })
+    .eq("id", safeUserId);
+
+  if (userError) throw userError;
+  return true;
+}
+
+export async function findSessionByRefreshToken(rawRefreshToken) {
+  ensureSupabase();
+
+  const safeToken = safeText(rawRefreshToken, 400);
+  if (!safeToken) return null;
+
+  const { data, error } = await supabase
+    .from("user_sessions")
+    .select("*")
+    .eq("refresh_token_hash", hashRefreshToken(safeToken))
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+/**
+ * Échange un refresh token contre une nouvelle paire de jetons.
+ * Le refresh token présenté est invalidé ; s'il est ré-présenté plus tard
+ * (vol probable), toute la session est révoquée.
+ * Retourne { ok: true, tokens } ou { ok: false, reason }.
+ */
+export async function rotateRefreshToken(rawRefreshToken, { userAgent = null, ip = null } = {}) {
+  ensureSupabase();
+  ensureJwtSecret();
+
+  const safeToken = safeText(rawRefreshToken, 400);
+  if (!safeToken) {
+    return { ok: false, reason: "missing" };
+  }
+
+  const presentedHash = hashRefreshToken(safeToken);
+  const session = await findSessionByRefreshToken(safeToken);
+
+  if (!session) {
+    const { data: reused, error: reusedError } = await supabase
+      .from("user_sessions")
+      .select("id, revoked_at")
+      .eq("previous_refresh_token_hash", presentedHash)
+      .maybeSingle();
+
+    if (reusedError) throw reusedError;
+
+    if (reused?.id && !reused.revoked_at) {
+      console.warn("⚠️ Refresh token réutilisé, session révoquée :", reused.id);
+      await revokeSession(reused.id, "refresh_token_reuse");
+    }
+
+    return { ok: false, reason: reused?.id ? "reused" : "invalid" };
+  }
+
+  if (session.revoked_at) {
+    return { ok: false, reason: "revoked" };
+  }
+
+  if (isPast(session.expires_at)) {
+    return { ok: false, reason: "expired" };
+  }
+
+  const { data: user, error: userError } = await supabase
+    .from("users")
+    .select("id, email")
+    .eq("id", session.user_id)
+    .maybeSingle();
+
+  if (userError) throw userError;
+
+  if (!user) {
+    await revokeSession(session.id, "user_missing");
+    return { ok: false, reason: "invalid" };
+  }
+
+  const nextRefreshToken = generateRefreshToken();
+
+  // Mise à jour conditionnelle sur l'ancien hash : deux rafraîchissements
+  // concurrents avec le même jeton ne peuvent pas réussir tous les deux.
+  const { data: rotated, error: rotateError } = await supabase
+    .from("user_sessions")
+    .update({
+      refresh_token_hash: hashRefreshToken(nextRefreshToken),
+      previous_refresh_token_hash: presentedHash,
+      last_used_at: new Date().toISOString(),
+      user_agent: safeText(userAgent, 255) || session.user_agent || null,
+      ip: safeText(ip, 80) || session.ip || null,
+    })
+    .eq("id", session.id)
+    .eq("refresh_token_hash", presentedHash)
+    .is("revoked_at", null)
+    .select("*")
+    .maybeSingle();
+
+  if (rotateError) throw rotateError;
+
+  if (!rotated) {
+    return { ok: false, reason: "reused" };
+  }
+
+  return {
+    ok: true,
+    tokens: buildSessionResponse({
+      session: rotated,
+      email: user.email,
+      refreshToken: nextRefreshToken,
+    }),
+  };
+}
@@ -8,6 +8,9 @@ import {
 } from "./gamificationService.js";
 
 export function isReservationPaidWithSingcoins(reservation) {
+  // Une carte cadeau a réglé la séance : le remboursement passe par la carte
+  if (Number(reservation?.gift_card_amount || 0) > 0) return false;
+
   const singcoinsUsed = reservation?.singcoins_used === true;
   if (singcoinsUsed) return true;
 
@@ -0,0 +1,403 @@
+// backend/services/slotHoldService.js
+
+import crypto from "crypto";
+
+import { supabase } from "../config/supabase.js";
+import { SLOT_HOLD_TTL_MINUTES } from "../config/env.js";
+import { areTimeRangesOverlapping } from "../utils/dates.js";
+
+/**
+ * Blocage temporaire des créneaux pendant le tunnel de paiement.
+ *
+ * Table `slot_holds` :
+ * - id, hold_token, box_id, start_time, end_time, date, persons
+ * - user_id, email, payment_intent_id
+ * - quoted_per_person_rate, pricing_rule_id : tarif figé au moment du blocage
+ * - status : active | released | converted
+ * - expires_at, released_at, release_reason, created_at
+ *
+ * Un blocage est posé par /api/verify-cart, expire au bout de
+ * SLOT_HOLD_TTL_MINUTES (le job de liste d'attente le passe alors en
+ * released / "expired" et propose le créneau), est libéré sur échec de
+ * paiement et converti à la création des réservations.
+ *
+ * Le tarif affiché par /api/verify-cart est figé sur le blocage : le
+ * paiement et la confirmation réutilisent ce tarif tant que le blocage est
+ * valide (ou, après expiration, si le paiement a été créé pendant sa validité).
+ */
+
+export const SLOT_HOLD_STATUSES = {
+  ACTIVE: "active",
+  RELEASED: "released",
+  CONVERTED: "converted",
+};
+
+const SLOT_HOLD_TOKEN_BYTES = 24;
+
+function ensureSupabase() {
+  if (!supabase) {
+    throw new Error("Supabase non configuré");
+  }
+}
+
+function safeText(value, maxLen = 255) {
+  return String(value ?? "").trim().slice(0, maxLen);
+}
+
+function normalizeEmail(email) {
+  return safeText(email, 255).toLowerCase();
+}
+
+export function generateSlotHoldToken() {
+  return crypto.randomBytes(SLOT_HOLD_TOKEN_BYTES).toString("hex");
+}
+
+export function computeSlotHoldExpiresAt(
+  fromDate = new Date(),
+  ttlMinutes = SLOT_HOLD_TTL_MINUTES
+) {
+  return new Date(fromDate.getTime() + ttlMinutes * 60 * 1000).toISOString();
+}
+
+/**
+ * Blocages encore valides chevauchant [fromIso, toIso[.
+ * `excludeHoldToken` permet d'ignorer les blocages du panier en cours.
+ */
+export async function listActiveSlotHolds({
+  boxIds = [],
+  fromIso,
+  toIso,
+  excludeHoldToken = null,
+}) {
+  ensureSupabase();
+
+  if (!fromIso || !toIso) return [];
+
+  let query = supabase
+    .from("slot_holds")
+    .select(
+      "id, hold_token, box_id, start_time, end_time, persons, expires_at, created_at"
+    )
+    .eq("status", SLOT_HOLD_STATUSES.ACTIVE)
+    .gt("expires_at", new Date().toISOString())
+    .lt("start_time", toIso)
+    .gt("end_time", fromIso);
+
+  if (boxIds.length > 0) {
+    query = query.in("box_id", boxIds.map((id) => Number(id)));
+  }
+
+  const safeExclude = safeText(excludeHoldToken, 120);
+  if (safeExclude) {
+    query = query.neq("hold_token", safeExclude);
+  }
+
+  const { data, error } = await query;
+
+  if (error) throw error;
+
+  return data || [];
+}
+
+export async function getActiveSlotHoldsByToken(holdToken) {
+  ensureSupabase();
+
+  const safeToken = safeText(holdToken, 120);
+  if (!safeToken) return [];
+
+  const { data, error } = await supabase
+    .from("slot_holds")
+    .select("*")
+    .eq("hold_token", safeToken)
+    .eq("status", SLOT_HOLD_STATUSES.ACTIVE)
+    .gt("expires_at", new Date().toISOString());
+
+  if (error) throw error;
+
+  return data || [];
+}
+
+/**
+ * Tarifs figés d'un panier : blocages actifs non expirés, ou blocages
+ * actifs rattachés au paiement `paymentIntentId` même expirés.
+ * Format attendu par computeCartPricing (options.quotedRates).
+ */
+export async function getSlotHoldQuotedRates({ holdToken, paymentIntentId = null }) {
+  ensureSupabase();
+
+  const safeToken = safeText(holdToken, 120);
+  const safePaymentIntentId = safeText(paymentIntentId, 200);
+  if (!safeToken) return [];
+
+  const { data, error } = await supabase
+    .from("slot_holds")
+    .select(
+      "box_id, start_time, persons, quoted_per_person_rate, pricing_rule_id, payment_intent_id, expires_at, status, release_reason"
+    )
+    .eq("hold_token", safeToken)
+    .in("status", [SLOT_HOLD_STATUSES.ACTIVE, SLOT_HOLD_STATUSES.RELEASED]);
+
+  if (error) throw error;
+
+  const nowMs = Date.now();
+
+  // Un blocage libéré par expireStaleSlotHolds garde son tarif pour le
+  // paiement créé pendant sa validité
+  return (data || [])
+    .filter(
+      (hold) =>
+        hold.quoted_per_person_rate != null &&
+        (hold.status === SLOT_HOLD_STATUSES.ACTIVE ||
+          hold.release_reason === "expired") &&
+        ((hold.status === SLOT_HOLD_STATUSES.ACTIVE &&
+          new Date(hold.expires_at).getTime() > nowMs) ||
+          (safePaymentIntentId && hold.payment_intent_id === safePaymentIntentId))
+    )
+    .map((hold) => ({
+      box_id: hold.box_id,
+      start_time: hold.start_time,
+      persons: hold.persons,
+      per_person_rate: Number(hold.quoted_per_person_rate),
+      pricing_rule_id: hold.pricing_rule_id ?? null,
+    }));
+}
+
+export async function releaseSlotHolds({
+  holdToken = null,
+  paymentIntentId = null,
+  reason = "released",
+}) {
+  ensureSupabase();
+
+  const safeToken = safeText(holdToken, 120);
+  const safePaymentIntentId = safeText(paymentIntentId, 200);
+
+  if (!safeToken && !safePaymentIntentId) return 0;
+
+  let query = supabase
+    .from("slot_holds")
+    .update({
+      status: SLOT_HOLD_STATUSES.RELEASED,
+      released_at: new Date().toISOString(),
+      release_reason: safeText(reason, 80) || "released",
+    })
+    .eq("status", SLOT_HOLD_STATUSES.ACTIVE);
+
+  query = safeToken
+    ? query.eq("hold_token", safeToken)
+    : query.eq("payment_intent_id", safePaymentIntentId);
+
+  const { data, error } = await query.select("id");
+
+  if (error) throw error;
+
+  return (data || []).length;
+}
+
+/**
+ * Passe en released ("expired") les blocages actifs échus et les retourne
+ * (état avant / après) pour que l'appelant propose les créneaux libérés.
+ */
+export async function expireStaleSlotHolds({ limit = 100 } = {}) {
+  ensureSupabase();
+
+  const nowIso = new Date().toISOString();
+
+  const { data: stale, error } = await supabase
+    .from("slot_holds")
+    .select("*")
+    .eq("status", SLOT_HOLD_STATUSES.ACTIVE)
+    .lt("expires_at", nowIso)
+    .order("expires_at", { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+  if (!stale?.length) return [];
+
+  const { data: released, error: releaseError } = await supabase
+    .from("slot_holds")
+    .update({
+      status: SLOT_HOLD_STATUSES.RELEASED,
+      released_at: nowIso,
+      release_reason: "expired",
+    })
+    .in(
+      "id",
+      stale.map((hold) => hold.id)
+    )
+    .eq("status", SLOT_HOLD_STATUSES.ACTIVE)
+    .select("*");
+
+  if (releaseError) throw releaseError;
+
+  const beforeById = new Map(stale.map((hold) => [String(hold.id), hold]));
+
+  return (released || []).map((hold) => ({
+    before: beforeById.get(String(hold.id)) || null,
+    after: hold,
+  }));
+}
+
+/**
+ * Pose un blocage pour chaque item du panier (items normalisés par
+ * computeReservationCartPricing). La disponibilité doit avoir été vérifiée
+ * avant l'appel ; en cas de course entre deux paniers, le blocage le plus
+ * ancien l'emporte et le nôtre est libéré.
+ *
+ * previousHoldToken n'est libéré qu'une fois le nouveau blocage acquis :
+ * sur conflit, le client garde son blocage (et sa priorité de liste
+ * d'attente). Il n'est pas compté comme concurrent du nouveau.
+ */
+export async function createSlotHolds({
+  items = [],
+  userId = null,
+  email = null,
+  previousHoldToken = null,
+  ttlMinutes = SLOT_HOLD_TTL_MINUTES,
+}) {
+  ensureSupabase();
+
+  const now = new Date();
+  const nowIso = now.toISOString();
+  let expiresAt = computeSlotHoldExpiresAt(now, ttlMinutes);
+
+  if (previousHoldToken) {
+    // Revalider le panier ne doit pas raccourcir un blocage plus long
+    // (ex. fenêtre de priorité de la liste d'attente).
+    const previousHolds = await getActiveSlotHoldsByToken(previousHoldToken);
+    for (const hold of previousHolds) {
+      if (new Date(hold.expires_at).getTime() > new Date(expiresAt).getTime()) {
+        expiresAt = new Date(hold.expires_at).toISOString();
+      }
+    }
+  }
+
+  const holdToken = generateSlotHoldToken();
+
+  const rows = items.map((item) => ({
+    hold_token: holdToken,
+    box_id: Number(item.box_id || 1),
+    start_time: item.start_time,
+    end_time: item.end_time,
+    date: item.date || null,
+    persons: Number(item.persons || 0) || null,
+    user_id: userId || null,
+    email: normalizeEmail(email) || null,
+    payment_intent_id: null,
+    quoted_per_person_rate: Number.isFinite(Number(item.perPersonRate))
+      ? Number(item.perPersonRate)
+      : null,
+    pricing_rule_id: item.pricingRuleId ?? null,
+    status: SLOT_HOLD_STATUSES.ACTIVE,
+    expires_at: expiresAt,
+    created_at: nowIso,
+  }));
+
+  if (rows.length === 0) {
+    return { ok: false, holdToken: null, expiresAt: null, conflictItem: null };
+  }
+
+  const { data: inserted, error } = await supabase
+    .from("slot_holds")
+    .insert(rows)
+    .select("*");
+
+  if (error) throw error;
+
+  for (const hold of inserted || []) {
+    const competitors = await listActiveSlotHolds({
+      boxIds: [hold.box_id],
+      fromIso: hold.start_time,
+      toIso: hold.end_time,
+      excludeHoldToken: holdToken,
+    });
+
+    const earlier = competitors.find((other) => {
+      if (previousHoldToken && other.hold_token === previousHoldToken) {
+        return false;
+      }
+
+      if (
+        !areTimeRangesOverlapping(
+          other.start_time,
+          other.end_time,
+          hold.start_time,
+          hold.end_time
+        )
+      ) {
+        return false;
+      }
+
+      const otherCreatedAt = new Date(other.created_at).getTime();
+      const holdCreatedAt = new Date(hold.created_at).getTime();
+
+      return (
+        otherCreatedAt < holdCreatedAt ||
+        (otherCreatedAt === holdCreatedAt &&
+          String(other.hold_token) < holdToken)
+      );
+    });
+
+    if (earlier) {
+      await releaseSlotHolds({ holdToken, reason: "conflict" });
+
+      const conflictItem =
+        items.find(
+          (item) =>
+            Number(item.box_id || 1) === Number(hold.box_id) &&
+            new Date(item.start_time).getTime() ===
+              new Date(hold.start_time).getTime()
+        ) || null;
+
+      return { ok: false, holdToken: null, expiresAt: null, conflictItem };
+    }
+  }
+
+  if (previousHoldToken) {
+    await releaseSlotHolds({ holdToken: previousHoldToken, reason: "replaced" });
+  }
+
+  return { ok: true, holdToken, expiresAt, holds: inserted || [] };
+}
+
+export async function attachPaymentIntentToSlotHolds(holdToken, paymentIntentId) {
+  ensureSupabase();
+
+  const safeToken = safeText(holdToken, 120);
+  const safePaymentIntentId = safeText(paymentIntentId, 200);
+
+  if (!safeToken || !safePaymentIntentId) return 0;
+
+  const { data, error } = await supabase
+    .from("slot_holds")
+    .update({ payment_intent_id: safePaymentIntentId })
+    .eq("hold_token", safeToken)
+    .eq("status", SLOT_HOLD_STATUSES.ACTIVE)
+    .select("id");
+
+  if (error) throw error;
+
+  return (data || []).length;
+}
+
+export async function convertSlotHolds(holdToken) {
+  ensureSupabase();
+
+  const safeToken = safeText(holdToken, 120);
+  if (!safeToken) return 0;
+
+  const { data, error } = await supabase
+    .from("slot_holds")
+    .update({
+      status: SLOT_HOLD_STATUSES.CONVERTED,
+      released_at: new Date().toISOString(),
+      release_reason: "converted",
+    })
+    .eq("hold_token", safeToken)
+    .eq("status", SLOT_HOLD_STATUSES.ACTIVE)
+    .select("id");
+
+  if (error) throw error;
+
+  return (data || []).length;
+}
@@ -0,0 +1,625 @@
+// backend/services/waitlistService.js
+
+import jwt from "jsonwebtoken";
+
+import { supabase } from "../config/supabase.js";
+import {
+  JWT_SECRET,
+  WAITLIST_PRIORITY_WINDOW_MINUTES,
+} from "../config/env.js";
+import { areTimeRangesOverlapping, parseDateOrNull } from "../utils/dates.js";
+import { clampPersons } from "../utils/validators.js";
+import { getSlotAvailability } from "./reservationService.js";
+import {
+  createSlotHolds,
+  expireStaleSlotHolds,
+  getActiveSlotHoldsByToken,
+  releaseSlotHolds,
+} from "./slotHoldService.js";
+import { sendWaitlistSlotAvailableEmail } from "./emailService.js";
+import { formatDateOnlyInParis } from "./pricingService.js";
+
+/**
+ * Liste d'attente sur les créneaux complets.
+ *
+ * Table `waitlist_entries` :
+ * - id, user_id, email, name, box_id (null = n'importe quelle box)
+ * - start_time, end_time, date, persons
+ * - status : waiting | notified | booked | expired | cancelled
+ * - hold_token, notified_box_id, notified_at, priority_expires_at
+ * - booked_at, created_at, updated_at
+ *
+ * Quand un créneau se libère, la première entrée compatible reçoit un lien
+ * de priorité (JWT "waitlist_priority", même principe que le rebooking
+ * express) et le créneau lui est bloqué pendant WAITLIST_PRIORITY_WINDOW_MINUTES.
+ */
+
+export const WAITLIST_STATUSES = {
+  WAITING: "waiting",
+  NOTIFIED: "notified",
+  BOOKED: "booked",
+  EXPIRED: "expired",
+  CANCELLED: "cancelled",
+};
+
+const WAITLIST_TOKEN_TYPE = "waitlist_priority";
+
+function ensureSupabase() {
+  if (!supabase) {
+    throw new Error("Supabase non configuré");
+  }
+}
+
+function safeText(value, maxLen = 255) {
+  return String(value ?? "").trim().slice(0, maxLen);
+}
+
+function normalizeEmail(email) {
+  return safeText(email, 255).toLowerCase();
+}
+
+export function toPublicWaitlistEntry(entry) {
+  if (!entry) return null;
+
+  return {
+    id: entry.id,
+    box_id: entry.box_id ?? null,
+    start_time: entry.start_time,
+    end_time: entry.end_time,
+    date: entry.date,
+    persons: entry.persons,
+    status: entry.status,
+    priority_expires_at: entry.priority_expires_at || null,
+    created_at: entry.created_at,
+  };
+}
+
+async function updateWaitlistEntry(entryId, patch) {
+  const { data, error } = await supabase
+    .from("waitlist_entries")
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq("id", entryId)
+    .select("*")
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+function signWaitlistPriorityToken(entry, expiresAt) {
+  if (!JWT_SECRET) {
+    throw new Error("JWT_SECRET manquant");
+  }
+
+  const expiresInSeconds = Math.max(
+    60,
+    Math.round((new Date(expiresAt).getTime() - Date.now()) / 1000)
+  );
+
+  return jwt.sign(
+    {
+      type: WAITLIST_TOKEN_TYPE,
+      entryId: String(entry.id),
+      email: normalizeEmail(entry.email) || null,
+    },
+    JWT_SECRET,
+    { expiresIn: expiresInSeconds }
+  );
+}
+
+export function verifyWaitlistPriorityToken(rawToken) {
+  const safeToken = safeText(rawToken, 2000);
+  if (!safeToken) {
+    throw new Error("Lien de priorité manquant");
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(safeToken, JWT_SECRET);
+  } catch (e) {
+    throw new Error(
+      e?.name === "TokenExpiredError"
+        ? "Ce lien de priorité a expiré"
+        : "Lien de priorité invalide"
+    );
+  }
+
+  if (payload?.type !== WAITLIST_TOKEN_TYPE) {
+    throw new Error("Lien de priorité invalide");
+  }
+
+  return {
+    entryId: safeText(payload.entryId, 120),
+    email: normalizeEmail(payload.email) || null,
+  };
+}
+
+export async function createWaitlistEntry({
+  userId = null,
+  email,
+  name = null,
+  boxId = null,
+  startTime,
+  endTime,
+  persons,
+}) {
+  ensureSupabase();
+
+  const safeEmail = normalizeEmail(email);
+  const start = parseDateOrNull(startTime);
+  const end = parseDateOrNull(endTime);
+
+  if (!safeEmail) {
+    throw new Error("Email requis");
+  }
+
+  if (!start || !end || end.getTime() <= start.getTime()) {
+    throw new Error("Créneau invalide");
+  }
+
+  if (start.getTime() <= Date.now()) {
+    throw new Error("Ce créneau est déjà passé");
+  }
+
+  const { data: existing, error: existingError } = await supabase
+    .from("waitlist_entries")
+    .select("*")
+    .eq("email", safeEmail)
+    .eq("start_time", start.toISOString())
+    .in("status", [WAITLIST_STATUSES.WAITING, WAITLIST_STATUSES.NOTIFIED])
+    .limit(1);
+
+  if (existingError) throw existingError;
+
+  if (existing?.[0]) {
+    return { created: false, entry: existing[0] };
+  }
+
+  const nowIso = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from("waitlist_entries")
+    .insert({
+      user_id: userId || null,
+      email: safeEmail,
+      name: safeText(name, 120) || null,
+      box_id: boxId ? Number(boxId) : null,
+      start_time: start.toISOString(),
+      end_time: end.toISOString(),
+      date: formatDateOnlyInParis(start),
+      persons: clampPersons(persons),
+      status: WAITLIST_STATUSES.WAITING,
+      created_at: nowIso,
+      updated_at: nowIso,
+    })
+    .select("*")
+    .single();
+
+  if (error) throw error;
+
+  return { created: true, entry: data };
+}
+
+export async function listWaitlistEntriesForUser(userId) {
+  ensureSupabase();
+
+  const safeUserId = safeText(userId, 120);
+  if (!safeUserId) return [];
+
+  const { data, error } = await supabase
+    .from("waitlist_entries")
+    .select("*")
+    .eq("user_id", safeUserId)
+    .in("status", [WAITLIST_STATUSES.WAITING, WAITLIST_STATUSES.NOTIFIED])
+    .gt("start_time", new Date().toISOString())
+    .order("start_time", { ascending: true });
+
+  if (error) throw error;
+
+  return data || [];
+}
+
+export async function cancelWaitlistEntry({ entryId, userId }) {
+  ensureSupabase();
+
+  const { data: entry, error } = await supabase
+    .from("waitlist_entries")
+    .select("*")
+    .eq("id", entryId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!entry || String(entry.user_id || "") !== String(userId || "")) {
+    return null;
+  }
+
+  if (entry.hold_token) {
+    await releaseSlotHolds({
+      holdToken: entry.hold_token,
+      reason: "waitlist_cancelled",
+    });
+  }
+
+  const cancelled = await updateWaitlistEntry(entry.id, {
+    status: WAITLIST_STATUSES.CANCELLED,
+  });
+
+  // Priorité abandonnée : le créneau bloqué passe à l'entrée suivante
+  if (entry.status === WAITLIST_STATUSES.NOTIFIED && entry.hold_token) {
+    try {
+      await notifyWaitlistForFreedSlot({
+        boxId: entry.notified_box_id || entry.box_id,
+        startTime: entry.start_time,
+        endTime: entry.end_time,
+      });
+    } catch (notifyError) {
+      console.error("Erreur notifyWaitlistForFreedSlot :", notifyError);
+    }
+  }
+
+  return cancelled;
+}
+
+async function grantWaitlistPriority(entry, boxId) {
+  const holdResult = await createSlotHolds({
+    items: [
+      {
+        box_id: boxId,
+        start_time: entry.start_time,
+        end_time: entry.end_time,
+        date: entry.date,
+        persons: entry.persons,
+      },
+    ],
+    userId: entry.user_id || null,
+    email: entry.email,
+    ttlMinutes: WAITLIST_PRIORITY_WINDOW_MINUTES,
+  });
+
+  if (!holdResult.ok) {
+    return null;
+  }
+
+  const updated = await updateWaitlistEntry(entry.id, {
+    status: WAITLIST_STATUSES.NOTIFIED,
+    hold_token: holdResult.holdToken,
+    notified_box_id: boxId,
+    notified_at: new Date().toISOString(),
+    priority_expires_at: holdResult.expiresAt,
+  });
+
+  const token = signWaitlistPriorityToken(entry, holdResult.expiresAt);
+
+  try {
+    await sendWaitlistSlotAvailableEmail({
+      email: entry.email,
+      name: entry.name,
+      startTime: entry.start_time,
+      persons: entry.persons,
+      token,
+      expiresAt: holdResult.expiresAt,
+    });
+  } catch (mailError) {
+    console.error("Erreur sendWaitlistSlotAvailableEmail :", mailError);
+  }
+
+  return updated;
+}
+
+/**
+ * Appelée quand un créneau se libère (remboursement, annulation, modification,
+ * paiement abandonné, priorité expirée). Propose le créneau à la première
+ * entrée compatible encore en attente.
+ */
+export async function notifyWaitlistForFreedSlot({ boxId, startTime, endTime }) {
+  ensureSupabase();
+
+  const safeBoxId = Number(boxId || 1);
+  const start = parseDateOrNull(startTime);
+  const end = parseDateOrNull(endTime);
+
+  if (!start || !end || end.getTime() <= Date.now()) {
+    return { notified: 0, entry: null };
+  }
+
+  const { data, error } = await supabase
+    .from("waitlist_entries")
+    .select("*")
+    .eq("status", WAITLIST_STATUSES.WAITING)
+    .lt("start_time", end.toISOString())
+    .gt("end_time", start.toISOString())
+    .order("created_at", { ascending: true })
+    .limit(20);
+
+  if (error) throw error;
+
+  for (const entry of data || []) {
+    if (entry.box_id != null && Number(entry.box_id) !== safeBoxId) continue;
+
+    if (
+      !areTimeRangesOverlapping(entry.start_time, entry.end_time, start, end)
+    ) {
+      continue;
+    }
+
+    const availability = await getSlotAvailability({
+      boxId: safeBoxId,
+      startTime: entry.start_time,
+      endTime: entry.end_time,
+      localDate: entry.date,
+      persons: entry.persons,
+    });
+
+    if (!availability.available) continue;
+
+    const granted = await grantWaitlistPriority(entry, safeBoxId);
+    if (granted) {
+      return { notified: 1, entry: granted, previousEntry: entry };
+    }
+  }
+
+  return { notified: 0, entry: null };
+}
+
+/**
+ * Après une modification de réservation : l'ancien créneau (ou la place
+ * rendue si le groupe diminue) peut servir à la liste d'attente.
+ */
+export async function notifyWaitlistForModifiedReservation(previous, updated) {
+  if (!previous || !updated) return { notified: 0, entry: null };
+
+  const slotChanged =
+    String(previous.start_time || "") !== String(updated.start_time || "") ||
+    String(previous.end_time || "") !== String(updated.end_time || "") ||
+    Number(previous.box_id || 1) !== Number(updated.box_id || 1);
+  const personsReduced =
+    Number(updated.persons || 0) < Number(previous.persons || 0);
+
+  if (!slotChanged && !personsReduced) return { notified: 0, entry: null };
+
+  return notifyWaitlistForFreedSlot({
+    boxId: previous.box_id,
+    startTime: previous.start_time,
+    endTime: previous.end_time,
+  });
+}
+
+// Entrée accordée par notifyWaitlistForFreedSlot, tracée dans stats
+async function notifyFreedSlotIntoStats(slot, stats) {
+  try {
+    const result = await notifyWaitlistForFreedSlot(slot);
+    stats.notified += result.notified;
+
+    if (result.entry) {
+      stats.changes.push({
+        id: result.entry.id,
+        before: result.previousEntry || null,
+        after: result.entry,
+      });
+    }
+  } catch (notifyError) {
+    console.error("Erreur notifyWaitlistForFreedSlot :", notifyError);
+  }
+}
+
+/**
+ * Clôt une priorité qui n'a pas été utilisée (fenêtre échue ou blocage
+ * disparu) et propose le créneau à l'entrée suivante. Conditionné sur le
+ * statut notified : un seul appelant traite l'entrée.
+ */
+async function expireWaitlistPriority(entry, stats) {
+  await releaseSlotHolds({
+    holdToken: entry.hold_token,
+    reason: "waitlist_expired",
+  });
+
+  const nowIso = new Date().toISOString();
+  const { data: expired, error } = await supabase
+    .from("waitlist_entries")
+    .update({ status: WAITLIST_STATUSES.EXPIRED, updated_at: nowIso })
+    .eq("id", entry.id)
+    .eq("status", WAITLIST_STATUSES.NOTIFIED)
+    .select("*")
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!expired) return;
+
+  stats.expiredPriorities += 1;
+  stats.expiredEntryIds.push(entry.id);
+  stats.changes.push({ id: entry.id, before: entry, after: expired });
+
+  await notifyFreedSlotIntoStats(
+    {
+      boxId: entry.notified_box_id || entry.box_id,
+      startTime: entry.start_time,
+      endTime: entry.end_time,
+    },
+    stats
+  );
+}
+
+/**
+ * Expire les priorités non utilisées (et propose le créneau à l'entrée
+ * suivante), libère les blocages de paiement échus en proposant leur
+ * créneau, puis expire les entrées dont le créneau est passé. changes
+ * contient l'état avant / après de chaque ligne modifiée pour l'audit
+ * (table indiquée par change.table quand ce n'est pas waitlist_entries).
+ */
+export async function processExpiredWaitlistPriorities({ limit = 50 } = {}) {
+  ensureSupabase();
+
+  const nowIso = new Date().toISOString();
+  const stats = {
+    expiredPriorities: 0,
+    expiredHolds: 0,
+    expiredEntries: 0,
+    notified: 0,
+    expiredEntryIds: [],
+    changes: [],
+  };
+
+  const { data: expiredPriorities, error } = await supabase
+    .from("waitlist_entries")
+    .select("*")
+    .eq("status", WAITLIST_STATUSES.NOTIFIED)
+    .lt("priority_expires_at", nowIso)
+    .order("priority_expires_at", { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+
+  for (const entry of expiredPriorities || []) {
+    await expireWaitlistPriority(entry, stats);
+  }
+
+  // Blocages de paiement abandonnés : le créneau se libère sans échec Stripe
+  const expiredHolds = await expireStaleSlotHolds({ limit: limit * 2 });
+  const freedSlots = new Map();
+
+  for (const { before, after } of expiredHolds) {
+    stats.expiredHolds += 1;
+    stats.changes.push({ table: "slot_holds", id: after.id, before, after });
+    freedSlots.set(`${after.box_id}|${after.start_time}|${after.end_time}`, after);
+  }
+
+  for (const hold of freedSlots.values()) {
+    await notifyFreedSlotIntoStats(
+      { boxId: hold.box_id, startTime: hold.start_time, endTime: hold.end_time },
+      stats
+    );
+  }
+
+  const { data: pastCandidates, error: candidatesError } = await supabase
+    .from("waitlist_entries")
+    .select("*")
+    .eq("status", WAITLIST_STATUSES.WAITING)
+    .lt("start_time", nowIso);
+
+  if (candidatesError) throw candidatesError;
+  if (!pastCandidates?.length) return stats;
+
+  const { data: pastEntries, error: pastError } = await supabase
+    .from("waitlist_entries")
+    .update({ status: WAITLIST_STATUSES.EXPIRED, updated_at: nowIso })
+    .in(
+      "id",
+      pastCandidates.map((row) => row.id)
+    )
+    .eq("status", WAITLIST_STATUSES.WAITING)
+    .select("*");
+
+  if (pastError) throw pastError;
+
+  const beforeById = new Map(pastCandidates.map((row) => [String(row.id), row]));
+
+  stats.expiredEntries = (pastEntries || []).length;
+  for (const row of pastEntries || []) {
+    stats.expiredEntryIds.push(row.id);
+    stats.changes.push({
+      id: row.id,
+      before: beforeById.get(String(row.id)) || null,
+      after: row,
+    });
+  }
+
+  return stats;
+}
+
+export async function resolveWaitlistPriority(rawToken) {
+  ensureSupabase();
+
+  const tokenData = verifyWaitlistPriorityToken(rawToken);
+
+  const { data: entry, error } = await supabase
+    .from("waitlist_entries")
+    .select("*")
+    .eq("id", tokenData.entryId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!entry || entry.status !== WAITLIST_STATUSES.NOTIFIED) {
+    throw new Error("Ce lien de priorité n’est plus valable");
+  }
+
+  const holds = await getActiveSlotHoldsByToken(entry.hold_token);
+  if (holds.length === 0) {
+    // Sans attendre le job : le créneau passe à l'entrée suivante
+    try {
+      await expireWaitlistPriority(entry, {
+        expiredPriorities: 0,
+        notified: 0,
+        expiredEntryIds: [],
+        changes: [],
+      });
+    } catch (expireError) {
+      console.error("Erreur expiration priorité liste d'attente :", expireError);
+    }
+
+    throw new Error("Ce lien de priorité a expiré");
+  }
+
+  return {
+    entry,
+    hold: {
+      token: entry.hold_token,
+      expiresAt: entry.priority_expires_at,
+    },
+    slot: {
+      box_id: Number(entry.notified_box_id || entry.box_id || 1),
+      start_time: entry.start_time,
+      end_time: entry.end_time,
+      date: entry.date,
+      persons: entry.persons,
+    },
+  };
+}
+
+export async function markWaitlistEntryBookedByHoldToken(holdToken) {
+  ensureSupabase();
+
+  const safeToken = safeText(holdToken, 120);
+  if (!safeToken) return null;
+
+  const nowIso = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from("waitlist_entries")
+    .update({
+      status: WAITLIST_STATUSES.BOOKED,
+      booked_at: nowIso,
+      updated_at: nowIso,
+    })
+    .eq("hold_token", safeToken)
+    .eq("status", WAITLIST_STATUSES.NOTIFIED)
+    .select("*")
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+/**
+ * Revalider le panier (/api/verify-cart) remplace le blocage : l'entrée
+ * suit le nouveau jeton pour pouvoir être marquée réservée à la confirmation.
+ */
+export async function transferWaitlistHoldToken(previousHoldToken, newHoldToken) {
+  ensureSupabase();
+
+  const safePrevious = safeText(previousHoldToken, 120);
+  const safeNext = safeText(newHoldToken, 120);
+  if (!safePrevious || !safeNext) return null;
+
+  const { data, error } = await supabase
+    .from("waitlist_entries")
+    .update({ hold_token: safeNext, updated_at: new Date().toISOString() })
+    .eq("hold_token", safePrevious)
+    .eq("status", WAITLIST_STATUSES.NOTIFIED)
+    .select("id")
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
@@ -2,4 +2,47 @@
 
 export function roundMoney(value) {
   return Number(Number(value || 0).toFixed(2));
-}
\ No newline at end of file
+}
+
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function escapeCsvCell(value) {
+  if (value === undefined || value === null) return "";
+
+  const text =
+    typeof value === "object" ? JSON.stringify(value) : String(value);
+
+  // Neutralise les formules (=, +, -, @, tabulation, retour chariot) à
+  // l'ouverture dans un tableur ; seul un nombre simple reste tel quel
+  const isFormula =
+    /^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(?:\.\d+)?$/.test(text);
+  const safe = isFormula ? `'${text}` : text;
+
+  return isFormula || /[";\n\r,]/.test(safe)
+    ? `"${safe.replace(/"/g, '""')}"`
+    : safe;
+}
+
+/**
+ * columns : [{ key, label, value?(row) }]
+ */
+export function toCsv(rows = [], columns = []) {
+  const header = columns.map((col) => escapeCsvCell(col.label || col.key));
+  const lines = rows.map((row) =>
+    columns
+      .map((col) =>
+        escapeCsvCell(typeof col.value === "function" ? col.value(row) : row?.[col.key])
+      )
+      .join(",")
+  );
+
+  return [header.join(","), ...lines].join("\r\n");
+}
+